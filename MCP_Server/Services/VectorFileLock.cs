@@ -0,0 +1,38 @@
+namespace MCP_Server.Services;
+
+/// <summary>
+/// Cross-process lock for a vector memory JSONL file, shared by the MCP server (which appends)
+/// and VibeRails (which rewrites the file to edit or delete entries). It is an exclusive handle
+/// on "&lt;file&gt;.lock", so an append can never land between a rewrite's read and its replace.
+/// </summary>
+public static class VectorFileLock
+{
+    private static readonly TimeSpan s_timeout = TimeSpan.FromSeconds(10);
+    private static readonly TimeSpan s_maxRetryDelay = TimeSpan.FromMilliseconds(200);
+
+    /// <summary>
+    /// Waits for the lock on <paramref name="dataPath"/>. Dispose the result to release it.
+    /// Throws <see cref="IOException"/> if another process holds it for longer than the timeout.
+    /// </summary>
+    public static async Task<IDisposable> AcquireAsync(string dataPath, CancellationToken ct = default)
+    {
+        var lockPath = dataPath + ".lock";
+        Directory.CreateDirectory(Path.GetDirectoryName(Path.GetFullPath(lockPath))!);
+
+        var deadline = DateTime.UtcNow + s_timeout;
+        var delay = TimeSpan.FromMilliseconds(10);
+        while (true)
+        {
+            try
+            {
+                // FileShare.None is enforced between processes (flock on Unix, share modes on Windows)
+                return new FileStream(lockPath, FileMode.OpenOrCreate, FileAccess.ReadWrite, FileShare.None);
+            }
+            catch (IOException) when (DateTime.UtcNow < deadline)
+            {
+                await Task.Delay(delay, ct);
+                delay = delay * 2 < s_maxRetryDelay ? delay * 2 : s_maxRetryDelay;
+            }
+        }
+    }
+}
@@ -252,6 +252,8 @@ public class VectorSearchTool
         {
             try
             {
+                // VibeRails rewrites these files to edit entries; hold the shared lock so this append isn't lost
+                using var fileLock = await VectorFileLock.AcquireAsync(path);
                 await using var fs = new FileStream(path, FileMode.Append, FileAccess.Write, FileShare.None);
                 await using var writer = new StreamWriter(fs);
                 await writer.WriteLineAsync(content);
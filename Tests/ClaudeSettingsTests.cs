@@ -325,12 +325,24 @@ public class ClaudeSettingsTests : IDisposable
         public Task CompleteSessionAsync(string sessionId, int exitCode)
             => Task.CompletedTask;
 
+        public Task<int> PruneSessionLogsAsync(DateTime olderThanUTC)
+            => Task.FromResult(0);
+
+        public Task ImportSessionAsync(SessionResponse session, List<SessionLogEntry> logs)
+            => Task.CompletedTask;
+
         public Task<SessionWithLogsResponse?> GetSessionWithLogsAsync(string sessionId, CancellationToken cancellationToken)
             => Task.FromResult<SessionWithLogsResponse?>(null);
 
         public Task<List<SessionResponse>> GetRecentSessionsAsync(int limit, CancellationToken cancellationToken)
             => Task.FromResult(new List<SessionResponse>());
 
+        public Task<SessionSearchResponse> SearchSessionsAsync(SessionSearchQuery query, CancellationToken cancellationToken)
+            => Task.FromResult(new SessionSearchResponse(new List<SessionResponse>(), 0, query.Page, query.PageSize));
+
+        public Task<SessionFilterOptionsResponse> GetSessionFilterOptionsAsync(CancellationToken cancellationToken)
+            => Task.FromResult(new SessionFilterOptionsResponse(new List<string>(), new List<string>()));
+
         public Task<UserInputRecord?> GetLastUserInputAsync(string sessionId)
             => Task.FromResult<UserInputRecord?>(null);
 
@@ -360,5 +372,11 @@ public class ClaudeSettingsTests : IDisposable
 
         public Task CompleteClaudePlanAsync(long planId)
             => Task.CompletedTask;
+
+        public Task SetPlanStepCompletedAsync(long planId, int stepIndex, string stepText, bool completed)
+            => Task.CompletedTask;
+
+        public Task<Dictionary<long, List<PlanStepState>>> GetPlanStepStatesAsync(IReadOnlyCollection<long> planIds, CancellationToken cancellationToken)
+            => Task.FromResult(new Dictionary<long, List<PlanStepState>>());
     }
 }
@@ -0,0 +1,121 @@
+using VibeRails.DTOs;
+using VibeRails.Services;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class AsciicastServiceTests
+    {
+        private static SessionWithLogsResponse CreateSession()
+        {
+            var started = new DateTime(2026, 3, 1, 12, 0, 0, DateTimeKind.Utc);
+            var session = new SessionResponse(
+                Id: "session-1",
+                Cli: "claude",
+                EnvironmentName: "work",
+                WorkingDirectory: "/repo",
+                StartedUTC: started,
+                EndedUTC: started.AddSeconds(5),
+                ExitCode: 0);
+
+            var logs = new List<SessionLogResponse>
+            {
+                new(1, "session-1", started.AddSeconds(0.5), "hello\r\n", false),
+                new(2, "session-1", started.AddSeconds(2.25), "\u001b[32mdone\u001b[0m \"quoted\"", false)
+            };
+
+            return new SessionWithLogsResponse(session, logs);
+        }
+
+        [Fact]
+        public void Serialize_ShouldWriteHeaderAndOneEventPerLog()
+        {
+            // Act
+            var cast = AsciicastService.Serialize(CreateSession());
+            var lines = cast.Split('\n', StringSplitOptions.RemoveEmptyEntries);
+
+            // Assert
+            Assert.Equal(3, lines.Length);
+            Assert.StartsWith("{\"version\":2,", lines[0]);
+            Assert.StartsWith("[0.500000,\"o\",", lines[1]);
+            Assert.StartsWith("[2.250000,\"o\",", lines[2]);
+        }
+
+        [Fact]
+        public void Parse_ShouldRoundTripSerializedSession()
+        {
+            // Arrange
+            var original = CreateSession();
+
+            // Act
+            var recording = AsciicastService.Parse(AsciicastService.Serialize(original));
+
+            // Assert
+            Assert.Equal(AsciicastService.DefaultWidth, recording.Width);
+            Assert.Equal(AsciicastService.DefaultHeight, recording.Height);
+            Assert.Equal(original.Session.StartedUTC, recording.StartedUTC);
+            Assert.Equal("claude", recording.Env[AsciicastService.CliEnvKey]);
+            Assert.Equal("work", recording.Env[AsciicastService.EnvironmentEnvKey]);
+            Assert.Equal("/repo", recording.Env[AsciicastService.WorkingDirectoryEnvKey]);
+            Assert.Equal("0", recording.Env[AsciicastService.ExitCodeEnvKey]);
+            Assert.Equal(2, recording.Events.Count);
+            Assert.Equal(original.Logs[1].Content, recording.Events[1].Data);
+            Assert.Equal(2.25, recording.Events[1].Time, 3);
+        }
+
+        [Fact]
+        public void Parse_ShouldSkipNonOutputEvents()
+        {
+            // Arrange
+            var cast = string.Join('\n',
+                "{\"version\": 2, \"width\": 80, \"height\": 24, \"timestamp\": 1700000000}",
+                "[0.1, \"i\", \"ls\\r\"]",
+                "[0.2, \"o\", \"file.txt\\r\\n\"]",
+                "[0.3, \"m\", \"marker\"]",
+                "[0.4, \"r\", \"100x40\"]",
+                "");
+
+            // Act
+            var recording = AsciicastService.Parse(cast);
+
+            // Assert
+            Assert.Equal(80, recording.Width);
+            Assert.Equal(24, recording.Height);
+            Assert.Single(recording.Events);
+            Assert.Equal("file.txt\r\n", recording.Events[0].Data);
+        }
+
+        [Theory]
+        [InlineData("")]
+        [InlineData("not json")]
+        [InlineData("{\"version\": 1, \"width\": 80, \"height\": 24}")]
+        [InlineData("{\"version\": 2}\n[0.1, \"o\"]")]
+        [InlineData("{\"version\": 2}\n{\"time\": 0.1}")]
+        public void Parse_WhenRecordingIsInvalid_ShouldThrowFormatException(string content)
+        {
+            Assert.Throws<FormatException>(() => AsciicastService.Parse(content));
+        }
+
+        [Fact]
+        public void Parse_WhenHeaderTimestampIsOutOfRange_ShouldThrowFormatException()
+        {
+            // Arrange
+            var content = "{\"version\": 2, \"timestamp\": 9223372036854775807}\n[0.1, \"o\", \"hi\"]";
+
+            // Act & Assert
+            var ex = Assert.Throws<FormatException>(() => AsciicastService.Parse(content));
+            Assert.Contains("timestamp", ex.Message);
+        }
+
+        [Fact]
+        public void Parse_WhenEventTimeIsOutOfRange_ShouldThrowFormatException()
+        {
+            // Arrange
+            var content = "{\"version\": 2, \"timestamp\": 1700000000}\n[0.1, \"o\", \"hi\"]\n[1e300, \"o\", \"late\"]";
+
+            // Act & Assert
+            var ex = Assert.Throws<FormatException>(() => AsciicastService.Parse(content));
+            Assert.Contains("Line 3", ex.Message);
+        }
+    }
+}
@@ -0,0 +1,64 @@
+using System.Text;
+using VibeRails.DTOs;
+using VibeRails.Services;
+using VibeRails.Utils;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class DbServiceSearchTests : IDisposable
+    {
+        private readonly string _dbPath = Path.Combine(Path.GetTempPath(), $"viberails-search-{Guid.NewGuid():N}.db");
+        private readonly DbService _db;
+
+        public DbServiceSearchTests()
+        {
+            _db = new DbService($"Data Source={_dbPath};Mode=ReadWriteCreate;Pooling=False");
+            _db.InitializeDatabase();
+        }
+
+        public void Dispose()
+        {
+            foreach (var path in new[] { _dbPath, _dbPath + "-wal", _dbPath + "-shm" })
+            {
+                if (File.Exists(path))
+                    File.Delete(path);
+            }
+        }
+
+        [Fact]
+        public async Task SearchSessionsAsync_ShouldMatchTermsSplitAcrossBatchesOfALargeSession()
+        {
+            // Arrange - 40 full batches, with one term cut in half by a batch boundary and one inside a batch
+            await _db.CreateSessionAsync("large", "claude", null, "/repo");
+            await _db.CreateSessionAsync("other", "claude", null, "/repo");
+            var filler = new string('x', OutputLogBatcher.MaxBatchLength);
+            var written = new StringBuilder();
+            for (var i = 0; i < 40; i++)
+            {
+                var batch = i switch
+                {
+                    19 => filler[..^5] + "split",
+                    20 => "-needle" + filler[7..],
+                    30 => filler[..1000] + "inner-needle" + filler[1012..],
+                    _ => filler
+                };
+                await _db.LogSessionOutputAsync("large", batch);
+                written.Append(batch);
+            }
+            await _db.LogSessionOutputAsync("other", "split-");
+
+            // Act
+            var split = await _db.SearchSessionsAsync(new SessionSearchQuery(Search: "split-needle"), CancellationToken.None);
+            var inner = await _db.SearchSessionsAsync(new SessionSearchQuery(Search: "inner-needle"), CancellationToken.None);
+            var missing = await _db.SearchSessionsAsync(new SessionSearchQuery(Search: "xneedlex"), CancellationToken.None);
+            var stored = await _db.GetSessionWithLogsAsync("large", CancellationToken.None);
+
+            // Assert - the overlap is only used for search; the stored output is unchanged
+            Assert.Equal("large", Assert.Single(split.Sessions).Id);
+            Assert.Equal("large", Assert.Single(inner.Sessions).Id);
+            Assert.Equal(0, missing.TotalCount);
+            Assert.Equal(written.ToString(), string.Concat(stored!.Logs.Select(l => l.Content)));
+        }
+    }
+}
@@ -271,6 +271,72 @@ echo ""Another hook""
             Assert.False(File.Exists(Path.Combine(_hooksDir, "commit-msg")));
         }
 
+        [Fact]
+        public async Task GetHookStatesAsync_ReportsInstalledAndUpToDate_AfterInstall()
+        {
+            // Arrange
+            await _service.InstallHooksAsync(_testRepoPath, CancellationToken.None);
+
+            // Act
+            var states = await _service.GetHookStatesAsync(_testRepoPath, CancellationToken.None);
+
+            // Assert
+            Assert.Equal(new[] { "pre-commit", "commit-msg" }, states.Select(s => s.Name));
+            Assert.All(states, s =>
+            {
+                Assert.True(s.Installed);
+                Assert.True(s.UpToDate);
+                Assert.False(s.HasForeignContent);
+            });
+        }
+
+        [Fact]
+        public async Task GetHookStatesAsync_ReportsOutdated_WhenInstalledSectionDiffers()
+        {
+            // Arrange
+            var hookPath = Path.Combine(_hooksDir, "pre-commit");
+            await File.WriteAllTextAsync(hookPath, "#!/bin/sh\n# Vibe Rails Pre-Commit Hook\necho old\n# End Vibe Rails Hook\n");
+
+            // Act
+            var preCommit = (await _service.GetHookStatesAsync(_testRepoPath, CancellationToken.None))[0];
+
+            // Assert
+            Assert.True(preCommit.Installed);
+            Assert.False(preCommit.UpToDate);
+        }
+
+        [Fact]
+        public async Task GetHookStatesAsync_WarnsAboutForeignNonShellHook()
+        {
+            // Arrange
+            var hookPath = Path.Combine(_hooksDir, "pre-commit");
+            await File.WriteAllTextAsync(hookPath, "#!/usr/bin/env node\nconsole.log('lint');\n");
+
+            // Act
+            var preCommit = (await _service.GetHookStatesAsync(_testRepoPath, CancellationToken.None))[0];
+
+            // Assert
+            Assert.False(preCommit.Installed);
+            Assert.True(preCommit.HasForeignContent);
+            Assert.Equal("/usr/bin/env node", preCommit.ForeignInterpreter);
+            Assert.NotNull(preCommit.Warning);
+        }
+
+        [Fact]
+        public async Task GetHookStatesAsync_WarnsWhenForeignHookExitsEarly()
+        {
+            // Arrange
+            var hookPath = Path.Combine(_hooksDir, "commit-msg");
+            await File.WriteAllTextAsync(hookPath, "#!/bin/sh\necho check\nexit 0\n");
+
+            // Act
+            var commitMsg = (await _service.GetHookStatesAsync(_testRepoPath, CancellationToken.None))[1];
+
+            // Assert
+            Assert.True(commitMsg.HasForeignContent);
+            Assert.Contains("exits before", commitMsg.Warning);
+        }
+
         [Fact]
         public async Task InstallPreCommitHookAsync_HandlesPermissionErrors_Gracefully()
         {
@@ -0,0 +1,86 @@
+using Microsoft.Extensions.Primitives;
+using VibeRails.Services.Tracing;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class HttpTraceRedactorTests
+    {
+        [Fact]
+        public void RedactHeaders_ShouldHideCredentialsOnly()
+        {
+            // Arrange
+            var headers = new Dictionary<string, StringValues>
+            {
+                ["cookie"] = "viberails_session=abc",
+                ["viberails_session"] = "abc",
+                ["Authorization"] = "Bearer xyz",
+                ["Content-Type"] = "application/json",
+            };
+
+            // Act
+            var redacted = HttpTraceRedactor.RedactHeaders(headers);
+
+            // Assert
+            Assert.Equal(HttpTraceRedactor.Redacted, redacted["cookie"]);
+            Assert.Equal(HttpTraceRedactor.Redacted, redacted["viberails_session"]);
+            Assert.Equal(HttpTraceRedactor.Redacted, redacted["Authorization"]);
+            Assert.Equal("application/json", redacted["Content-Type"]);
+        }
+
+        [Fact]
+        public void RedactQuery_ShouldHideSensitiveParameters()
+        {
+            // Act
+            var redacted = HttpTraceRedactor.RedactQuery("?sessionId=s1&viberails_session=abc&api_key=k&limit=5");
+
+            // Assert
+            Assert.Equal("?sessionId=s1&viberails_session=[redacted]&api_key=[redacted]&limit=5", redacted);
+        }
+
+        [Fact]
+        public void RedactBody_ShouldHideSensitiveJsonFieldsEvenWhenCutOff()
+        {
+            // Arrange - a preview cut part way through
+            var body = "{\"remoteAccess\":true,\"apiKey\":\"sk-123\",\"newPin\": 1234,\"note\":\"say \\\"token\\\": x\",\"nested\":{\"password\":\"hun";
+
+            // Act
+            var redacted = HttpTraceRedactor.RedactBody(body, "application/json; charset=utf-8");
+
+            // Assert
+            Assert.Contains("\"remoteAccess\":true", redacted);
+            Assert.Contains("\"apiKey\":\"[redacted]\"", redacted);
+            Assert.Contains("\"newPin\": \"[redacted]\"", redacted);
+            Assert.Contains("\"note\":\"say \\\"token\\\": x\"", redacted);
+            Assert.DoesNotContain("sk-123", redacted);
+            Assert.DoesNotContain("1234", redacted);
+            Assert.EndsWith("\"password\":\"[redacted]\"", redacted);
+        }
+
+        [Fact]
+        public void RedactBody_ShouldHandleFormBodiesAndLeaveOtherTextAlone()
+        {
+            // Act
+            var form = HttpTraceRedactor.RedactBody("user=a&password=b", "application/x-www-form-urlencoded");
+            var text = HttpTraceRedactor.RedactBody("password=b", "text/plain");
+
+            // Assert
+            Assert.Equal("user=a&password=[redacted]", form);
+            Assert.Equal("password=b", text);
+        }
+
+        [Theory]
+        [InlineData("application/json", true)]
+        [InlineData("application/problem+json; charset=utf-8", true)]
+        [InlineData("text/html", true)]
+        [InlineData("application/x-www-form-urlencoded", true)]
+        [InlineData("application/octet-stream", false)]
+        [InlineData("multipart/form-data; boundary=x", false)]
+        [InlineData(null, false)]
+        public void IsTextContent_ShouldRecognizeTextualTypes(string? contentType, bool expected)
+        {
+            // Act & Assert
+            Assert.Equal(expected, HttpTraceRedactor.IsTextContent(contentType));
+        }
+    }
+}
@@ -0,0 +1,93 @@
+using VibeRails.Utils;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class OutputLogBatcherTests
+    {
+        private static readonly TimeSpan NeverFlush = TimeSpan.FromHours(1);
+
+        [Fact]
+        public async Task Dispose_ShouldFlushAppendedOutputAsOneBatch()
+        {
+            // Arrange
+            var batches = new List<string>();
+            var batcher = new OutputLogBatcher(text => { batches.Add(text); return Task.CompletedTask; }, NeverFlush);
+
+            // Act
+            batcher.Append("\u001b[32mok\u001b[0m ");
+            batcher.Append("done\r\n");
+            await batcher.DisposeAsync();
+
+            // Assert
+            Assert.Equal("\u001b[32mok\u001b[0m done\r\n", Assert.Single(batches));
+        }
+
+        [Fact]
+        public async Task Flush_ShouldStartANewBatch()
+        {
+            // Arrange
+            var batches = new List<string>();
+            var batcher = new OutputLogBatcher(text => { batches.Add(text); return Task.CompletedTask; }, NeverFlush);
+
+            // Act
+            batcher.Append("first");
+            batcher.Flush();
+            batcher.Flush();
+            batcher.Append("second");
+            await batcher.DisposeAsync();
+
+            // Assert
+            Assert.Equal(new[] { "first", "second" }, batches);
+        }
+
+        [Fact]
+        public async Task Append_ShouldFlushOnceBatchIsFull()
+        {
+            // Arrange
+            var flushed = new TaskCompletionSource<string>(TaskCreationOptions.RunContinuationsAsynchronously);
+            await using var batcher = new OutputLogBatcher(text => { flushed.TrySetResult(text); return Task.CompletedTask; }, NeverFlush);
+
+            // Act
+            batcher.Append(new string('x', OutputLogBatcher.MaxBatchLength));
+            var batch = await flushed.Task.WaitAsync(TimeSpan.FromSeconds(5));
+
+            // Assert
+            Assert.Equal(OutputLogBatcher.MaxBatchLength, batch.Length);
+        }
+
+        [Fact]
+        public async Task Append_ShouldStopLoggingOnceSessionCapIsReached()
+        {
+            // Arrange
+            var batches = new List<string>();
+            var batcher = new OutputLogBatcher(text => { batches.Add(text); return Task.CompletedTask; }, NeverFlush, maxSessionBytes: 10);
+
+            // Act
+            batcher.Append("12345");
+            batcher.Append("67890");
+            batcher.Append("over");
+            batcher.Append("more");
+            await batcher.DisposeAsync();
+
+            // Assert
+            Assert.Equal("1234567890" + OutputLogBatcher.TruncatedNotice, string.Concat(batches));
+        }
+
+        [Fact]
+        public async Task Append_ShouldIgnoreOutputAfterDispose()
+        {
+            // Arrange
+            var batches = new List<string>();
+            var batcher = new OutputLogBatcher(text => { batches.Add(text); return Task.CompletedTask; }, NeverFlush);
+            await batcher.DisposeAsync();
+
+            // Act
+            batcher.Append("late");
+            batcher.Flush();
+
+            // Assert
+            Assert.Empty(batches);
+        }
+    }
+}
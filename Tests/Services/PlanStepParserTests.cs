@@ -0,0 +1,97 @@
+using VibeRails.Services;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class PlanStepParserTests
+    {
+        [Fact]
+        public void Parse_WhenPlanHasTaskItems_ShouldUseOnlyTaskItems()
+        {
+            // Arrange
+            var markdown = """
+                # Plan
+                Context bullet list:
+                - Uses the existing router
+                1. Not a task
+
+                - [ ] Add the endpoint
+                - [x] Write the migration
+                  - [ ] Backfill rows
+                """;
+
+            // Act
+            var steps = PlanStepParser.Parse(markdown);
+
+            // Assert
+            Assert.Equal(3, steps.Count);
+            Assert.Equal("Add the endpoint", steps[0].Text);
+            Assert.False(steps[0].InitiallyChecked);
+            Assert.True(steps[1].InitiallyChecked);
+            Assert.Equal(1, steps[2].Depth);
+            Assert.Equal(new[] { 0, 1, 2 }, steps.Select(s => s.Index));
+        }
+
+        [Fact]
+        public void Parse_WhenPlanHasNumberedItemsAndHeadings_ShouldPreferThemOverBullets()
+        {
+            // Arrange
+            var markdown = """
+                ## Files
+                - src/app.js
+
+                ### Step 1: Update the controller
+                1. Add a method
+                2. Wire it up
+                """;
+
+            // Act
+            var steps = PlanStepParser.Parse(markdown);
+
+            // Assert
+            Assert.Equal(3, steps.Count);
+            Assert.Equal("Update the controller", steps[0].Text);
+            Assert.Equal("Add a method", steps[1].Text);
+            Assert.Equal("Wire it up", steps[2].Text);
+        }
+
+        [Fact]
+        public void Parse_WhenOnlyBullets_ShouldReturnBullets()
+        {
+            // Act
+            var steps = PlanStepParser.Parse("- First\n- Second\n");
+
+            // Assert
+            Assert.Equal(new[] { "First", "Second" }, steps.Select(s => s.Text));
+        }
+
+        [Fact]
+        public void Parse_ShouldIgnoreListsInsideCodeFences()
+        {
+            // Arrange
+            var markdown = """
+                - Real step
+                ```
+                - not a step
+                1. also not a step
+                ```
+                """;
+
+            // Act
+            var steps = PlanStepParser.Parse(markdown);
+
+            // Assert
+            Assert.Single(steps);
+            Assert.Equal("Real step", steps[0].Text);
+        }
+
+        [Theory]
+        [InlineData(null)]
+        [InlineData("")]
+        [InlineData("Just a paragraph with no steps.")]
+        public void Parse_WhenNoSteps_ShouldReturnEmpty(string? markdown)
+        {
+            Assert.Empty(PlanStepParser.Parse(markdown));
+        }
+    }
+}
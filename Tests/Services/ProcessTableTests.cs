@@ -0,0 +1,48 @@
+using VibeRails.Services.Tracing;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class ProcessTableTests
+    {
+        [Fact]
+        public void ParseStatLine_ShouldHandleNamesWithSpacesAndParentheses()
+        {
+            // Act
+            var entry = ProcessTable.ParseStatLine("4242 (node (watch) x) S 4200 4242 4200 0 -1 4194304");
+
+            // Assert
+            Assert.NotNull(entry);
+            Assert.Equal(4242, entry.Pid);
+            Assert.Equal(4200, entry.ParentPid);
+            Assert.Equal("node (watch) x", entry.Name);
+        }
+
+        [Fact]
+        public void ParseStatLine_ShouldReturnNullForMalformedInput()
+        {
+            Assert.Null(ProcessTable.ParseStatLine("garbage"));
+        }
+
+        [Fact]
+        public void CollectDescendants_ShouldWalkTheWholeTree()
+        {
+            // Arrange: 1 → 10 → 100 → 1000, plus an unrelated 2 → 20
+            var table = new List<ProcessEntry>
+            {
+                new(1, 0, "vb"),
+                new(10, 1, "bash"),
+                new(100, 10, "claude"),
+                new(1000, 100, "npm"),
+                new(2, 0, "other"),
+                new(20, 2, "child")
+            };
+
+            // Act
+            var result = ProcessTable.CollectDescendants(table, [1]);
+
+            // Assert
+            Assert.Equal(new[] { 1, 10, 100, 1000 }, result.OrderBy(p => p));
+        }
+    }
+}
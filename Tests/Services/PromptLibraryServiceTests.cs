@@ -0,0 +1,110 @@
+using VibeRails.DTOs;
+using VibeRails.Services;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class PromptLibraryServiceTests : IDisposable
+    {
+        private readonly string _testDirectory;
+        private readonly string _projectRoot;
+        private readonly PromptLibraryService _service;
+
+        public PromptLibraryServiceTests()
+        {
+            _testDirectory = Path.Combine(Path.GetTempPath(), $"PromptLibraryServiceTests_{Guid.NewGuid()}");
+            _projectRoot = Path.Combine(_testDirectory, "repo");
+            _service = new PromptLibraryService(Path.Combine(_testDirectory, "home", "prompts.json"));
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_testDirectory))
+            {
+                Directory.Delete(_testDirectory, recursive: true);
+            }
+        }
+
+        [Fact]
+        public void GetPrompts_ShouldBeEmptyWhenNothingSaved()
+        {
+            // Act & Assert
+            Assert.Empty(_service.GetPersonalPrompts());
+            Assert.Empty(_service.GetProjectPrompts(_projectRoot));
+        }
+
+        [Fact]
+        public void SaveProjectPrompts_ShouldWriteCheckedInFileAndRoundTrip()
+        {
+            // Arrange
+            var prompts = new List<PromptTemplate>
+            {
+                new("", "  Fix tests ", "Run the tests on {{branch}}, fix failures, then update AGENTS.md", "  "),
+                new("review", "Review file", "Review {{file}}:\n{{selection}}", "Focused review")
+            };
+
+            // Act
+            _service.SaveProjectPrompts(_projectRoot, prompts);
+            var saved = _service.GetProjectPrompts(_projectRoot);
+
+            // Assert
+            var path = Path.Combine(_projectRoot, ".vibe_rails", "prompts.json");
+            Assert.Equal(path, PromptLibraryService.GetProjectFilePath(_projectRoot));
+            Assert.True(File.Exists(path));
+            Assert.Contains("\n  \"prompts\": [", File.ReadAllText(path).Replace("\r\n", "\n"));
+            Assert.Equal(2, saved.Count);
+            Assert.Equal(12, saved[0].Id.Length);
+            Assert.Equal("Fix tests", saved[0].Name);
+            Assert.Null(saved[0].Description);
+            Assert.Equal(new PromptTemplate("review", "Review file", "Review {{file}}:\n{{selection}}", "Focused review"), saved[1]);
+            Assert.Empty(_service.GetPersonalPrompts());
+        }
+
+        [Fact]
+        public void SavePersonalPrompts_ShouldReassignDuplicateIds()
+        {
+            // Arrange
+            var prompts = new List<PromptTemplate>
+            {
+                new("same", "First", "one"),
+                new("same", "Second", "two")
+            };
+
+            // Act
+            var saved = _service.SavePersonalPrompts(prompts);
+
+            // Assert
+            Assert.Equal("same", saved[0].Id);
+            Assert.NotEqual("same", saved[1].Id);
+        }
+
+        [Theory]
+        [InlineData("", "body")]
+        [InlineData("No body", "  \n ")]
+        public void SavePersonalPrompts_ShouldRejectInvalidPromptsWithoutWriting(string name, string body)
+        {
+            // Arrange
+            _service.SavePersonalPrompts([new PromptTemplate("keep", "Existing", "text")]);
+
+            // Act & Assert
+            Assert.Throws<InvalidOperationException>(() =>
+                _service.SavePersonalPrompts([new PromptTemplate("x", name, body)]));
+            Assert.Equal("keep", Assert.Single(_service.GetPersonalPrompts()).Id);
+        }
+
+        [Fact]
+        public void GetProjectPrompts_ShouldIgnoreUnreadableFile()
+        {
+            // Arrange
+            var path = PromptLibraryService.GetProjectFilePath(_projectRoot);
+            Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+            File.WriteAllText(path, "<<<<<<< HEAD\n{ not json");
+
+            // Act
+            var prompts = _service.GetProjectPrompts(_projectRoot);
+
+            // Assert
+            Assert.Empty(prompts);
+        }
+    }
+}
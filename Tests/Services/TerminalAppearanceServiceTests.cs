@@ -0,0 +1,108 @@
+using VibeRails.DTOs;
+using VibeRails.Services.Terminal;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class TerminalAppearanceServiceTests : IDisposable
+    {
+        private readonly string _testDirectory;
+        private readonly TerminalAppearanceService _service;
+
+        public TerminalAppearanceServiceTests()
+        {
+            _testDirectory = Path.Combine(Path.GetTempPath(), $"TerminalAppearanceServiceTests_{Guid.NewGuid()}");
+            _service = new TerminalAppearanceService(Path.Combine(_testDirectory, "terminal-appearance.json"));
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_testDirectory))
+            {
+                Directory.Delete(_testDirectory, recursive: true);
+            }
+        }
+
+        [Fact]
+        public void Get_ShouldReturnDefaultWhenNothingSaved()
+        {
+            // Act
+            var appearance = _service.Get();
+
+            // Assert
+            Assert.Same(TerminalAppearanceService.Default, appearance);
+        }
+
+        [Fact]
+        public void Save_ShouldNormalizeAndRoundTrip()
+        {
+            // Arrange
+            var appearance = new TerminalAppearance(
+                " Solarized-Dark ",
+                new Dictionary<string, string> { ["background"] = " #002B36 ", ["brightWhite"] = "#fff" },
+                "  ",
+                16,
+                1.256,
+                false,
+                "Bar",
+                false);
+
+            // Act
+            _service.Save(appearance);
+            var saved = _service.Get();
+
+            // Assert
+            Assert.Equal("solarized-dark", saved.Preset);
+            Assert.Equal("#002b36", saved.Colors!["background"]);
+            Assert.Equal("#fff", saved.Colors["brightWhite"]);
+            Assert.Equal(TerminalAppearanceService.Default.FontFamily, saved.FontFamily);
+            Assert.Equal(16, saved.FontSize);
+            Assert.Equal(1.26, saved.LineHeight);
+            Assert.False(saved.Ligatures);
+            Assert.Equal("bar", saved.CursorStyle);
+            Assert.False(saved.CursorBlink);
+        }
+
+        [Theory]
+        [InlineData("no spaces allowed", "background", "#000000", 14, 1.2, "block")]
+        [InlineData("dark", "notAColour", "#000000", 14, 1.2, "block")]
+        [InlineData("dark", "background", "red", 14, 1.2, "block")]
+        [InlineData("dark", "background", "#000000", 4, 1.2, "block")]
+        [InlineData("dark", "background", "#000000", 14, 3.0, "block")]
+        [InlineData("dark", "background", "#000000", 14, 1.2, "beam")]
+        public void Save_ShouldRejectInvalidSettingsWithoutWriting(string preset, string colorKey, string color, int fontSize, double lineHeight, string cursorStyle)
+        {
+            // Arrange
+            var colors = new Dictionary<string, string> { [colorKey] = color };
+            var appearance = new TerminalAppearance(preset, colors, "monospace", fontSize, lineHeight, true, cursorStyle, true);
+
+            // Act & Assert
+            Assert.Throws<InvalidOperationException>(() => _service.Save(appearance));
+            Assert.Same(TerminalAppearanceService.Default, _service.Get());
+        }
+
+        [Fact]
+        public void Save_ShouldRejectFontFamilyThatCouldEscapeCss()
+        {
+            // Arrange
+            var appearance = TerminalAppearanceService.Default with { FontFamily = "monospace; } body { display: none" };
+
+            // Act & Assert
+            Assert.Throws<InvalidOperationException>(() => _service.Save(appearance));
+        }
+
+        [Fact]
+        public void Get_ShouldIgnoreUnreadableFile()
+        {
+            // Arrange
+            Directory.CreateDirectory(_testDirectory);
+            File.WriteAllText(Path.Combine(_testDirectory, "terminal-appearance.json"), "{ not json");
+
+            // Act
+            var appearance = _service.Get();
+
+            // Assert
+            Assert.Same(TerminalAppearanceService.Default, appearance);
+        }
+    }
+}
@@ -0,0 +1,83 @@
+using System.Net.WebSockets;
+using System.Text;
+using Moq;
+using Pty.Net;
+using VibeRails.Services;
+using VibeRails.Services.Terminal;
+using VibeRails.Services.Terminal.Consumers;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class TerminalLockTests
+    {
+        [Fact]
+        public async Task WebSocketConsumer_ShouldDisconnectOpenViewerOnLock()
+        {
+            // Arrange
+            await using var terminal = new Terminal(new Mock<IPtyConnection>().Object, 64, 80, 24);
+            var socket = new FakeWebSocket();
+            using var consumer = new WebSocketConsumer(socket, CancellationToken.None);
+            using var subscription = terminal.Subscribe(consumer);
+            terminal.PublishSynthetic("before"u8.ToArray());
+            Assert.True(SpinWait.SpinUntil(() => socket.Sent.Count == 1, TimeSpan.FromSeconds(5)));
+            var pendingInput = socket.ReceiveAsync(new byte[16], CancellationToken.None);
+
+            // Act
+            RemoteConfig.NotifyLocked();
+            terminal.PublishSynthetic("after"u8.ToArray());
+
+            // Assert - output stops and the viewer's input loop is released
+            Assert.Equal(WebSocketState.Aborted, socket.State);
+            await Assert.ThrowsAsync<WebSocketException>(() => pendingInput.WaitAsync(TimeSpan.FromSeconds(5)));
+            await Task.Delay(100);
+            Assert.Equal(new[] { "before" }, socket.Sent);
+        }
+
+        private sealed class FakeWebSocket : WebSocket
+        {
+            private readonly TaskCompletionSource<WebSocketReceiveResult> _receive =
+                new(TaskCreationOptions.RunContinuationsAsynchronously);
+            private WebSocketState _state = WebSocketState.Open;
+
+            public List<string> Sent { get; } = [];
+
+            public override WebSocketCloseStatus? CloseStatus => null;
+            public override string? CloseStatusDescription => null;
+            public override WebSocketState State => _state;
+            public override string? SubProtocol => null;
+
+            public override void Abort()
+            {
+                _state = WebSocketState.Aborted;
+                _receive.TrySetException(new WebSocketException(WebSocketError.InvalidState));
+            }
+
+            public override Task CloseAsync(WebSocketCloseStatus closeStatus, string? statusDescription, CancellationToken cancellationToken)
+            {
+                _state = WebSocketState.Closed;
+                return Task.CompletedTask;
+            }
+
+            public override Task CloseOutputAsync(WebSocketCloseStatus closeStatus, string? statusDescription, CancellationToken cancellationToken)
+            {
+                _state = WebSocketState.CloseSent;
+                return Task.CompletedTask;
+            }
+
+            public override void Dispose() { }
+
+            public override Task<WebSocketReceiveResult> ReceiveAsync(ArraySegment<byte> buffer, CancellationToken cancellationToken)
+                => _receive.Task;
+
+            public override Task SendAsync(ArraySegment<byte> buffer, WebSocketMessageType messageType, bool endOfMessage, CancellationToken cancellationToken)
+            {
+                lock (Sent)
+                {
+                    Sent.Add(Encoding.ASCII.GetString(buffer.AsSpan()));
+                }
+                return Task.CompletedTask;
+            }
+        }
+    }
+}
@@ -0,0 +1,103 @@
+using System.Buffers.Binary;
+using System.Text;
+using Moq;
+using Pty.Net;
+using VibeRails.Services.Terminal;
+using VibeRails.Services.Terminal.Consumers;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class TerminalResumeTests
+    {
+        [Fact]
+        public void GetDataFrom_ShouldClampToOldestByteAfterWraparound()
+        {
+            // Arrange
+            var buffer = new CircularBuffer(8);
+            buffer.Append(Encoding.ASCII.GetBytes("0123456789ab"));
+
+            // Act
+            var fromOverwritten = buffer.GetDataFrom(0, out var clampedStart);
+            var fromBuffered = buffer.GetDataFrom(6, out var bufferedStart);
+
+            // Assert
+            Assert.Equal(12, buffer.EndOffset);
+            Assert.Equal(4, clampedStart);
+            Assert.Equal("456789ab", Encoding.ASCII.GetString(fromOverwritten));
+            Assert.Equal(6, bufferedStart);
+            Assert.Equal("6789ab", Encoding.ASCII.GetString(fromBuffered));
+        }
+
+        [Fact]
+        public void GetDataFrom_ShouldReturnNothingForOffsetPastTheEnd()
+        {
+            // Arrange
+            var buffer = new CircularBuffer(8);
+            buffer.Append(Encoding.ASCII.GetBytes("0123"));
+
+            // Act
+            var data = buffer.GetDataFrom(100, out var startOffset);
+
+            // Assert
+            Assert.Empty(data);
+            Assert.Equal(4, startOffset);
+        }
+
+        [Fact]
+        public void BuildSequencedFrame_ShouldPrefixBigEndianOffset()
+        {
+            // Arrange
+            var offset = (1L << 32) + 5;
+
+            // Act
+            var frame = WebSocketConsumer.BuildSequencedFrame(offset, "hi"u8);
+
+            // Assert
+            Assert.Equal(TerminalControlProtocol.OutputOffsetHeaderBytes + 2, frame.Length);
+            Assert.Equal(offset, BinaryPrimitives.ReadInt64BigEndian(frame));
+            Assert.Equal("hi", Encoding.ASCII.GetString(frame, TerminalControlProtocol.OutputOffsetHeaderBytes, 2));
+        }
+
+        [Fact]
+        public async Task SubscribeFrom_ShouldReplayThenStreamWithoutGapOrOverlap()
+        {
+            // Arrange
+            await using var terminal = new Terminal(new Mock<IPtyConnection>().Object, 64, 80, 24);
+            terminal.PublishSynthetic("hello "u8.ToArray());
+            var consumer = new RecordingConsumer();
+            long replayStart = -1;
+            var replayed = "";
+            Task? publishDuringReplay = null;
+            var publisherWaited = false;
+
+            // Act - output published while the replay is taken must arrive after it, exactly once
+            using (terminal.SubscribeFrom(consumer, 2, (start, data) =>
+            {
+                replayStart = start;
+                replayed = Encoding.ASCII.GetString(data);
+                publishDuringReplay = Task.Run(() => terminal.PublishSynthetic("world"u8.ToArray()));
+                publisherWaited = !publishDuringReplay.Wait(TimeSpan.FromMilliseconds(100));
+            }))
+            {
+                await publishDuringReplay!.WaitAsync(TimeSpan.FromSeconds(5));
+            }
+            terminal.PublishSynthetic("!"u8.ToArray());
+
+            // Assert
+            Assert.True(publisherWaited);
+            Assert.Equal(2, replayStart);
+            Assert.Equal("llo ", replayed);
+            Assert.Equal("world", consumer.Text);
+        }
+
+        private sealed class RecordingConsumer : ITerminalConsumer
+        {
+            private readonly StringBuilder _text = new();
+
+            public string Text => _text.ToString();
+
+            public void OnOutput(ReadOnlyMemory<byte> data) => _text.Append(Encoding.ASCII.GetString(data.Span));
+        }
+    }
+}
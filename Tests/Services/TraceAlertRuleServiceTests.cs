@@ -0,0 +1,108 @@
+using VibeRails.DTOs;
+using VibeRails.Services.Tracing;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class TraceAlertRuleServiceTests : IDisposable
+    {
+        private readonly string _testDirectory;
+        private readonly TraceAlertRuleService _service;
+
+        public TraceAlertRuleServiceTests()
+        {
+            _testDirectory = Path.Combine(Path.GetTempPath(), $"TraceAlertRuleServiceTests_{Guid.NewGuid()}");
+            _service = new TraceAlertRuleService(Path.Combine(_testDirectory, "trace-alerts.json"));
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_testDirectory))
+            {
+                Directory.Delete(_testDirectory, recursive: true);
+            }
+        }
+
+        [Fact]
+        public void GetRules_ShouldBeEmptyWhenNothingSaved()
+        {
+            // Act
+            var rules = _service.GetRules();
+
+            // Assert
+            Assert.Empty(rules);
+        }
+
+        [Fact]
+        public void SaveRules_ShouldNormalizeAndRoundTrip()
+        {
+            // Arrange
+            var rules = new List<TraceAlertRule>
+            {
+                new("", "  Server errors ", "match", " type:HttpRequest status>=500 ", 30),
+                new("quiet", "Stuck agent", "Silence", "type:TerminalOutput", 5, Enabled: false)
+            };
+
+            // Act
+            _service.SaveRules(rules);
+            var saved = _service.GetRules();
+
+            // Assert
+            Assert.Equal(2, saved.Count);
+            Assert.Equal(12, saved[0].Id.Length);
+            Assert.Equal("Server errors", saved[0].Name);
+            Assert.Equal("type:HttpRequest status>=500", saved[0].Query);
+            Assert.Null(saved[0].Minutes);
+            Assert.Equal(new TraceAlertRule("quiet", "Stuck agent", "silence", "type:TerminalOutput", 5, false), saved[1]);
+        }
+
+        [Fact]
+        public void SaveRules_ShouldReassignDuplicateIds()
+        {
+            // Arrange
+            var rules = new List<TraceAlertRule>
+            {
+                new("same", "First", "match", "type:RuleValidation failed", null),
+                new("same", "Second", "match", "type:McpToolResult error", null)
+            };
+
+            // Act
+            var saved = _service.SaveRules(rules);
+
+            // Assert
+            Assert.Equal("same", saved[0].Id);
+            Assert.NotEqual("same", saved[1].Id);
+        }
+
+        [Theory]
+        [InlineData("", "match", "type:Idle", null)]
+        [InlineData("Bad kind", "threshold", "type:Idle", null)]
+        [InlineData("No query", "match", " ", null)]
+        [InlineData("No period", "silence", "type:TerminalOutput", null)]
+        [InlineData("Too long", "silence", "type:TerminalOutput", 100000)]
+        public void SaveRules_ShouldRejectInvalidRulesWithoutWriting(string name, string kind, string query, int? minutes)
+        {
+            // Arrange
+            _service.SaveRules([new TraceAlertRule("keep", "Existing", "match", "type:Idle", null)]);
+
+            // Act & Assert
+            Assert.Throws<InvalidOperationException>(() =>
+                _service.SaveRules([new TraceAlertRule("x", name, kind, query, minutes)]));
+            Assert.Equal("keep", Assert.Single(_service.GetRules()).Id);
+        }
+
+        [Fact]
+        public void GetRules_ShouldIgnoreUnreadableFile()
+        {
+            // Arrange
+            Directory.CreateDirectory(_testDirectory);
+            File.WriteAllText(Path.Combine(_testDirectory, "trace-alerts.json"), "{ not json");
+
+            // Act
+            var rules = _service.GetRules();
+
+            // Assert
+            Assert.Empty(rules);
+        }
+    }
+}
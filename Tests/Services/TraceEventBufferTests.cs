@@ -0,0 +1,93 @@
+using VibeRails.Services.Tracing;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class TraceEventBufferTests
+    {
+        private static TraceEventBuffer CreateBuffer(int count, DateTimeOffset? start = null)
+        {
+            var buffer = new TraceEventBuffer();
+            var time = start ?? new DateTimeOffset(2026, 1, 1, 12, 0, 0, TimeSpan.Zero);
+            for (var i = 0; i < count; i++)
+            {
+                buffer.Add(new TraceEvent($"e{i}", time.AddSeconds(i), TraceEventType.LogEntry, "Test", $"event {i}"));
+            }
+            return buffer;
+        }
+
+        [Fact]
+        public void Add_ShouldNumberEventsConsecutively()
+        {
+            // Arrange
+            var buffer = CreateBuffer(3);
+
+            // Act
+            var events = buffer.GetRecent(10);
+
+            // Assert
+            Assert.Equal(new long[] { 1, 2, 3 }, events.Select(e => e.Seq));
+        }
+
+        [Fact]
+        public void GetPage_ShouldPageBackwardFromBeforeSeq()
+        {
+            // Arrange
+            var buffer = CreateBuffer(10);
+
+            // Act
+            var first = buffer.GetPage(null, null, null, 4);
+            var second = buffer.GetPage(first.Events[0].Seq, null, null, 4);
+
+            // Assert
+            Assert.Equal(new long[] { 7, 8, 9, 10 }, first.Events.Select(e => e.Seq));
+            Assert.Equal(new long[] { 3, 4, 5, 6 }, second.Events.Select(e => e.Seq));
+            Assert.True(second.HasMore);
+            Assert.Equal(1, second.OldestSeq);
+            Assert.Equal(10, second.LatestSeq);
+        }
+
+        [Fact]
+        public void GetPage_ShouldLimitToTimeRange()
+        {
+            // Arrange
+            var start = new DateTimeOffset(2026, 1, 1, 12, 0, 0, TimeSpan.Zero);
+            var buffer = CreateBuffer(10, start);
+
+            // Act
+            var page = buffer.GetPage(null, start.AddSeconds(2), start.AddSeconds(4), 100);
+
+            // Assert
+            Assert.Equal(new long[] { 3, 4, 5 }, page.Events.Select(e => e.Seq));
+            Assert.False(page.HasMore);
+        }
+
+        [Fact]
+        public void GetPage_ShouldReportRolledOverEvents()
+        {
+            // Arrange
+            var buffer = CreateBuffer(1005);
+
+            // Act
+            var page = buffer.GetPage(null, null, null, 1);
+
+            // Assert
+            Assert.Equal(6, page.OldestSeq);
+            Assert.Equal(1005, page.LatestSeq);
+            Assert.Equal(1005, page.Events.Single().Seq);
+        }
+
+        [Fact]
+        public void GetAfter_ShouldReturnOnlyNewerEvents()
+        {
+            // Arrange
+            var buffer = CreateBuffer(5);
+
+            // Act
+            var events = buffer.GetAfter(3);
+
+            // Assert
+            Assert.Equal(new long[] { 4, 5 }, events.Select(e => e.Seq));
+        }
+    }
+}
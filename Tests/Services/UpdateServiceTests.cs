@@ -0,0 +1,177 @@
+using System.Net;
+using VibeRails.Services;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class UpdateServiceTests : IDisposable
+    {
+        private readonly string _testDirectory;
+
+        public UpdateServiceTests()
+        {
+            _testDirectory = Path.Combine(Path.GetTempPath(), $"UpdateServiceTests_{Guid.NewGuid()}");
+            Directory.CreateDirectory(_testDirectory);
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_testDirectory))
+            {
+                Directory.Delete(_testDirectory, recursive: true);
+            }
+        }
+
+        [Fact]
+        public async Task CheckForUpdateAsync_ShouldReadReleaseNotesFromGitHub()
+        {
+            // Arrange
+            var service = CreateService(new StubHandler(HttpStatusCode.OK,
+                "{\"tag_name\":\"v99.0.0\",\"html_url\":\"https://example.com/r\",\"body\":\"## Fixes\",\"published_at\":\"2026-01-02T03:04:05Z\"}"));
+
+            // Act
+            var info = await service.CheckForUpdateAsync();
+
+            // Assert
+            Assert.NotNull(info);
+            Assert.True(info.UpdateAvailable);
+            Assert.Equal("99.0.0", info.LatestVersion);
+            Assert.Equal("## Fixes", info.ReleaseNotes);
+            Assert.Equal("https://example.com/r", info.ReleaseNotesUrl);
+            Assert.Equal(UpdateService.SourceGitHub, info.Source);
+            Assert.NotNull(info.PublishedAt);
+        }
+
+        [Fact]
+        public async Task CheckForUpdateAsync_ShouldFallBackToStubFeedWhenOffline()
+        {
+            // Arrange
+            var service = CreateService(new StubHandler(null, ""));
+            await File.WriteAllTextAsync(service.StubFeedPath, "{\"tag_name\":\"v99.1.0\",\"body\":\"Offline notes\"}");
+
+            // Act
+            var info = await service.CheckForUpdateAsync();
+
+            // Assert
+            Assert.NotNull(info);
+            Assert.True(info.UpdateAvailable);
+            Assert.Equal("99.1.0", info.LatestVersion);
+            Assert.Equal("Offline notes", info.ReleaseNotes);
+            Assert.Equal(UpdateService.SourceLocalFeed, info.Source);
+        }
+
+        [Fact]
+        public async Task CheckForUpdateAsync_ShouldReportUpToDateWhenOfflineWithoutFeed()
+        {
+            // Arrange
+            var service = CreateService(new StubHandler(HttpStatusCode.ServiceUnavailable, ""));
+
+            // Act
+            var info = await service.CheckForUpdateAsync();
+
+            // Assert
+            Assert.NotNull(info);
+            Assert.False(info.UpdateAvailable);
+            Assert.Equal(info.CurrentVersion, info.LatestVersion);
+            Assert.Equal(UpdateService.SourceOffline, info.Source);
+        }
+
+        [Fact]
+        public async Task DownloadReleaseAsync_ShouldFetchTheOfferedTagAndVerifyItsChecksum()
+        {
+            // Arrange
+            var assetName = UpdateService.GetReleaseAssetName();
+            Assert.SkipWhen(assetName == null, "No release build for this platform");
+            var archive = "archive bytes"u8.ToArray();
+            var hash = Convert.ToHexStringLower(System.Security.Cryptography.SHA256.HashData(archive));
+            var handler = new RouteHandler(new Dictionary<string, byte[]>
+            {
+                [$"/releases/download/v99.0.0/{assetName}"] = archive,
+                [$"/releases/download/v99.0.0/{assetName}.sha256"] = System.Text.Encoding.ASCII.GetBytes($"{hash}  {assetName}\n"),
+            });
+            var service = CreateService(handler);
+
+            // Act
+            var path = await service.DownloadReleaseAsync(new UpdateInfo { TagName = "v99.0.0" }, Path.Combine(_testDirectory, "staging"));
+
+            // Assert
+            Assert.Equal(archive, await File.ReadAllBytesAsync(path));
+        }
+
+        [Fact]
+        public async Task DownloadReleaseAsync_ShouldRejectAndDeleteAnArchiveWithTheWrongChecksum()
+        {
+            // Arrange
+            var assetName = UpdateService.GetReleaseAssetName();
+            Assert.SkipWhen(assetName == null, "No release build for this platform");
+            var handler = new RouteHandler(new Dictionary<string, byte[]>
+            {
+                [$"/releases/download/v99.0.0/{assetName}"] = "tampered"u8.ToArray(),
+                [$"/releases/download/v99.0.0/{assetName}.sha256"] = System.Text.Encoding.ASCII.GetBytes($"{new string('0', 64)}  {assetName}\n"),
+            });
+            var service = CreateService(handler);
+            var staging = Path.Combine(_testDirectory, "staging");
+
+            // Act & Assert
+            await Assert.ThrowsAsync<InvalidOperationException>(
+                () => service.DownloadReleaseAsync(new UpdateInfo { TagName = "v99.0.0" }, staging));
+            Assert.Empty(Directory.GetFiles(staging));
+        }
+
+        private UpdateService CreateService(HttpMessageHandler handler)
+        {
+            return new UpdateService(new HttpClient(handler))
+            {
+                StubFeedPath = Path.Combine(_testDirectory, "update-feed.json")
+            };
+        }
+
+        /// <summary>
+        /// Serves fixed bodies by URL path and 404s everything else.
+        /// </summary>
+        private class RouteHandler : HttpMessageHandler
+        {
+            private readonly Dictionary<string, byte[]> _routes;
+
+            public RouteHandler(Dictionary<string, byte[]> routes)
+            {
+                _routes = routes;
+            }
+
+            protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+            {
+                var path = request.RequestUri!.AbsolutePath;
+                var match = _routes.FirstOrDefault(route => path.EndsWith(route.Key, StringComparison.Ordinal));
+                return Task.FromResult(match.Value == null
+                    ? new HttpResponseMessage(HttpStatusCode.NotFound)
+                    : new HttpResponseMessage(HttpStatusCode.OK) { Content = new ByteArrayContent(match.Value) });
+            }
+        }
+
+        /// <summary>
+        /// Returns a fixed response, or throws like a network failure when status is null.
+        /// </summary>
+        private class StubHandler : HttpMessageHandler
+        {
+            private readonly HttpStatusCode? _status;
+            private readonly string _body;
+
+            public StubHandler(HttpStatusCode? status, string body)
+            {
+                _status = status;
+                _body = body;
+            }
+
+            protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+            {
+                if (_status == null)
+                    throw new HttpRequestException("No network");
+
+                return Task.FromResult(new HttpResponseMessage(_status.Value)
+                {
+                    Content = new StringContent(_body)
+                });
+            }
+        }
+    }
+}
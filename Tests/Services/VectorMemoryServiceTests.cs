@@ -0,0 +1,102 @@
+using VibeRails.Services;
+using Xunit;
+
+namespace Tests.Services
+{
+    public class VectorMemoryServiceTests : IDisposable
+    {
+        private readonly string _testDirectory;
+        private readonly VectorMemoryService _service;
+
+        public VectorMemoryServiceTests()
+        {
+            _testDirectory = Path.Combine(Path.GetTempPath(), $"VectorMemoryServiceTests_{Guid.NewGuid()}");
+            _service = new VectorMemoryService(_testDirectory);
+        }
+
+        public void Dispose()
+        {
+            if (Directory.Exists(_testDirectory))
+            {
+                Directory.Delete(_testDirectory, recursive: true);
+            }
+        }
+
+        [Fact]
+        public async Task GetUserTermsAsync_ShouldReadMcpServerFormatAndSkipBadLines()
+        {
+            // Arrange - lines as written by MCP_Server's VectorSearchTool
+            Directory.CreateDirectory(_testDirectory);
+            await File.WriteAllLinesAsync(Path.Combine(_testDirectory, "user_terms.jsonl"), new[]
+            {
+                "{\"Id\":\"a\",\"UserTerm\":\"the repo\",\"TargetPath\":\"Repository.cs\",\"Description\":null,\"CreatedAt\":\"2026-01-01T00:00:00Z\"}",
+                "not json",
+                ""
+            });
+
+            // Act
+            var terms = await _service.GetUserTermsAsync();
+
+            // Assert
+            var term = Assert.Single(terms);
+            Assert.Equal("a", term.Id);
+            Assert.Equal("the repo", term.UserTerm);
+            Assert.Equal("Repository.cs", term.TargetPath);
+        }
+
+        [Fact]
+        public async Task UpdateAndDelete_ShouldRewriteOnlyTheMatchingEntry()
+        {
+            // Arrange
+            var first = await _service.AddUserTermAsync("db helper", "DbService.cs", null);
+            var second = await _service.AddUserTermAsync("the router", "Routes.cs", "Maps endpoints");
+
+            // Act
+            var updated = await _service.UpdateUserTermAsync(first.Id, "database helper", "Services/DbService.cs", " ");
+            var deleted = await _service.DeleteUserTermAsync(second.Id);
+            var missing = await _service.DeleteUserTermAsync("missing");
+
+            // Assert
+            Assert.NotNull(updated);
+            Assert.Null(updated.Description);
+            Assert.True(deleted);
+            Assert.False(missing);
+
+            var term = Assert.Single(await _service.GetUserTermsAsync());
+            Assert.Equal("database helper", term.UserTerm);
+            Assert.Equal(first.CreatedAt, term.CreatedAt);
+        }
+
+        [Fact]
+        public async Task DeleteUserTermAsync_ShouldKeepLinesItCannotParse()
+        {
+            // Arrange
+            var term = await _service.AddUserTermAsync("db helper", "DbService.cs", null);
+            var path = Path.Combine(_testDirectory, "user_terms.jsonl");
+            await File.AppendAllTextAsync(path, "{\"Id\":\"future\",\"UserTerm\":[1,2]}" + Environment.NewLine);
+
+            // Act
+            var deleted = await _service.DeleteUserTermAsync(term.Id);
+
+            // Assert
+            Assert.True(deleted);
+            Assert.Equal("{\"Id\":\"future\",\"UserTerm\":[1,2]}", Assert.Single(await File.ReadAllLinesAsync(path)));
+        }
+
+        [Fact]
+        public async Task SearchAsync_ShouldRankClosestEntryFirst()
+        {
+            // Arrange
+            var router = await _service.AddUserTermAsync("the router", "Routes.cs", null);
+            await _service.AddUserTermAsync("terminal popout", "terminal-popout.html", null);
+
+            // Act
+            var hits = await _service.SearchAsync(VectorMemoryService.KindTerms, "router", 5);
+
+            // Assert
+            Assert.Equal(2, hits.Count);
+            Assert.Equal(router.Id, hits[0].Id);
+            Assert.True(hits[0].Score > hits[1].Score);
+        }
+    }
+}
@@ -0,0 +1,41 @@
+const { test, expect } = require('@playwright/test');
+
+const events = [
+  { summary: 'error: disk full', detail: '', type: 'Log' },
+  { summary: 'ok', detail: 'note:todo', type: 'Log' },
+  { summary: 'GET /api → 500', detail: '', type: 'Http' },
+];
+
+test('unknown field prefixes are searched as plain text', async ({ page }) => {
+  await page.goto('/trace.html');
+
+  const result = await page.evaluate((evts) => {
+    const run = (query) => evts.filter(TraceQuery.compile(query)).map(e => e.summary);
+    return {
+      error: run('error:'),
+      note: run('note:todo'),
+      negated: run('-error:'),
+      known: run('type:http'),
+      unknown: TraceQuery.unknownField('error:disk'),
+      knownField: TraceQuery.unknownField('type:http'),
+    };
+  }, events);
+
+  expect(result.error).toEqual(['error: disk full']);
+  expect(result.note).toEqual(['ok']);
+  expect(result.negated).toEqual(['ok', 'GET /api → 500']);
+  expect(result.known).toEqual(['GET /api → 500']);
+  expect(result.unknown).toBe('error');
+  expect(result.knownField).toBeNull();
+});
+
+test('unknown field prefixes show a hint in autocomplete', async ({ page }) => {
+  await page.goto('/trace.html');
+
+  const input = page.locator('#global-search');
+  await input.fill('error:disk');
+
+  await expect(page.locator('.query-notice')).toContainText('No field "error"');
+  await expect(page.locator('.query-error')).toHaveCount(0);
+  await expect(input).not.toHaveClass(/invalid/);
+});
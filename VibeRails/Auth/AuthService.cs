@@ -11,9 +11,18 @@ public class AuthService : IAuthService
     private readonly object _bootstrapLock = new();
 
     public AuthService()
-    {
         // Generate one random token per app instance (64 bytes = 512 bits)
-        _instanceToken = Convert.ToBase64String(RandomNumberGenerator.GetBytes(64));
+        : this(Convert.ToBase64String(RandomNumberGenerator.GetBytes(64)))
+    {
+    }
+
+    /// <summary>
+    /// Reuses a token handed over by the instance this one replaced after an in-app update,
+    /// so existing session cookies stay valid.
+    /// </summary>
+    public AuthService(string instanceToken)
+    {
+        _instanceToken = instanceToken;
     }
 
     public string GetInstanceToken() => _instanceToken;
@@ -1,3 +1,5 @@
+using System.Text.Json;
+
 namespace VibeRails.DTOs;
 
 /// <summary>
@@ -6,9 +8,9 @@ namespace VibeRails.DTOs;
 public record McpSettings(string ServerPath = "");
 
 /// <summary>
-/// Information about an MCP tool.
+/// Information about an MCP tool, including the JSON schema describing its arguments.
 /// </summary>
-public record McpToolInfo(string Name, string Description);
+public record McpToolInfo(string Name, string Description, JsonElement? InputSchema = null);
 
 /// <summary>
 /// Request to call an MCP tool.
@@ -16,9 +18,9 @@ public record McpToolInfo(string Name, string Description);
 public record McpToolCallRequest(Dictionary<string, object?> Arguments);
 
 /// <summary>
-/// Response from calling an MCP tool.
+/// Response from calling an MCP tool. DurationMs is measured server-side around the call.
 /// </summary>
-public record McpToolCallResponse(bool Success, string Result, string? Error = null);
+public record McpToolCallResponse(bool Success, string Result, string? Error = null, long? DurationMs = null);
 
 /// <summary>
 /// MCP server status information.
@@ -49,6 +49,42 @@ namespace VibeRails.DTOs
         List<SessionLogResponse> Logs
     );
 
+    public record SessionSearchQuery(
+        string? Cli = null,
+        string? EnvironmentName = null,
+        string? WorkingDirectory = null,
+        int? ExitCode = null,
+        string? Status = null,
+        DateTime? FromUTC = null,
+        DateTime? ToUTC = null,
+        string? Search = null,
+        int Page = 1,
+        int PageSize = 25
+    );
+
+    public record SessionSearchResponse(
+        List<SessionResponse> Sessions,
+        int TotalCount,
+        int Page,
+        int PageSize
+    );
+
+    public record SessionFilterOptionsResponse(
+        List<string> Clis,
+        List<string> EnvironmentNames
+    );
+
+    public record SessionLogEntry(
+        DateTime Timestamp,
+        string Content,
+        bool IsError = false
+    );
+
+    public record ImportSessionRequest(
+        string Content,
+        string? FileName = null
+    );
+
     // User Input tracking DTOs
     public record UserInputRecord(
         long Id,
@@ -221,7 +257,22 @@ namespace VibeRails.DTOs
     public record HookStatusResponse(
         bool InGitRepo,
         bool IsInstalled,
-        string? Message
+        string? Message,
+        List<HookStateResponse>? Hooks = null,
+        string? HookCommandPath = null,
+        string? CurrentBinaryPath = null,
+        bool PointsAtCurrentBinary = false,
+        string? HooksPathOverride = null
+    );
+
+    public record HookStateResponse(
+        string Name,
+        string Path,
+        bool Installed,
+        bool UpToDate,
+        bool HasForeignContent,
+        string? ForeignInterpreter,
+        string? Warning
     );
 
     public record HookActionResponse(
@@ -274,6 +325,9 @@ namespace VibeRails.DTOs
         string Command
     );
 
+    public record AuthTokenRequest(string? Code);
+    public record AuthTokenResponse(string Token);
+
     // Version/Update DTOs
     public record VersionResponse(
         string Version
@@ -294,9 +348,43 @@ namespace VibeRails.DTOs
         string ApiKey
     );
 
+    // Terminal appearance, applied by every web terminal surface
+    public record TerminalAppearance(
+        string Preset,                      // built-in palette the colours start from
+        Dictionary<string, string>? Colors, // xterm theme keys overridden in the colour editor
+        string FontFamily,
+        int FontSize,
+        double LineHeight,
+        bool Ligatures,
+        string CursorStyle,                 // "block", "underline" or "bar"
+        bool CursorBlink
+    );
+
+    // Prompt library DTOs
+    public record PromptTemplate(
+        string Id,
+        string Name,
+        string Body,                // may contain {{variables}}, filled in when the prompt is sent
+        string? Description = null
+    );
+
+    public record PromptLibraryFile(List<PromptTemplate> Prompts);
+    public record SavePromptsRequest(List<PromptTemplate> Prompts);
+    public record PromptLibraryResponse(
+        List<PromptTemplate> Personal,
+        List<PromptTemplate> Project,
+        string? ProjectFile,        // null outside a git repository
+        string? Branch,
+        List<string> ChangedFiles   // suggestions for {{file}}
+    );
+
     // Remote PIN DTOs
-    public record SetPinRequest(string Pin);
-    public record PinStatusResponse(bool IsSet);
+    public record SetPinRequest(string Pin, string? CurrentPin = null);
+    public record ClearPinRequest(string? CurrentPin);
+    public record VerifyPinRequest(string Pin);
+    public record PinVerifyResponse(bool Valid, int RetryAfterSeconds = 0);
+    public record PinIdleLockRequest(int Minutes, string? CurrentPin = null);
+    public record PinStatusResponse(bool IsSet, int IdleLockMinutes, bool Locked);
 
     // Signed Message DTOs (matches VibeRails-Front TerminalSignedMessage shape)
     public record SignedMessage(string Message, string Signature);
@@ -306,17 +394,62 @@ namespace VibeRails.DTOs
     public record ProxyRelayMessage(string Type, string Message, string? Signature = null, bool? Verified = null);
 
     // Process monitor DTOs
-    public record ProcessInfoItem(
+    public record ProcessTreeNode(
         int Pid,
-        string Title,
-        DateTime StartTime
+        int ParentPid,
+        string Name,
+        string? CommandLine,
+        DateTime StartTime,
+        double CpuPercent,          // percent of one core over the last sample interval
+        long MemoryBytes,
+        List<double> CpuHistory,    // oldest first, one entry per sample
+        List<long> MemoryHistory,
+        bool IsBackend,
+        bool CanTerminate,          // descendants of this instance only
+        List<ProcessTreeNode> Children
+    );
+
+    public record ProcessTreeResponse(
+        List<ProcessTreeNode> Roots,
+        int SampleIntervalMs,
+        DateTime Timestamp
     );
 
-    public record ProcessListResponse(
-        List<ProcessInfoItem> Processes,
-        DateTime Timestamp
+    public record TerminateProcessRequest(bool IncludeChildren = true);
+
+    // Trace history DTOs
+    public record TraceEventPageResponse(
+        List<TraceEvent> Events,
+        long OldestSeq,     // oldest event still in the buffer (0 when empty)
+        long LatestSeq,     // newest event ever recorded; OldestSeq - 1 events have rolled out
+        bool HasMore        // older events in the requested range are still buffered
+    );
+
+    // Detail of HttpRequest trace events, with credentials redacted and bodies cut to a preview
+    public record HttpTraceDetail(
+        string? Query,
+        Dictionary<string, string> RequestHeaders,
+        string? RequestBody,
+        bool RequestBodyTruncated,
+        bool RequestRedacted,       // the query or body had values replaced, so it can't be replayed as recorded
+        Dictionary<string, string> ResponseHeaders,
+        string? ResponseBody,
+        bool ResponseBodyTruncated
     );
 
+    // Trace alert DTOs
+    public record TraceAlertRule(
+        string Id,
+        string Name,
+        string Kind,        // "match": an event matches Query; "silence": nothing matches Query for Minutes
+        string Query,       // trace query language, as typed in the viewer's search box
+        int? Minutes,       // silence rules only
+        bool Enabled = true
+    );
+
+    public record TraceAlertRulesRequest(List<TraceAlertRule> Rules);
+    public record TraceAlertRulesResponse(List<TraceAlertRule> Rules);
+
     // Claude Plan DTOs
     public record ClaudePlanRecord(
         long Id,
@@ -347,6 +480,83 @@ namespace VibeRails.DTOs
         int TotalCount
     );
 
+    public record PlanStepState(
+        int StepIndex,
+        string StepText,
+        bool Completed
+    );
+
+    public record PlanStepResponse(
+        int Index,
+        string Text,
+        int Depth,
+        bool Completed
+    );
+
+    public record PlanStepsResponse(
+        long PlanId,
+        List<PlanStepResponse> Steps,
+        int CompletedCount,
+        int TotalCount
+    );
+
+    public record PlanProgressResponse(
+        long PlanId,
+        int CompletedCount,
+        int TotalCount
+    );
+
+    public record UpdatePlanStepRequest(
+        bool Completed
+    );
+
+    // Vector memory (shared with MCP_Server's VectorSearchTool)
+    public record VectorUserTerm(
+        string Id,
+        string UserTerm,
+        string TargetPath,
+        string? Description,
+        DateTime CreatedAt
+    );
+
+    public record VectorConversationEntry(
+        string Id,
+        string Role,
+        string Content,
+        string? ProjectPath,
+        DateTime Timestamp
+    );
+
+    public record VectorMemoryResponse(
+        List<VectorUserTerm> UserTerms,
+        List<VectorConversationEntry> Conversations,
+        string StoragePath
+    );
+
+    public record VectorUserTermRequest(
+        string? UserTerm,
+        string? TargetPath,
+        string? Description
+    );
+
+    public record VectorConversationRequest(
+        string? Role,
+        string? Content,
+        string? ProjectPath
+    );
+
+    public record VectorSearchHit(
+        string Id,
+        float Score,
+        string Text
+    );
+
+    public record VectorSearchResponse(
+        string Kind,
+        string Query,
+        List<VectorSearchHit> Hits
+    );
+
     [JsonSerializable(typeof(HealthResponse))]
     [JsonSerializable(typeof(FileResponse))]
     [JsonSerializable(typeof(ErrorResponse))]
@@ -362,6 +572,9 @@ namespace VibeRails.DTOs
     [JsonSerializable(typeof(SessionWithLogsResponse))]
     [JsonSerializable(typeof(List<SessionResponse>))]
     [JsonSerializable(typeof(List<SessionLogResponse>))]
+    [JsonSerializable(typeof(SessionSearchResponse))]
+    [JsonSerializable(typeof(SessionFilterOptionsResponse))]
+    [JsonSerializable(typeof(ImportSessionRequest))]
     // User Input tracking DTOs
     [JsonSerializable(typeof(UserInputRecord))]
     [JsonSerializable(typeof(FileChangeInfo))]
@@ -397,6 +610,7 @@ namespace VibeRails.DTOs
     [JsonSerializable(typeof(UpdateAgentNameResponse))]
     // Hook Management DTOs
     [JsonSerializable(typeof(HookStatusResponse))]
+    [JsonSerializable(typeof(HookStateResponse))]
     [JsonSerializable(typeof(HookActionResponse))]
     [JsonSerializable(typeof(ValidationResultResponse))]
     [JsonSerializable(typeof(List<ValidationResultResponse>))]
@@ -429,12 +643,26 @@ namespace VibeRails.DTOs
     [JsonSerializable(typeof(TerminalTabListResponse))]
     [JsonSerializable(typeof(StartTerminalRequest))]
     [JsonSerializable(typeof(BootstrapCommandResponse))]
+    [JsonSerializable(typeof(AuthTokenRequest))]
+    [JsonSerializable(typeof(AuthTokenResponse))]
     // Claude Plan DTOs
     [JsonSerializable(typeof(ClaudePlanRecord))]
     [JsonSerializable(typeof(List<ClaudePlanRecord>))]
     [JsonSerializable(typeof(CreateClaudePlanRequest))]
     [JsonSerializable(typeof(UpdateClaudePlanStatusRequest))]
     [JsonSerializable(typeof(ClaudePlanListResponse))]
+    [JsonSerializable(typeof(PlanStepResponse))]
+    [JsonSerializable(typeof(PlanStepsResponse))]
+    [JsonSerializable(typeof(PlanProgressResponse))]
+    [JsonSerializable(typeof(List<PlanProgressResponse>))]
+    [JsonSerializable(typeof(UpdatePlanStepRequest))]
+    // Vector memory DTOs
+    [JsonSerializable(typeof(VectorUserTerm))]
+    [JsonSerializable(typeof(VectorConversationEntry))]
+    [JsonSerializable(typeof(VectorMemoryResponse))]
+    [JsonSerializable(typeof(VectorUserTermRequest))]
+    [JsonSerializable(typeof(VectorConversationRequest))]
+    [JsonSerializable(typeof(VectorSearchResponse))]
     // Version/Update DTOs
     [JsonSerializable(typeof(VersionResponse))]
     [JsonSerializable(typeof(ApiVersionResponse))]
@@ -442,20 +670,36 @@ namespace VibeRails.DTOs
     [JsonSerializable(typeof(UpdateInfo))]
     // App Settings DTOs
     [JsonSerializable(typeof(AppSettingsDto))]
+    [JsonSerializable(typeof(TerminalAppearance))]
+    [JsonSerializable(typeof(PromptTemplate))]
+    [JsonSerializable(typeof(List<PromptTemplate>))]
+    [JsonSerializable(typeof(SavePromptsRequest))]
+    [JsonSerializable(typeof(PromptLibraryResponse))]
     // Remote PIN DTOs
     [JsonSerializable(typeof(SetPinRequest))]
     [JsonSerializable(typeof(PinStatusResponse))]
+    [JsonSerializable(typeof(ClearPinRequest))]
+    [JsonSerializable(typeof(VerifyPinRequest))]
+    [JsonSerializable(typeof(PinVerifyResponse))]
+    [JsonSerializable(typeof(PinIdleLockRequest))]
     // Signed Message DTOs
     [JsonSerializable(typeof(SignedMessage))]
     [JsonSerializable(typeof(SignatureVerificationResponse))]
     [JsonSerializable(typeof(ProxyRelayMessage))]
     // Process monitor DTOs
-    [JsonSerializable(typeof(ProcessInfoItem))]
-    [JsonSerializable(typeof(List<ProcessInfoItem>))]
-    [JsonSerializable(typeof(ProcessListResponse))]
+    [JsonSerializable(typeof(ProcessTreeNode))]
+    [JsonSerializable(typeof(List<ProcessTreeNode>))]
+    [JsonSerializable(typeof(ProcessTreeResponse))]
+    [JsonSerializable(typeof(TerminateProcessRequest))]
     // Trace DTOs
     [JsonSerializable(typeof(TraceEvent))]
     [JsonSerializable(typeof(List<TraceEvent>))]
+    [JsonSerializable(typeof(TraceEventPageResponse))]
+    [JsonSerializable(typeof(HttpTraceDetail))]
+    [JsonSerializable(typeof(TraceAlertRule))]
+    [JsonSerializable(typeof(List<TraceAlertRule>))]
+    [JsonSerializable(typeof(TraceAlertRulesRequest))]
+    [JsonSerializable(typeof(TraceAlertRulesResponse))]
     // App Configuration (for appsettings.json VibeRails section)
     [JsonSerializable(typeof(Services.VibeRailsConfiguration))]
     [JsonSourceGenerationOptions(PropertyNamingPolicy = JsonKnownNamingPolicy.CamelCase)]
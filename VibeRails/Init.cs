@@ -1,3 +1,4 @@
+using Serilog;
 using VibeRails.Interfaces;
 using VibeRails.Utils;
 
@@ -14,6 +15,9 @@ namespace VibeRails
 
     public static class Init
     {
+        // Terminal output logs of sessions older than this are deleted at startup
+        private const int SessionLogRetentionDays = 30;
+
         public static async Task<StartUpStatus> StartUpChecks(IServiceProvider serviceProvider)
         {
             var configuration = serviceProvider.GetRequiredService<IConfiguration>();
@@ -29,6 +33,7 @@ namespace VibeRails
             // Initialize SQLite database
             var dbService = scope.ServiceProvider.GetRequiredService<IDbService>();
             dbService.InitializeDatabase();
+            await PruneSessionLogsAsync(dbService);
 
 
             var isLocal = fileService.TryGetProjectRootPath();
@@ -47,6 +52,20 @@ namespace VibeRails
             return StartUpStatus.Success;
         }
 
+        private static async Task PruneSessionLogsAsync(IDbService dbService)
+        {
+            try
+            {
+                var removed = await dbService.PruneSessionLogsAsync(DateTime.UtcNow.AddDays(-SessionLogRetentionDays));
+                if (removed > 0)
+                    Log.Information("[Startup] Removed {Rows} terminal log rows older than {Days} days", removed, SessionLogRetentionDays);
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "[Startup] Failed to prune terminal logs");
+            }
+        }
+
         public static void InitAppSettings(IConfiguration configuration)
         {
             // Load FrontendUrl from appsettings.json
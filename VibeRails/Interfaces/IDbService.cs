@@ -11,10 +11,14 @@ namespace VibeRails.Interfaces
         Task CreateSessionAsync(string sessionId, string cli, string? envName, string workDir);
         Task LogSessionOutputAsync(string sessionId, string content, bool isError = false);
         Task CompleteSessionAsync(string sessionId, int exitCode);
+        Task ImportSessionAsync(SessionResponse session, List<SessionLogEntry> logs);
+        Task<int> PruneSessionLogsAsync(DateTime olderThanUTC);
 
         // Session retrieval
         Task<SessionWithLogsResponse?> GetSessionWithLogsAsync(string sessionId, CancellationToken cancellationToken);
         Task<List<SessionResponse>> GetRecentSessionsAsync(int limit, CancellationToken cancellationToken);
+        Task<SessionSearchResponse> SearchSessionsAsync(SessionSearchQuery query, CancellationToken cancellationToken);
+        Task<SessionFilterOptionsResponse> GetSessionFilterOptionsAsync(CancellationToken cancellationToken);
 
         // User input tracking
         Task<UserInputRecord?> GetLastUserInputAsync(string sessionId);
@@ -29,5 +33,7 @@ namespace VibeRails.Interfaces
         Task<List<ClaudePlanRecord>> GetRecentClaudePlansAsync(int limit, CancellationToken cancellationToken);
         Task UpdateClaudePlanStatusAsync(long planId, string status);
         Task CompleteClaudePlanAsync(long planId);
+        Task SetPlanStepCompletedAsync(long planId, int stepIndex, string stepText, bool completed);
+        Task<Dictionary<long, List<PlanStepState>>> GetPlanStepStatesAsync(IReadOnlyCollection<long> planIds, CancellationToken cancellationToken);
     }
 }
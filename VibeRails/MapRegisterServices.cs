@@ -69,6 +69,7 @@ namespace VibeRails
 
             // MCP Services
             serviceCollection.AddSingleton(CreateMcpSettings());
+            serviceCollection.AddSingleton<IVectorMemoryService, VectorMemoryService>();
 
             // Claude Agent Sync Service (syncs CLAUDE.md to AGENTS.md on session lifecycle)
             serviceCollection.AddSingleton<IClaudeAgentSyncService, ClaudeAgentSyncService>();
@@ -79,9 +80,16 @@ namespace VibeRails
             serviceCollection.AddScoped<ITerminalIoObserverService, TerminalIoObserverService>();
             serviceCollection.AddScoped<ITerminalSessionService, TerminalSessionService>();
             serviceCollection.AddSingleton<ITerminalTabHostService, TerminalTabHostService>();
+            serviceCollection.AddSingleton<ITerminalAppearanceService, TerminalAppearanceService>();
+            serviceCollection.AddSingleton<IPromptLibraryService, PromptLibraryService>();
             serviceCollection.AddSingleton<ILocalClientTracker, LocalClientTracker>();
             serviceCollection.AddHostedService<LocalClientLifecycleWatchdogService>();
 
+            // Process monitor for the trace viewer (samples CPU/memory in the background)
+            serviceCollection.AddSingleton<IProcessMonitorService, ProcessMonitorService>();
+            serviceCollection.AddHostedService<ProcessMonitorSamplerService>();
+            serviceCollection.AddSingleton<ITraceAlertRuleService, TraceAlertRuleService>();
+
             // Remote State Service (for terminal session remote registration)
             serviceCollection.AddHttpClient<IRemoteStateService, RemoteStateService>();
 
@@ -5,6 +5,15 @@ namespace VibeRails.Middleware;
 
 public class CookieAuthMiddleware
 {
+    // Still reachable while the PIN lock is up: enough to show the lock screen, unlock, and keep the server alive
+    private static readonly string[] s_lockedAllowedPrefixes =
+    [
+        "/api/v1/settings/pin/status",
+        "/api/v1/settings/pin/verify",
+        "/api/v1/settings/pin/lock",
+        "/api/v1/lifecycle/",
+    ];
+
     private readonly RequestDelegate _next;
     private readonly IAuthService _authService;
 
@@ -21,6 +30,7 @@ public class CookieAuthMiddleware
 
         // Skip auth for bootstrap, health check, and CORS preflight requests
         if (path.StartsWith("/auth/bootstrap") ||
+            path.Equals("/auth/token", StringComparison.OrdinalIgnoreCase) ||
             path.Equals("/api/v1/context", StringComparison.OrdinalIgnoreCase) ||
             context.Request.Method.Equals("OPTIONS", StringComparison.OrdinalIgnoreCase))
         {
@@ -32,9 +42,9 @@ public class CookieAuthMiddleware
         var token = context.Request.Cookies["viberails_session"]
             ?? context.Request.Headers["viberails_session"].FirstOrDefault();
 
-        // WebSocket requests from browser JS cannot set custom headers.
-        // Allow token in query string for terminal WS handshake.
-        if (string.IsNullOrEmpty(token) && isWebSocketRequest)
+        // WebSocket requests and EventSource streams from browser JS cannot set custom headers.
+        // Allow token in query string for terminal WS handshake and the trace stream.
+        if (string.IsNullOrEmpty(token) && (isWebSocketRequest || path.Equals("/api/v1/trace/stream", StringComparison.OrdinalIgnoreCase)))
         {
             token = context.Request.Query["viberails_session"].FirstOrDefault();
         }
@@ -64,6 +74,15 @@ public class CookieAuthMiddleware
             return;
         }
 
+        // Locked behind the PIN screen - refuse API calls, terminal sockets and trace streams until it is verified
+        if (RemoteConfig.IsLocked && (isWebSocketRequest || path.StartsWith("/api/", StringComparison.OrdinalIgnoreCase))
+            && !s_lockedAllowedPrefixes.Any(prefix => path.StartsWith(prefix, StringComparison.OrdinalIgnoreCase)))
+        {
+            context.Response.StatusCode = StatusCodes.Status423Locked;
+            await context.Response.WriteAsync("Locked. Enter the PIN to continue.");
+            return;
+        }
+
         // Authenticated - continue to next middleware
         await _next(context);
     }
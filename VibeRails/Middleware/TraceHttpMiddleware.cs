@@ -1,10 +1,14 @@
 using System.Diagnostics;
+using System.Text;
+using System.Text.Json;
+using VibeRails.DTOs;
 using VibeRails.Services.Tracing;
 
 namespace VibeRails.Middleware;
 
 /// <summary>
-/// Records every HTTP request as a TraceEvent so it appears in the trace viewer.
+/// Records every HTTP request as a TraceEvent so it appears in the trace viewer, with redacted
+/// headers and the start of both bodies as JSON detail for the viewer's request inspector.
 /// Skips the SSE/WebSocket endpoints themselves to avoid noise.
 /// </summary>
 public sealed class TraceHttpMiddleware
@@ -12,6 +16,9 @@ public sealed class TraceHttpMiddleware
     private static readonly HashSet<string> s_skipPaths = new(StringComparer.OrdinalIgnoreCase)
     {
         "/api/v1/trace/stream",
+        "/api/v1/trace/events",
+        "/api/v1/trace/processes",
+        "/api/v1/trace/alerts",
         "/api/v1/terminal/ws",
     };
 
@@ -29,28 +36,131 @@ public sealed class TraceHttpMiddleware
         var path = context.Request.Path.Value ?? "/";
 
         // Skip static files and the streaming endpoints
-        if (!path.StartsWith("/api/", StringComparison.OrdinalIgnoreCase) || s_skipPaths.Contains(path))
+        if (!path.StartsWith("/api/", StringComparison.OrdinalIgnoreCase) || s_skipPaths.Contains(path)
+            || context.WebSockets.IsWebSocketRequest)
         {
             await _next(context);
             return;
         }
 
-        var method = context.Request.Method;
-        var sw = Stopwatch.StartNew();
+        var request = context.Request;
+        var method = request.Method;
+        var requestHeaders = HttpTraceRedactor.RedactHeaders(request.Headers);
+        var (requestBody, requestTruncated, bodyRedacted) = await ReadRequestPreviewAsync(request, context.RequestAborted);
 
-        await _next(context);
+        // Tee the response so the inspector can show the start of what was sent back
+        var originalBody = context.Response.Body;
+        var preview = new ResponsePreviewStream(originalBody, HttpTraceRedactor.MaxBodyPreviewChars);
+        context.Response.Body = preview;
 
+        var sw = Stopwatch.StartNew();
+        try
+        {
+            await _next(context);
+        }
+        finally
+        {
+            context.Response.Body = originalBody;
+        }
         sw.Stop();
-        var status = context.Response.StatusCode;
+
+        var response = context.Response;
+        var status = response.StatusCode;
         var summary = $"{method} {path} → {status}";
-        var qs = context.Request.QueryString.HasValue ? context.Request.QueryString.Value : null;
-        var detail = qs != null ? $"Query: {qs}" : null;
+        var qs = request.QueryString.HasValue ? HttpTraceRedactor.RedactQuery(request.QueryString.Value!) : null;
+        var queryRedacted = qs != null && qs != request.QueryString.Value;
+        var responseBody = HttpTraceRedactor.IsTextContent(response.ContentType) && preview.Captured.Length > 0
+            ? HttpTraceRedactor.RedactBody(Encoding.UTF8.GetString(preview.Captured), response.ContentType)
+            : null;
+
+        var detail = new HttpTraceDetail(
+            qs,
+            requestHeaders,
+            requestBody,
+            requestTruncated,
+            bodyRedacted || queryRedacted,
+            HttpTraceRedactor.RedactHeaders(response.Headers),
+            responseBody,
+            responseBody != null && preview.Truncated);
 
         _buffer.Add(TraceEvent.Create(
             Services.Tracing.TraceEventType.HttpRequest,
             "Http",
             summary,
-            detail,
+            JsonSerializer.Serialize(detail, AppJsonSerializerContext.Default.HttpTraceDetail),
             sw.Elapsed.TotalMilliseconds));
     }
+
+    private static async Task<(string? Body, bool Truncated, bool Redacted)> ReadRequestPreviewAsync(HttpRequest request, CancellationToken ct)
+    {
+        if (!HttpTraceRedactor.IsTextContent(request.ContentType) || request.ContentLength == 0)
+            return (null, false, false);
+
+        // Buffered so the endpoint still reads the whole body after we've looked at the start
+        request.EnableBuffering();
+        var buffer = new char[HttpTraceRedactor.MaxBodyPreviewChars + 1];
+        int read;
+        using (var reader = new StreamReader(request.Body, Encoding.UTF8, detectEncodingFromByteOrderMarks: false, leaveOpen: true))
+        {
+            read = await reader.ReadBlockAsync(buffer.AsMemory(), ct);
+        }
+        request.Body.Position = 0;
+
+        if (read == 0) return (null, false, false);
+        var truncated = read > HttpTraceRedactor.MaxBodyPreviewChars;
+        var body = new string(buffer, 0, Math.Min(read, HttpTraceRedactor.MaxBodyPreviewChars));
+        var redacted = HttpTraceRedactor.RedactBody(body, request.ContentType);
+        return (redacted, truncated, redacted != body);
+    }
+
+    /// <summary>
+    /// Passes writes through to the real response body, keeping a copy of the first bytes.
+    /// </summary>
+    private sealed class ResponsePreviewStream(Stream inner, int limit) : Stream
+    {
+        private readonly MemoryStream _captured = new();
+
+        public byte[] Captured => _captured.ToArray();
+        public bool Truncated { get; private set; }
+
+        public override bool CanRead => false;
+        public override bool CanSeek => false;
+        public override bool CanWrite => true;
+        public override long Length => throw new NotSupportedException();
+        public override long Position
+        {
+            get => throw new NotSupportedException();
+            set => throw new NotSupportedException();
+        }
+
+        public override void Write(byte[] buffer, int offset, int count) => Write(buffer.AsSpan(offset, count));
+
+        public override void Write(ReadOnlySpan<byte> buffer)
+        {
+            Capture(buffer);
+            inner.Write(buffer);
+        }
+
+        public override Task WriteAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken)
+            => WriteAsync(buffer.AsMemory(offset, count), cancellationToken).AsTask();
+
+        public override ValueTask WriteAsync(ReadOnlyMemory<byte> buffer, CancellationToken cancellationToken = default)
+        {
+            Capture(buffer.Span);
+            return inner.WriteAsync(buffer, cancellationToken);
+        }
+
+        public override void Flush() => inner.Flush();
+        public override Task FlushAsync(CancellationToken cancellationToken) => inner.FlushAsync(cancellationToken);
+        public override int Read(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+        public override long Seek(long offset, SeekOrigin origin) => throw new NotSupportedException();
+        public override void SetLength(long value) => throw new NotSupportedException();
+
+        private void Capture(ReadOnlySpan<byte> buffer)
+        {
+            var room = limit - (int)_captured.Length;
+            if (buffer.Length > room) Truncated = true;
+            if (room > 0) _captured.Write(buffer[..Math.Min(room, buffer.Length)]);
+        }
+    }
 }
@@ -16,6 +16,10 @@ using VibeRails.Utils;
 string launchDirectory = Directory.GetCurrentDirectory();
 var parentPid = TryGetParentPid(args);
 
+// Set when this instance replaces one that just updated itself; taken early so child processes don't inherit them
+var resumePort = UpdateLauncher.TakeResumePort();
+var resumeToken = UpdateLauncher.TakeResumeToken();
+
 // Get the executable's directory (where wwwroot lives)
 string exeDirectory = AppContext.BaseDirectory;
 string webRootPath = Path.Combine(exeDirectory, "wwwroot");
@@ -52,7 +56,7 @@ builder.Logging.AddFilter("Microsoft.Hosting.Lifetime", LogLevel.Warning);
 builder.Logging.AddFilter("System.Net.Http.HttpClient", LogLevel.None);
 
 // Configure Kestrel with auto-selected port
-int port = PortFinder.FindOpenPort();
+int port = PortFinder.FindOpenPort(preferredPort: resumePort);
 builder.WebHost.ConfigureKestrel(options =>
 {
     options.ListenLocalhost(port);
@@ -63,6 +67,10 @@ builder.Services.AddSingleton(traceBuffer);
 
 // Register DI services
 MapRegisterServices.Register(builder.Services);
+if (resumeToken != null)
+{
+    builder.Services.AddSingleton<IAuthService>(new AuthService(resumeToken));
+}
 
 
 // Add CORS support for localhost and VSCode webview
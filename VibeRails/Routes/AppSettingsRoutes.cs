@@ -1,6 +1,7 @@
 using System.Text.Json;
 using VibeRails.DTOs;
 using VibeRails.Services;
+using VibeRails.Services.Terminal;
 using VibeRails.Utils;
 
 namespace VibeRails.Routes;
@@ -38,5 +39,24 @@ public static class AppSettingsRoutes
 
             return Results.Ok(settingsDto);
         }).WithName("UpdateAppSettings");
+
+        // GET /api/v1/settings/terminal-appearance - theme, font and cursor used by every web terminal
+        app.MapGet("/api/v1/settings/terminal-appearance", (ITerminalAppearanceService appearance) =>
+        {
+            return Results.Ok(appearance.Get());
+        }).WithName("GetTerminalAppearance");
+
+        // PUT /api/v1/settings/terminal-appearance - replace the terminal appearance
+        app.MapPut("/api/v1/settings/terminal-appearance", (ITerminalAppearanceService appearance, TerminalAppearance request) =>
+        {
+            try
+            {
+                return Results.Ok(appearance.Save(request));
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        }).WithName("SaveTerminalAppearance");
     }
 }
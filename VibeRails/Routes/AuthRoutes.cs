@@ -1,4 +1,5 @@
 using VibeRails.Auth;
+using VibeRails.DTOs;
 using VibeRails.Services;
 
 namespace VibeRails.Routes;
@@ -41,5 +42,17 @@ public static class AuthRoutes
             var html = STRINGS.AUTH_BOOTSTRAP_HTML.Replace("window.location.replace('/')", $"window.location.replace(\"{destinationEscaped}\")");
             return Results.Content(html, "text/html");
         }).WithName("AuthBootstrap");
+
+        // POST /auth/token - exchanges a bootstrap code for the session token without setting a cookie.
+        // Cookies are shared by every port on localhost, so a trace page streaming from several
+        // instances keeps one token per instance instead.
+        app.MapPost("/auth/token", (AuthTokenRequest request, IAuthService authService) =>
+        {
+            if (!authService.ValidateAndConsumeBootstrapCode(request.Code))
+                return Results.Json(new ErrorResponse("The bootstrap code is invalid, expired or already used."),
+                    statusCode: StatusCodes.Status403Forbidden);
+
+            return Results.Ok(new AuthTokenResponse(authService.GetInstanceToken()));
+        }).WithName("AuthToken").ExcludeFromDescription();
     }
 }
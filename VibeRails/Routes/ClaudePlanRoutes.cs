@@ -1,5 +1,6 @@
 using VibeRails.DTOs;
 using VibeRails.Interfaces;
+using VibeRails.Services;
 
 namespace VibeRails.Routes;
 
@@ -106,5 +107,86 @@ public static class ClaudePlanRoutes
             var updatedPlan = await dbService.GetClaudePlanAsync(planId, cancellationToken);
             return Results.Ok(updatedPlan);
         }).WithName("CompletePlan");
+
+        // GET /api/v1/plans/progress - Checklist progress for recent plans
+        app.MapGet("/api/v1/plans/progress", async (
+            IDbService dbService,
+            int? limit,
+            CancellationToken cancellationToken) =>
+        {
+            var plans = await dbService.GetRecentClaudePlansAsync(limit ?? 20, cancellationToken);
+            var states = await dbService.GetPlanStepStatesAsync(plans.Select(p => p.Id).ToList(), cancellationToken);
+
+            var progress = plans
+                .Select(plan =>
+                {
+                    var steps = BuildSteps(plan, states.GetValueOrDefault(plan.Id));
+                    return new PlanProgressResponse(plan.Id, steps.CompletedCount, steps.TotalCount);
+                })
+                .ToList();
+            return Results.Ok(progress);
+        }).WithName("GetPlansProgress");
+
+        // GET /api/v1/plans/{planId}/steps - Checklist steps parsed from plan markdown
+        app.MapGet("/api/v1/plans/{planId}/steps", async (
+            IDbService dbService,
+            long planId,
+            CancellationToken cancellationToken) =>
+        {
+            var plan = await dbService.GetClaudePlanAsync(planId, cancellationToken);
+            if (plan == null)
+            {
+                return Results.NotFound(new ErrorResponse($"Plan not found: {planId}"));
+            }
+
+            var states = await dbService.GetPlanStepStatesAsync([planId], cancellationToken);
+            return Results.Ok(BuildSteps(plan, states.GetValueOrDefault(planId)));
+        }).WithName("GetPlanSteps");
+
+        // PUT /api/v1/plans/{planId}/steps/{stepIndex} - Tick or untick a plan step
+        app.MapPut("/api/v1/plans/{planId}/steps/{stepIndex}", async (
+            IDbService dbService,
+            long planId,
+            int stepIndex,
+            UpdatePlanStepRequest request,
+            CancellationToken cancellationToken) =>
+        {
+            var plan = await dbService.GetClaudePlanAsync(planId, cancellationToken);
+            if (plan == null)
+            {
+                return Results.NotFound(new ErrorResponse($"Plan not found: {planId}"));
+            }
+
+            var definitions = PlanStepParser.Parse(plan.PlanContent);
+            if (stepIndex < 0 || stepIndex >= definitions.Count)
+            {
+                return Results.BadRequest(new ErrorResponse($"Step {stepIndex} does not exist in plan {planId}"));
+            }
+
+            await dbService.SetPlanStepCompletedAsync(planId, stepIndex, definitions[stepIndex].Text, request.Completed);
+
+            // Ticking the first step means work has started on a freshly captured plan.
+            if (request.Completed && plan.Status == "created")
+            {
+                await dbService.UpdateClaudePlanStatusAsync(planId, "in_progress");
+            }
+
+            var states = await dbService.GetPlanStepStatesAsync([planId], cancellationToken);
+            return Results.Ok(BuildSteps(plan, states.GetValueOrDefault(planId)));
+        }).WithName("UpdatePlanStep");
+    }
+
+    private static PlanStepsResponse BuildSteps(ClaudePlanRecord plan, List<PlanStepState>? states)
+    {
+        var steps = PlanStepParser.Parse(plan.PlanContent)
+            .Select(step =>
+            {
+                // Only honour stored ticks that still match the step text at that position.
+                var state = states?.FirstOrDefault(s => s.StepIndex == step.Index && s.StepText == step.Text);
+                return new PlanStepResponse(step.Index, step.Text, step.Depth, state?.Completed ?? step.InitiallyChecked);
+            })
+            .ToList();
+
+        return new PlanStepsResponse(plan.Id, steps, steps.Count(s => s.Completed), steps.Count);
     }
 }
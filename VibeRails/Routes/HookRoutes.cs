@@ -8,7 +8,7 @@ public static class HookRoutes
 {
     public static void Map(WebApplication app)
     {
-        // GET /api/v1/hooks/status - Check if pre-commit hook is installed
+        // GET /api/v1/hooks/status - Report installed hooks, foreign hook content and which vb binary they run
         app.MapGet("/api/v1/hooks/status", async (
             IHookInstallationService hookService,
             IGitService gitService,
@@ -20,11 +20,32 @@ public static class HookRoutes
                 return Results.Ok(new HookStatusResponse(false, false, "Not in a git repository"));
             }
 
-            var isInstalled = hookService.IsHookInstalled(rootPath);
-            return Results.Ok(new HookStatusResponse(true, isInstalled, null));
+            var states = await hookService.GetHookStatesAsync(rootPath, cancellationToken);
+            var hooks = states.Select(h => new HookStateResponse(
+                h.Name, h.HookPath, h.Installed, h.UpToDate, h.HasForeignContent, h.ForeignInterpreter, h.Warning
+            )).ToList();
+
+            var hookCommand = hookService.ResolveHookCommand(rootPath);
+            var currentBinary = Environment.ProcessPath;
+            var pointsAtCurrent = hookCommand != null && currentBinary != null && string.Equals(
+                Path.GetFullPath(hookCommand), Path.GetFullPath(currentBinary),
+                OperatingSystem.IsWindows() ? StringComparison.OrdinalIgnoreCase : StringComparison.Ordinal);
+
+            // Git ignores .git/hooks entirely when core.hooksPath is set (e.g. by husky)
+            var hooksPathOverride = await gitService.GetConfigValueAsync("core.hooksPath", cancellationToken);
+
+            return Results.Ok(new HookStatusResponse(
+                true,
+                hookService.IsHookInstalled(rootPath),
+                null,
+                hooks,
+                hookCommand,
+                currentBinary,
+                pointsAtCurrent,
+                hooksPathOverride));
         }).WithName("GetHookStatus");
 
-        // POST /api/v1/hooks/install - Install the pre-commit hook
+        // POST /api/v1/hooks/install - Install (or repair) the pre-commit and commit-msg hooks
         app.MapPost("/api/v1/hooks/install", async (
             IHookInstallationService hookService,
             IGitService gitService,
@@ -36,14 +57,14 @@ public static class HookRoutes
                 return Results.BadRequest(new HookActionResponse(false, "Not in a git repository"));
             }
 
-            var result = await hookService.InstallPreCommitHookAsync(rootPath, cancellationToken);
+            var result = await hookService.InstallHooksAsync(rootPath, cancellationToken);
             var message = result.Success
-                ? "Pre-commit hook installed"
+                ? "Git hooks installed"
                 : $"{result.ErrorMessage} {(result.Details != null ? $"({result.Details})" : "")}";
             return Results.Ok(new HookActionResponse(result.Success, message));
         }).WithName("InstallHook");
 
-        // DELETE /api/v1/hooks - Uninstall the pre-commit hook
+        // DELETE /api/v1/hooks - Uninstall the pre-commit and commit-msg hooks
         app.MapDelete("/api/v1/hooks", async (
             IHookInstallationService hookService,
             IGitService gitService,
@@ -55,9 +76,9 @@ public static class HookRoutes
                 return Results.BadRequest(new HookActionResponse(false, "Not in a git repository"));
             }
 
-            var result = await hookService.UninstallPreCommitHookAsync(rootPath, cancellationToken);
+            var result = await hookService.UninstallHooksAsync(rootPath, cancellationToken);
             var message = result.Success
-                ? "Pre-commit hook uninstalled"
+                ? "Git hooks uninstalled"
                 : $"{result.ErrorMessage} {(result.Details != null ? $"({result.Details})" : "")}";
             return Results.Ok(new HookActionResponse(result.Success, message));
         }).WithName("UninstallHook");
@@ -37,7 +37,9 @@ public static class McpRoutes
 
                 await using var client = await McpClientService.ConnectAsync(transport, cancellationToken: cancellationToken);
                 var tools = await client.GetAvailableToolsAsync(cancellationToken);
-                var toolInfos = tools.Select(t => new McpToolInfo(t.Name, t.Description ?? "")).ToList();
+                var toolInfos = tools
+                    .Select(t => new McpToolInfo(t.Name, t.Description ?? "", t.ProtocolTool.InputSchema))
+                    .ToList();
                 return Results.Ok(toolInfos);
             }
             catch (Exception ex)
@@ -58,8 +60,9 @@ public static class McpRoutes
                 return Results.BadRequest(new McpToolCallResponse(false, "", "MCP server executable not found."));
             }
 
-            traceBuffer.Add(TraceEvent.Create(TraceEventType.McpToolCall, "MCP", $"MCP call: {name}",
-                JsonSerializer.Serialize(request.Arguments, AppJsonSerializerContext.Default.DictionaryStringObject)));
+            var callEvent = TraceEvent.Create(TraceEventType.McpToolCall, "MCP", $"MCP call: {name}",
+                JsonSerializer.Serialize(request.Arguments, AppJsonSerializerContext.Default.DictionaryStringObject));
+            traceBuffer.Add(callEvent);
             var sw = Stopwatch.StartNew();
 
             try
@@ -73,16 +76,18 @@ public static class McpRoutes
                 var result = await client.CallToolAsync(name, request.Arguments, cancellationToken);
 
                 traceBuffer.Add(TraceEvent.Create(TraceEventType.McpToolResult, "MCP",
-                    $"MCP result: {name} ({sw.ElapsedMilliseconds}ms)", result, sw.Elapsed.TotalMilliseconds));
+                    $"MCP result: {name} ({sw.ElapsedMilliseconds}ms)", result, sw.Elapsed.TotalMilliseconds)
+                    with { CorrelationId = callEvent.Id });
 
-                return Results.Ok(new McpToolCallResponse(true, result));
+                return Results.Ok(new McpToolCallResponse(true, result, null, sw.ElapsedMilliseconds));
             }
             catch (Exception ex)
             {
                 traceBuffer.Add(TraceEvent.Create(TraceEventType.McpToolResult, "MCP",
-                    $"MCP error: {name} ({sw.ElapsedMilliseconds}ms)", ex.Message, sw.Elapsed.TotalMilliseconds));
+                    $"MCP error: {name} ({sw.ElapsedMilliseconds}ms)", ex.Message, sw.Elapsed.TotalMilliseconds)
+                    with { CorrelationId = callEvent.Id });
 
-                return Results.BadRequest(new McpToolCallResponse(false, "", ex.Message));
+                return Results.BadRequest(new McpToolCallResponse(false, "", ex.Message, sw.ElapsedMilliseconds));
             }
         }).WithName("CallMcpTool");
     }
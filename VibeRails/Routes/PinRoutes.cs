@@ -1,3 +1,4 @@
+using Microsoft.AspNetCore.Mvc;
 using VibeRails.DTOs;
 using VibeRails.Services;
 
@@ -10,24 +11,97 @@ public static class PinRoutes
         // GET /api/v1/settings/pin/status - check whether a PIN is currently set
         app.MapGet("/api/v1/settings/pin/status", () =>
         {
-            return Results.Ok(new PinStatusResponse(RemoteConfig.IsPinConfigured));
+            return Results.Ok(CurrentStatus());
         }).WithName("GetPinStatus");
 
-        // POST /api/v1/settings/pin - set (or replace) the PIN
-        app.MapPost("/api/v1/settings/pin", (SetPinRequest request) =>
+        // POST /api/v1/settings/pin - set (or replace) the PIN; replacing requires the current PIN
+        app.MapPost("/api/v1/settings/pin", (SetPinRequest request, HttpContext context) =>
         {
             if (string.IsNullOrWhiteSpace(request.Pin) || request.Pin.Length < 4)
                 return Results.BadRequest(new ErrorResponse("PIN must be at least 4 characters."));
 
+            if (RemoteConfig.IsPinConfigured)
+            {
+                var error = CheckCurrentPin(request.CurrentPin, context);
+                if (error != null)
+                    return Results.BadRequest(error);
+            }
+
             RemoteConfig.SetPin(request.Pin);
-            return Results.Ok(new PinStatusResponse(true));
+            return Results.Ok(CurrentStatus());
         }).WithName("SetPin");
 
-        // DELETE /api/v1/settings/pin - clear the PIN
-        app.MapDelete("/api/v1/settings/pin", () =>
+        // DELETE /api/v1/settings/pin - clear the PIN (requires the current PIN)
+        app.MapDelete("/api/v1/settings/pin", ([FromBody] ClearPinRequest request, HttpContext context) =>
         {
+            if (RemoteConfig.IsPinConfigured)
+            {
+                var error = CheckCurrentPin(request.CurrentPin, context);
+                if (error != null)
+                    return Results.BadRequest(error);
+            }
+
             RemoteConfig.ClearPin();
-            return Results.Ok(new PinStatusResponse(false));
+            return Results.Ok(CurrentStatus());
         }).WithName("ClearPin");
+
+        // POST /api/v1/settings/pin/lock - lock every window until the PIN is verified
+        app.MapPost("/api/v1/settings/pin/lock", () =>
+        {
+            if (!RemoteConfig.IsPinConfigured)
+                return Results.BadRequest(new ErrorResponse("No PIN is set."));
+
+            RemoteConfig.Lock();
+            return Results.Ok(CurrentStatus());
+        }).WithName("LockPin");
+
+        // POST /api/v1/settings/pin/verify - check a PIN entered on the lock screen; a correct one unlocks
+        app.MapPost("/api/v1/settings/pin/verify", (VerifyPinRequest request, HttpContext context) =>
+        {
+            if (!RemoteConfig.IsPinConfigured)
+                return Results.BadRequest(new ErrorResponse("No PIN is set."));
+
+            var valid = RemoteConfig.TryVerifyPin(request.Pin ?? "", ClientKey(context), out var retryAfterSeconds);
+            if (valid)
+                RemoteConfig.Unlock();
+            return Results.Ok(new PinVerifyResponse(valid, retryAfterSeconds));
+        }).WithName("VerifyPin");
+
+        // PUT /api/v1/settings/pin/idle-lock - set the idle auto-lock timeout in minutes (0 = never); requires the current PIN
+        app.MapPut("/api/v1/settings/pin/idle-lock", (PinIdleLockRequest request, HttpContext context) =>
+        {
+            if (request.Minutes < 0 || request.Minutes > RemoteConfig.MaxIdleLockMinutes)
+                return Results.BadRequest(new ErrorResponse($"Idle lock must be between 0 and {RemoteConfig.MaxIdleLockMinutes} minutes."));
+
+            if (RemoteConfig.IsPinConfigured)
+            {
+                var error = CheckCurrentPin(request.CurrentPin, context);
+                if (error != null)
+                    return Results.BadRequest(error);
+            }
+
+            RemoteConfig.SetIdleLockMinutes(request.Minutes);
+            return Results.Ok(CurrentStatus());
+        }).WithName("SetPinIdleLock");
+    }
+
+    private static PinStatusResponse CurrentStatus()
+        => new(RemoteConfig.IsPinConfigured, RemoteConfig.IdleLockMinutes, RemoteConfig.IsLocked);
+
+    // Wrong guesses are counted per client, so one browser can't lock everyone else out
+    private static string ClientKey(HttpContext context)
+        => context.Connection.RemoteIpAddress?.ToString() ?? "unknown";
+
+    private static ErrorResponse? CheckCurrentPin(string? currentPin, HttpContext context)
+    {
+        if (string.IsNullOrEmpty(currentPin))
+            return new ErrorResponse("Current PIN is required.");
+
+        if (RemoteConfig.TryVerifyPin(currentPin, ClientKey(context), out var retryAfterSeconds))
+            return null;
+
+        return retryAfterSeconds > 0
+            ? new ErrorResponse($"Too many incorrect attempts. Try again in {retryAfterSeconds} seconds.")
+            : new ErrorResponse("Current PIN is incorrect.");
     }
 }
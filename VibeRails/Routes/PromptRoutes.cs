@@ -0,0 +1,66 @@
+using VibeRails.DTOs;
+using VibeRails.Services;
+
+namespace VibeRails.Routes;
+
+public static class PromptRoutes
+{
+    public static void Map(WebApplication app)
+    {
+        // GET /api/v1/prompts - personal and project prompts, plus the branch and changed files the palette offers as variables
+        app.MapGet("/api/v1/prompts", async (
+            IPromptLibraryService prompts,
+            IGitService gitService,
+            CancellationToken cancellationToken) =>
+        {
+            var rootPath = (await gitService.GetRootPathAsync(cancellationToken))?.Trim();
+            if (string.IsNullOrEmpty(rootPath))
+            {
+                return Results.Ok(new PromptLibraryResponse(prompts.GetPersonalPrompts(), [], null, null, []));
+            }
+
+            return Results.Ok(new PromptLibraryResponse(
+                prompts.GetPersonalPrompts(),
+                prompts.GetProjectPrompts(rootPath),
+                PromptLibraryService.GetProjectFilePath(rootPath),
+                await gitService.GetCurrentBranchAsync(cancellationToken),
+                await gitService.GetChangedFileAsync(cancellationToken)));
+        }).WithName("GetPrompts");
+
+        // PUT /api/v1/prompts/personal - replace the prompts only this user sees
+        app.MapPut("/api/v1/prompts/personal", (IPromptLibraryService prompts, SavePromptsRequest request) =>
+        {
+            try
+            {
+                return Results.Ok(prompts.SavePersonalPrompts(request.Prompts ?? []));
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        }).WithName("SavePersonalPrompts");
+
+        // PUT /api/v1/prompts/project - replace the prompts in the repository's checked-in prompts file
+        app.MapPut("/api/v1/prompts/project", async (
+            IPromptLibraryService prompts,
+            IGitService gitService,
+            SavePromptsRequest request,
+            CancellationToken cancellationToken) =>
+        {
+            var rootPath = (await gitService.GetRootPathAsync(cancellationToken))?.Trim();
+            if (string.IsNullOrEmpty(rootPath))
+            {
+                return Results.BadRequest(new ErrorResponse("Project prompts need a git repository."));
+            }
+
+            try
+            {
+                return Results.Ok(prompts.SaveProjectPrompts(rootPath, request.Prompts ?? []));
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        }).WithName("SaveProjectPrompts");
+    }
+}
@@ -2,6 +2,7 @@ using System.Net.WebSockets;
 using System.Text;
 using System.Text.Json;
 using VibeRails.DTOs;
+using VibeRails.Services;
 using VibeRails.Services.Messaging;
 
 namespace VibeRails.Routes;
@@ -160,7 +161,22 @@ public static class ProxyRoutes
                 catch (WebSocketException) { }
             }, ct);
 
-            await Task.WhenAny(upstreamToBrowser, browserToUpstream);
+            // The relay is dropped when the PIN lock engages; reconnecting is refused until it is lifted
+            void OnLocked()
+            {
+                browserSocket.Abort();
+                upstreamClient.Abort();
+            }
+
+            RemoteConfig.Locked += OnLocked;
+            try
+            {
+                await Task.WhenAny(upstreamToBrowser, browserToUpstream);
+            }
+            finally
+            {
+                RemoteConfig.Locked -= OnLocked;
+            }
 
             // Clean up both sides
             if (upstreamClient.State == WebSocketState.Open)
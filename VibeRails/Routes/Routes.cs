@@ -13,6 +13,7 @@ public static class RouteExtensions
         TerminalTabsRoutes.Map(app);
         SandboxRoutes.Map(app, launchDirectory);
         McpRoutes.Map(app);
+        VectorMemoryRoutes.Map(app);
         AgentRoutes.Map(app);
         RulesRoutes.Map(app);
         HookRoutes.Map(app);
@@ -20,6 +21,7 @@ public static class RouteExtensions
         ClaudePlanRoutes.Map(app);
         UpdateRoutes.Map(app);
         AppSettingsRoutes.Map(app);
+        PromptRoutes.Map(app);
         PinRoutes.Map(app);
         LifecycleRoutes.Map(app);
         TraceRoutes.Map(app);
@@ -1,10 +1,15 @@
+using System.Globalization;
+using System.Text;
 using VibeRails.DTOs;
 using VibeRails.Interfaces;
+using VibeRails.Services;
 
 namespace VibeRails.Routes;
 
 public static class SessionRoutes
 {
+    private const int MaxImportLength = 20 * 1024 * 1024;
+
     public static void Map(WebApplication app)
     {
         app.MapGet("/api/v1/sessions/{sessionId}/logs", async (
@@ -28,5 +33,117 @@ public static class SessionRoutes
             var sessions = await dbService.GetRecentSessionsAsync(limit ?? 10, cancellationToken);
             return Results.Ok(sessions);
         }).WithName("GetRecentSessions");
+
+        // GET /api/v1/sessions - Paged session history with filters and log search
+        app.MapGet("/api/v1/sessions", async (
+            IDbService dbService,
+            string? cli,
+            string? env,
+            string? workDir,
+            int? exitCode,
+            string? status,
+            DateTime? from,
+            DateTime? to,
+            string? q,
+            int? page,
+            int? pageSize,
+            CancellationToken cancellationToken) =>
+        {
+            var query = new SessionSearchQuery(
+                Cli: cli,
+                EnvironmentName: env,
+                WorkingDirectory: workDir,
+                ExitCode: exitCode,
+                Status: status,
+                FromUTC: from,
+                ToUTC: to,
+                Search: q,
+                Page: page ?? 1,
+                PageSize: pageSize ?? 25);
+
+            var result = await dbService.SearchSessionsAsync(query, cancellationToken);
+            return Results.Ok(result);
+        }).WithName("SearchSessions");
+
+        // GET /api/v1/sessions/filters - Distinct CLI and environment values for filter dropdowns
+        app.MapGet("/api/v1/sessions/filters", async (
+            IDbService dbService,
+            CancellationToken cancellationToken) =>
+        {
+            var options = await dbService.GetSessionFilterOptionsAsync(cancellationToken);
+            return Results.Ok(options);
+        }).WithName("GetSessionFilterOptions");
+
+        // GET /api/v1/sessions/{sessionId}/cast - Download a session as an asciicast v2 recording
+        app.MapGet("/api/v1/sessions/{sessionId}/cast", async (
+            IDbService dbService,
+            string sessionId,
+            CancellationToken cancellationToken) =>
+        {
+            var result = await dbService.GetSessionWithLogsAsync(sessionId, cancellationToken);
+            if (result == null)
+            {
+                return Results.NotFound(new ErrorResponse($"Session not found: {sessionId}"));
+            }
+
+            var cast = AsciicastService.Serialize(result);
+            var fileName = $"viberails-{result.Session.Cli.ToLowerInvariant()}-{result.Session.StartedUTC:yyyyMMdd-HHmmss}.cast";
+            return Results.File(Encoding.UTF8.GetBytes(cast), "application/x-asciicast", fileName);
+        }).WithName("ExportSessionCast");
+
+        // POST /api/v1/sessions/import - Import an asciicast v2 recording as a replayable session
+        app.MapPost("/api/v1/sessions/import", async (
+            IDbService dbService,
+            ImportSessionRequest request) =>
+        {
+            if (string.IsNullOrWhiteSpace(request.Content))
+            {
+                return Results.BadRequest(new ErrorResponse("Recording content is required"));
+            }
+            if (request.Content.Length > MaxImportLength)
+            {
+                return Results.BadRequest(new ErrorResponse("Recording is too large to import"));
+            }
+
+            AsciicastRecording recording;
+            try
+            {
+                recording = AsciicastService.Parse(request.Content);
+            }
+            catch (FormatException ex)
+            {
+                return Results.BadRequest(new ErrorResponse($"Invalid asciicast file: {ex.Message}"));
+            }
+
+            var env = recording.Env;
+            var cli = env.TryGetValue(AsciicastService.CliEnvKey, out var recordedCli) && !string.IsNullOrWhiteSpace(recordedCli)
+                ? recordedCli
+                : "asciicast";
+            var workDir = env.TryGetValue(AsciicastService.WorkingDirectoryEnvKey, out var recordedWorkDir) && !string.IsNullOrWhiteSpace(recordedWorkDir)
+                ? recordedWorkDir
+                : recording.Title ?? request.FileName ?? "Imported recording";
+            env.TryGetValue(AsciicastService.EnvironmentEnvKey, out var envName);
+            int? exitCode = env.TryGetValue(AsciicastService.ExitCodeEnvKey, out var recordedExit)
+                && int.TryParse(recordedExit, NumberStyles.Integer, CultureInfo.InvariantCulture, out var parsedExit)
+                ? parsedExit
+                : null;
+
+            var logs = recording.Events
+                .Select(e => new SessionLogEntry(recording.StartedUTC.AddSeconds(Math.Max(0, e.Time)), e.Data))
+                .ToList();
+            var endedUtc = logs.Count > 0 ? logs[^1].Timestamp : recording.StartedUTC;
+
+            var session = new SessionResponse(
+                Id: Guid.NewGuid().ToString(),
+                Cli: cli,
+                EnvironmentName: string.IsNullOrWhiteSpace(envName) ? null : envName,
+                WorkingDirectory: workDir,
+                StartedUTC: recording.StartedUTC,
+                EndedUTC: endedUtc,
+                ExitCode: exitCode);
+
+            await dbService.ImportSessionAsync(session, logs);
+            return Results.Ok(session);
+        }).WithName("ImportSessionCast");
     }
 }
@@ -103,7 +103,15 @@ public static class TerminalRoutes
             return Results.Ok(new TerminalStatusResponse(false, null));
         }).WithName("StopTerminal");
 
-        // WebSocket endpoint for terminal I/O
+        // POST /api/v1/terminal/viewers/disconnect - Drop the local and relay viewers; a parent sends this to its tabs when it locks
+        app.MapPost("/api/v1/terminal/viewers/disconnect", async (ITerminalSessionService terminalService) =>
+        {
+            await terminalService.DisconnectLocalViewerAsync("Locked");
+            await TerminalStateService.DisconnectAllRemoteViewersAsync("Locked");
+            return Results.Ok(new TerminalStatusResponse(terminalService.HasActiveSession, terminalService.ActiveSessionId));
+        }).WithName("DisconnectTerminalViewers");
+
+        // WebSocket endpoint for terminal I/O; ?offset=N switches to offset-prefixed output resuming at N
         app.Map("/api/v1/terminal/ws", async (HttpContext context, ITerminalSessionService terminalService) =>
         {
             if (!context.WebSockets.IsWebSocketRequest)
@@ -119,8 +127,11 @@ public static class TerminalRoutes
                 return;
             }
 
+            long? resumeOffset = TerminalControlProtocol.TryParseOutputOffset(
+                context.Request.Query[TerminalControlProtocol.OutputOffsetQueryKey], out var offset) ? offset : null;
+
             using var webSocket = await context.WebSockets.AcceptWebSocketAsync();
-            await terminalService.HandleWebSocketAsync(webSocket, context.RequestAborted);
+            await terminalService.HandleWebSocketAsync(webSocket, resumeOffset, context.RequestAborted);
         });
 
         // GET /api/v1/terminal/bootstrap-command - Get the command to launch an LLM CLI in a terminal session
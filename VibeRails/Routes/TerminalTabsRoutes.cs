@@ -132,10 +132,13 @@ public static class TerminalTabsRoutes
                 return;
             }
 
+            long? resumeOffset = TerminalControlProtocol.TryParseOutputOffset(
+                context.Request.Query[TerminalControlProtocol.OutputOffsetQueryKey], out var offset) ? offset : null;
+
             using var webSocket = await context.WebSockets.AcceptWebSocketAsync();
             try
             {
-                await tabHost.HandleWebSocketProxyAsync(tabId, webSocket, context.RequestAborted);
+                await tabHost.HandleWebSocketProxyAsync(tabId, webSocket, resumeOffset, context.RequestAborted);
             }
             catch (Exception ex)
             {
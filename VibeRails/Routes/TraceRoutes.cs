@@ -1,12 +1,14 @@
-using System.Diagnostics;
 using System.Text.Json;
 using VibeRails.DTOs;
+using VibeRails.Services;
 using VibeRails.Services.Tracing;
 
 namespace VibeRails.Routes;
 
 public static class TraceRoutes
 {
+    private const int MaxPageSize = 1000;
+
     private static readonly JsonSerializerOptions s_jsonOptions = new()
     {
         PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
@@ -15,10 +17,12 @@ public static class TraceRoutes
 
     public static void Map(WebApplication app)
     {
-        // SSE stream — real-time trace events
+        // SSE stream — real-time trace events.
+        // ?after=<seq> resumes after the last event a client saw instead of sending the latest 50.
         app.MapGet("/api/v1/trace/stream", async (
             TraceEventBuffer buffer,
             HttpContext context,
+            long? after,
             CancellationToken cancellationToken) =>
         {
             context.Response.ContentType = "text/event-stream";
@@ -26,7 +30,7 @@ public static class TraceRoutes
             context.Response.Headers.Connection = "keep-alive";
 
             // Send catch-up events
-            var recent = buffer.GetRecent(50);
+            var recent = after != null ? buffer.GetAfter(after.Value) : buffer.GetRecent(50);
             foreach (var evt in recent)
             {
                 await WriteEvent(context.Response, evt, cancellationToken);
@@ -51,7 +55,11 @@ public static class TraceRoutes
                 }, cancellationToken);
             }
 
+            // The stream ends when the PIN lock engages; reconnecting is refused until it is lifted
+            void OnLocked() => tcs.TrySetResult();
+
             buffer.OnEvent += OnEvent;
+            RemoteConfig.Locked += OnLocked;
             try
             {
                 await tcs.Task;
@@ -59,49 +67,73 @@ public static class TraceRoutes
             finally
             {
                 buffer.OnEvent -= OnEvent;
+                RemoteConfig.Locked -= OnLocked;
             }
         }).WithName("TraceStream").ExcludeFromDescription();
 
-        // REST endpoint — query recent events
-        app.MapGet("/api/v1/trace/events", (TraceEventBuffer buffer, int? count) =>
+        // GET /api/v1/trace/events - page backward through buffered events.
+        // ?before=<seq> continues from the oldest event of the previous page; from/to limit the time range.
+        app.MapGet("/api/v1/trace/events", (
+            TraceEventBuffer buffer,
+            long? before,
+            DateTimeOffset? from,
+            DateTimeOffset? to,
+            int? count) =>
         {
-            var events = buffer.GetRecent(count ?? 100);
-            return Results.Ok(events);
+            if (from != null && to != null && from > to)
+                return Results.BadRequest(new ErrorResponse("'from' must be before 'to'."));
+
+            var page = buffer.GetPage(before, from, to, Math.Clamp(count ?? 100, 1, MaxPageSize));
+            return Results.Ok(page);
         }).WithName("GetTraceEvents");
 
-        // Process monitor — returns current vb.exe processes
-        app.MapGet("/api/v1/trace/processes", () =>
+        // GET /api/v1/trace/processes - process tree of this instance and other vb instances,
+        // with a few minutes of CPU and memory history per process
+        app.MapGet("/api/v1/trace/processes", (IProcessMonitorService monitor) =>
         {
-            var procs = Process.GetProcessesByName("vb")
-                .Select(p =>
-                {
-                    try
-                    {
-                        return new ProcessInfoItem(
-                            Pid: p.Id,
-                            Title: p.MainWindowTitle,
-                            StartTime: p.StartTime.ToUniversalTime()
-                        );
-                    }
-                    catch
-                    {
-                        return new ProcessInfoItem(p.Id, "", DateTime.MinValue);
-                    }
-                    finally
-                    {
-                        p.Dispose();
-                    }
-                })
-                .OrderBy(p => p.StartTime)
-                .ToList();
-
-            return Results.Ok(new ProcessListResponse(procs, DateTime.UtcNow));
+            return Results.Ok(monitor.GetTree());
         }).WithName("GetTraceProcesses").ExcludeFromDescription();
+
+        // POST /api/v1/trace/processes/{pid}/terminate - kill a process spawned under this instance
+        app.MapPost("/api/v1/trace/processes/{pid:int}/terminate", (
+            IProcessMonitorService monitor,
+            int pid,
+            TerminateProcessRequest? request) =>
+        {
+            try
+            {
+                monitor.Terminate(pid, request?.IncludeChildren ?? true);
+                return Results.Ok(new OK($"Process {pid} terminated"));
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        }).WithName("TerminateTraceProcess").ExcludeFromDescription();
+
+        // GET /api/v1/trace/alerts - alert rules the trace viewer evaluates against live events
+        app.MapGet("/api/v1/trace/alerts", (ITraceAlertRuleService alerts) =>
+        {
+            return Results.Ok(new TraceAlertRulesResponse(alerts.GetRules()));
+        }).WithName("GetTraceAlertRules").ExcludeFromDescription();
+
+        // PUT /api/v1/trace/alerts - replace the saved alert rules
+        app.MapPut("/api/v1/trace/alerts", (ITraceAlertRuleService alerts, TraceAlertRulesRequest request) =>
+        {
+            try
+            {
+                return Results.Ok(new TraceAlertRulesResponse(alerts.SaveRules(request.Rules ?? [])));
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Results.BadRequest(new ErrorResponse(ex.Message));
+            }
+        }).WithName("SaveTraceAlertRules").ExcludeFromDescription();
     }
 
     private static async Task WriteEvent(HttpResponse response, TraceEvent evt, CancellationToken ct)
     {
         var json = JsonSerializer.Serialize(evt, AppJsonSerializerContext.Default.TraceEvent);
-        await response.WriteAsync($"event: trace\ndata: {json}\n\n", ct);
+        await response.WriteAsync($"id: {evt.Seq}\nevent: trace\ndata: {json}\n\n", ct);
     }
 }
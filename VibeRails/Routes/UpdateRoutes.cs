@@ -1,3 +1,4 @@
+using VibeRails.Auth;
 using VibeRails.DTOs;
 using VibeRails.Services;
 
@@ -13,9 +14,70 @@ public static class UpdateRoutes
             CancellationToken cancellationToken) =>
         {
             var updateInfo = await updateService.CheckForUpdateAsync(cancellationToken);
+            if (updateInfo != null)
+            {
+                updateInfo.SelfUpdateUnavailableReason = UpdateLauncher.GetUnsupportedReason(GetLaunchArgs());
+            }
             return Results.Ok(updateInfo);
         }).WithName("CheckForUpdate");
 
+        // POST /api/v1/update/apply - Install the latest release and restart on the same port
+        app.MapPost("/api/v1/update/apply", async (
+            HttpContext context,
+            UpdateService updateService,
+            IAuthService authService,
+            IHostApplicationLifetime hostApplicationLifetime,
+            CancellationToken cancellationToken) =>
+        {
+            var args = GetLaunchArgs();
+            var unsupportedReason = UpdateLauncher.GetUnsupportedReason(args);
+            if (unsupportedReason != null)
+                return Results.BadRequest(new ErrorResponse(unsupportedReason));
+
+            var updateInfo = await updateService.CheckForUpdateAsync(cancellationToken);
+            if (updateInfo == null || updateInfo.Source != UpdateService.SourceGitHub)
+                return Results.BadRequest(new ErrorResponse("Can't reach GitHub releases to download the update."));
+            if (!updateInfo.UpdateAvailable)
+                return Results.BadRequest(new ErrorResponse($"Already on the latest version (v{updateInfo.CurrentVersion})."));
+
+            // Fetch and verify the offered release while we can still report a failure
+            var stagingDir = Path.Combine(Path.GetTempPath(), $"vibe_rails_update_{Guid.NewGuid():N}");
+            string archivePath;
+            try
+            {
+                archivePath = await updateService.DownloadReleaseAsync(updateInfo, stagingDir, cancellationToken);
+            }
+            catch (Exception ex)
+            {
+                TryDeleteDirectory(stagingDir);
+                return Results.BadRequest(new ErrorResponse($"Failed to download v{updateInfo.LatestVersion}: {ex.Message}"));
+            }
+
+            try
+            {
+                UpdateLauncher.Launch(
+                    context.Connection.LocalPort,
+                    authService.GetInstanceToken(),
+                    Directory.GetCurrentDirectory(),
+                    args,
+                    archivePath);
+            }
+            catch (Exception ex)
+            {
+                TryDeleteDirectory(stagingDir);
+                return Results.BadRequest(new ErrorResponse($"Failed to start the updater: {ex.Message}"));
+            }
+
+            // Same as /api/v1/shutdown: let the response flush before stopping
+            _ = Task.Run(async () =>
+            {
+                await Task.Delay(250);
+                hostApplicationLifetime.StopApplication();
+            });
+
+            return Results.Ok(new MessageResponse($"Updating to v{updateInfo.LatestVersion}. VibeRails will restart when the install finishes."));
+        }).WithName("ApplyUpdate");
+
         // GET /api/v1/update/version - Get current version
         app.MapGet("/api/v1/update/version", () =>
         {
@@ -29,4 +91,20 @@ public static class UpdateRoutes
         }).WithName("GetApiVersion");
 
     }
+
+    private static void TryDeleteDirectory(string path)
+    {
+        try
+        {
+            if (Directory.Exists(path))
+                Directory.Delete(path, recursive: true);
+        }
+        catch (IOException) { }
+    }
+
+    // Relaunch with the user's arguments, minus flags that would open another browser tab
+    private static string[] GetLaunchArgs() => Environment.GetCommandLineArgs()
+        .Skip(1)
+        .Where(a => a is not ("--open-browser" or "--launch-browser" or "--launch-web" or "--web"))
+        .ToArray();
 }
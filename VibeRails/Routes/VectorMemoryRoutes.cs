@@ -0,0 +1,128 @@
+using VibeRails.DTOs;
+using VibeRails.Services;
+
+namespace VibeRails.Routes;
+
+public static class VectorMemoryRoutes
+{
+    private const int DefaultSearchLimit = 10;
+    private const int MaxSearchLimit = 50;
+
+    public static void Map(WebApplication app)
+    {
+        // GET /api/v1/vector-memory - List user-term mappings and conversation entries
+        app.MapGet("/api/v1/vector-memory", async (
+            IVectorMemoryService vectorMemory,
+            CancellationToken cancellationToken) =>
+        {
+            var terms = await vectorMemory.GetUserTermsAsync(cancellationToken);
+            var conversations = await vectorMemory.GetConversationsAsync(cancellationToken);
+            return Results.Ok(new VectorMemoryResponse(
+                terms.OrderByDescending(t => t.CreatedAt).ToList(),
+                conversations.OrderByDescending(c => c.Timestamp).ToList(),
+                vectorMemory.StoragePath));
+        }).WithName("GetVectorMemory");
+
+        // GET /api/v1/vector-memory/search - Run a similarity query against terms or conversations
+        app.MapGet("/api/v1/vector-memory/search", async (
+            IVectorMemoryService vectorMemory,
+            string? q,
+            string? kind,
+            int? limit,
+            CancellationToken cancellationToken) =>
+        {
+            if (string.IsNullOrWhiteSpace(q))
+                return Results.BadRequest(new ErrorResponse("Query is required"));
+
+            var searchKind = string.IsNullOrEmpty(kind) ? VectorMemoryService.KindTerms : kind;
+            if (searchKind != VectorMemoryService.KindTerms && searchKind != VectorMemoryService.KindConversations)
+                return Results.BadRequest(new ErrorResponse($"Unknown kind '{kind}'. Use 'terms' or 'conversations'."));
+
+            var take = Math.Clamp(limit ?? DefaultSearchLimit, 1, MaxSearchLimit);
+            var hits = await vectorMemory.SearchAsync(searchKind, q, take, cancellationToken);
+            return Results.Ok(new VectorSearchResponse(searchKind, q, hits));
+        }).WithName("SearchVectorMemory");
+
+        // POST /api/v1/vector-memory/terms - Add a user-term mapping
+        app.MapPost("/api/v1/vector-memory/terms", async (
+            IVectorMemoryService vectorMemory,
+            VectorUserTermRequest request,
+            CancellationToken cancellationToken) =>
+        {
+            if (string.IsNullOrWhiteSpace(request.UserTerm) || string.IsNullOrWhiteSpace(request.TargetPath))
+                return Results.BadRequest(new ErrorResponse("User term and target path are required"));
+
+            var entry = await vectorMemory.AddUserTermAsync(request.UserTerm, request.TargetPath, request.Description, cancellationToken);
+            return Results.Ok(entry);
+        }).WithName("AddVectorUserTerm");
+
+        // PUT /api/v1/vector-memory/terms/{id} - Edit a user-term mapping
+        app.MapPut("/api/v1/vector-memory/terms/{id}", async (
+            IVectorMemoryService vectorMemory,
+            string id,
+            VectorUserTermRequest request,
+            CancellationToken cancellationToken) =>
+        {
+            if (string.IsNullOrWhiteSpace(request.UserTerm) || string.IsNullOrWhiteSpace(request.TargetPath))
+                return Results.BadRequest(new ErrorResponse("User term and target path are required"));
+
+            var entry = await vectorMemory.UpdateUserTermAsync(id, request.UserTerm, request.TargetPath, request.Description, cancellationToken);
+            return entry == null
+                ? Results.NotFound(new ErrorResponse($"User term {id} not found"))
+                : Results.Ok(entry);
+        }).WithName("UpdateVectorUserTerm");
+
+        // DELETE /api/v1/vector-memory/terms/{id} - Delete a user-term mapping
+        app.MapDelete("/api/v1/vector-memory/terms/{id}", async (
+            IVectorMemoryService vectorMemory,
+            string id,
+            CancellationToken cancellationToken) =>
+        {
+            var deleted = await vectorMemory.DeleteUserTermAsync(id, cancellationToken);
+            return deleted
+                ? Results.Ok(new OK("User term deleted"))
+                : Results.NotFound(new ErrorResponse($"User term {id} not found"));
+        }).WithName("DeleteVectorUserTerm");
+
+        // POST /api/v1/vector-memory/conversations - Add a conversation entry
+        app.MapPost("/api/v1/vector-memory/conversations", async (
+            IVectorMemoryService vectorMemory,
+            VectorConversationRequest request,
+            CancellationToken cancellationToken) =>
+        {
+            if (string.IsNullOrWhiteSpace(request.Role) || string.IsNullOrWhiteSpace(request.Content))
+                return Results.BadRequest(new ErrorResponse("Role and content are required"));
+
+            var entry = await vectorMemory.AddConversationAsync(request.Role, request.Content, request.ProjectPath, cancellationToken);
+            return Results.Ok(entry);
+        }).WithName("AddVectorConversation");
+
+        // PUT /api/v1/vector-memory/conversations/{id} - Edit a conversation entry
+        app.MapPut("/api/v1/vector-memory/conversations/{id}", async (
+            IVectorMemoryService vectorMemory,
+            string id,
+            VectorConversationRequest request,
+            CancellationToken cancellationToken) =>
+        {
+            if (string.IsNullOrWhiteSpace(request.Role) || string.IsNullOrWhiteSpace(request.Content))
+                return Results.BadRequest(new ErrorResponse("Role and content are required"));
+
+            var entry = await vectorMemory.UpdateConversationAsync(id, request.Role, request.Content, request.ProjectPath, cancellationToken);
+            return entry == null
+                ? Results.NotFound(new ErrorResponse($"Conversation entry {id} not found"))
+                : Results.Ok(entry);
+        }).WithName("UpdateVectorConversation");
+
+        // DELETE /api/v1/vector-memory/conversations/{id} - Delete a conversation entry
+        app.MapDelete("/api/v1/vector-memory/conversations/{id}", async (
+            IVectorMemoryService vectorMemory,
+            string id,
+            CancellationToken cancellationToken) =>
+        {
+            var deleted = await vectorMemory.DeleteConversationAsync(id, cancellationToken);
+            return deleted
+                ? Results.Ok(new OK("Conversation entry deleted"))
+                : Results.NotFound(new ErrorResponse($"Conversation entry {id} not found"));
+        }).WithName("DeleteVectorConversation");
+    }
+}
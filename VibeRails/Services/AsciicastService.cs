@@ -0,0 +1,197 @@
+using System.Globalization;
+using System.Text;
+using System.Text.Json;
+using VibeRails.DTOs;
+
+namespace VibeRails.Services
+{
+    public record AsciicastOutputEvent(double Time, string Data);
+
+    public record AsciicastRecording(
+        int Width,
+        int Height,
+        DateTime StartedUTC,
+        string? Title,
+        IReadOnlyDictionary<string, string> Env,
+        List<AsciicastOutputEvent> Events
+    );
+
+    /// <summary>
+    /// Reads and writes asciinema asciicast v2 recordings (newline-delimited JSON:
+    /// a header object followed by [time, code, data] event arrays).
+    /// </summary>
+    public static class AsciicastService
+    {
+        public const int DefaultWidth = 120;
+        public const int DefaultHeight = 30;
+
+        // Bounds of DateTimeOffset.FromUnixTimeSeconds
+        private const long MinUnixSeconds = -62_135_596_800;
+        private const long MaxUnixSeconds = 253_402_300_799;
+
+        // VibeRails session metadata travels in the header env map so round-trips keep it.
+        public const string CliEnvKey = "VIBERAILS_CLI";
+        public const string EnvironmentEnvKey = "VIBERAILS_ENV";
+        public const string WorkingDirectoryEnvKey = "VIBERAILS_WORKDIR";
+        public const string ExitCodeEnvKey = "VIBERAILS_EXIT_CODE";
+
+        public static string Serialize(SessionWithLogsResponse session, int width = DefaultWidth, int height = DefaultHeight)
+        {
+            var info = session.Session;
+            var started = info.StartedUTC.ToUniversalTime();
+            var builder = new StringBuilder();
+
+            using (var stream = new MemoryStream())
+            {
+                using (var writer = new Utf8JsonWriter(stream))
+                {
+                    writer.WriteStartObject();
+                    writer.WriteNumber("version", 2);
+                    writer.WriteNumber("width", width);
+                    writer.WriteNumber("height", height);
+                    writer.WriteNumber("timestamp", new DateTimeOffset(started).ToUnixTimeSeconds());
+                    writer.WriteString("title", $"{info.Cli} - {info.WorkingDirectory}");
+                    writer.WriteStartObject("env");
+                    writer.WriteString("TERM", "xterm-256color");
+                    writer.WriteString(CliEnvKey, info.Cli);
+                    writer.WriteString(WorkingDirectoryEnvKey, info.WorkingDirectory);
+                    if (!string.IsNullOrEmpty(info.EnvironmentName))
+                        writer.WriteString(EnvironmentEnvKey, info.EnvironmentName);
+                    if (info.ExitCode.HasValue)
+                        writer.WriteString(ExitCodeEnvKey, info.ExitCode.Value.ToString(CultureInfo.InvariantCulture));
+                    writer.WriteEndObject();
+                    writer.WriteEndObject();
+                }
+                builder.Append(Encoding.UTF8.GetString(stream.ToArray())).Append('\n');
+            }
+
+            foreach (var log in session.Logs)
+            {
+                var offset = Math.Max(0, (log.Timestamp.ToUniversalTime() - started).TotalSeconds);
+
+                using var stream = new MemoryStream();
+                using (var writer = new Utf8JsonWriter(stream))
+                {
+                    writer.WriteStartArray();
+                    writer.WriteRawValue(offset.ToString("0.000000", CultureInfo.InvariantCulture));
+                    writer.WriteStringValue("o");
+                    writer.WriteStringValue(log.Content);
+                    writer.WriteEndArray();
+                }
+                builder.Append(Encoding.UTF8.GetString(stream.ToArray())).Append('\n');
+            }
+
+            return builder.ToString();
+        }
+
+        public static AsciicastRecording Parse(string content)
+        {
+            if (string.IsNullOrWhiteSpace(content))
+                throw new FormatException("Recording is empty.");
+
+            using var lines = new StringReader(content);
+            var headerLine = ReadNextNonEmptyLine(lines)
+                ?? throw new FormatException("Recording is missing its header line.");
+
+            int width, height;
+            DateTime startedUtc;
+            string? title = null;
+            var env = new Dictionary<string, string>();
+
+            try
+            {
+                using var header = JsonDocument.Parse(headerLine);
+                var root = header.RootElement;
+                if (root.ValueKind != JsonValueKind.Object)
+                    throw new FormatException("Recording header must be a JSON object.");
+
+                if (!root.TryGetProperty("version", out var version) || version.GetInt32() != 2)
+                    throw new FormatException("Only asciicast version 2 recordings are supported.");
+
+                width = root.TryGetProperty("width", out var w) ? w.GetInt32() : DefaultWidth;
+                height = root.TryGetProperty("height", out var h) ? h.GetInt32() : DefaultHeight;
+                if (root.TryGetProperty("timestamp", out var ts))
+                {
+                    var seconds = ts.GetInt64();
+                    if (seconds < MinUnixSeconds || seconds > MaxUnixSeconds)
+                        throw new FormatException("Recording header timestamp is out of range.");
+                    startedUtc = DateTimeOffset.FromUnixTimeSeconds(seconds).UtcDateTime;
+                }
+                else
+                {
+                    startedUtc = DateTime.UtcNow;
+                }
+
+                if (root.TryGetProperty("title", out var t) && t.ValueKind == JsonValueKind.String)
+                    title = t.GetString();
+
+                if (root.TryGetProperty("env", out var envElement) && envElement.ValueKind == JsonValueKind.Object)
+                {
+                    foreach (var property in envElement.EnumerateObject())
+                    {
+                        if (property.Value.ValueKind == JsonValueKind.String)
+                            env[property.Name] = property.Value.GetString() ?? "";
+                    }
+                }
+            }
+            catch (JsonException ex)
+            {
+                throw new FormatException($"Recording header is not valid JSON: {ex.Message}");
+            }
+            catch (InvalidOperationException)
+            {
+                throw new FormatException("Recording header has unexpected value types.");
+            }
+
+            var events = new List<AsciicastOutputEvent>();
+            var lineNumber = 1;
+            string? line;
+            while ((line = lines.ReadLine()) != null)
+            {
+                lineNumber++;
+                if (string.IsNullOrWhiteSpace(line))
+                    continue;
+
+                try
+                {
+                    using var doc = JsonDocument.Parse(line);
+                    var item = doc.RootElement;
+                    if (item.ValueKind != JsonValueKind.Array || item.GetArrayLength() < 3)
+                        throw new FormatException($"Line {lineNumber}: expected [time, code, data].");
+
+                    // Only output events are replayable; input, marker and resize events are skipped.
+                    if (item[1].GetString() != "o")
+                        continue;
+
+                    // Importers add the time to the header timestamp, so it has to land before DateTime.MaxValue
+                    var time = item[0].GetDouble();
+                    if (time > (DateTime.MaxValue - startedUtc).TotalSeconds)
+                        throw new FormatException($"Line {lineNumber}: event time is out of range.");
+
+                    events.Add(new AsciicastOutputEvent(time, item[2].GetString() ?? ""));
+                }
+                catch (JsonException ex)
+                {
+                    throw new FormatException($"Line {lineNumber}: {ex.Message}");
+                }
+                catch (InvalidOperationException)
+                {
+                    throw new FormatException($"Line {lineNumber}: unexpected value types in event.");
+                }
+            }
+
+            return new AsciicastRecording(width, height, startedUtc, title, env, events);
+        }
+
+        private static string? ReadNextNonEmptyLine(StringReader reader)
+        {
+            string? line;
+            while ((line = reader.ReadLine()) != null)
+            {
+                if (!string.IsNullOrWhiteSpace(line))
+                    return line.TrimStart('\uFEFF');
+            }
+            return null;
+        }
+    }
+}
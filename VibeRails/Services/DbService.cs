@@ -10,11 +10,28 @@ namespace VibeRails.Services
     // Safe for multi-thread and multi-process access.
     public class DbService : IDbService
     {
+        // Each SessionLogs row keeps this many characters from the end of the session's previous row,
+        // so search finds terms up to this length that were split across two batches
+        private const int SearchOverlapLength = 256;
+
+        // Inserts a SessionLogs row along with the tail of the session's previous row
+        private const string InsertSessionLogSql = """
+            INSERT INTO SessionLogs (SessionId, Timestamp, Content, IsError, SearchOverlap)
+            VALUES ($sessionId, $timestamp, $content, $isError, COALESCE(
+                (SELECT substr(p.Content, -$overlapLength) FROM SessionLogs p WHERE p.SessionId = $sessionId ORDER BY p.Id DESC LIMIT 1),
+                ''));
+            """;
+
         private readonly string _connectionString;
 
         public DbService()
+            : this($"Data Source={ParserConfigs.GetStatePath()};Mode=ReadWriteCreate;Cache=Shared")
         {
-            _connectionString = $"Data Source={ParserConfigs.GetStatePath()};Mode=ReadWriteCreate;Cache=Shared";
+        }
+
+        internal DbService(string connectionString)
+        {
+            _connectionString = connectionString;
         }
 
         public void InitializeDatabase()
@@ -51,6 +68,7 @@ namespace VibeRails.Services
                     Timestamp TEXT NOT NULL,
                     Content TEXT NOT NULL,
                     IsError INTEGER NOT NULL DEFAULT 0,
+                    SearchOverlap TEXT NOT NULL DEFAULT '',
                     FOREIGN KEY (SessionId) REFERENCES Sessions(Id)
                 )
                 """,
@@ -103,7 +121,19 @@ namespace VibeRails.Services
                 """,
                 "CREATE INDEX IF NOT EXISTS idx_claude_plans_session ON ClaudePlans(SessionId)",
                 "CREATE INDEX IF NOT EXISTS idx_claude_plans_status ON ClaudePlans(Status)",
-                "CREATE INDEX IF NOT EXISTS idx_claude_plans_created ON ClaudePlans(CreatedUTC DESC)"
+                "CREATE INDEX IF NOT EXISTS idx_claude_plans_created ON ClaudePlans(CreatedUTC DESC)",
+                // Checklist tick state for steps parsed from plan markdown
+                """
+                CREATE TABLE IF NOT EXISTS ClaudePlanSteps (
+                    PlanId INTEGER NOT NULL,
+                    StepIndex INTEGER NOT NULL,
+                    StepText TEXT NOT NULL,
+                    Completed INTEGER NOT NULL DEFAULT 0,
+                    UpdatedUTC TEXT NOT NULL,
+                    PRIMARY KEY (PlanId, StepIndex),
+                    FOREIGN KEY (PlanId) REFERENCES ClaudePlans(Id)
+                )
+                """
             };
 
             foreach (var sql in statements)
@@ -112,6 +142,18 @@ namespace VibeRails.Services
                 cmd.CommandText = sql;
                 cmd.ExecuteNonQuery();
             }
+
+            // Databases created before SearchOverlap existed get the column; their old rows keep an empty overlap
+            using (var columnCmd = connection.CreateCommand())
+            {
+                columnCmd.CommandText = "SELECT COUNT(*) FROM pragma_table_info('SessionLogs') WHERE name = 'SearchOverlap';";
+                if (Convert.ToInt32(columnCmd.ExecuteScalar()) == 0)
+                {
+                    using var alterCmd = connection.CreateCommand();
+                    alterCmd.CommandText = "ALTER TABLE SessionLogs ADD COLUMN SearchOverlap TEXT NOT NULL DEFAULT '';";
+                    alterCmd.ExecuteNonQuery();
+                }
+            }
         }
 
 
@@ -144,15 +186,13 @@ namespace VibeRails.Services
             await connection.OpenAsync();
 
             await using var cmd = connection.CreateCommand();
-            cmd.CommandText = """
-                INSERT INTO SessionLogs (SessionId, Timestamp, Content, IsError)
-                VALUES ($sessionId, $timestamp, $content, $isError);
-                """;
+            cmd.CommandText = InsertSessionLogSql;
 
             cmd.Parameters.AddWithValue("$sessionId", sessionId);
             cmd.Parameters.AddWithValue("$timestamp", DateTime.UtcNow.ToString("O"));
             cmd.Parameters.AddWithValue("$content", content);
             cmd.Parameters.AddWithValue("$isError", isError ? 1 : 0);
+            cmd.Parameters.AddWithValue("$overlapLength", SearchOverlapLength);
 
             await cmd.ExecuteNonQueryAsync();
         }
@@ -176,6 +216,77 @@ namespace VibeRails.Services
             await cmd.ExecuteNonQueryAsync();
         }
 
+        /// <summary>
+        /// Deletes the output logs of sessions that ended (or, if they never recorded an end, started)
+        /// before <paramref name="olderThanUTC"/>. The sessions and their inputs are kept. Returns the rows removed.
+        /// </summary>
+        public async Task<int> PruneSessionLogsAsync(DateTime olderThanUTC)
+        {
+            await using var connection = new SqliteConnection(_connectionString);
+            await connection.OpenAsync();
+
+            await using var cmd = connection.CreateCommand();
+            cmd.CommandText = """
+                DELETE FROM SessionLogs
+                WHERE SessionId IN (
+                    SELECT Id FROM Sessions WHERE COALESCE(EndedUTC, StartedUTC) < $cutoff);
+                """;
+            cmd.Parameters.AddWithValue("$cutoff", olderThanUTC.ToUniversalTime().ToString("O"));
+
+            return await cmd.ExecuteNonQueryAsync();
+        }
+
+        public async Task ImportSessionAsync(SessionResponse session, List<SessionLogEntry> logs)
+        {
+            await using var connection = new SqliteConnection(_connectionString);
+            await connection.OpenAsync();
+
+            await using var transaction = await connection.BeginTransactionAsync();
+            try
+            {
+                await using (var sessionCmd = connection.CreateCommand())
+                {
+                    sessionCmd.Transaction = (SqliteTransaction)transaction;
+                    sessionCmd.CommandText = """
+                        INSERT INTO Sessions (Id, Cli, EnvironmentName, WorkingDirectory, StartedUTC, EndedUTC, ExitCode)
+                        VALUES ($id, $cli, $envName, $workDir, $startedUTC, $endedUTC, $exitCode);
+                        """;
+                    sessionCmd.Parameters.AddWithValue("$id", session.Id);
+                    sessionCmd.Parameters.AddWithValue("$cli", session.Cli);
+                    sessionCmd.Parameters.AddWithValue("$envName", session.EnvironmentName ?? (object)DBNull.Value);
+                    sessionCmd.Parameters.AddWithValue("$workDir", session.WorkingDirectory);
+                    sessionCmd.Parameters.AddWithValue("$startedUTC", session.StartedUTC.ToUniversalTime().ToString("O"));
+                    sessionCmd.Parameters.AddWithValue("$endedUTC", session.EndedUTC?.ToUniversalTime().ToString("O") ?? (object)DBNull.Value);
+                    sessionCmd.Parameters.AddWithValue("$exitCode", session.ExitCode ?? (object)DBNull.Value);
+                    await sessionCmd.ExecuteNonQueryAsync();
+                }
+
+                await using var logCmd = connection.CreateCommand();
+                logCmd.Transaction = (SqliteTransaction)transaction;
+                logCmd.CommandText = InsertSessionLogSql;
+                logCmd.Parameters.AddWithValue("$sessionId", session.Id);
+                logCmd.Parameters.AddWithValue("$overlapLength", SearchOverlapLength);
+                var timestampParam = logCmd.Parameters.Add("$timestamp", SqliteType.Text);
+                var contentParam = logCmd.Parameters.Add("$content", SqliteType.Text);
+                var isErrorParam = logCmd.Parameters.Add("$isError", SqliteType.Integer);
+
+                foreach (var log in logs)
+                {
+                    timestampParam.Value = log.Timestamp.ToUniversalTime().ToString("O");
+                    contentParam.Value = log.Content;
+                    isErrorParam.Value = log.IsError ? 1 : 0;
+                    await logCmd.ExecuteNonQueryAsync();
+                }
+
+                await transaction.CommitAsync();
+            }
+            catch
+            {
+                await transaction.RollbackAsync();
+                throw;
+            }
+        }
+
         public async Task<SessionWithLogsResponse?> GetSessionWithLogsAsync(string sessionId, CancellationToken cancellationToken)
         {
             await using var connection = new SqliteConnection(_connectionString);
@@ -271,6 +382,160 @@ namespace VibeRails.Services
             return sessions;
         }
 
+        public async Task<SessionSearchResponse> SearchSessionsAsync(SessionSearchQuery query, CancellationToken cancellationToken)
+        {
+            var page = Math.Max(1, query.Page);
+            var pageSize = Math.Clamp(query.PageSize, 1, 100);
+
+            await using var connection = new SqliteConnection(_connectionString);
+            await connection.OpenAsync(cancellationToken);
+
+            var conditions = new List<string>();
+            var parameters = new List<(string Name, object Value)>();
+
+            if (!string.IsNullOrWhiteSpace(query.Cli))
+            {
+                conditions.Add("s.Cli = $cli COLLATE NOCASE");
+                parameters.Add(("$cli", query.Cli.Trim()));
+            }
+            if (!string.IsNullOrWhiteSpace(query.EnvironmentName))
+            {
+                conditions.Add("s.EnvironmentName = $envName");
+                parameters.Add(("$envName", query.EnvironmentName.Trim()));
+            }
+            if (!string.IsNullOrWhiteSpace(query.WorkingDirectory))
+            {
+                conditions.Add("s.WorkingDirectory LIKE $workDir ESCAPE '\\'");
+                parameters.Add(("$workDir", ToContainsPattern(query.WorkingDirectory.Trim())));
+            }
+            if (query.ExitCode.HasValue)
+            {
+                conditions.Add("s.ExitCode = $exitCode");
+                parameters.Add(("$exitCode", query.ExitCode.Value));
+            }
+            switch (query.Status?.Trim().ToLowerInvariant())
+            {
+                case "running":
+                    conditions.Add("s.EndedUTC IS NULL");
+                    break;
+                case "succeeded":
+                    conditions.Add("s.EndedUTC IS NOT NULL AND s.ExitCode = 0");
+                    break;
+                case "failed":
+                    conditions.Add("s.EndedUTC IS NOT NULL AND s.ExitCode <> 0");
+                    break;
+            }
+            if (query.FromUTC.HasValue)
+            {
+                conditions.Add("s.StartedUTC >= $fromUTC");
+                parameters.Add(("$fromUTC", query.FromUTC.Value.ToUniversalTime().ToString("O")));
+            }
+            if (query.ToUTC.HasValue)
+            {
+                conditions.Add("s.StartedUTC <= $toUTC");
+                parameters.Add(("$toUTC", query.ToUTC.Value.ToUniversalTime().ToString("O")));
+            }
+            if (!string.IsNullOrWhiteSpace(query.Search))
+            {
+                // Output is stored in SessionLogs, written in batches by the terminal. Each row is matched on its own
+                // with the tail of the row before it, so a term split across two batches is still found without
+                // joining the whole log. Typed prompts live in UserInputs.
+                conditions.Add("""
+                    (EXISTS (SELECT 1 FROM SessionLogs l WHERE l.SessionId = s.Id AND (l.SearchOverlap || l.Content) LIKE $search ESCAPE '\')
+                     OR EXISTS (SELECT 1 FROM UserInputs u WHERE u.SessionId = s.Id AND u.InputText LIKE $search ESCAPE '\'))
+                    """);
+                parameters.Add(("$search", ToContainsPattern(query.Search.Trim())));
+            }
+
+            var whereClause = conditions.Count > 0 ? "WHERE " + string.Join(" AND ", conditions) : "";
+
+            await using var countCmd = connection.CreateCommand();
+            countCmd.CommandText = $"SELECT COUNT(*) FROM Sessions s {whereClause};";
+            foreach (var (name, value) in parameters)
+                countCmd.Parameters.AddWithValue(name, value);
+
+            var totalCount = Convert.ToInt32(await countCmd.ExecuteScalarAsync(cancellationToken));
+
+            var sessions = new List<SessionResponse>();
+            await using var cmd = connection.CreateCommand();
+            cmd.CommandText = $"""
+                SELECT s.Id, s.Cli, s.EnvironmentName, s.WorkingDirectory, s.StartedUTC, s.EndedUTC, s.ExitCode
+                FROM Sessions s
+                {whereClause}
+                ORDER BY s.StartedUTC DESC
+                LIMIT $limit OFFSET $offset;
+                """;
+            foreach (var (name, value) in parameters)
+                cmd.Parameters.AddWithValue(name, value);
+            cmd.Parameters.AddWithValue("$limit", pageSize);
+            cmd.Parameters.AddWithValue("$offset", (page - 1) * pageSize);
+
+            await using var reader = await cmd.ExecuteReaderAsync(cancellationToken);
+            while (await reader.ReadAsync(cancellationToken))
+            {
+                sessions.Add(ReadSessionResponse(reader));
+            }
+
+            return new SessionSearchResponse(sessions, totalCount, page, pageSize);
+        }
+
+        public async Task<SessionFilterOptionsResponse> GetSessionFilterOptionsAsync(CancellationToken cancellationToken)
+        {
+            await using var connection = new SqliteConnection(_connectionString);
+            await connection.OpenAsync(cancellationToken);
+
+            var clis = new List<string>();
+            await using (var cliCmd = connection.CreateCommand())
+            {
+                cliCmd.CommandText = "SELECT DISTINCT Cli FROM Sessions ORDER BY Cli COLLATE NOCASE;";
+                await using var reader = await cliCmd.ExecuteReaderAsync(cancellationToken);
+                while (await reader.ReadAsync(cancellationToken))
+                {
+                    clis.Add(reader.GetString(0));
+                }
+            }
+
+            var environmentNames = new List<string>();
+            await using (var envCmd = connection.CreateCommand())
+            {
+                envCmd.CommandText = """
+                    SELECT DISTINCT EnvironmentName
+                    FROM Sessions
+                    WHERE EnvironmentName IS NOT NULL AND EnvironmentName <> ''
+                    ORDER BY EnvironmentName COLLATE NOCASE;
+                    """;
+                await using var reader = await envCmd.ExecuteReaderAsync(cancellationToken);
+                while (await reader.ReadAsync(cancellationToken))
+                {
+                    environmentNames.Add(reader.GetString(0));
+                }
+            }
+
+            return new SessionFilterOptionsResponse(clis, environmentNames);
+        }
+
+        private static string ToContainsPattern(string value)
+        {
+            var escaped = value
+                .Replace("\\", "\\\\")
+                .Replace("%", "\\%")
+                .Replace("_", "\\_");
+            return $"%{escaped}%";
+        }
+
+        private static SessionResponse ReadSessionResponse(SqliteDataReader reader)
+        {
+            return new SessionResponse(
+                Id: reader.GetString(0),
+                Cli: reader.GetString(1),
+                EnvironmentName: reader.IsDBNull(2) ? null : reader.GetString(2),
+                WorkingDirectory: reader.GetString(3),
+                StartedUTC: DateTime.Parse(reader.GetString(4), null, System.Globalization.DateTimeStyles.RoundtripKind),
+                EndedUTC: reader.IsDBNull(5) ? null : DateTime.Parse(reader.GetString(5), null, System.Globalization.DateTimeStyles.RoundtripKind),
+                ExitCode: reader.IsDBNull(6) ? null : reader.GetInt32(6)
+            );
+        }
+
         // User input tracking methods
 
         public async Task<UserInputRecord?> GetLastUserInputAsync(string sessionId)
@@ -524,6 +789,74 @@ namespace VibeRails.Services
             await cmd.ExecuteNonQueryAsync();
         }
 
+        public async Task SetPlanStepCompletedAsync(long planId, int stepIndex, string stepText, bool completed)
+        {
+            await using var connection = new SqliteConnection(_connectionString);
+            await connection.OpenAsync();
+
+            await using var cmd = connection.CreateCommand();
+            cmd.CommandText = """
+                INSERT INTO ClaudePlanSteps (PlanId, StepIndex, StepText, Completed, UpdatedUTC)
+                VALUES ($planId, $stepIndex, $stepText, $completed, $updatedUTC)
+                ON CONFLICT(PlanId, StepIndex) DO UPDATE SET
+                    StepText = excluded.StepText,
+                    Completed = excluded.Completed,
+                    UpdatedUTC = excluded.UpdatedUTC;
+                """;
+            cmd.Parameters.AddWithValue("$planId", planId);
+            cmd.Parameters.AddWithValue("$stepIndex", stepIndex);
+            cmd.Parameters.AddWithValue("$stepText", stepText);
+            cmd.Parameters.AddWithValue("$completed", completed ? 1 : 0);
+            cmd.Parameters.AddWithValue("$updatedUTC", DateTime.UtcNow.ToString("O"));
+
+            await cmd.ExecuteNonQueryAsync();
+        }
+
+        public async Task<Dictionary<long, List<PlanStepState>>> GetPlanStepStatesAsync(IReadOnlyCollection<long> planIds, CancellationToken cancellationToken)
+        {
+            var states = new Dictionary<long, List<PlanStepState>>();
+            if (planIds.Count == 0) return states;
+
+            await using var connection = new SqliteConnection(_connectionString);
+            await connection.OpenAsync(cancellationToken);
+
+            await using var cmd = connection.CreateCommand();
+            var placeholders = new List<string>();
+            var index = 0;
+            foreach (var planId in planIds)
+            {
+                var name = $"$planId{index++}";
+                placeholders.Add(name);
+                cmd.Parameters.AddWithValue(name, planId);
+            }
+
+            cmd.CommandText = $"""
+                SELECT PlanId, StepIndex, StepText, Completed
+                FROM ClaudePlanSteps
+                WHERE PlanId IN ({string.Join(", ", placeholders)})
+                ORDER BY PlanId, StepIndex;
+                """;
+
+            await using var reader = await cmd.ExecuteReaderAsync(cancellationToken);
+            while (await reader.ReadAsync(cancellationToken))
+            {
+                var planId = reader.GetInt64(0);
+                if (!states.TryGetValue(planId, out var planStates))
+                {
+                    planStates = new List<PlanStepState>();
+                    states[planId] = planStates;
+                }
+
+                planStates.Add(new PlanStepState(
+                    StepIndex: reader.GetInt32(1),
+                    StepText: reader.GetString(2),
+                    Completed: reader.GetInt32(3) == 1
+                ));
+            }
+
+            return states;
+        }
+
         private static ClaudePlanRecord ReadClaudePlanRecord(SqliteDataReader reader)
         {
             return new ClaudePlanRecord(
@@ -10,6 +10,7 @@ namespace VibeRails.Services
         Task<string?> GetCurrentCommitHashAsync(CancellationToken cancellationToken = default);
         Task<string?> GetCurrentBranchAsync(CancellationToken cancellationToken = default);
         Task<List<FileChangeInfo>> GetFileChangesSinceAsync(string commitHash, CancellationToken cancellationToken = default);
+        Task<string?> GetConfigValueAsync(string key, CancellationToken cancellationToken = default);
     }
 
     public class GitService : IGitService
@@ -86,6 +87,19 @@ namespace VibeRails.Services
             }
         }
 
+        public async Task<string?> GetConfigValueAsync(string key, CancellationToken cancellationToken = default)
+        {
+            try
+            {
+                var value = await RunGitCommandAsync($"config --get {key}", cancellationToken);
+                return string.IsNullOrEmpty(value) ? null : value;
+            }
+            catch
+            {
+                return null;
+            }
+        }
+
         public async Task<string?> GetCurrentBranchAsync(CancellationToken cancellationToken = default)
         {
             try
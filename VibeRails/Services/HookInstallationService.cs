@@ -1,3 +1,4 @@
+using System.Text.RegularExpressions;
 using Microsoft.Extensions.Logging;
 
 namespace VibeRails.Services
@@ -9,6 +10,8 @@ namespace VibeRails.Services
         Task<HookInstallationResult> InstallHooksAsync(string repoPath, CancellationToken cancellationToken);
         Task<HookInstallationResult> UninstallHooksAsync(string repoPath, CancellationToken cancellationToken);
         bool IsHookInstalled(string repoPath);
+        Task<List<HookState>> GetHookStatesAsync(string repoPath, CancellationToken cancellationToken);
+        string? ResolveHookCommand(string repoPath);
     }
 
     public class HookInstallationService : IHookInstallationService
@@ -18,6 +21,14 @@ namespace VibeRails.Services
         private const string END_MARKER = "# End Vibe Rails Hook";
         private const string HOOK_MARKER = "# Vibe Rails Pre-Commit Hook"; // Legacy compatibility
 
+        private static readonly (string Name, string Marker, string Script)[] ManagedHooks =
+        [
+            ("pre-commit", PRE_COMMIT_MARKER, "pre-commit-hook.sh"),
+            ("commit-msg", COMMIT_MSG_MARKER, "commit-msg-hook.sh")
+        ];
+
+        private static readonly Regex TopLevelExitRegex = new(@"^exit\b", RegexOptions.Multiline | RegexOptions.Compiled);
+
         private readonly ILogger<HookInstallationService> _logger;
 
         public HookInstallationService(ILogger<HookInstallationService> logger)
@@ -46,6 +57,111 @@ namespace VibeRails.Services
             return content.Contains(HOOK_MARKER);
         }
 
+        public async Task<List<HookState>> GetHookStatesAsync(string repoPath, CancellationToken cancellationToken)
+        {
+            var states = new List<HookState>();
+            foreach (var (name, marker, script) in ManagedHooks)
+            {
+                var hookPath = Path.Combine(repoPath, ".git", "hooks", name);
+                var content = File.Exists(hookPath) ? await File.ReadAllTextAsync(hookPath, cancellationToken) : "";
+                content = content.Replace("\r\n", "\n");
+
+                var section = ExtractHookSection(content, marker);
+                var foreign = (section == null ? content : content.Replace(section, "")).Trim();
+                if (foreign == "#!/bin/sh")
+                    foreign = "";
+
+                var bundled = await LoadHookScriptAsync(script);
+                var bundledSection = bundled == null ? null : ExtractHookSection(bundled.Replace("\r\n", "\n"), marker);
+
+                string? interpreter = null;
+                string? warning = null;
+                if (foreign.Length > 0)
+                {
+                    var firstLine = foreign.Split('\n', 2)[0].Trim();
+                    interpreter = firstLine.StartsWith("#!") ? firstLine[2..].Trim() : null;
+
+                    if (interpreter != null && !IsShellInterpreter(interpreter))
+                    {
+                        warning = $"Existing {name} hook runs under '{interpreter}'. Installing appends a shell section, which would break it.";
+                    }
+                    else if (TopLevelExitRegex.IsMatch(ForeignContentBefore(content, section)))
+                    {
+                        warning = $"Existing {name} hook exits before the Vibe Rails section, so validation would never run.";
+                    }
+                }
+
+                states.Add(new HookState
+                {
+                    Name = name,
+                    HookPath = hookPath,
+                    Installed = section != null,
+                    UpToDate = section != null && bundledSection != null && section.Trim() == bundledSection.Trim(),
+                    HasForeignContent = foreign.Length > 0,
+                    ForeignInterpreter = interpreter,
+                    Warning = warning
+                });
+            }
+            return states;
+        }
+
+        /// <summary>
+        /// Resolves the vb executable the hook scripts would run, using the same order as the scripts:
+        /// PATH first, then ./vb or ./vb.exe in the repository root.
+        /// </summary>
+        public string? ResolveHookCommand(string repoPath)
+        {
+            var names = OperatingSystem.IsWindows() ? new[] { "vb.exe", "vb" } : new[] { "vb" };
+            var pathDirs = (Environment.GetEnvironmentVariable("PATH") ?? "")
+                .Split(Path.PathSeparator, StringSplitOptions.RemoveEmptyEntries);
+
+            foreach (var dir in pathDirs)
+            {
+                foreach (var name in names)
+                {
+                    var candidate = Path.Combine(dir.Trim('"'), name);
+                    if (File.Exists(candidate))
+                        return Path.GetFullPath(candidate);
+                }
+            }
+
+            foreach (var name in new[] { "vb", "vb.exe" })
+            {
+                var candidate = Path.Combine(repoPath, name);
+                if (File.Exists(candidate))
+                    return Path.GetFullPath(candidate);
+            }
+
+            return null;
+        }
+
+        private static string? ExtractHookSection(string content, string marker)
+        {
+            var startIndex = content.IndexOf(marker, StringComparison.Ordinal);
+            if (startIndex < 0) return null;
+
+            var endIndex = content.IndexOf(END_MARKER, startIndex, StringComparison.Ordinal);
+            return endIndex < 0
+                ? content[startIndex..]
+                : content[startIndex..(endIndex + END_MARKER.Length)];
+        }
+
+        private static string ForeignContentBefore(string content, string? section)
+        {
+            if (section == null) return content;
+            var index = content.IndexOf(section, StringComparison.Ordinal);
+            return index < 0 ? content : content[..index];
+        }
+
+        private static bool IsShellInterpreter(string interpreter)
+        {
+            var parts = interpreter.Split(' ', StringSplitOptions.RemoveEmptyEntries);
+            var program = Path.GetFileName(parts[0]);
+            if (program == "env" && parts.Length > 1)
+                program = parts[1];
+            return program is "sh" or "bash" or "dash" or "zsh" or "ash";
+        }
+
         public async Task<HookInstallationResult> InstallHooksAsync(string repoPath, CancellationToken cancellationToken)
         {
             _logger.LogInformation("Installing all hooks for repository: {RepoPath}", repoPath);
@@ -0,0 +1,16 @@
+namespace VibeRails.Services
+{
+    /// <summary>
+    /// What is on disk for a single git hook, relative to the script Vibe Rails would install.
+    /// </summary>
+    public class HookState
+    {
+        public string Name { get; init; } = "";
+        public string HookPath { get; init; } = "";
+        public bool Installed { get; init; }
+        public bool UpToDate { get; init; }
+        public bool HasForeignContent { get; init; }
+        public string? ForeignInterpreter { get; init; }
+        public string? Warning { get; init; }
+    }
+}
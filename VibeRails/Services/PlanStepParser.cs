@@ -0,0 +1,86 @@
+using System.Text.RegularExpressions;
+
+namespace VibeRails.Services
+{
+    public record PlanStepDefinition(int Index, string Text, int Depth, bool InitiallyChecked);
+
+    /// <summary>
+    /// Extracts checklist steps from plan markdown. Task-list items win when present,
+    /// then numbered items/headings, then plain bullets. Fenced code is ignored.
+    /// </summary>
+    public static partial class PlanStepParser
+    {
+        [GeneratedRegex(@"^(\s*)[-*+]\s+\[([ xX])\]\s+(.+?)\s*$")]
+        private static partial Regex TaskItemRegex();
+
+        [GeneratedRegex(@"^(\s*)\d+[.)]\s+(.+?)\s*$")]
+        private static partial Regex OrderedItemRegex();
+
+        [GeneratedRegex(@"^(\s*)[-*+]\s+(.+?)\s*$")]
+        private static partial Regex BulletItemRegex();
+
+        [GeneratedRegex(@"^#{2,6}\s+(?:step\s+|phase\s+)?\d+[.):]?\s+(.+?)\s*#*\s*$", RegexOptions.IgnoreCase)]
+        private static partial Regex NumberedHeadingRegex();
+
+        [GeneratedRegex(@"^\s*(```|~~~)")]
+        private static partial Regex FenceRegex();
+
+        public static List<PlanStepDefinition> Parse(string? markdown)
+        {
+            var tasks = new List<(string Text, int Depth, bool Checked)>();
+            var numbered = new List<(string Text, int Depth, bool Checked)>();
+            var bullets = new List<(string Text, int Depth, bool Checked)>();
+
+            if (string.IsNullOrWhiteSpace(markdown))
+                return [];
+
+            var inFence = false;
+            foreach (var rawLine in markdown.Replace("\r\n", "\n").Split('\n'))
+            {
+                if (FenceRegex().IsMatch(rawLine))
+                {
+                    inFence = !inFence;
+                    continue;
+                }
+                if (inFence)
+                    continue;
+
+                var line = rawLine.Replace("\t", "    ");
+
+                var task = TaskItemRegex().Match(line);
+                if (task.Success)
+                {
+                    tasks.Add((task.Groups[3].Value, GetDepth(task.Groups[1].Value), task.Groups[2].Value != " "));
+                    continue;
+                }
+
+                var heading = NumberedHeadingRegex().Match(line);
+                if (heading.Success)
+                {
+                    numbered.Add((heading.Groups[1].Value, 0, false));
+                    continue;
+                }
+
+                var ordered = OrderedItemRegex().Match(line);
+                if (ordered.Success)
+                {
+                    numbered.Add((ordered.Groups[2].Value, GetDepth(ordered.Groups[1].Value), false));
+                    continue;
+                }
+
+                var bullet = BulletItemRegex().Match(line);
+                if (bullet.Success)
+                {
+                    bullets.Add((bullet.Groups[2].Value, GetDepth(bullet.Groups[1].Value), false));
+                }
+            }
+
+            var chosen = tasks.Count > 0 ? tasks : numbered.Count > 0 ? numbered : bullets;
+            return chosen
+                .Select((step, index) => new PlanStepDefinition(index, step.Text, step.Depth, step.Checked))
+                .ToList();
+        }
+
+        private static int GetDepth(string indent) => Math.Min(indent.Length / 2, 4);
+    }
+}
@@ -0,0 +1,123 @@
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using VibeRails.DTOs;
+using VibeRails.Utils;
+
+namespace VibeRails.Services;
+
+public interface IPromptLibraryService
+{
+    List<PromptTemplate> GetPersonalPrompts();
+    List<PromptTemplate> GetProjectPrompts(string projectRoot);
+    List<PromptTemplate> SavePersonalPrompts(List<PromptTemplate> prompts);
+    List<PromptTemplate> SaveProjectPrompts(string projectRoot, List<PromptTemplate> prompts);
+}
+
+/// <summary>
+/// Reusable terminal prompts. Personal prompts live in ~/.vibe_rails/prompts.json; project prompts
+/// live in .vibe_rails/prompts.json at the repository root so a team can check them in and share them.
+/// {{variables}} in a prompt body are left as written; the terminal palette fills them in.
+/// </summary>
+public sealed class PromptLibraryService : IPromptLibraryService
+{
+    public const int MaxPrompts = 200;
+    public const int MaxBodyLength = 20_000;
+
+    // Indented and lightly escaped so the checked-in project file diffs and merges line by line
+    private static readonly PromptFileJsonContext s_json = new(new JsonSerializerOptions
+    {
+        WriteIndented = true,
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    });
+
+    private readonly Lock _lock = new();
+    private readonly string _personalPath;
+
+    public PromptLibraryService()
+        : this(Path.Combine(PathConstants.GetInstallDirPath(), PathConstants.PROMPTS_FILENAME))
+    {
+    }
+
+    public PromptLibraryService(string personalPath)
+    {
+        _personalPath = personalPath;
+    }
+
+    public static string GetProjectFilePath(string projectRoot) =>
+        Path.Combine(projectRoot, PathConstants.DEFAULT_INSTALL_DIR_NAME, PathConstants.PROMPTS_FILENAME);
+
+    public List<PromptTemplate> GetPersonalPrompts() => Read(_personalPath);
+
+    public List<PromptTemplate> GetProjectPrompts(string projectRoot) => Read(GetProjectFilePath(projectRoot));
+
+    public List<PromptTemplate> SavePersonalPrompts(List<PromptTemplate> prompts) => Write(_personalPath, prompts);
+
+    public List<PromptTemplate> SaveProjectPrompts(string projectRoot, List<PromptTemplate> prompts) =>
+        Write(GetProjectFilePath(projectRoot), prompts);
+
+    private List<PromptTemplate> Read(string path)
+    {
+        lock (_lock)
+        {
+            if (!File.Exists(path)) return [];
+            try
+            {
+                var file = JsonSerializer.Deserialize(File.ReadAllText(path), s_json.PromptLibraryFile);
+                return file?.Prompts ?? [];
+            }
+            catch (JsonException)
+            {
+                // A bad merge in the checked-in file shouldn't take the palette down with it
+                return [];
+            }
+        }
+    }
+
+    /// <summary>
+    /// Replaces the prompts in one file. Names are trimmed and prompts without an id get one.
+    /// Throws <see cref="InvalidOperationException"/> describing the first invalid prompt.
+    /// </summary>
+    private List<PromptTemplate> Write(string path, List<PromptTemplate> prompts)
+    {
+        if (prompts.Count > MaxPrompts)
+            throw new InvalidOperationException($"At most {MaxPrompts} prompts can be saved in one library.");
+
+        var ids = new HashSet<string>();
+        var normalized = prompts.Select(prompt => Normalize(prompt, ids)).ToList();
+
+        lock (_lock)
+        {
+            Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+            File.WriteAllText(path, JsonSerializer.Serialize(new PromptLibraryFile(normalized), s_json.PromptLibraryFile) + Environment.NewLine);
+        }
+        return normalized;
+    }
+
+    private static PromptTemplate Normalize(PromptTemplate prompt, HashSet<string> ids)
+    {
+        var name = prompt.Name?.Trim() ?? "";
+        var body = prompt.Body ?? "";
+        var description = string.IsNullOrWhiteSpace(prompt.Description) ? null : prompt.Description.Trim();
+
+        if (name.Length == 0)
+            throw new InvalidOperationException("Every prompt needs a name.");
+        if (body.Trim().Length == 0)
+            throw new InvalidOperationException($"Prompt \"{name}\" is empty.");
+        if (body.Length > MaxBodyLength)
+            throw new InvalidOperationException($"Prompt \"{name}\" is longer than {MaxBodyLength} characters.");
+
+        var id = string.IsNullOrWhiteSpace(prompt.Id) || ids.Contains(prompt.Id) ? Guid.NewGuid().ToString("N")[..12] : prompt.Id;
+        ids.Add(id);
+
+        return new PromptTemplate(id, name, body, description);
+    }
+}
+
+[JsonSerializable(typeof(PromptLibraryFile))]
+internal partial class PromptFileJsonContext : JsonSerializerContext
+{
+}
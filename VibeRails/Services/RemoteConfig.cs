@@ -9,6 +9,19 @@ namespace VibeRails.Services;
 /// </summary>
 public static class RemoteConfig
 {
+    public const int MaxIdleLockMinutes = 24 * 60;
+
+    // Consecutive wrong PINs from one client before it is refused for a while; each lockout
+    // after that lasts twice as long as the one before, up to PinLockoutMax
+    private const int MaxFailedPinAttempts = 5;
+    private const int MaxTrackedPinClients = 256;
+    private static readonly TimeSpan PinLockoutBase = TimeSpan.FromSeconds(30);
+    private static readonly TimeSpan PinLockoutMax = TimeSpan.FromHours(1);
+
+    private static readonly object _attemptLock = new();
+    private static readonly Dictionary<string, PinAttempts> _pinAttempts = new(StringComparer.Ordinal);
+    private static volatile bool _locked;
+
     /// <summary>
     /// True when remote access is enabled, an API key is configured, and a PIN is set.
     /// Use this everywhere instead of inline checks.
@@ -36,6 +49,111 @@ public static class RemoteConfig
         return Hasher.Verify(input, s.PinSalt, s.PinHash);
     }
 
+    /// <summary>
+    /// VerifyPin with brute-force protection per client: after MaxFailedPinAttempts wrong guesses
+    /// from <paramref name="clientKey"/> (its IP address) every attempt it makes is rejected until the
+    /// lockout expires, and each repeat lockout doubles. retryAfterSeconds is non-zero while locked out.
+    /// </summary>
+    public static bool TryVerifyPin(string input, string clientKey, out int retryAfterSeconds)
+    {
+        lock (_attemptLock)
+        {
+            var now = DateTime.UtcNow;
+            if (_pinAttempts.TryGetValue(clientKey, out var attempts) && attempts.LockedUntilUtc > now)
+            {
+                retryAfterSeconds = (int)Math.Ceiling((attempts.LockedUntilUtc - now).TotalSeconds);
+                return false;
+            }
+
+            if (VerifyPin(input))
+            {
+                _pinAttempts.Remove(clientKey);
+                retryAfterSeconds = 0;
+                return true;
+            }
+
+            if (attempts == null)
+            {
+                PruneIdlePinClients(now);
+                attempts = new PinAttempts();
+                _pinAttempts[clientKey] = attempts;
+            }
+
+            attempts.LastFailureUtc = now;
+            attempts.Failures++;
+            if (attempts.Failures >= MaxFailedPinAttempts)
+            {
+                var lockout = PinLockoutBase * Math.Pow(2, Math.Min(attempts.Lockouts, 16));
+                if (lockout > PinLockoutMax) lockout = PinLockoutMax;
+                attempts.Failures = 0;
+                attempts.Lockouts++;
+                attempts.LockedUntilUtc = now + lockout;
+                retryAfterSeconds = (int)lockout.TotalSeconds;
+                return false;
+            }
+
+            retryAfterSeconds = 0;
+            return false;
+        }
+    }
+
+    // Forgets clients that haven't guessed wrong for a while, so the table can't grow without bound
+    private static void PruneIdlePinClients(DateTime now)
+    {
+        if (_pinAttempts.Count < MaxTrackedPinClients)
+            return;
+
+        foreach (var (key, attempts) in _pinAttempts.ToList())
+        {
+            if (attempts.LockedUntilUtc <= now && now - attempts.LastFailureUtc > PinLockoutMax)
+                _pinAttempts.Remove(key);
+        }
+
+        // Still full of active guessers: drop the stalest rather than refuse to track new ones
+        while (_pinAttempts.Count >= MaxTrackedPinClients)
+            _pinAttempts.Remove(_pinAttempts.MinBy(pair => pair.Value.LastFailureUtc).Key);
+    }
+
+    /// <summary>
+    /// True while the dashboard lock screen is up. CookieAuthMiddleware refuses API, WebSocket
+    /// and SSE requests until the PIN is verified. Lives in memory, so a restart starts unlocked.
+    /// </summary>
+    public static bool IsLocked => _locked && IsPinConfigured;
+
+    /// <summary>
+    /// Raised when the lock engages. Terminal sockets, trace streams and relay viewers that were
+    /// opened before the lock subscribe to this and disconnect, since the middleware only sees new requests.
+    /// </summary>
+    public static event Action? Locked;
+
+    public static void Lock()
+    {
+        if (!IsPinConfigured)
+            return;
+
+        _locked = true;
+        NotifyLocked();
+    }
+
+    internal static void NotifyLocked() => Locked?.Invoke();
+
+    /// <summary>
+    /// Lifts the lock. Only the verify route calls this, after a correct PIN.
+    /// </summary>
+    public static void Unlock() => _locked = false;
+
+    /// <summary>
+    /// Minutes of inactivity before the dashboard lock screen comes back. 0 disables auto-lock.
+    /// </summary>
+    public static int IdleLockMinutes => Math.Clamp(Config.Load().PinIdleLockMinutes, 0, MaxIdleLockMinutes);
+
+    public static void SetIdleLockMinutes(int minutes)
+    {
+        var s = Config.Load();
+        s.PinIdleLockMinutes = Math.Clamp(minutes, 0, MaxIdleLockMinutes);
+        Config.Save(s);
+    }
+
     public static void SetPin(string pin)
     {
         var (salt, hash) = Hasher.Hash(pin);
@@ -51,5 +169,14 @@ public static class RemoteConfig
         s.PinHash = string.Empty;
         s.PinSalt = string.Empty;
         Config.Save(s);
+        _locked = false;
+    }
+
+    private sealed class PinAttempts
+    {
+        public int Failures;
+        public int Lockouts;
+        public DateTime LockedUntilUtc;
+        public DateTime LastFailureUtc;
     }
 }
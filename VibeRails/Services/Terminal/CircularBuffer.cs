@@ -3,6 +3,8 @@ namespace VibeRails.Services.Terminal;
 /// <summary>
 /// Circular buffer for storing the last N bytes of terminal output.
 /// Thread-safe via lock-based synchronization.
+/// Every byte also has a stream offset (bytes appended before it) so a viewer can resume
+/// from the last byte it received instead of replaying the whole buffer.
 /// </summary>
 internal sealed class CircularBuffer
 {
@@ -10,6 +12,7 @@ internal sealed class CircularBuffer
     private readonly int _capacity;
     private int _start;
     private int _count;
+    private long _endOffset;
     private readonly Lock _lock = new();
 
     public CircularBuffer(int capacity)
@@ -18,6 +21,20 @@ internal sealed class CircularBuffer
         _buffer = new byte[capacity];
     }
 
+    /// <summary>
+    /// Stream offset just past the newest byte, i.e. the total number of bytes ever appended.
+    /// </summary>
+    public long EndOffset
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _endOffset;
+            }
+        }
+    }
+
     /// <summary>
     /// Append data to the buffer. If buffer is full, oldest data is overwritten.
     /// </summary>
@@ -39,6 +56,7 @@ internal sealed class CircularBuffer
                     _start = (_start + 1) % _capacity;
                 }
             }
+            _endOffset += data.Length;
         }
     }
 
@@ -60,6 +78,28 @@ internal sealed class CircularBuffer
         }
     }
 
+    /// <summary>
+    /// Get the buffered data from <paramref name="offset"/> onwards. When that offset has already
+    /// been overwritten, returns everything still buffered; <paramref name="startOffset"/> is the
+    /// offset of the first returned byte either way.
+    /// </summary>
+    public byte[] GetDataFrom(long offset, out long startOffset)
+    {
+        lock (_lock)
+        {
+            startOffset = Math.Clamp(offset, _endOffset - _count, _endOffset);
+            var length = (int)(_endOffset - startOffset);
+            var skip = _count - length;
+
+            var result = new byte[length];
+            for (int i = 0; i < length; i++)
+            {
+                result[i] = _buffer[(_start + skip + i) % _capacity];
+            }
+            return result;
+        }
+    }
+
     /// <summary>
     /// Clear the buffer.
     /// </summary>
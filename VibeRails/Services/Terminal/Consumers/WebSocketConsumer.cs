@@ -1,3 +1,4 @@
+using System.Buffers.Binary;
 using System.Net.WebSockets;
 using System.Threading.Channels;
 
@@ -6,6 +7,9 @@ namespace VibeRails.Services.Terminal.Consumers;
 /// <summary>
 /// Sends PTY output to a WebSocket as binary frames. Used by the Web UI terminal path.
 /// Uses a single-writer queue so output frames are sent in-order without concurrent SendAsync calls.
+/// After <see cref="Resume"/>, every frame starts with the 8-byte big-endian offset of its first
+/// output byte so the viewer can resume after a dropped connection without gaps or repeats.
+/// The socket is aborted when the PIN lock engages, which also ends the viewer's input loop.
 /// </summary>
 public sealed class WebSocketConsumer : ITerminalConsumer, IDisposable
 {
@@ -15,25 +19,62 @@ public sealed class WebSocketConsumer : ITerminalConsumer, IDisposable
     private readonly WebSocket _webSocket;
     private readonly CancellationToken _ct;
     private readonly Task _sendLoop;
+    private long? _nextOffset;
 
     public WebSocketConsumer(WebSocket webSocket, CancellationToken ct)
     {
         _webSocket = webSocket;
         _ct = ct;
         _sendLoop = Task.Run(() => SendLoopAsync());
+        RemoteConfig.Locked += OnLocked;
+    }
+
+    /// <summary>
+    /// Switches to offset-prefixed frames and queues the replay. A header-only frame goes first so the
+    /// viewer learns where the stream restarts even when there is nothing to replay.
+    /// </summary>
+    public void Resume(long startOffset, byte[] replay)
+    {
+        _outbound.Writer.TryWrite(BuildSequencedFrame(startOffset, []));
+        _nextOffset = startOffset;
+        if (replay.Length > 0)
+            OnOutput(replay);
     }
 
     public void OnOutput(ReadOnlyMemory<byte> data)
     {
+        // Offsets count every byte the terminal produced, including ones a closed socket never sends
+        var offset = _nextOffset;
+        if (_nextOffset.HasValue)
+            _nextOffset += data.Length;
+
         if (_webSocket.State != WebSocketState.Open || _ct.IsCancellationRequested)
             return;
 
-        _outbound.Writer.TryWrite(data.ToArray());
+        _outbound.Writer.TryWrite(offset.HasValue ? BuildSequencedFrame(offset.Value, data.Span) : data.ToArray());
+    }
+
+    /// <summary>
+    /// Prefixes output with the stream offset of its first byte.
+    /// </summary>
+    public static byte[] BuildSequencedFrame(long offset, ReadOnlySpan<byte> data)
+    {
+        var frame = new byte[TerminalControlProtocol.OutputOffsetHeaderBytes + data.Length];
+        BinaryPrimitives.WriteInt64BigEndian(frame, offset);
+        data.CopyTo(frame.AsSpan(TerminalControlProtocol.OutputOffsetHeaderBytes));
+        return frame;
     }
 
     public void Dispose()
+    {
+        RemoteConfig.Locked -= OnLocked;
+        _outbound.Writer.TryComplete();
+    }
+
+    private void OnLocked()
     {
         _outbound.Writer.TryComplete();
+        _webSocket.Abort();
     }
 
     private async Task SendLoopAsync()
@@ -14,6 +14,8 @@ public sealed class Terminal : IAsyncDisposable
     private readonly CircularBuffer _outputBuffer;
     private readonly CancellationTokenSource _cts = new();
     private readonly Lock _subscriberLock = new();
+    // Held while output is buffered and dispatched so a resuming viewer can join between two chunks
+    private readonly Lock _outputLock = new();
     private readonly List<ITerminalConsumer> _consumers = [];
     private Task? _readLoop;
     private bool _disposed;
@@ -30,7 +32,8 @@ public sealed class Terminal : IAsyncDisposable
     /// </summary>
     public event EventHandler<int>? Exited;
 
-    private Terminal(IPtyConnection pty, int replayBufferSize, int cols, int rows)
+    // Internal so tests can drive a Terminal over a fake PTY
+    internal Terminal(IPtyConnection pty, int replayBufferSize, int cols, int rows)
     {
         _pty = pty;
         _outputBuffer = new CircularBuffer(replayBufferSize);
@@ -101,6 +104,22 @@ public sealed class Terminal : IAsyncDisposable
         return new Unsubscriber(this, consumer);
     }
 
+    /// <summary>
+    /// Subscribe a consumer that resumes from a stream offset. <paramref name="replay"/> is first given
+    /// the buffered output from that offset (or from the oldest buffered byte, once the offset has been
+    /// overwritten) along with the offset it starts at; the consumer then receives everything after it,
+    /// with no gap or overlap between the two.
+    /// </summary>
+    public IDisposable SubscribeFrom(ITerminalConsumer consumer, long offset, Action<long, byte[]> replay)
+    {
+        lock (_outputLock)
+        {
+            var data = _outputBuffer.GetDataFrom(offset, out var startOffset);
+            replay(startOffset, data);
+            return Subscribe(consumer);
+        }
+    }
+
     /// <summary>
     /// Remove a consumer. Thread-safe.
     /// </summary>
@@ -160,19 +179,7 @@ public sealed class Terminal : IAsyncDisposable
             data = data[..maxSyntheticBytes];
         }
 
-        _outputBuffer.Append(data.Span);
-
-        ITerminalConsumer[] snapshot;
-        lock (_subscriberLock)
-        {
-            snapshot = [.. _consumers];
-        }
-
-        foreach (var consumer in snapshot)
-        {
-            try { consumer.OnOutput(data); }
-            catch { }
-        }
+        Publish(data);
     }
 
     /// <summary>
@@ -216,29 +223,7 @@ public sealed class Terminal : IAsyncDisposable
                 var bytesRead = await _pty.ReaderStream.ReadAsync(buffer.AsMemory(), token);
                 if (bytesRead == 0) break;
 
-                var data = new ReadOnlyMemory<byte>(buffer, 0, bytesRead);
-
-                // Always buffer for replay
-                _outputBuffer.Append(data.Span);
-
-                // Snapshot consumers under lock, iterate outside
-                ITerminalConsumer[] snapshot;
-                lock (_subscriberLock)
-                {
-                    snapshot = [.. _consumers];
-                }
-
-                foreach (var consumer in snapshot)
-                {
-                    try
-                    {
-                        consumer.OnOutput(data);
-                    }
-                    catch (Exception ex)
-                    {
-                        Log.Error(ex, "[Terminal] Consumer error");
-                    }
-                }
+                Publish(new ReadOnlyMemory<byte>(buffer, 0, bytesRead));
             }
         }
         catch (OperationCanceledException) { }
@@ -261,6 +246,34 @@ public sealed class Terminal : IAsyncDisposable
         }
     }
 
+    private void Publish(ReadOnlyMemory<byte> data)
+    {
+        lock (_outputLock)
+        {
+            // Always buffer for replay
+            _outputBuffer.Append(data.Span);
+
+            // Snapshot consumers under lock, iterate outside
+            ITerminalConsumer[] snapshot;
+            lock (_subscriberLock)
+            {
+                snapshot = [.. _consumers];
+            }
+
+            foreach (var consumer in snapshot)
+            {
+                try
+                {
+                    consumer.OnOutput(data);
+                }
+                catch (Exception ex)
+                {
+                    Log.Error(ex, "[Terminal] Consumer error");
+                }
+            }
+        }
+    }
+
     private sealed class Unsubscriber(Terminal terminal, ITerminalConsumer consumer) : IDisposable
     {
         public void Dispose() => terminal.Unsubscribe(consumer);
@@ -0,0 +1,140 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using VibeRails.DTOs;
+using VibeRails.Utils;
+
+namespace VibeRails.Services.Terminal;
+
+public interface ITerminalAppearanceService
+{
+    TerminalAppearance Get();
+    TerminalAppearance Save(TerminalAppearance appearance);
+}
+
+/// <summary>
+/// Stores the web terminal's theme, font and cursor settings in ~/.vibe_rails/terminal-appearance.json.
+/// The browser owns the preset palettes; this only validates and persists what the settings page sends.
+/// </summary>
+public sealed partial class TerminalAppearanceService : ITerminalAppearanceService
+{
+    public const int MinFontSize = 8;
+    public const int MaxFontSize = 32;
+    public const double MinLineHeight = 1.0;
+    public const double MaxLineHeight = 2.0;
+    public const int MaxFontFamilyLength = 200;
+
+    public static readonly TerminalAppearance Default = new(
+        "dark",
+        new Dictionary<string, string>(),
+        "\"Fira Code\", \"JetBrains Mono\", \"Cascadia Code\", \"Cascadia Mono\", Consolas, \"DejaVu Sans Mono\", monospace",
+        14,
+        1.12,
+        true,
+        "block",
+        true);
+
+    private static readonly HashSet<string> s_cursorStyles = ["block", "underline", "bar"];
+
+    // xterm.js ITheme keys the colour editor can override
+    private static readonly HashSet<string> s_colorKeys =
+    [
+        "background", "foreground", "cursor", "cursorAccent", "selectionBackground",
+        "black", "red", "green", "yellow", "blue", "magenta", "cyan", "white",
+        "brightBlack", "brightRed", "brightGreen", "brightYellow", "brightBlue", "brightMagenta", "brightCyan", "brightWhite"
+    ];
+
+    [GeneratedRegex("^[a-z0-9-]{1,40}$")]
+    private static partial Regex PresetName();
+
+    [GeneratedRegex("^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$")]
+    private static partial Regex HexColor();
+
+    private readonly Lock _lock = new();
+    private readonly string _path;
+
+    public TerminalAppearanceService()
+        : this(Path.Combine(PathConstants.GetInstallDirPath(), PathConstants.TERMINAL_APPEARANCE_FILENAME))
+    {
+    }
+
+    public TerminalAppearanceService(string path)
+    {
+        _path = path;
+    }
+
+    public TerminalAppearance Get()
+    {
+        lock (_lock)
+        {
+            if (!File.Exists(_path)) return Default;
+            try
+            {
+                var saved = JsonSerializer.Deserialize(File.ReadAllText(_path), AppJsonSerializerContext.Default.TerminalAppearance);
+                return saved == null ? Default : Normalize(saved);
+            }
+            catch (Exception ex) when (ex is JsonException or InvalidOperationException)
+            {
+                // Hand-edited into something unreadable or out of range; fall back rather than break every terminal
+                return Default;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Replaces the stored appearance. Throws <see cref="InvalidOperationException"/> describing the
+    /// first invalid setting.
+    /// </summary>
+    public TerminalAppearance Save(TerminalAppearance appearance)
+    {
+        var normalized = Normalize(appearance);
+
+        lock (_lock)
+        {
+            Directory.CreateDirectory(Path.GetDirectoryName(_path)!);
+            File.WriteAllText(_path, JsonSerializer.Serialize(normalized, AppJsonSerializerContext.Default.TerminalAppearance));
+        }
+        return normalized;
+    }
+
+    private static TerminalAppearance Normalize(TerminalAppearance appearance)
+    {
+        var preset = appearance.Preset?.Trim().ToLowerInvariant() ?? "";
+        if (!PresetName().IsMatch(preset))
+            throw new InvalidOperationException($"Unknown theme preset \"{appearance.Preset}\".");
+
+        var colors = new Dictionary<string, string>();
+        foreach (var (key, value) in appearance.Colors ?? new Dictionary<string, string>())
+        {
+            if (!s_colorKeys.Contains(key))
+                throw new InvalidOperationException($"\"{key}\" is not a terminal colour.");
+            if (value == null || !HexColor().IsMatch(value.Trim()))
+                throw new InvalidOperationException($"Colour \"{key}\" must be a hex value like #1e1e1e.");
+            colors[key] = value.Trim().ToLowerInvariant();
+        }
+
+        var fontFamily = appearance.FontFamily?.Trim() ?? "";
+        if (fontFamily.Length == 0)
+            fontFamily = Default.FontFamily;
+        if (fontFamily.Length > MaxFontFamilyLength || fontFamily.IndexOfAny([';', '{', '}', '<', '>']) >= 0)
+            throw new InvalidOperationException($"Font family must be a comma-separated font list of at most {MaxFontFamilyLength} characters.");
+
+        if (appearance.FontSize < MinFontSize || appearance.FontSize > MaxFontSize)
+            throw new InvalidOperationException($"Font size must be between {MinFontSize} and {MaxFontSize}.");
+        if (double.IsNaN(appearance.LineHeight) || appearance.LineHeight < MinLineHeight || appearance.LineHeight > MaxLineHeight)
+            throw new InvalidOperationException($"Line height must be between {MinLineHeight:0.0} and {MaxLineHeight:0.0}.");
+
+        var cursorStyle = appearance.CursorStyle?.Trim().ToLowerInvariant() ?? "";
+        if (!s_cursorStyles.Contains(cursorStyle))
+            throw new InvalidOperationException($"Cursor style must be one of {string.Join(", ", s_cursorStyles)}.");
+
+        return new TerminalAppearance(
+            preset,
+            colors,
+            fontFamily,
+            appearance.FontSize,
+            Math.Round(appearance.LineHeight, 2),
+            appearance.Ligatures,
+            cursorStyle,
+            appearance.CursorBlink);
+    }
+}
@@ -14,6 +14,9 @@ internal static class TerminalControlProtocol
     public const string DisconnectBrowserCommand = "__disconnect_browser__";
     public const string ResizePrefix = "__resize__:";
     public const string CommandPrefix = "__cmd__:";
+    // Query parameter a viewer sends to receive offset-prefixed output, resuming from that offset
+    public const string OutputOffsetQueryKey = "offset";
+    public const int OutputOffsetHeaderBytes = 8;
 
     public static string BuildDisconnectBrowserCommand(string reason)
     {
@@ -43,6 +46,13 @@ internal static class TerminalControlProtocol
         return cols is >= 10 and <= 1000 && rows is >= 5 and <= 500;
     }
 
+    public static bool TryParseOutputOffset(string? value, out long offset)
+    {
+        offset = 0;
+        return !string.IsNullOrWhiteSpace(value)
+            && long.TryParse(value, NumberStyles.None, CultureInfo.InvariantCulture, out offset);
+    }
+
     public static string BuildCommand(string command, string? payload = null)
     {
         if (!IsValidCommandName(command))
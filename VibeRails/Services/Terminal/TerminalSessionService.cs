@@ -27,7 +27,7 @@ public interface ITerminalSessionService
     string? ActiveSessionId { get; }
     bool IsExternallyOwned { get; }
     Task<bool> StartSessionAsync(LLM llm, string workingDirectory, string? environmentName = null, string[]? extraArgs = null, string? title = null, bool makeRemote = false);
-    Task HandleWebSocketAsync(WebSocket webSocket, CancellationToken cancellationToken);
+    Task HandleWebSocketAsync(WebSocket webSocket, long? resumeOffset, CancellationToken cancellationToken);
     Task StopSessionAsync();
     void RegisterExternalTerminal(Terminal terminal, string sessionId);
     Task UnregisterTerminalAsync();
@@ -122,7 +122,12 @@ public class TerminalSessionService : ITerminalSessionService
         }
     }
 
-    public async Task HandleWebSocketAsync(WebSocket webSocket, CancellationToken cancellationToken)
+    /// <summary>
+    /// Streams the session to a viewer. Without <paramref name="resumeOffset"/> output is sent as plain
+    /// binary frames after a replay of the buffer; with it, frames carry their stream offset and the
+    /// replay starts from that offset, so a reconnecting viewer picks up exactly where it left off.
+    /// </summary>
+    public async Task HandleWebSocketAsync(WebSocket webSocket, long? resumeOffset, CancellationToken cancellationToken)
     {
         Terminal? terminal;
         string? sessionId;
@@ -154,24 +159,39 @@ public class TerminalSessionService : ITerminalSessionService
             Log.Error(ex, "[Terminal] Failed to disconnect remote viewer");
         }
 
-        // Replay buffered output so new viewer sees current screen state
-        var replay = terminal.GetReplayBuffer();
-        if (replay.Length > 0)
+        // Subscribe WebSocket as output consumer
+        using var wsConsumer = new WebSocketConsumer(webSocket, cancellationToken);
+        IDisposable subscription;
+        if (resumeOffset.HasValue)
         {
-            try
+            // Replay from the viewer's offset and subscribe in one step so nothing is missed or repeated
+            subscription = terminal.SubscribeFrom(wsConsumer, resumeOffset.Value, (startOffset, replay) =>
             {
-                await webSocket.SendAsync(replay, WebSocketMessageType.Binary, true, cancellationToken);
-                Log.Information("[Terminal] Replayed {Bytes} bytes of buffered output to new viewer", replay.Length);
-            }
-            catch (Exception ex)
+                wsConsumer.Resume(startOffset, replay);
+                Log.Information("[Terminal] Resumed viewer at offset {Offset} ({Bytes} bytes replayed)", startOffset, replay.Length);
+            });
+        }
+        else
+        {
+            // Replay buffered output so new viewer sees current screen state
+            var replay = terminal.GetReplayBuffer();
+            if (replay.Length > 0)
             {
-                Log.Error(ex, "[Terminal] Failed to replay buffer");
+                try
+                {
+                    await webSocket.SendAsync(replay, WebSocketMessageType.Binary, true, cancellationToken);
+                    Log.Information("[Terminal] Replayed {Bytes} bytes of buffered output to new viewer", replay.Length);
+                }
+                catch (Exception ex)
+                {
+                    Log.Error(ex, "[Terminal] Failed to replay buffer");
+                }
             }
+
+            subscription = terminal.Subscribe(wsConsumer);
         }
 
-        // Subscribe WebSocket as output consumer
-        using var wsConsumer = new WebSocketConsumer(webSocket, cancellationToken);
-        using var subscription = terminal.Subscribe(wsConsumer);
+        using var outputSubscription = subscription;
         ownerId = $"terminal-ws:{sessionId}:{Guid.NewGuid():N}";
         _localClientTracker.AcquireOwner(ownerId);
 
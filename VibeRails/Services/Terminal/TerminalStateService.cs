@@ -1,3 +1,4 @@
+using Serilog;
 using VibeRails.Interfaces;
 using VibeRails.Utils;
 
@@ -26,12 +27,18 @@ public class TerminalStateService : ITerminalStateService, IDisposable
     // Shared across scoped TerminalStateService instances so terminal state remains
     // consistent across start/WS/reconnect/stop requests.
     private static readonly Dictionary<string, InputAccumulator> s_inputAccumulators = new();
+    private static readonly Dictionary<string, OutputLogBatcher> s_outputBatchers = new();
     private static readonly Dictionary<string, IRemoteTerminalConnection> s_remoteConnections = new();
     private static readonly Dictionary<string, SessionActivityState> s_sessionActivity = new();
     private static readonly Lock s_stateLock = new();
     private static readonly TimeSpan s_idleThreshold = TimeSpan.FromSeconds(30);
     private static readonly TimeSpan s_idleCheckInterval = TimeSpan.FromSeconds(5);
 
+    static TerminalStateService()
+    {
+        RemoteConfig.Locked += () => _ = DisconnectAllRemoteViewersAsync("Locked");
+    }
+
     public TerminalStateService(
         IDbService dbService,
         IGitService gitService,
@@ -59,6 +66,11 @@ public class TerminalStateService : ITerminalStateService, IDisposable
             {
                 await _dbService.RecordUserInputAsync(sessionId, inputText, _gitService, ct);
             });
+            // Output is written to SessionLogs in batches so replay, export and log search have it
+            s_outputBatchers[sessionId] = new OutputLogBatcher(async outputText =>
+            {
+                await _dbService.LogSessionOutputAsync(sessionId, outputText);
+            });
             s_sessionActivity[sessionId] = new SessionActivityState(now);
         }
         StartIdleMonitor(sessionId);
@@ -83,8 +95,14 @@ public class TerminalStateService : ITerminalStateService, IDisposable
             text,
             now));
         MarkOutputActivity(sessionId, now);
-        // Intentionally do not persist terminal output to SessionLogs for now.
-        // Keep observer hook only; output persistence can be re-enabled centrally here.
+
+        OutputLogBatcher? batcher;
+        lock (s_stateLock)
+        {
+            s_outputBatchers.TryGetValue(sessionId, out batcher);
+        }
+
+        batcher?.Append(text);
     }
 
     public void RecordInput(string sessionId, string input, TerminalIoSource source = TerminalIoSource.Unknown)
@@ -169,16 +187,43 @@ public class TerminalStateService : ITerminalStateService, IDisposable
         await remoteConn.SendControlAsync(TerminalControlProtocol.BuildDisconnectBrowserCommand(reason));
     }
 
+    /// <summary>
+    /// Drops every remote browser attached through the relay, for all sessions in this process.
+    /// </summary>
+    public static async Task DisconnectAllRemoteViewersAsync(string reason)
+    {
+        IRemoteTerminalConnection[] connections;
+        lock (s_stateLock)
+        {
+            connections = s_remoteConnections.Values.Where(c => c.IsConnected).ToArray();
+        }
+
+        foreach (var connection in connections)
+        {
+            try
+            {
+                await connection.SendControlAsync(TerminalControlProtocol.BuildDisconnectBrowserCommand(reason));
+            }
+            catch (Exception ex)
+            {
+                Log.Error(ex, "[Terminal] Failed to disconnect remote viewer");
+            }
+        }
+    }
+
     public async Task CompleteSessionAsync(string sessionId, int exitCode)
     {
         await _dbService.CompleteSessionAsync(sessionId, exitCode);
 
         InputAccumulator? accumulatorToDispose;
+        OutputLogBatcher? batcherToDispose;
         SessionActivityState? activityState;
         lock (s_stateLock)
         {
             s_inputAccumulators.TryGetValue(sessionId, out accumulatorToDispose);
             s_inputAccumulators.Remove(sessionId);
+            s_outputBatchers.TryGetValue(sessionId, out batcherToDispose);
+            s_outputBatchers.Remove(sessionId);
             s_sessionActivity.TryGetValue(sessionId, out activityState);
             s_sessionActivity.Remove(sessionId);
         }
@@ -188,6 +233,12 @@ public class TerminalStateService : ITerminalStateService, IDisposable
             await accumulatorToDispose.DisposeAsync();
         }
 
+        if (batcherToDispose != null)
+        {
+            // Flushes the tail of the output
+            await batcherToDispose.DisposeAsync();
+        }
+
         activityState?.Dispose();
 
         // Disconnect remote WebSocket if active
@@ -18,7 +18,7 @@ public interface ITerminalTabHostService
     Task<TerminalStatusResponse?> GetStatusAsync(string tabId, CancellationToken cancellationToken = default);
     Task<TerminalStatusResponse> StartSessionAsync(string tabId, StartTerminalRequest request, CancellationToken cancellationToken = default);
     Task<TerminalStatusResponse> StopSessionAsync(string tabId, CancellationToken cancellationToken = default);
-    Task HandleWebSocketProxyAsync(string tabId, WebSocket browserSocket, CancellationToken cancellationToken = default);
+    Task HandleWebSocketProxyAsync(string tabId, WebSocket browserSocket, long? resumeOffset = null, CancellationToken cancellationToken = default);
     Task StopAllAsync(CancellationToken cancellationToken = default);
 }
 
@@ -40,6 +40,7 @@ public sealed class TerminalTabHostService : ITerminalTabHostService, IAsyncDisp
     private readonly SemaphoreSlim _createGate = new(1, 1);
     private readonly Lock _lock = new();
     private readonly Dictionary<string, TerminalChildProcess> _tabs = new(StringComparer.Ordinal);
+    private readonly HashSet<WebSocket> _proxiedSockets = [];
     private readonly string _launchDirectory;
 
     public int MaxTabs => 8;
@@ -48,6 +49,7 @@ public sealed class TerminalTabHostService : ITerminalTabHostService, IAsyncDisp
     {
         _httpClientFactory = httpClientFactory;
         _launchDirectory = Directory.GetCurrentDirectory();
+        RemoteConfig.Locked += OnLocked;
     }
 
     public async Task<IReadOnlyList<TerminalTabStatusResponse>> ListTabsAsync(CancellationToken cancellationToken = default)
@@ -166,22 +168,43 @@ public sealed class TerminalTabHostService : ITerminalTabHostService, IAsyncDisp
             cancellationToken);
     }
 
-    public async Task HandleWebSocketProxyAsync(string tabId, WebSocket browserSocket, CancellationToken cancellationToken = default)
+    public async Task HandleWebSocketProxyAsync(string tabId, WebSocket browserSocket, long? resumeOffset = null, CancellationToken cancellationToken = default)
     {
         var child = GetChildOrThrow(tabId);
         using var upstream = new ClientWebSocket();
         upstream.Options.SetRequestHeader("viberails_session", child.SessionToken);
 
-        var upstreamUri = new Uri($"ws://127.0.0.1:{child.Port}/api/v1/terminal/ws");
+        // Frames are relayed untouched, so offset-prefixed output reaches the browser as the child sent it
+        var query = resumeOffset.HasValue
+            ? $"?{TerminalControlProtocol.OutputOffsetQueryKey}={resumeOffset.Value.ToString(CultureInfo.InvariantCulture)}"
+            : "";
+        var upstreamUri = new Uri($"ws://127.0.0.1:{child.Port}/api/v1/terminal/ws{query}");
         await upstream.ConnectAsync(upstreamUri, cancellationToken);
 
-        var childToBrowser = RelayWebSocketAsync(upstream, browserSocket, cancellationToken);
-        var browserToChild = RelayWebSocketAsync(browserSocket, upstream, cancellationToken);
+        lock (_lock)
+        {
+            _proxiedSockets.Add(browserSocket);
+            _proxiedSockets.Add(upstream);
+        }
+
+        try
+        {
+            var childToBrowser = RelayWebSocketAsync(upstream, browserSocket, cancellationToken);
+            var browserToChild = RelayWebSocketAsync(browserSocket, upstream, cancellationToken);
 
-        await Task.WhenAny(childToBrowser, browserToChild);
+            await Task.WhenAny(childToBrowser, browserToChild);
 
-        await CloseWebSocketAsync(upstream, cancellationToken);
-        await CloseWebSocketAsync(browserSocket, cancellationToken);
+            await CloseWebSocketAsync(upstream, cancellationToken);
+            await CloseWebSocketAsync(browserSocket, cancellationToken);
+        }
+        finally
+        {
+            lock (_lock)
+            {
+                _proxiedSockets.Remove(browserSocket);
+                _proxiedSockets.Remove(upstream);
+            }
+        }
     }
 
     public async Task StopAllAsync(CancellationToken cancellationToken = default)
@@ -204,6 +227,7 @@ public sealed class TerminalTabHostService : ITerminalTabHostService, IAsyncDisp
 
     public async ValueTask DisposeAsync()
     {
+        RemoteConfig.Locked -= OnLocked;
         try
         {
             await StopAllAsync(CancellationToken.None);
@@ -214,6 +238,51 @@ public sealed class TerminalTabHostService : ITerminalTabHostService, IAsyncDisp
         }
     }
 
+    // Tab sockets opened before the lock are aborted, and each tab drops its relay viewers,
+    // since the children have their own PIN state and never see this lock
+    private void OnLocked()
+    {
+        WebSocket[] sockets;
+        TerminalChildProcess[] children;
+        lock (_lock)
+        {
+            sockets = _proxiedSockets.ToArray();
+            children = _tabs.Values.ToArray();
+        }
+
+        foreach (var socket in sockets)
+        {
+            socket.Abort();
+        }
+
+        foreach (var child in children)
+        {
+            _ = DisconnectChildViewersAsync(child);
+        }
+    }
+
+    private async Task DisconnectChildViewersAsync(TerminalChildProcess child)
+    {
+        if (child.Process.HasExited)
+        {
+            return;
+        }
+
+        try
+        {
+            await SendTerminalStatusRequestAsync(
+                child,
+                HttpMethod.Post,
+                "/api/v1/terminal/viewers/disconnect",
+                payload: null,
+                CancellationToken.None);
+        }
+        catch (Exception ex)
+        {
+            Log.Warning(ex, "[TerminalTabs] Failed to disconnect viewers of tab {TabId}", child.TabId);
+        }
+    }
+
     private TerminalChildProcess GetChildOrThrow(string tabId)
     {
         var child = GetChildOrNull(tabId);
@@ -0,0 +1,87 @@
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Primitives;
+
+namespace VibeRails.Services.Tracing;
+
+/// <summary>
+/// Strips credentials from the headers, query strings and bodies TraceHttpMiddleware records,
+/// so a trace can be exported or shared without leaking the session token, API keys or PINs.
+/// </summary>
+public static partial class HttpTraceRedactor
+{
+    public const string Redacted = "[redacted]";
+    public const int MaxBodyPreviewChars = 8 * 1024;
+
+    private static readonly HashSet<string> s_sensitiveHeaders = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "Authorization",
+        "Proxy-Authorization",
+        "Cookie",
+        "Set-Cookie",
+        "X-Api-Key",
+        "viberails_session",
+    };
+
+    // Field and parameter names that carry secrets: apiKey, newPin, password, ...
+    [GeneratedRegex(@"password|secret|token|viberails_session|api_?key|pin$", RegexOptions.IgnoreCase)]
+    private static partial Regex SensitiveName();
+
+    // "name": "string" or "name": number; the last string may be unterminated where a preview was cut
+    [GeneratedRegex(@"""(?<name>[^""\\]+)""(?<sep>\s*:\s*)(?<value>""(?:[^""\\]|\\.)*(?:""|$)|-?\d[\d.eE+-]*)")]
+    private static partial Regex JsonField();
+
+    public static bool IsSensitiveName(string name) => SensitiveName().IsMatch(name);
+
+    public static Dictionary<string, string> RedactHeaders(IEnumerable<KeyValuePair<string, StringValues>> headers)
+    {
+        var result = new Dictionary<string, string>();
+        foreach (var (name, value) in headers)
+            result[name] = s_sensitiveHeaders.Contains(name) ? Redacted : value.ToString();
+        return result;
+    }
+
+    /// <summary>
+    /// Redacts sensitive values in a query string ("?a=b&amp;c=d") or form body ("a=b&amp;c=d").
+    /// </summary>
+    public static string RedactQuery(string query)
+    {
+        var prefix = query.StartsWith('?') ? "?" : "";
+        var pairs = query[prefix.Length..].Split('&');
+        for (var i = 0; i < pairs.Length; i++)
+        {
+            var eq = pairs[i].IndexOf('=');
+            if (eq > 0 && IsSensitiveName(Uri.UnescapeDataString(pairs[i][..eq])))
+                pairs[i] = $"{pairs[i][..eq]}={Redacted}";
+        }
+        return prefix + string.Join('&', pairs);
+    }
+
+    /// <summary>
+    /// Redacts a text body for display. JSON is handled field by field rather than parsed, because
+    /// previews are cut at <see cref="MaxBodyPreviewChars"/> and usually aren't valid JSON.
+    /// </summary>
+    public static string RedactBody(string body, string? contentType)
+    {
+        if (contentType?.Contains("x-www-form-urlencoded", StringComparison.OrdinalIgnoreCase) == true)
+            return RedactQuery(body);
+        if (contentType?.Contains("json", StringComparison.OrdinalIgnoreCase) != true)
+            return body;
+
+        return JsonField().Replace(body, m => IsSensitiveName(m.Groups["name"].Value)
+            ? $"\"{m.Groups["name"].Value}\"{m.Groups["sep"].Value}\"{Redacted}\""
+            : m.Value);
+    }
+
+    /// <summary>
+    /// Whether a body of this type is worth previewing as text.
+    /// </summary>
+    public static bool IsTextContent(string? contentType)
+    {
+        if (string.IsNullOrEmpty(contentType)) return false;
+        return contentType.StartsWith("text/", StringComparison.OrdinalIgnoreCase)
+            || contentType.Contains("json", StringComparison.OrdinalIgnoreCase)
+            || contentType.Contains("xml", StringComparison.OrdinalIgnoreCase)
+            || contentType.Contains("javascript", StringComparison.OrdinalIgnoreCase)
+            || contentType.Contains("x-www-form-urlencoded", StringComparison.OrdinalIgnoreCase);
+    }
+}
@@ -0,0 +1,212 @@
+using System.Diagnostics;
+using Serilog;
+using VibeRails.DTOs;
+
+namespace VibeRails.Services.Tracing;
+
+public interface IProcessMonitorService
+{
+    ProcessTreeResponse GetTree();
+    void Sample();
+    void Terminate(int pid, bool includeChildren);
+}
+
+/// <summary>
+/// Tracks this instance's process tree (backend → PTY shells → LLM CLIs → child tools) and any
+/// other vb instances, keeping a few minutes of CPU and memory history per process so runaway
+/// children spawned by agents stand out in the trace viewer.
+/// </summary>
+public sealed class ProcessMonitorService : IProcessMonitorService
+{
+    public static readonly TimeSpan SampleInterval = TimeSpan.FromSeconds(3);
+    private const int MaxSamples = 100; // five minutes at the sample interval
+
+    private readonly Lock _lock = new();
+    private readonly Dictionary<int, ProcessHistory> _history = new();
+    private List<ProcessTreeNode> _roots = [];
+    private DateTime _lastSampleUtc = DateTime.MinValue;
+
+    private sealed class ProcessHistory
+    {
+        public required DateTime StartTime { get; init; }
+        public TimeSpan LastCpuTime { get; set; }
+        public DateTime LastSampleUtc { get; set; }
+        public Queue<double> Cpu { get; } = new();
+        public Queue<long> Memory { get; } = new();
+    }
+
+    public ProcessTreeResponse GetTree()
+    {
+        // The sampler normally keeps this fresh; sample inline if it hasn't run yet
+        if (DateTime.UtcNow - _lastSampleUtc > SampleInterval * 2)
+            Sample();
+
+        lock (_lock)
+        {
+            return new ProcessTreeResponse(_roots, (int)SampleInterval.TotalMilliseconds, _lastSampleUtc);
+        }
+    }
+
+    public void Sample()
+    {
+        var table = ProcessTable.Read();
+        var tracked = ProcessTable.CollectDescendants(table, GetRootPids(table));
+        var ours = ProcessTable.CollectDescendants(table, [Environment.ProcessId]);
+        var now = DateTime.UtcNow;
+        var nodes = new Dictionary<int, ProcessTreeNode>();
+
+        lock (_lock)
+        {
+            foreach (var entry in table.Where(e => tracked.Contains(e.Pid)))
+            {
+                var node = SampleProcess(entry, now, ours.Contains(entry.Pid) && entry.Pid != Environment.ProcessId);
+                if (node != null) nodes[entry.Pid] = node;
+            }
+
+            foreach (var pid in _history.Keys.Where(pid => !nodes.ContainsKey(pid)).ToList())
+                _history.Remove(pid);
+
+            var roots = new List<ProcessTreeNode>();
+            foreach (var node in nodes.Values.OrderBy(n => n.StartTime))
+            {
+                // A recycled parent pid would be younger than the child, so don't attach to it
+                if (nodes.TryGetValue(node.ParentPid, out var parent) && node.ParentPid != node.Pid && parent.StartTime <= node.StartTime)
+                    parent.Children.Add(node);
+                else
+                    roots.Add(node);
+            }
+
+            _roots = roots;
+            _lastSampleUtc = now;
+        }
+    }
+
+    public void Terminate(int pid, bool includeChildren)
+    {
+        if (pid == Environment.ProcessId)
+            throw new InvalidOperationException("The VibeRails backend can't be terminated from the trace viewer.");
+
+        var table = ProcessTable.Read();
+        if (!ProcessTable.CollectDescendants(table, [Environment.ProcessId]).Contains(pid))
+            throw new InvalidOperationException($"Process {pid} is not running under this VibeRails instance.");
+
+        Process process;
+        try
+        {
+            process = Process.GetProcessById(pid);
+        }
+        catch (ArgumentException)
+        {
+            throw new InvalidOperationException($"Process {pid} has already exited.");
+        }
+
+        using (process)
+        {
+            var name = table.FirstOrDefault(e => e.Pid == pid)?.Name ?? process.ProcessName;
+            try
+            {
+                process.Kill(includeChildren);
+            }
+            catch (Exception ex) when (ex is System.ComponentModel.Win32Exception or InvalidOperationException)
+            {
+                throw new InvalidOperationException($"Could not terminate process {pid}: {ex.Message}");
+            }
+            Log.Warning("[ProcessMonitor] Terminated process {Pid} ({Name}){Tree} from the trace viewer",
+                pid, name, includeChildren ? " and its children" : "");
+        }
+
+        Sample();
+    }
+
+    private static IEnumerable<int> GetRootPids(List<ProcessEntry> table)
+    {
+        yield return Environment.ProcessId;
+        foreach (var entry in table)
+        {
+            if (string.Equals(entry.Name, "vb", StringComparison.OrdinalIgnoreCase) || string.Equals(entry.Name, "vb.exe", StringComparison.OrdinalIgnoreCase))
+                yield return entry.Pid;
+        }
+    }
+
+    private ProcessTreeNode? SampleProcess(ProcessEntry entry, DateTime now, bool canTerminate)
+    {
+        TimeSpan cpuTime;
+        long memory;
+        DateTime startTime;
+        try
+        {
+            using var process = Process.GetProcessById(entry.Pid);
+            cpuTime = process.TotalProcessorTime;
+            memory = process.WorkingSet64;
+            startTime = process.StartTime.ToUniversalTime();
+        }
+        catch
+        {
+            // Exited, or not ours to inspect
+            return null;
+        }
+
+        if (!_history.TryGetValue(entry.Pid, out var history) || history.StartTime != startTime)
+        {
+            history = new ProcessHistory { StartTime = startTime, LastCpuTime = cpuTime, LastSampleUtc = now };
+            _history[entry.Pid] = history;
+        }
+
+        // Percent of one core, like top; a spinning watcher shows as ~100 however many cores there are
+        var elapsedMs = (now - history.LastSampleUtc).TotalMilliseconds;
+        var cpuPercent = elapsedMs > 0 ? Math.Max(0, (cpuTime - history.LastCpuTime).TotalMilliseconds / elapsedMs * 100) : 0;
+        if (elapsedMs > 0)
+        {
+            history.Cpu.Enqueue(Math.Round(cpuPercent, 1));
+            history.Memory.Enqueue(memory);
+            while (history.Cpu.Count > MaxSamples) history.Cpu.Dequeue();
+            while (history.Memory.Count > MaxSamples) history.Memory.Dequeue();
+        }
+        history.LastCpuTime = cpuTime;
+        history.LastSampleUtc = now;
+
+        return new ProcessTreeNode(
+            entry.Pid,
+            entry.ParentPid,
+            entry.Name,
+            entry.CommandLine ?? ProcessTable.ReadCommandLine(entry.Pid),
+            startTime,
+            Math.Round(cpuPercent, 1),
+            memory,
+            history.Cpu.ToList(),
+            history.Memory.ToList(),
+            entry.Pid == Environment.ProcessId,
+            canTerminate,
+            []);
+    }
+}
+
+/// <summary>
+/// Samples the process tree in the background so history is already there when the trace
+/// viewer is opened after something has gone wrong.
+/// </summary>
+public sealed class ProcessMonitorSamplerService(IProcessMonitorService monitor) : BackgroundService
+{
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(ProcessMonitorService.SampleInterval);
+        try
+        {
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                try
+                {
+                    monitor.Sample();
+                }
+                catch (Exception ex)
+                {
+                    Log.Debug(ex, "[ProcessMonitor] Sample failed");
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Normal shutdown.
+        }
+    }
+}
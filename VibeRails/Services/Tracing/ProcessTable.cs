@@ -0,0 +1,169 @@
+using System.Diagnostics;
+using System.Runtime.InteropServices;
+using System.Runtime.Versioning;
+
+namespace VibeRails.Services.Tracing;
+
+public record ProcessEntry(int Pid, int ParentPid, string Name, string? CommandLine = null);
+
+/// <summary>
+/// Reads the OS process table with parent ids, which System.Diagnostics.Process doesn't expose.
+/// </summary>
+public static class ProcessTable
+{
+    public static List<ProcessEntry> Read()
+    {
+        if (OperatingSystem.IsLinux()) return ReadLinux();
+        if (OperatingSystem.IsWindows()) return ReadWindows();
+        return ReadPs();
+    }
+
+    /// <summary>
+    /// Returns the given roots plus every process descended from them.
+    /// </summary>
+    public static HashSet<int> CollectDescendants(IReadOnlyList<ProcessEntry> table, IEnumerable<int> rootPids)
+    {
+        var childrenByParent = table
+            .Where(e => e.Pid != e.ParentPid)
+            .ToLookup(e => e.ParentPid, e => e.Pid);
+
+        var result = new HashSet<int>();
+        var pending = new Stack<int>(rootPids);
+        while (pending.Count > 0)
+        {
+            var pid = pending.Pop();
+            if (!result.Add(pid)) continue;
+            foreach (var child in childrenByParent[pid])
+                pending.Push(child);
+        }
+        return result;
+    }
+
+    /// <summary>
+    /// Parses /proc/[pid]/stat. The command name is in parentheses and may itself contain
+    /// spaces or parentheses, so fields are read after the last ')'.
+    /// </summary>
+    public static ProcessEntry? ParseStatLine(string stat)
+    {
+        var open = stat.IndexOf('(');
+        var close = stat.LastIndexOf(')');
+        if (open < 0 || close < open || close + 2 > stat.Length) return null;
+
+        var fields = stat[(close + 2)..].Split(' ');
+        if (!int.TryParse(stat[..open].Trim(), out var pid) || fields.Length < 2 || !int.TryParse(fields[1], out var ppid))
+            return null;
+
+        return new ProcessEntry(pid, ppid, stat[(open + 1)..close]);
+    }
+
+    public static string? ReadCommandLine(int pid)
+    {
+        if (!OperatingSystem.IsLinux()) return null;
+        try
+        {
+            var raw = File.ReadAllText($"/proc/{pid}/cmdline");
+            var commandLine = raw.Replace('\0', ' ').Trim();
+            return commandLine.Length > 0 ? commandLine : null;
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
+    private static List<ProcessEntry> ReadLinux()
+    {
+        var entries = new List<ProcessEntry>();
+        foreach (var dir in Directory.EnumerateDirectories("/proc"))
+        {
+            if (!int.TryParse(Path.GetFileName(dir), out _)) continue;
+            try
+            {
+                var entry = ParseStatLine(File.ReadAllText(Path.Combine(dir, "stat")));
+                if (entry != null) entries.Add(entry);
+            }
+            catch
+            {
+                // Process exited while we were reading
+            }
+        }
+        return entries;
+    }
+
+    private static List<ProcessEntry> ReadPs()
+    {
+        var entries = new List<ProcessEntry>();
+        try
+        {
+            using var ps = Process.Start(new ProcessStartInfo("ps", "-A -o pid=,ppid=,command=")
+            {
+                RedirectStandardOutput = true,
+                UseShellExecute = false,
+                CreateNoWindow = true
+            });
+            if (ps == null) return entries;
+
+            var output = ps.StandardOutput.ReadToEnd();
+            ps.WaitForExit(2000);
+
+            foreach (var line in output.Split('\n', StringSplitOptions.RemoveEmptyEntries))
+            {
+                var parts = line.Trim().Split(' ', 3, StringSplitOptions.RemoveEmptyEntries);
+                if (parts.Length < 3 || !int.TryParse(parts[0], out var pid) || !int.TryParse(parts[1], out var ppid))
+                    continue;
+                var command = parts[2];
+                var name = Path.GetFileName(command.Split(' ')[0]);
+                entries.Add(new ProcessEntry(pid, ppid, name, command));
+            }
+        }
+        catch
+        {
+            // ps unavailable; the monitor shows nothing rather than failing
+        }
+        return entries;
+    }
+
+    [SupportedOSPlatform("windows")]
+    private static List<ProcessEntry> ReadWindows()
+    {
+        var entries = new List<ProcessEntry>();
+        foreach (var process in Process.GetProcesses())
+        {
+            using (process)
+            {
+                var ppid = 0;
+                try
+                {
+                    var info = new ProcessBasicInformation();
+                    if (NtQueryInformationProcess(process.Handle, 0, ref info, Marshal.SizeOf<ProcessBasicInformation>(), out _) == 0)
+                        ppid = (int)info.InheritedFromUniqueProcessId;
+                }
+                catch
+                {
+                    // Access denied for system processes; they're never ours anyway
+                }
+                entries.Add(new ProcessEntry(process.Id, ppid, process.ProcessName));
+            }
+        }
+        return entries;
+    }
+
+    [StructLayout(LayoutKind.Sequential)]
+    private struct ProcessBasicInformation
+    {
+        public IntPtr ExitStatus;
+        public IntPtr PebBaseAddress;
+        public IntPtr AffinityMask;
+        public IntPtr BasePriority;
+        public IntPtr UniqueProcessId;
+        public IntPtr InheritedFromUniqueProcessId;
+    }
+
+    [DllImport("ntdll.dll")]
+    private static extern int NtQueryInformationProcess(
+        IntPtr processHandle,
+        int processInformationClass,
+        ref ProcessBasicInformation processInformation,
+        int processInformationLength,
+        out int returnLength);
+}
@@ -0,0 +1,101 @@
+using System.Text.Json;
+using VibeRails.DTOs;
+using VibeRails.Utils;
+
+namespace VibeRails.Services.Tracing;
+
+public interface ITraceAlertRuleService
+{
+    List<TraceAlertRule> GetRules();
+    List<TraceAlertRule> SaveRules(List<TraceAlertRule> rules);
+}
+
+/// <summary>
+/// Stores the trace viewer's alert rules in ~/.vibe_rails/trace-alerts.json so they follow the
+/// instance rather than one browser. Rules are evaluated by the viewer; this only validates and
+/// persists them.
+/// </summary>
+public sealed class TraceAlertRuleService : ITraceAlertRuleService
+{
+    public const string KindMatch = "match";
+    public const string KindSilence = "silence";
+    public const int MaxRules = 50;
+    public const int MaxSilenceMinutes = 24 * 60;
+
+    private readonly Lock _lock = new();
+    private readonly string _path;
+
+    public TraceAlertRuleService()
+        : this(Path.Combine(PathConstants.GetInstallDirPath(), PathConstants.TRACE_ALERTS_FILENAME))
+    {
+    }
+
+    public TraceAlertRuleService(string path)
+    {
+        _path = path;
+    }
+
+    public List<TraceAlertRule> GetRules()
+    {
+        lock (_lock)
+        {
+            if (!File.Exists(_path)) return [];
+            try
+            {
+                return JsonSerializer.Deserialize(File.ReadAllText(_path), AppJsonSerializerContext.Default.ListTraceAlertRule) ?? [];
+            }
+            catch (JsonException)
+            {
+                // Hand-edited into something unreadable; start over rather than break the viewer
+                return [];
+            }
+        }
+    }
+
+    /// <summary>
+    /// Replaces the stored rules. Names and queries are trimmed and rules without an id get one.
+    /// Throws <see cref="InvalidOperationException"/> describing the first invalid rule.
+    /// </summary>
+    public List<TraceAlertRule> SaveRules(List<TraceAlertRule> rules)
+    {
+        if (rules.Count > MaxRules)
+            throw new InvalidOperationException($"At most {MaxRules} alert rules can be saved.");
+
+        var ids = new HashSet<string>();
+        var normalized = rules.Select(rule => Normalize(rule, ids)).ToList();
+
+        lock (_lock)
+        {
+            Directory.CreateDirectory(Path.GetDirectoryName(_path)!);
+            File.WriteAllText(_path, JsonSerializer.Serialize(normalized, AppJsonSerializerContext.Default.ListTraceAlertRule));
+        }
+        return normalized;
+    }
+
+    private static TraceAlertRule Normalize(TraceAlertRule rule, HashSet<string> ids)
+    {
+        var name = rule.Name?.Trim() ?? "";
+        var query = rule.Query?.Trim() ?? "";
+        var kind = rule.Kind?.Trim().ToLowerInvariant() ?? "";
+
+        if (name.Length == 0)
+            throw new InvalidOperationException("Every alert rule needs a name.");
+        if (kind != KindMatch && kind != KindSilence)
+            throw new InvalidOperationException($"Alert rule \"{name}\" has unknown kind \"{rule.Kind}\"; expected \"{KindMatch}\" or \"{KindSilence}\".");
+        if (query.Length == 0)
+            throw new InvalidOperationException($"Alert rule \"{name}\" needs a query.");
+
+        int? minutes = null;
+        if (kind == KindSilence)
+        {
+            if (rule.Minutes is not int m || m < 1 || m > MaxSilenceMinutes)
+                throw new InvalidOperationException($"Alert rule \"{name}\" needs a silence period between 1 and {MaxSilenceMinutes} minutes.");
+            minutes = m;
+        }
+
+        var id = string.IsNullOrWhiteSpace(rule.Id) || ids.Contains(rule.Id) ? Guid.NewGuid().ToString("N")[..12] : rule.Id;
+        ids.Add(id);
+
+        return new TraceAlertRule(id, name, kind, query, minutes, rule.Enabled);
+    }
+}
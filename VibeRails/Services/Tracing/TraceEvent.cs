@@ -24,6 +24,18 @@ public record TraceEvent(
     string? Detail = null,
     double? DurationMs = null)
 {
+    /// <summary>
+    /// Position in the buffer's stream, assigned when the event is added. Consecutive events
+    /// differ by one, so a jump means events were dropped in between.
+    /// </summary>
+    public long Seq { get; init; }
+
+    /// <summary>
+    /// Id of the event this one completes, e.g. the McpToolCall an McpToolResult answers, so the
+    /// viewer can pair them even when calls overlap.
+    /// </summary>
+    public string? CorrelationId { get; init; }
+
     public static TraceEvent Create(TraceEventType type, string source, string summary, string? detail = null, double? durationMs = null)
         => new(Guid.NewGuid().ToString("N")[..12], DateTimeOffset.UtcNow, type, source, summary, detail, durationMs);
 }
@@ -1,4 +1,5 @@
 using System.Collections.Concurrent;
+using VibeRails.DTOs;
 
 namespace VibeRails.Services.Tracing;
 
@@ -11,7 +12,9 @@ public sealed class TraceEventBuffer
     private const int MaxEvents = 1000;
 
     private readonly ConcurrentQueue<TraceEvent> _events = new();
+    private readonly Lock _addLock = new();
     private int _count;
+    private long _lastSeq;
 
     /// <summary>
     /// Fired (fire-and-forget) whenever a new event is added.
@@ -21,13 +24,18 @@ public sealed class TraceEventBuffer
 
     public void Add(TraceEvent traceEvent)
     {
-        _events.Enqueue(traceEvent);
-        var current = Interlocked.Increment(ref _count);
-
-        // Trim oldest events when over capacity
-        while (current > MaxEvents && _events.TryDequeue(out _))
+        // Numbering and enqueueing together keeps the queue in Seq order
+        lock (_addLock)
         {
-            current = Interlocked.Decrement(ref _count);
+            traceEvent = traceEvent with { Seq = ++_lastSeq };
+            _events.Enqueue(traceEvent);
+            var current = Interlocked.Increment(ref _count);
+
+            // Trim oldest events when over capacity
+            while (current > MaxEvents && _events.TryDequeue(out _))
+            {
+                current = Interlocked.Decrement(ref _count);
+            }
         }
 
         OnEvent?.Invoke(traceEvent);
@@ -37,4 +45,31 @@ public sealed class TraceEventBuffer
     {
         return _events.Reverse().Take(count).Reverse().ToList();
     }
+
+    /// <summary>
+    /// Events added after <paramref name="afterSeq"/>, oldest first. Used to resume a stream.
+    /// </summary>
+    public List<TraceEvent> GetAfter(long afterSeq)
+    {
+        return _events.Where(e => e.Seq > afterSeq).ToList();
+    }
+
+    /// <summary>
+    /// Pages backward through the buffer: the newest <paramref name="count"/> events older than
+    /// <paramref name="beforeSeq"/> within the optional time range, oldest first.
+    /// </summary>
+    public TraceEventPageResponse GetPage(long? beforeSeq, DateTimeOffset? from, DateTimeOffset? to, int count)
+    {
+        var snapshot = _events.ToArray();
+        var matching = snapshot
+            .Where(e => (beforeSeq == null || e.Seq < beforeSeq)
+                && (from == null || e.Timestamp >= from)
+                && (to == null || e.Timestamp <= to))
+            .ToList();
+
+        var page = matching.Skip(Math.Max(0, matching.Count - count)).ToList();
+        var oldestSeq = snapshot.Length > 0 ? snapshot[0].Seq : 0;
+
+        return new TraceEventPageResponse(page, oldestSeq, Interlocked.Read(ref _lastSeq), matching.Count > page.Count);
+    }
 }
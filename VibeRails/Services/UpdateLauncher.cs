@@ -0,0 +1,201 @@
+using System.Diagnostics;
+using System.Text;
+using VibeRails.Utils;
+
+namespace VibeRails.Services;
+
+/// <summary>
+/// Extracts an already downloaded and verified release archive over the install directory in a
+/// detached process once this instance has exited, then relaunches vb with the same arguments.
+/// The relaunched instance picks up the port from the environment and the session token from a
+/// file only this user can read, so open dashboards reconnect without re-authenticating.
+/// </summary>
+public static class UpdateLauncher
+{
+    public const string ResumePortEnvVar = "VIBERAILS_RESUME_PORT";
+    public const string ResumeTokenFileEnvVar = "VIBERAILS_RESUME_TOKEN_FILE";
+
+    private const string ResumeTokenFilePrefix = "resume-";
+    private const string ResumeTokenFileExtension = ".token";
+
+    /// <summary>
+    /// Returns why this instance can't update itself in place, or null if it can.
+    /// </summary>
+    public static string? GetUnsupportedReason(string[] args)
+    {
+        if (args.Any(a => a.StartsWith("--vs", StringComparison.OrdinalIgnoreCase)))
+            return "This instance is managed by the VS Code extension. Update from VS Code instead.";
+
+        if (args.Any(a => a is "--env" or "--environment" or "--lmbootstrap"))
+            return "This instance is attached to a terminal session. Stop it and run the installer from your terminal.";
+
+        var exePath = Environment.ProcessPath;
+        var installDir = Path.GetFullPath(PathConstants.GetInstallDirPath());
+        if (string.IsNullOrEmpty(exePath) || !Path.GetFullPath(exePath).StartsWith(installDir, StringComparison.OrdinalIgnoreCase))
+            return $"This build is not running from {installDir}, so the installer would not replace it.";
+
+        if (UpdateService.GetReleaseAssetName() == null)
+            return "No release build is published for this platform.";
+
+        return null;
+    }
+
+    /// <summary>
+    /// Starts the updater for <paramref name="archivePath"/>, a release archive UpdateService has
+    /// verified. Its directory is deleted once the archive has been extracted.
+    /// </summary>
+    public static void Launch(int port, string sessionToken, string launchDirectory, string[] args, string archivePath)
+    {
+        var exePath = Environment.ProcessPath
+            ?? throw new InvalidOperationException("Could not determine the running executable.");
+        var installDir = PathConstants.GetInstallDirPath();
+        var logDir = Path.Combine(installDir, "logs");
+        Directory.CreateDirectory(logDir);
+
+        var startInfo = OperatingSystem.IsWindows()
+            ? BuildWindowsStartInfo()
+            : BuildUnixStartInfo(args);
+
+        var tokenPath = WriteResumeTokenFile(sessionToken);
+        startInfo.UseShellExecute = false;
+        startInfo.CreateNoWindow = true;
+        startInfo.WorkingDirectory = launchDirectory;
+        startInfo.Environment["VB_PID"] = Environment.ProcessId.ToString();
+        startInfo.Environment["VB_EXE"] = exePath;
+        startInfo.Environment["VB_DIR"] = launchDirectory;
+        startInfo.Environment["VB_LOG"] = Path.Combine(logDir, PathConstants.UPDATE_LOG_FILENAME);
+        startInfo.Environment["VB_ARCHIVE"] = archivePath;
+        startInfo.Environment["VB_STAGING"] = Path.GetDirectoryName(archivePath);
+        startInfo.Environment["VB_INSTALL_DIR"] = installDir;
+        startInfo.Environment[ResumePortEnvVar] = port.ToString();
+        // Only the path: the token itself never enters the updater's environment
+        startInfo.Environment[ResumeTokenFileEnvVar] = tokenPath;
+
+        if (OperatingSystem.IsWindows())
+        {
+            // PowerShell splits a single argument string, so pass the relaunch args pre-quoted
+            startInfo.Environment["VB_ARGS"] = string.Join(" ", args.Select(QuoteWindowsArgument));
+        }
+
+        try
+        {
+            _ = Process.Start(startInfo)
+                ?? throw new InvalidOperationException("Failed to start the updater.");
+        }
+        catch
+        {
+            File.Delete(tokenPath);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Reads and clears the resume port so terminals spawned later don't inherit it.
+    /// </summary>
+    public static int? TakeResumePort()
+    {
+        var value = TakeEnvironmentVariable(ResumePortEnvVar);
+        return int.TryParse(value, out var port) && port > 0 ? port : null;
+    }
+
+    /// <summary>
+    /// Reads the resume session token from the file the updater was pointed at and deletes it, and
+    /// clears the variable so terminals spawned later don't inherit it.
+    /// </summary>
+    public static string? TakeResumeToken()
+    {
+        var path = TakeEnvironmentVariable(ResumeTokenFileEnvVar);
+        if (string.IsNullOrWhiteSpace(path))
+            return null;
+
+        // Only ever read (and delete) a token file this class wrote
+        var fullPath = Path.GetFullPath(path);
+        var fileName = Path.GetFileName(fullPath);
+        if (!string.Equals(Path.GetDirectoryName(fullPath), Path.GetFullPath(PathConstants.GetInstallDirPath()), StringComparison.OrdinalIgnoreCase)
+            || !fileName.StartsWith(ResumeTokenFilePrefix, StringComparison.Ordinal)
+            || !fileName.EndsWith(ResumeTokenFileExtension, StringComparison.Ordinal))
+            return null;
+
+        try
+        {
+            var token = File.ReadAllText(fullPath).Trim();
+            return token.Length == 0 ? null : token;
+        }
+        catch (IOException)
+        {
+            return null;
+        }
+        finally
+        {
+            try { File.Delete(fullPath); } catch (IOException) { }
+        }
+    }
+
+    /// <summary>
+    /// Writes the session token to a new file in the install directory that only this user can read.
+    /// </summary>
+    private static string WriteResumeTokenFile(string sessionToken)
+    {
+        var path = Path.Combine(PathConstants.GetInstallDirPath(), $"{ResumeTokenFilePrefix}{Guid.NewGuid():N}{ResumeTokenFileExtension}");
+        var options = new FileStreamOptions { Mode = FileMode.CreateNew, Access = FileAccess.Write };
+        if (!OperatingSystem.IsWindows())
+            options.UnixCreateMode = UnixFileMode.UserRead | UnixFileMode.UserWrite;
+
+        using var stream = new FileStream(path, options);
+        stream.Write(Encoding.UTF8.GetBytes(sessionToken));
+        return path;
+    }
+
+    private static string? TakeEnvironmentVariable(string name)
+    {
+        var value = Environment.GetEnvironmentVariable(name);
+        Environment.SetEnvironmentVariable(name, null);
+        return value;
+    }
+
+    private static ProcessStartInfo BuildUnixStartInfo(string[] args)
+    {
+        // The relaunch runs even if the extract failed so the dashboard comes back either way
+        const string script = """
+            while kill -0 "$VB_PID" 2>/dev/null; do sleep 0.5; done
+            {
+                tar -xzf "$VB_ARCHIVE" -C "$VB_INSTALL_DIR" && chmod +x "$VB_EXE"
+            } >"$VB_LOG" 2>&1
+            rm -rf "$VB_STAGING"
+            cd "$VB_DIR" && nohup "$VB_EXE" "$@" >>"$VB_LOG" 2>&1 </dev/null &
+            """;
+
+        var startInfo = new ProcessStartInfo("/bin/bash");
+        startInfo.ArgumentList.Add("-c");
+        startInfo.ArgumentList.Add(script);
+        startInfo.ArgumentList.Add("vb-update");
+        foreach (var arg in args)
+            startInfo.ArgumentList.Add(arg);
+        return startInfo;
+    }
+
+    private static ProcessStartInfo BuildWindowsStartInfo()
+    {
+        const string script = """
+            Wait-Process -Id $env:VB_PID -ErrorAction SilentlyContinue
+            try { Expand-Archive -Path $env:VB_ARCHIVE -DestinationPath $env:VB_INSTALL_DIR -Force *> $env:VB_LOG } catch { $_ | Out-File -Append $env:VB_LOG }
+            Remove-Item -Recurse -Force $env:VB_STAGING -ErrorAction SilentlyContinue
+            $startArgs = @{ FilePath = $env:VB_EXE; WorkingDirectory = $env:VB_DIR; WindowStyle = 'Hidden' }
+            if ($env:VB_ARGS) { $startArgs.ArgumentList = $env:VB_ARGS }
+            Start-Process @startArgs
+            """;
+
+        var startInfo = new ProcessStartInfo("powershell.exe");
+        startInfo.ArgumentList.Add("-NoProfile");
+        startInfo.ArgumentList.Add("-ExecutionPolicy");
+        startInfo.ArgumentList.Add("Bypass");
+        startInfo.ArgumentList.Add("-Command");
+        startInfo.ArgumentList.Add(script);
+        return startInfo;
+    }
+
+    private static string QuoteWindowsArgument(string arg)
+        => arg.Length > 0 && !arg.Any(c => char.IsWhiteSpace(c) || c == '"')
+            ? arg
+            : "\"" + arg.Replace("\"", "\\\"") + "\"";
+}
@@ -1,9 +1,16 @@
+using System.Runtime.InteropServices;
+using System.Security.Cryptography;
 using System.Text.Json;
+using VibeRails.Utils;
 
 namespace VibeRails.Services;
 
 public class UpdateService
 {
+    public const string SourceGitHub = "github";
+    public const string SourceLocalFeed = "local";
+    public const string SourceOffline = "offline";
+
     private readonly HttpClient _httpClient;
     private readonly string _githubRepo = "robstokes857/vibe-rails";
     private UpdateInfo? _cachedUpdateInfo;
@@ -16,6 +23,11 @@ public class UpdateService
         _httpClient.DefaultRequestHeaders.Add("User-Agent", "VibeRails-UpdateChecker");
     }
 
+    /// <summary>
+    /// Release JSON (GitHub "latest release" shape) used when GitHub can't be reached.
+    /// </summary>
+    public string StubFeedPath { get; set; } = Path.Combine(PathConstants.GetInstallDirPath(), PathConstants.UPDATE_FEED_FILENAME);
+
     public async Task<UpdateInfo?> CheckForUpdateAsync(CancellationToken cancellationToken = default)
     {
         // Return cached result if still valid
@@ -26,55 +38,170 @@ public class UpdateService
 
         try
         {
-            var currentVersion = VersionInfo.Version;
             var releaseUrl = $"https://api.github.com/repos/{_githubRepo}/releases/latest";
 
             var response = await _httpClient.GetAsync(releaseUrl, cancellationToken);
             response.EnsureSuccessStatusCode();
 
             var json = await response.Content.ReadAsStringAsync(cancellationToken);
-
-            // Parse JSON using JsonDocument for AOT compatibility
-            using var doc = JsonDocument.Parse(json);
-            var root = doc.RootElement;
-
-            if (!root.TryGetProperty("tag_name", out var tagElement))
+            var updateInfo = ParseRelease(json, SourceGitHub);
+            if (updateInfo == null)
             {
                 return null;
             }
 
-            var tagName = tagElement.GetString();
-            if (string.IsNullOrEmpty(tagName))
+            _cachedUpdateInfo = updateInfo;
+            _lastCheck = DateTime.UtcNow;
+            return _cachedUpdateInfo;
+        }
+        catch (Exception ex)
+        {
+            Console.Error.WriteLine($"[VibeRails] Error checking for updates: {ex.Message}");
+            // Not cached, so the next check tries GitHub again
+            return await ReadStubFeedAsync(cancellationToken);
+        }
+    }
+
+    /// <summary>
+    /// Name of this platform's archive among the release assets (see release.yml), or null when
+    /// no build is published for it.
+    /// </summary>
+    public static string? GetReleaseAssetName()
+    {
+        var arch = RuntimeInformation.ProcessArchitecture;
+        if (OperatingSystem.IsWindows())
+            return arch == Architecture.X64 ? "vb-win-x64.zip" : null;
+        if (OperatingSystem.IsLinux())
+            return arch == Architecture.X64 ? "vb-linux-x64.tar.gz" : null;
+        if (OperatingSystem.IsMacOS())
+            return arch switch
             {
-                return null;
-            }
+                Architecture.X64 => "vb-osx-x64.tar.gz",
+                Architecture.Arm64 => "vb-osx-arm64.tar.gz",
+                _ => null
+            };
+        return null;
+    }
+
+    /// <summary>
+    /// Downloads this platform's archive from the release <paramref name="info"/> describes (by tag, not
+    /// "latest", so it is the version that was offered) into <paramref name="directory"/>, and checks it
+    /// against the release's .sha256 asset. Returns the archive path.
+    /// </summary>
+    public async Task<string> DownloadReleaseAsync(UpdateInfo info, string directory, CancellationToken cancellationToken = default)
+    {
+        var assetName = GetReleaseAssetName()
+            ?? throw new InvalidOperationException("No release build is published for this platform.");
+        if (string.IsNullOrEmpty(info.TagName))
+            throw new InvalidOperationException("The release has no tag to download.");
+
+        var baseUrl = $"https://github.com/{_githubRepo}/releases/download/{Uri.EscapeDataString(info.TagName)}/";
+
+        // "<sha256>  <file name>", as written by release.yml
+        var checksumText = await _httpClient.GetStringAsync(baseUrl + assetName + ".sha256", cancellationToken);
+        var expectedHash = checksumText.Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries).FirstOrDefault()?.ToLowerInvariant();
+        if (expectedHash is not { Length: 64 })
+            throw new InvalidOperationException($"{assetName}.sha256 does not contain a SHA-256 checksum.");
+
+        Directory.CreateDirectory(directory);
+        var archivePath = Path.Combine(directory, assetName);
+        using (var response = await _httpClient.GetAsync(baseUrl + assetName, HttpCompletionOption.ResponseHeadersRead, cancellationToken))
+        {
+            response.EnsureSuccessStatusCode();
+            await using var file = File.Create(archivePath);
+            await response.Content.CopyToAsync(file, cancellationToken);
+        }
 
-            // Parse version (remove 'v' prefix if present)
-            var latestVersion = tagName.TrimStart('v');
-            var updateAvailable = IsNewerVersion(currentVersion, latestVersion);
+        string actualHash;
+        await using (var file = File.OpenRead(archivePath))
+        {
+            actualHash = Convert.ToHexStringLower(await SHA256.HashDataAsync(file, cancellationToken));
+        }
 
-            var releaseNotesUrl = root.TryGetProperty("html_url", out var urlElement)
-                ? urlElement.GetString()
-                : null;
+        if (actualHash != expectedHash)
+        {
+            File.Delete(archivePath);
+            throw new InvalidOperationException($"{assetName} failed checksum verification (expected {expectedHash}, got {actualHash}).");
+        }
 
-            _cachedUpdateInfo = new UpdateInfo
+        return archivePath;
+    }
+
+    /// <summary>
+    /// Falls back to the local stub feed, or reports the current version as up to date
+    /// when there is no usable feed.
+    /// </summary>
+    private async Task<UpdateInfo> ReadStubFeedAsync(CancellationToken cancellationToken)
+    {
+        try
+        {
+            if (File.Exists(StubFeedPath))
             {
-                CurrentVersion = currentVersion,
-                LatestVersion = latestVersion,
-                UpdateAvailable = updateAvailable,
-                ReleaseNotesUrl = releaseNotesUrl
-            };
+                var json = await File.ReadAllTextAsync(StubFeedPath, cancellationToken);
+                var updateInfo = ParseRelease(json, SourceLocalFeed);
+                if (updateInfo != null)
+                {
+                    return updateInfo;
+                }
+            }
+        }
+        catch (Exception ex) when (ex is JsonException or IOException)
+        {
+            Console.Error.WriteLine($"[VibeRails] Ignoring unreadable update feed {StubFeedPath}: {ex.Message}");
+        }
 
-            _lastCheck = DateTime.UtcNow;
-            return _cachedUpdateInfo;
+        return new UpdateInfo
+        {
+            CurrentVersion = VersionInfo.Version,
+            LatestVersion = VersionInfo.Version,
+            UpdateAvailable = false,
+            Source = SourceOffline
+        };
+    }
+
+    private static UpdateInfo? ParseRelease(string json, string source)
+    {
+        // Parse JSON using JsonDocument for AOT compatibility
+        using var doc = JsonDocument.Parse(json);
+        var root = doc.RootElement;
+
+        if (!root.TryGetProperty("tag_name", out var tagElement))
+        {
+            return null;
         }
-        catch (Exception ex)
+
+        var tagName = tagElement.GetString();
+        if (string.IsNullOrEmpty(tagName))
         {
-            Console.Error.WriteLine($"[VibeRails] Error checking for updates: {ex.Message}");
             return null;
         }
+
+        // Parse version (remove 'v' prefix if present)
+        var currentVersion = VersionInfo.Version;
+        var latestVersion = tagName.TrimStart('v');
+
+        return new UpdateInfo
+        {
+            CurrentVersion = currentVersion,
+            LatestVersion = latestVersion,
+            TagName = tagName,
+            UpdateAvailable = IsNewerVersion(currentVersion, latestVersion),
+            ReleaseNotesUrl = GetString(root, "html_url"),
+            ReleaseNotes = GetString(root, "body"),
+            PublishedAt = root.TryGetProperty("published_at", out var publishedElement)
+                && publishedElement.ValueKind == JsonValueKind.String
+                && publishedElement.TryGetDateTime(out var publishedAt)
+                    ? publishedAt
+                    : null,
+            Source = source
+        };
     }
 
+    private static string? GetString(JsonElement root, string property)
+        => root.TryGetProperty(property, out var element) && element.ValueKind == JsonValueKind.String
+            ? element.GetString()
+            : null;
+
     private static bool IsNewerVersion(string current, string latest)
     {
         try
@@ -102,6 +229,24 @@ public class UpdateInfo
 {
     public string CurrentVersion { get; set; } = string.Empty;
     public string LatestVersion { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Release tag LatestVersion came from; the update downloads this release's assets.
+    /// </summary>
+    public string? TagName { get; set; }
+
     public bool UpdateAvailable { get; set; }
     public string? ReleaseNotesUrl { get; set; }
+    public string? ReleaseNotes { get; set; }
+    public DateTime? PublishedAt { get; set; }
+
+    /// <summary>
+    /// Where the release info came from: "github", "local" (stub feed) or "offline".
+    /// </summary>
+    public string Source { get; set; } = UpdateService.SourceGitHub;
+
+    /// <summary>
+    /// Set when this instance can't install the update itself (VS Code managed, dev build, ...).
+    /// </summary>
+    public string? SelfUpdateUnavailableReason { get; set; }
 }
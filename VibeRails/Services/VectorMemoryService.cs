@@ -0,0 +1,244 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Text.Json.Serialization.Metadata;
+using MCP_Server.Services;
+using VibeRails.DTOs;
+using VibeRails.Utils;
+
+namespace VibeRails.Services
+{
+    public interface IVectorMemoryService
+    {
+        string StoragePath { get; }
+        Task<List<VectorUserTerm>> GetUserTermsAsync(CancellationToken ct = default);
+        Task<VectorUserTerm> AddUserTermAsync(string userTerm, string targetPath, string? description, CancellationToken ct = default);
+        Task<VectorUserTerm?> UpdateUserTermAsync(string id, string userTerm, string targetPath, string? description, CancellationToken ct = default);
+        Task<bool> DeleteUserTermAsync(string id, CancellationToken ct = default);
+        Task<List<VectorConversationEntry>> GetConversationsAsync(CancellationToken ct = default);
+        Task<VectorConversationEntry> AddConversationAsync(string role, string content, string? projectPath, CancellationToken ct = default);
+        Task<VectorConversationEntry?> UpdateConversationAsync(string id, string role, string content, string? projectPath, CancellationToken ct = default);
+        Task<bool> DeleteConversationAsync(string id, CancellationToken ct = default);
+        Task<List<VectorSearchHit>> SearchAsync(string kind, string query, int limit, CancellationToken ct = default);
+    }
+
+    /// <summary>
+    /// Reads and edits the vector memory the MCP server persists under ~/.vibe_rails/vector.
+    /// The files are JSONL in the MCP server's own format; MCP processes only ever append,
+    /// so edits and deletes rewrite the whole file under <see cref="VectorFileLock"/>, the
+    /// cross-process lock the MCP server also takes before appending. Searches use the same hashing vectorizer
+    /// as the MCP tools so scores match what an agent would see.
+    /// </summary>
+    public class VectorMemoryService : IVectorMemoryService
+    {
+        public const string KindTerms = "terms";
+        public const string KindConversations = "conversations";
+
+        private readonly SemaphoreSlim _fileLock = new(1, 1);
+
+        public VectorMemoryService()
+            : this(Path.Combine(PathConstants.GetInstallDirPath(), PathConstants.VECTOR_SUBDIR))
+        {
+        }
+
+        public VectorMemoryService(string storagePath)
+        {
+            StoragePath = storagePath;
+        }
+
+        public string StoragePath { get; }
+
+        private string UserTermsPath => Path.Combine(StoragePath, PathConstants.USER_TERMS_FILENAME);
+        private string ConversationsPath => Path.Combine(StoragePath, PathConstants.CONVERSATION_HISTORY_FILENAME);
+
+        public Task<List<VectorUserTerm>> GetUserTermsAsync(CancellationToken ct = default)
+            => ReadAllAsync(UserTermsPath, VectorStorageJsonContext.Default.VectorUserTerm, ct);
+
+        public async Task<VectorUserTerm> AddUserTermAsync(string userTerm, string targetPath, string? description, CancellationToken ct = default)
+        {
+            var entry = new VectorUserTerm(Guid.NewGuid().ToString(), userTerm.Trim(), targetPath.Trim(),
+                NullIfBlank(description), DateTime.UtcNow);
+
+            await AppendAsync(UserTermsPath, JsonSerializer.Serialize(entry, VectorStorageJsonContext.Default.VectorUserTerm), ct);
+            return entry;
+        }
+
+        public Task<VectorUserTerm?> UpdateUserTermAsync(string id, string userTerm, string targetPath, string? description, CancellationToken ct = default)
+            => RewriteAsync(UserTermsPath, VectorStorageJsonContext.Default.VectorUserTerm, e => e.Id == id,
+                e => e with { UserTerm = userTerm.Trim(), TargetPath = targetPath.Trim(), Description = NullIfBlank(description) }, ct);
+
+        public async Task<bool> DeleteUserTermAsync(string id, CancellationToken ct = default)
+            => await RewriteAsync(UserTermsPath, VectorStorageJsonContext.Default.VectorUserTerm, e => e.Id == id, null, ct) != null;
+
+        public Task<List<VectorConversationEntry>> GetConversationsAsync(CancellationToken ct = default)
+            => ReadAllAsync(ConversationsPath, VectorStorageJsonContext.Default.VectorConversationEntry, ct);
+
+        public async Task<VectorConversationEntry> AddConversationAsync(string role, string content, string? projectPath, CancellationToken ct = default)
+        {
+            var entry = new VectorConversationEntry(Guid.NewGuid().ToString(), role.Trim(), content,
+                NullIfBlank(projectPath), DateTime.UtcNow);
+
+            await AppendAsync(ConversationsPath, JsonSerializer.Serialize(entry, VectorStorageJsonContext.Default.VectorConversationEntry), ct);
+            return entry;
+        }
+
+        public Task<VectorConversationEntry?> UpdateConversationAsync(string id, string role, string content, string? projectPath, CancellationToken ct = default)
+            => RewriteAsync(ConversationsPath, VectorStorageJsonContext.Default.VectorConversationEntry, e => e.Id == id,
+                e => e with { Role = role.Trim(), Content = content, ProjectPath = NullIfBlank(projectPath) }, ct);
+
+        public async Task<bool> DeleteConversationAsync(string id, CancellationToken ct = default)
+            => await RewriteAsync(ConversationsPath, VectorStorageJsonContext.Default.VectorConversationEntry, e => e.Id == id, null, ct) != null;
+
+        public async Task<List<VectorSearchHit>> SearchAsync(string kind, string query, int limit, CancellationToken ct = default)
+        {
+            var db = new SimpleVectorDb();
+
+            if (kind == KindConversations)
+            {
+                foreach (var entry in await GetConversationsAsync(ct))
+                    db.AddText(entry.Content, entry.Id);
+            }
+            else
+            {
+                foreach (var entry in await GetUserTermsAsync(ct))
+                    db.AddText(ToIndexText(entry), entry.Id);
+            }
+
+            // SimpleVectorDb only sorts once it has a full page, so order the hits ourselves
+            var results = db.Search(query, pageCount: limit);
+            return (results.Texts ?? [])
+                .OrderByDescending(t => t.Score)
+                .Select(t => new VectorSearchHit(t.Metadata ?? "", t.Score, t.Text ?? ""))
+                .ToList();
+        }
+
+        /// <summary>
+        /// Mirrors the text VectorSearchTool indexes for a user term.
+        /// </summary>
+        private static string ToIndexText(VectorUserTerm entry) => string.IsNullOrEmpty(entry.Description)
+            ? $"{entry.UserTerm}: {entry.TargetPath}"
+            : $"{entry.UserTerm}: {entry.Description} ({entry.TargetPath})";
+
+        private static string? NullIfBlank(string? value) => string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+
+        private async Task<List<T>> ReadAllAsync<T>(string path, JsonTypeInfo<T> typeInfo, CancellationToken ct) where T : class
+        {
+            await _fileLock.WaitAsync(ct);
+            try
+            {
+                return await ReadEntriesAsync(path, typeInfo, ct);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        private static async Task<List<T>> ReadEntriesAsync<T>(string path, JsonTypeInfo<T> typeInfo, CancellationToken ct) where T : class
+        {
+            var entries = new List<T>();
+            if (!File.Exists(path))
+                return entries;
+
+            foreach (var line in await File.ReadAllLinesAsync(path, ct))
+            {
+                if (string.IsNullOrWhiteSpace(line))
+                    continue;
+                // Skip malformed lines, same as the MCP server does when loading
+                var entry = TryDeserialize(line, typeInfo);
+                if (entry != null)
+                    entries.Add(entry);
+            }
+            return entries;
+        }
+
+        private static T? TryDeserialize<T>(string line, JsonTypeInfo<T> typeInfo) where T : class
+        {
+            try
+            {
+                return JsonSerializer.Deserialize(line.Trim(), typeInfo);
+            }
+            catch (JsonException)
+            {
+                return null;
+            }
+        }
+
+        private async Task AppendAsync(string path, string line, CancellationToken ct)
+        {
+            await _fileLock.WaitAsync(ct);
+            try
+            {
+                Directory.CreateDirectory(StoragePath);
+                using var fileLock = await VectorFileLock.AcquireAsync(path, ct);
+                await File.AppendAllTextAsync(path, line + Environment.NewLine, ct);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        /// <summary>
+        /// Applies an update (or a delete when update is null) to the first matching entry and rewrites the file.
+        /// Every other line is copied through as it was, including ones this version can't parse.
+        /// Returns the updated entry (or the deleted one), or null if nothing matched.
+        /// </summary>
+        private async Task<T?> RewriteAsync<T>(
+            string path,
+            JsonTypeInfo<T> typeInfo,
+            Func<T, bool> match,
+            Func<T, T>? update,
+            CancellationToken ct) where T : class
+        {
+            await _fileLock.WaitAsync(ct);
+            try
+            {
+                if (!File.Exists(path))
+                    return null;
+
+                using var fileLock = await VectorFileLock.AcquireAsync(path, ct);
+
+                T? result = null;
+                var lines = new List<string>();
+                foreach (var line in await File.ReadAllLinesAsync(path, ct))
+                {
+                    if (string.IsNullOrWhiteSpace(line))
+                        continue;
+
+                    var entry = result == null ? TryDeserialize(line, typeInfo) : null;
+                    if (entry == null || !match(entry))
+                    {
+                        lines.Add(line);
+                        continue;
+                    }
+
+                    result = update == null ? entry : update(entry);
+                    if (update != null)
+                        lines.Add(JsonSerializer.Serialize(result, typeInfo));
+                }
+
+                if (result == null)
+                    return null;
+
+                var tempPath = path + ".tmp";
+                await File.WriteAllLinesAsync(tempPath, lines, ct);
+                File.Move(tempPath, path, overwrite: true);
+                return result;
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+    }
+
+    /// <summary>
+    /// Matches the MCP server's VectorJsonContext (PascalCase, single-line) so both sides share the files.
+    /// </summary>
+    [JsonSourceGenerationOptions(WriteIndented = false)]
+    [JsonSerializable(typeof(VectorUserTerm))]
+    [JsonSerializable(typeof(VectorConversationEntry))]
+    internal partial class VectorStorageJsonContext : JsonSerializerContext
+    {
+    }
+}
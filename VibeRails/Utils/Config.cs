@@ -16,6 +16,7 @@ public class Settings
     public bool RemoteAccess { get; set; } = false;
     public string PinHash { get; set; } = string.Empty;
     public string PinSalt { get; set; } = string.Empty;
+    public int PinIdleLockMinutes { get; set; } = 15;
     public HookSettings Hooks { get; set; } = new();
 }
 
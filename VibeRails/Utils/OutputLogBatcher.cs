@@ -0,0 +1,136 @@
+using System.Text;
+using System.Threading.Channels;
+
+namespace VibeRails.Utils;
+
+/// <summary>
+/// Collects terminal output and hands it to a callback in batches, so a chatty PTY costs one
+/// SessionLogs row per flush rather than one per read. A batch is flushed when the interval
+/// elapses or it grows past <see cref="MaxBatchLength"/>, and whatever is left on dispose.
+/// Once a session has logged its byte cap, <see cref="TruncatedNotice"/> is written and later output is dropped.
+/// </summary>
+public sealed class OutputLogBatcher : IAsyncDisposable, IDisposable
+{
+    public const int MaxBatchLength = 64 * 1024;
+    public const long DefaultMaxSessionBytes = 32L * 1024 * 1024;
+    public const string TruncatedNotice = "\r\n[Output log limit reached; later output was not recorded]\r\n";
+    private static readonly TimeSpan s_defaultFlushInterval = TimeSpan.FromMilliseconds(200);
+
+    private readonly StringBuilder _pending = new();
+    private readonly Func<string, Task> _onFlush;
+    private readonly object _lock = new();
+    private readonly Channel<string> _batches = Channel.CreateUnbounded<string>(
+        new UnboundedChannelOptions { SingleReader = true, SingleWriter = false });
+    private readonly Timer _timer;
+    private readonly Task _worker;
+    private readonly long _maxSessionBytes;
+
+    private long _loggedBytes;
+    private bool _capped;
+    private bool _disposed;
+
+    public OutputLogBatcher(Func<string, Task> onFlush, TimeSpan? flushInterval = null, long maxSessionBytes = DefaultMaxSessionBytes)
+    {
+        _onFlush = onFlush ?? throw new ArgumentNullException(nameof(onFlush));
+        _maxSessionBytes = maxSessionBytes;
+        var interval = flushInterval ?? s_defaultFlushInterval;
+        _timer = new Timer(_ => Flush(), null, interval, interval);
+        _worker = Task.Run(ProcessBatchesAsync);
+    }
+
+    /// <summary>
+    /// Appends output from the terminal stream.
+    /// </summary>
+    public void Append(string output)
+    {
+        if (string.IsNullOrEmpty(output))
+            return;
+
+        lock (_lock)
+        {
+            if (_disposed || _capped)
+                return;
+
+            var bytes = Encoding.UTF8.GetByteCount(output);
+            if (_loggedBytes + bytes > _maxSessionBytes)
+            {
+                _capped = true;
+                _pending.Append(TruncatedNotice);
+                TakePending();
+                return;
+            }
+
+            _loggedBytes += bytes;
+            _pending.Append(output);
+            if (_pending.Length >= MaxBatchLength)
+                TakePending();
+        }
+    }
+
+    /// <summary>
+    /// Queues whatever has been appended since the last flush.
+    /// </summary>
+    public void Flush()
+    {
+        lock (_lock)
+        {
+            if (!_disposed)
+                TakePending();
+        }
+    }
+
+    public void Dispose()
+    {
+        DisposeAsync().AsTask().GetAwaiter().GetResult();
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        lock (_lock)
+        {
+            if (_disposed)
+                return;
+            TakePending();
+            _disposed = true;
+        }
+
+        await _timer.DisposeAsync().ConfigureAwait(false);
+        _batches.Writer.TryComplete();
+        try
+        {
+            await _worker.ConfigureAwait(false);
+        }
+        catch { }
+    }
+
+    private void TakePending()
+    {
+        if (_pending.Length == 0)
+            return;
+
+        _batches.Writer.TryWrite(_pending.ToString());
+        _pending.Clear();
+    }
+
+    private async Task ProcessBatchesAsync()
+    {
+        try
+        {
+            while (await _batches.Reader.WaitToReadAsync().ConfigureAwait(false))
+            {
+                while (_batches.Reader.TryRead(out var batch))
+                {
+                    try
+                    {
+                        await _onFlush(batch).ConfigureAwait(false);
+                    }
+                    catch (Exception ex)
+                    {
+                        Console.Error.WriteLine($"[VibeRails] Error in output log callback: {ex.Message}");
+                    }
+                }
+            }
+        }
+        catch { }
+    }
+}
@@ -23,6 +23,11 @@ namespace VibeRails.Utils
         public const string LOG_SUBDIR = "log";
         public const string MCP_LOG_SUBDIR = "mcp";
         public const string MCP_LOG_FILENAME = "mcp-server.log";
+        public const string UPDATE_FEED_FILENAME = "update-feed.json";
+        public const string UPDATE_LOG_FILENAME = "update.log";
+        public const string TRACE_ALERTS_FILENAME = "trace-alerts.json";
+        public const string TERMINAL_APPEARANCE_FILENAME = "terminal-appearance.json";
+        public const string PROMPTS_FILENAME = "prompts.json";
 
         // Vector database file names
         public const string USER_TERMS_FILENAME = "user_terms.jsonl";
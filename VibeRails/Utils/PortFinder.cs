@@ -5,8 +5,11 @@ namespace VibeRails.Utils;
 
 public static class PortFinder
 {
-    public static int FindOpenPort(int startPort = 5000, int endPort = 5999)
+    public static int FindOpenPort(int startPort = 5000, int endPort = 5999, int? preferredPort = null)
     {
+        if (preferredPort is int preferred && IsPortAvailable(preferred))
+            return preferred;
+
         for (int port = startPort; port <= endPort; port++)
         {
             if (IsPortAvailable(port))
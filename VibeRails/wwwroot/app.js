@@ -13,6 +13,13 @@ import { CliLauncher } from './js/modules/cli-launcher.js';
 import { TerminalController } from './js/modules/terminal-multitab.js';
 import { SandboxController } from './js/modules/sandbox-controller.js';
 import { SettingsController } from './js/modules/settings-controller.js';
+import { TerminalAppearanceController } from './js/modules/terminal-appearance-controller.js';
+import { loadTerminalAppearance } from './js/modules/terminal-appearance.js';
+import { PlanController } from './js/modules/plan-controller.js';
+import { McpController } from './js/modules/mcp-controller.js';
+import { VectorMemoryController } from './js/modules/vector-memory-controller.js';
+import { PinLock } from './js/modules/pin-lock.js';
+import { UpdateNotifier } from './js/modules/update-notifier.js';
 import { getLlmName, getProjectNameFromPath, formatRelativeTime, getCliBrand, escapeHtml } from './js/modules/utils.js';
 
 export class VibeControlApp {
@@ -40,6 +47,17 @@ export class VibeControlApp {
         this.terminalController = new TerminalController(this);
         this.sandboxController = new SandboxController(this);
         this.settingsController = new SettingsController(this);
+        this.terminalAppearanceController = new TerminalAppearanceController(this);
+        this.planController = new PlanController(this);
+        this.mcpController = new McpController(this);
+        this.vectorMemoryController = new VectorMemoryController(this);
+        this.updateNotifier = new UpdateNotifier(this);
+        // Terminals stop streaming behind the lock screen and resume where they left off
+        this.pinLock = new PinLock({
+            apiBase: window.__viberails_API_BASE__ || '',
+            onLock: () => this.terminalController.suspendStreams(),
+            onUnlock: () => this.terminalController.resumeStreams()
+        });
         this.lifecycleHeartbeatTimer = null;
         this.lifecycleClientId = this.getOrCreateLifecycleClientId();
 
@@ -47,6 +65,10 @@ export class VibeControlApp {
     }
 
     async init() {
+        await this.pinLock.start();
+        // The server refuses API calls while locked, so load nothing until the PIN is entered
+        await this.pinLock.whenUnlocked();
+        void loadTerminalAppearance(window.__viberails_API_BASE__ || '');
         await this.fetchConfigs();
         if (!this.data.isInGit) {
             this.showNotInGitBanner();
@@ -328,6 +350,8 @@ export class VibeControlApp {
     loadView(view, data = {}) {
         this.updateActiveSubNav(view);
         this.terminalController?.resetLayoutStateForNavigation();
+        this.sessionController?.disposeReplay();
+        this.terminalAppearanceController?.disposePreview();
         this.applyViewLayoutState(view);
         window.scrollTo(0, 0);
         const views = {
@@ -340,8 +364,12 @@ export class VibeControlApp {
             'active-rules': () => this.ruleController.loadActiveRules(),
             'environments': () => this.environmentController.loadEnvironments(),
             'config': () => this.configController.loadConfiguration(),
-            'sessions': () => this.sessionController.loadSessions(),
+            'sessions': () => this.sessionController.loadSessions(data),
+            'plans': () => this.planController.loadPlans(data),
+            'mcp': () => this.mcpController.loadMcp(),
+            'vector-memory': () => this.vectorMemoryController.loadVectorMemory(),
             'settings': () => this.settingsController.loadSettings(),
+            'terminal-appearance': () => this.terminalAppearanceController.loadAppearanceSettings(),
             'terminal-focus': () => this.terminalController.loadTerminalFocusView(data),
             'sandboxes': () => this.sandboxController.loadSandboxes()
         };
@@ -717,6 +745,12 @@ export class VibeControlApp {
                 throw new Error('Unauthorized');
             }
 
+            if (response.status === 423) {
+                // Locked from another browser; re-reading the PIN status brings up the lock screen here too
+                void this.pinLock.start();
+                throw new Error('VibeRails is locked. Enter your PIN to continue.');
+            }
+
             if (!response.ok) throw new Error(`API call failed: ${response.statusText}`);
             return await response.json();
         } catch (error) {
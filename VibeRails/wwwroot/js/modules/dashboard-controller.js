@@ -24,6 +24,7 @@ export class DashboardController {
 
         content.innerHTML = '';
         content.appendChild(this.renderUnifiedDashboard(data));
+        this.app.updateNotifier.render(content.querySelector('[data-update-banner]'));
     }
 
     renderUnifiedDashboard(data = {}) {
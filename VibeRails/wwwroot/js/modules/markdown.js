@@ -0,0 +1,153 @@
+import { escapeHtml } from './utils.js';
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+/**
+ * Minimal markdown renderer for agent-authored content (plans, notes).
+ * Everything is HTML-escaped before formatting is applied, so the output is
+ * safe to assign to innerHTML. Covers headings, lists, code, quotes and inline styles.
+ */
+export function renderMarkdown(source) {
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let listStack = [];
+    let quote = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const closeLists = (depth = 0) => {
+        while (listStack.length > depth) {
+            const list = listStack.pop();
+            html.push(`</li></${list.tag}>`);
+        }
+    };
+
+    const flushQuote = () => {
+        if (quote.length > 0) {
+            html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            quote = [];
+        }
+    };
+
+    const flushAll = () => {
+        flushParagraph();
+        closeLists();
+        flushQuote();
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            flushAll();
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                body.push(lines[i]);
+                i++;
+            }
+            const language = fence[2] ? ` data-language="${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(body.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if (line.trim() === '') {
+            flushParagraph();
+            flushQuote();
+            // Blank lines inside a list keep the list open; anything else closes it.
+            const next = lines.slice(i + 1).find(l => l.trim() !== '');
+            if (!next || !LIST_ITEM_PATTERN.test(next)) {
+                closeLists();
+            }
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            flushParagraph();
+            closeLists();
+            quote.push(line.replace(/^\s*>\s?/, ''));
+            continue;
+        }
+        flushQuote();
+
+        if (RULE_PATTERN.test(line)) {
+            flushAll();
+            html.push('<hr>');
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            flushAll();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM_PATTERN);
+        if (item) {
+            flushParagraph();
+            const indent = item[1].replace(/\t/g, '    ').length;
+            const tag = /^\d/.test(item[2]) ? 'ol' : 'ul';
+
+            while (listStack.length > 0 && indent < listStack[listStack.length - 1].indent) {
+                const list = listStack.pop();
+                html.push(`</li></${list.tag}>`);
+            }
+
+            const current = listStack[listStack.length - 1];
+            if (!current || indent > current.indent) {
+                html.push(`<${tag}>`);
+                listStack.push({ tag, indent });
+            } else if (current.tag !== tag) {
+                listStack.pop();
+                html.push(`</li></${current.tag}><${tag}>`);
+                listStack.push({ tag, indent });
+            } else {
+                html.push('</li>');
+            }
+
+            html.push(`<li>${renderInline(item[3])}`);
+            continue;
+        }
+
+        if (listStack.length > 0 && /^\s+/.test(line)) {
+            // Indented continuation of the previous list item.
+            html.push(` ${renderInline(line.trim())}`);
+            continue;
+        }
+
+        closeLists();
+        paragraph.push(line.trim());
+    }
+
+    flushAll();
+    return html.join('');
+}
+
+export function renderInline(text) {
+    const codeSpans = [];
+    let output = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    output = output
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+    return output.replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[Number(index)]);
+}
@@ -0,0 +1,246 @@
+import { renderSchemaForm, readSchemaForm, formatToolResult } from './schema-form.js';
+
+// MCP Controller - Browses tools exposed by the bundled MCP server and invokes them
+export class McpController {
+    constructor(app) {
+        this.app = app;
+        this.tools = [];
+        this.selectedToolName = null;
+        this.invoking = false;
+    }
+
+    async loadMcp() {
+        const content = document.getElementById('app-content');
+        if (!content) return;
+
+        content.innerHTML = '';
+        const fragment = this.app.cloneTemplate('mcp-template');
+        const root = fragment.querySelector('[data-view="mcp"]');
+
+        if (root) {
+            this.app.bindAction(root, '[data-action="refresh-mcp-tools"]', () => this.fetchAndRenderTools());
+
+            const form = root.querySelector('[data-mcp-form]');
+            form?.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.invokeSelectedTool();
+            });
+
+            const filter = root.querySelector('[data-mcp-filter]');
+            filter?.addEventListener('input', () => this.renderToolsList());
+        }
+
+        content.appendChild(fragment);
+        await this.fetchStatus();
+        await this.fetchAndRenderTools();
+    }
+
+    async fetchStatus() {
+        const status = document.querySelector('[data-mcp-status]');
+        if (!status) return;
+
+        try {
+            const result = await this.app.apiCall('/api/v1/mcp/status', 'GET');
+            status.className = `badge ${result.serverAvailable ? 'bg-success' : 'bg-danger'}`;
+            status.textContent = result.serverAvailable ? 'Server available' : 'Server not found';
+            status.title = result.message || result.serverPath || '';
+        } catch (error) {
+            status.className = 'badge bg-danger';
+            status.textContent = 'Status unavailable';
+            status.title = error.message;
+        }
+    }
+
+    async fetchAndRenderTools() {
+        const list = document.querySelector('[data-mcp-tools]');
+        if (!list) return;
+
+        list.innerHTML = '<div class="text-center"><div class="spinner-border text-primary"></div><p class="mt-2">Starting MCP server...</p></div>';
+
+        try {
+            this.tools = await this.app.apiCall('/api/v1/mcp/tools', 'GET') || [];
+        } catch (error) {
+            this.tools = [];
+            list.innerHTML = `<p class="text-danger text-center">Failed to load tools: ${this.app.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        this.renderToolsList();
+
+        const selected = this.tools.find(tool => tool.name === this.selectedToolName) || this.tools[0];
+        if (selected) {
+            this.selectTool(selected.name);
+        }
+    }
+
+    renderToolsList() {
+        const list = document.querySelector('[data-mcp-tools]');
+        if (!list) return;
+
+        const count = document.querySelector('[data-mcp-tools-count]');
+        if (count) count.textContent = this.tools.length > 0 ? String(this.tools.length) : '';
+
+        const query = (document.querySelector('[data-mcp-filter]')?.value || '').trim().toLowerCase();
+        const tools = query
+            ? this.tools.filter(tool => `${tool.name} ${tool.description}`.toLowerCase().includes(query))
+            : this.tools;
+
+        if (tools.length === 0) {
+            list.innerHTML = `<p class="text-muted text-center">${this.tools.length === 0 ? 'The MCP server exposes no tools.' : 'No tools match the filter.'}</p>`;
+            return;
+        }
+
+        list.innerHTML = `
+            <div class="list-group">
+                ${tools.map(tool => `
+                    <button type="button" class="list-group-item list-group-item-action mcp-tool-item${tool.name === this.selectedToolName ? ' mcp-tool-item-active' : ''}" data-tool-name="${this.app.escapeHtml(tool.name)}">
+                        <div class="fw-semibold font-monospace">${this.app.escapeHtml(tool.name)}</div>
+                        <div class="text-muted small mcp-tool-description">${this.app.escapeHtml(tool.description || '')}</div>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        this.app.bindActions(list, '[data-tool-name]', (element) => {
+            this.selectTool(element.dataset.toolName);
+        });
+    }
+
+    selectTool(name) {
+        const tool = this.tools.find(item => item.name === name);
+        const root = document.querySelector('[data-view="mcp"]');
+        if (!tool || !root) return;
+
+        this.selectedToolName = tool.name;
+
+        root.querySelectorAll('[data-tool-name]').forEach(item => {
+            item.classList.toggle('mcp-tool-item-active', item.dataset.toolName === tool.name);
+        });
+
+        const title = root.querySelector('[data-mcp-tool-title]');
+        if (title) title.textContent = tool.name;
+
+        const description = root.querySelector('[data-mcp-tool-description]');
+        if (description) description.textContent = tool.description || '';
+
+        const fields = root.querySelector('[data-mcp-fields]');
+        if (fields) fields.innerHTML = renderSchemaForm(tool.inputSchema, 'mcp-arg');
+
+        const schema = root.querySelector('[data-mcp-schema]');
+        if (schema) schema.textContent = JSON.stringify(tool.inputSchema ?? {}, null, 2);
+
+        root.querySelector('[data-mcp-form]')?.classList.remove('d-none');
+        this.renderResult(null);
+    }
+
+    async invokeSelectedTool() {
+        const tool = this.tools.find(item => item.name === this.selectedToolName);
+        const form = document.querySelector('[data-mcp-form]');
+        if (!tool || !form || this.invoking) return;
+
+        const { args, errors } = readSchemaForm(form, tool.inputSchema);
+        if (errors.length > 0) {
+            this.app.showError(errors.join('; '));
+            return;
+        }
+
+        const submit = form.querySelector('[type="submit"]');
+        this.invoking = true;
+        if (submit) submit.disabled = true;
+        this.renderResult({ pending: true, args });
+
+        const startedAt = performance.now();
+        try {
+            // Tool failures come back as 400 with a McpToolCallResponse body, so read it ourselves
+            // instead of going through apiCall (which only surfaces the status text).
+            const response = await fetch(`${this.app.getApiBaseUrl()}/api/v1/mcp/tools/${encodeURIComponent(tool.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ arguments: args })
+            });
+            const roundTripMs = Math.round(performance.now() - startedAt);
+
+            let body = null;
+            try {
+                body = await response.json();
+            } catch {
+                // non-JSON error page
+            }
+
+            if (!body) {
+                throw new Error(response.statusText || `HTTP ${response.status}`);
+            }
+
+            this.renderResult({
+                success: response.ok && body.success,
+                result: body.result,
+                error: body.error || (response.ok ? null : response.statusText),
+                durationMs: body.durationMs,
+                roundTripMs,
+                args
+            });
+        } catch (error) {
+            this.renderResult({
+                success: false,
+                error: error.message,
+                roundTripMs: Math.round(performance.now() - startedAt),
+                args
+            });
+        } finally {
+            this.invoking = false;
+            if (submit) submit.disabled = false;
+        }
+    }
+
+    renderResult(outcome) {
+        const panel = document.querySelector('[data-mcp-result]');
+        if (!panel) return;
+
+        if (!outcome) {
+            panel.classList.add('d-none');
+            return;
+        }
+
+        panel.classList.remove('d-none');
+
+        const status = panel.querySelector('[data-mcp-result-status]');
+        const timing = panel.querySelector('[data-mcp-result-timing]');
+        const output = panel.querySelector('[data-mcp-result-output]');
+        const request = panel.querySelector('[data-mcp-result-request]');
+
+        if (request) request.textContent = JSON.stringify({ arguments: outcome.args }, null, 2);
+
+        if (outcome.pending) {
+            if (status) {
+                status.className = 'badge bg-secondary';
+                status.textContent = 'Running...';
+            }
+            if (timing) timing.textContent = '';
+            if (output) {
+                output.classList.remove('text-danger');
+                output.textContent = '';
+            }
+            return;
+        }
+
+        if (status) {
+            status.className = `badge ${outcome.success ? 'bg-success' : 'bg-danger'}`;
+            status.textContent = outcome.success ? 'Success' : 'Error';
+        }
+
+        if (timing) {
+            const parts = [];
+            if (outcome.durationMs != null) parts.push(`${outcome.durationMs} ms server`);
+            if (outcome.roundTripMs != null) parts.push(`${outcome.roundTripMs} ms round-trip`);
+            timing.textContent = parts.join(' • ');
+        }
+
+        if (output) {
+            output.classList.toggle('text-danger', !outcome.success);
+            output.textContent = outcome.success
+                ? (formatToolResult(outcome.result) || '(empty result)')
+                : (outcome.error || 'Unknown error');
+        }
+    }
+}
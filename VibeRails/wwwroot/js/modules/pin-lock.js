@@ -0,0 +1,295 @@
+// ============================================
+// PIN Lock Screen
+// Full-screen lock shared by the dashboard and the terminal popout.
+// The server holds the lock and refuses API calls, terminal sockets and
+// streams until the PIN is verified. localStorage carries last activity
+// and a locked flag so every open window locks and unlocks together.
+// ============================================
+
+const LOCKED_KEY = 'viberails_pin_locked';
+const ACTIVITY_KEY = 'viberails_pin_last_activity';
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const ACTIVITY_WRITE_INTERVAL_MS = 5000;
+const IDLE_CHECK_INTERVAL_MS = 10000;
+
+export class PinLock {
+    constructor({ apiBase = '', onLock = null, onUnlock = null } = {}) {
+        this.apiBase = apiBase;
+        this.onLock = onLock;
+        this.onUnlock = onUnlock;
+        this.isSet = false;
+        this.idleLockMinutes = 0;
+        this.locked = false;
+        this.overlay = null;
+        this.idleTimer = null;
+        this.retryTimer = null;
+        this.lastActivityWrite = 0;
+        this.unlockWaiters = [];
+
+        this.handleActivity = this.handleActivity.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+        this.handleVisibility = this.handleVisibility.bind(this);
+    }
+
+    /**
+     * Reads the PIN status and locks straight away if the server is locked, or
+     * this browser recorded activity that is now older than the timeout. A browser
+     * with no recorded activity (new profile, incognito, webview) starts unlocked.
+     */
+    async start() {
+        try {
+            const response = await fetch(`${this.apiBase}/api/v1/settings/pin/status`, { credentials: 'include' });
+            if (!response.ok) return;
+            this.configure(await response.json(), { initial: true });
+        } catch (error) {
+            console.error('Failed to check PIN status:', error);
+        }
+    }
+
+    /**
+     * Applies a PinStatusResponse. Settings calls this after the PIN or timeout changes.
+     */
+    configure(status, { initial = false } = {}) {
+        this.isSet = Boolean(status?.isSet);
+        this.idleLockMinutes = Number(status?.idleLockMinutes) || 0;
+
+        if (!this.isSet) {
+            this.stopWatching();
+            localStorage.removeItem(LOCKED_KEY);
+            this.hideOverlay();
+            return;
+        }
+
+        this.startWatching();
+        if (status.locked) {
+            // Already locked on the server, so there is nothing to POST
+            this.lock({ notifyServer: false });
+        } else if (initial && this.shouldLockOnLoad()) {
+            this.lock();
+        } else if (!this.locked) {
+            // A flag left behind from before the server was unlocked or restarted
+            if (localStorage.getItem(LOCKED_KEY) === '1') localStorage.removeItem(LOCKED_KEY);
+            this.recordActivity(true);
+        }
+    }
+
+    lock({ notifyServer = true } = {}) {
+        if (!this.isSet) return;
+        localStorage.setItem(LOCKED_KEY, '1');
+        this.showOverlay();
+        if (!notifyServer) return;
+        // Without this the overlay would only hide the page; the server keeps serving until it is locked too
+        fetch(`${this.apiBase}/api/v1/settings/pin/lock`, { method: 'POST', credentials: 'include' })
+            .catch(error => console.error('Failed to lock the server:', error));
+    }
+
+    /**
+     * Resolves once the lock screen is dismissed (straight away when unlocked).
+     */
+    whenUnlocked() {
+        if (!this.locked) return Promise.resolve();
+        return new Promise(resolve => this.unlockWaiters.push(resolve));
+    }
+
+    // The server lock applies to every window, so only a stored timestamp that is really past the
+    // timeout may set it; missing activity just means this browser has not been used here before
+    shouldLockOnLoad() {
+        const lastActivity = this.getLastActivity();
+        return lastActivity > 0 && this.isIdleExpired(lastActivity);
+    }
+
+    isIdleExpired(lastActivity) {
+        return this.idleLockMinutes > 0 && Date.now() - lastActivity >= this.idleLockMinutes * 60000;
+    }
+
+    getLastActivity() {
+        return Number(localStorage.getItem(ACTIVITY_KEY)) || 0;
+    }
+
+    recordActivity(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastActivityWrite < ACTIVITY_WRITE_INTERVAL_MS) return;
+        this.lastActivityWrite = now;
+        localStorage.setItem(ACTIVITY_KEY, String(now));
+    }
+
+    // ============================================
+    // Idle Tracking
+    // ============================================
+
+    startWatching() {
+        if (this.idleTimer) return;
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, this.handleActivity, { passive: true }));
+        window.addEventListener('storage', this.handleStorage);
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        this.idleTimer = setInterval(() => this.checkIdle(), IDLE_CHECK_INTERVAL_MS);
+    }
+
+    stopWatching() {
+        if (!this.idleTimer) return;
+        ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this.handleActivity));
+        window.removeEventListener('storage', this.handleStorage);
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+    }
+
+    handleActivity() {
+        if (!this.locked) this.recordActivity();
+    }
+
+    handleVisibility() {
+        // Background tabs throttle timers, so re-check as soon as the tab is visible again
+        if (document.visibilityState === 'visible') this.checkIdle();
+    }
+
+    checkIdle() {
+        if (this.locked) return;
+        if (this.isIdleExpired(this.getLastActivity())) {
+            this.lock();
+        }
+    }
+
+    handleStorage(event) {
+        if (event.key !== LOCKED_KEY) return;
+        if (event.newValue === '1') {
+            this.showOverlay();
+        } else if (this.locked) {
+            this.hideOverlay();
+        }
+    }
+
+    // ============================================
+    // Overlay
+    // ============================================
+
+    showOverlay() {
+        if (this.locked) return;
+        this.locked = true;
+
+        // Everything behind the lock screen becomes unfocusable and unclickable
+        Array.from(document.body.children).forEach(el => el.setAttribute('inert', ''));
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'pin-lock';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.setAttribute('aria-labelledby', 'pin-lock-title');
+        this.overlay.innerHTML = `
+            <form class="pin-lock-card" autocomplete="off">
+                <svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" fill="currentColor" viewBox="0 0 16 16" class="pin-lock-icon" aria-hidden="true">
+                    <path d="M8 1a2 2 0 0 1 2 2v4H6V3a2 2 0 0 1 2-2m3 6V3a3 3 0 0 0-6 0v4a2 2 0 0 0-2 2v5a2 2 0 0 0 2 2h6a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2"/>
+                </svg>
+                <h2 id="pin-lock-title" class="pin-lock-title">VibeRails is locked</h2>
+                <p class="pin-lock-hint">Enter your PIN to continue.</p>
+                <input type="password" class="pin-lock-input" name="pin" aria-label="PIN" autocomplete="off" required>
+                <div class="pin-lock-error" role="alert" hidden></div>
+                <button type="submit" class="pin-lock-submit">Unlock</button>
+            </form>
+        `;
+
+        // Keep shortcuts like Escape from reaching the app underneath
+        this.overlay.addEventListener('keydown', (e) => e.stopPropagation());
+        this.overlay.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPin();
+        });
+
+        document.body.appendChild(this.overlay);
+        this.overlay.querySelector('.pin-lock-input').focus();
+        this.onLock?.();
+    }
+
+    hideOverlay() {
+        if (!this.locked) return;
+        this.locked = false;
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
+
+        this.overlay?.remove();
+        this.overlay = null;
+        Array.from(document.body.children).forEach(el => el.removeAttribute('inert'));
+
+        this.recordActivity(true);
+        this.onUnlock?.();
+        this.unlockWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    async submitPin() {
+        const input = this.overlay?.querySelector('.pin-lock-input');
+        const submit = this.overlay?.querySelector('.pin-lock-submit');
+        if (!input || !input.value || input.disabled) return;
+
+        submit.disabled = true;
+        try {
+            const response = await fetch(`${this.apiBase}/api/v1/settings/pin/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ pin: input.value })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                // The PIN was removed from another window
+                if (response.status === 400) {
+                    await this.start();
+                    return;
+                }
+                this.showError(result.error || `Unlock failed: ${response.statusText}`);
+                return;
+            }
+
+            if (result.valid) {
+                localStorage.removeItem(LOCKED_KEY);
+                this.hideOverlay();
+                return;
+            }
+
+            input.value = '';
+            if (result.retryAfterSeconds > 0) {
+                this.startRetryCountdown(result.retryAfterSeconds);
+            } else {
+                this.showError('Incorrect PIN.');
+                input.focus();
+            }
+        } catch (error) {
+            this.showError(`Unlock failed: ${error.message}`);
+        } finally {
+            if (submit && !this.retryTimer) submit.disabled = false;
+        }
+    }
+
+    startRetryCountdown(seconds) {
+        const input = this.overlay?.querySelector('.pin-lock-input');
+        const submit = this.overlay?.querySelector('.pin-lock-submit');
+        let remaining = seconds;
+
+        const tick = () => {
+            if (remaining <= 0) {
+                clearInterval(this.retryTimer);
+                this.retryTimer = null;
+                input.disabled = false;
+                submit.disabled = false;
+                this.showError('');
+                input.focus();
+                return;
+            }
+            this.showError(`Too many incorrect attempts. Try again in ${remaining}s.`);
+            remaining--;
+        };
+
+        input.disabled = true;
+        submit.disabled = true;
+        clearInterval(this.retryTimer);
+        this.retryTimer = setInterval(tick, 1000);
+        tick();
+    }
+
+    showError(message) {
+        const errorEl = this.overlay?.querySelector('.pin-lock-error');
+        if (!errorEl) return;
+        errorEl.textContent = message;
+        errorEl.hidden = !message;
+    }
+}
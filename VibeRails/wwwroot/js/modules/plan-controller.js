@@ -0,0 +1,354 @@
+import { renderMarkdown, renderInline } from './markdown.js';
+
+const PLAN_STATUS_BADGES = {
+    created: { label: 'Created', className: 'bg-secondary' },
+    in_progress: { label: 'In Progress', className: 'bg-primary' },
+    completed: { label: 'Completed', className: 'bg-success' },
+    abandoned: { label: 'Abandoned', className: 'bg-danger' }
+};
+
+// Plans Controller - Lists captured Claude plans and manages their status
+export class PlanController {
+    constructor(app) {
+        this.app = app;
+        this.plans = [];
+        this.progress = new Map();
+        this.selectedPlanId = null;
+    }
+
+    async loadPlans(data = {}) {
+        const content = document.getElementById('app-content');
+        if (!content) return;
+
+        content.innerHTML = '';
+        const fragment = this.app.cloneTemplate('plans-template');
+        const root = fragment.querySelector('[data-view="plans"]');
+
+        if (root) {
+            this.app.bindAction(root, '[data-action="open-plan-session"]', () => this.openPlanSession());
+            this.app.bindAction(root, '[data-action="complete-plan"]', () => this.completePlan());
+
+            const statusSelect = root.querySelector('[data-plan-status-select]');
+            statusSelect?.addEventListener('change', () => this.updatePlanStatus(statusSelect.value));
+
+            const steps = root.querySelector('[data-plan-steps]');
+            steps?.addEventListener('change', (event) => {
+                const checkbox = event.target.closest('[data-step-index]');
+                if (checkbox) {
+                    this.setStepCompleted(Number(checkbox.dataset.stepIndex), checkbox.checked, checkbox);
+                }
+            });
+
+            const plansList = root.querySelector('[data-plans-list]');
+            if (plansList) {
+                plansList.innerHTML = '<div class="text-center"><div class="spinner-border text-primary"></div><p class="mt-2">Loading plans...</p></div>';
+            }
+        }
+
+        content.appendChild(fragment);
+        await this.fetchAndRenderPlans();
+
+        const planId = data?.planId ?? this.selectedPlanId ?? this.plans[0]?.id;
+        if (planId != null) {
+            await this.selectPlan(planId);
+        }
+    }
+
+    async fetchAndRenderPlans() {
+        const plansList = document.querySelector('[data-plans-list]');
+        if (!plansList) return;
+
+        try {
+            const response = await this.app.apiCall('/api/v1/plans/recent?limit=50', 'GET');
+            this.plans = response?.plans || [];
+            await this.fetchProgress();
+            this.renderPlansList(plansList);
+        } catch (error) {
+            plansList.innerHTML = `<p class="text-danger text-center">Failed to load plans: ${this.app.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async fetchProgress() {
+        try {
+            const progress = await this.app.apiCall('/api/v1/plans/progress?limit=50', 'GET');
+            this.progress = new Map((progress || []).map(item => [item.planId, item]));
+        } catch {
+            this.progress = new Map();
+        }
+    }
+
+    renderPlansList(container) {
+        const count = document.querySelector('[data-plans-count]');
+        if (count) {
+            count.textContent = this.plans.length > 0 ? String(this.plans.length) : '';
+        }
+
+        if (this.plans.length === 0) {
+            container.innerHTML = '<p class="text-muted text-center">No plans captured yet. Plans appear here when Claude writes one during a session.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="list-group">
+                ${this.plans.map(plan => `
+                    <button type="button" class="list-group-item list-group-item-action plan-item${plan.id === this.selectedPlanId ? ' plan-item-active' : ''}" data-plan-id="${plan.id}">
+                        <div class="d-flex justify-content-between align-items-center gap-2">
+                            <span class="fw-semibold text-truncate">${this.app.escapeHtml(this.getPlanTitle(plan))}</span>
+                            ${this.renderStatusBadge(plan.status)}
+                        </div>
+                        <div class="d-flex justify-content-between align-items-center text-muted small mt-1">
+                            <span>${this.app.escapeHtml(this.app.formatRelativeTime(plan.createdUTC))}</span>
+                            ${this.renderProgressSummary(plan.id)}
+                        </div>
+                        ${this.renderProgressBar(plan.id)}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        this.app.bindActions(container, '[data-plan-id]', (element) => {
+            this.selectPlan(Number(element.dataset.planId));
+        });
+    }
+
+    async selectPlan(planId) {
+        let plan;
+        try {
+            plan = await this.app.apiCall(`/api/v1/plans/${encodeURIComponent(planId)}`, 'GET');
+        } catch (error) {
+            this.app.showError(`Failed to load plan: ${error.message}`);
+            return;
+        }
+
+        this.selectedPlanId = plan.id;
+        this.replacePlan(plan);
+        this.renderPlanDetail(plan);
+        await this.loadPlanSteps(plan.id);
+
+        document.querySelectorAll('[data-plans-list] [data-plan-id]').forEach(item => {
+            item.classList.toggle('plan-item-active', Number(item.dataset.planId) === plan.id);
+        });
+    }
+
+    renderPlanDetail(plan) {
+        const root = document.querySelector('[data-view="plans"]');
+        if (!root) return;
+
+        const title = root.querySelector('[data-plan-title]');
+        if (title) title.textContent = this.getPlanTitle(plan);
+
+        const status = root.querySelector('[data-plan-status]');
+        if (status) {
+            const badge = this.getStatusBadge(plan.status);
+            status.className = `badge ${badge.className}`;
+            status.textContent = badge.label;
+        }
+
+        const actions = root.querySelector('[data-plan-actions]');
+        actions?.classList.remove('d-none');
+
+        const statusSelect = root.querySelector('[data-plan-status-select]');
+        if (statusSelect) {
+            if (!Array.from(statusSelect.options).some(option => option.value === plan.status)) {
+                const option = document.createElement('option');
+                option.value = plan.status;
+                option.textContent = plan.status;
+                statusSelect.appendChild(option);
+            }
+            statusSelect.value = plan.status;
+        }
+
+        const completeBtn = root.querySelector('[data-action="complete-plan"]');
+        if (completeBtn) completeBtn.disabled = plan.status === 'completed';
+
+        const meta = root.querySelector('[data-plan-meta]');
+        if (meta) {
+            const parts = [`Created ${new Date(plan.createdUTC).toLocaleString()}`];
+            if (plan.completedUTC) parts.push(`Completed ${new Date(plan.completedUTC).toLocaleString()}`);
+            if (plan.planFilePath) parts.push(plan.planFilePath);
+            meta.textContent = parts.join(' • ');
+        }
+
+        const body = root.querySelector('[data-plan-content]');
+        if (body) {
+            body.innerHTML = renderMarkdown(plan.planContent);
+        }
+    }
+
+    // ============================================
+    // Checklist
+    // ============================================
+
+    async loadPlanSteps(planId) {
+        try {
+            const steps = await this.app.apiCall(`/api/v1/plans/${encodeURIComponent(planId)}/steps`, 'GET');
+            if (planId === this.selectedPlanId) {
+                this.renderPlanSteps(steps);
+            }
+        } catch (error) {
+            this.renderPlanSteps(null);
+            console.error('Failed to load plan steps:', error);
+        }
+    }
+
+    renderPlanSteps(result) {
+        const root = document.querySelector('[data-view="plans"]');
+        const checklist = root?.querySelector('[data-plan-checklist]');
+        if (!checklist) return;
+
+        const steps = result?.steps || [];
+        checklist.classList.toggle('d-none', steps.length === 0);
+        if (steps.length === 0) return;
+
+        this.progress.set(result.planId, {
+            planId: result.planId,
+            completedCount: result.completedCount,
+            totalCount: result.totalCount
+        });
+        this.updateProgressDisplay(checklist, result.completedCount, result.totalCount);
+
+        const list = checklist.querySelector('[data-plan-steps]');
+        if (!list) return;
+
+        list.innerHTML = steps.map(step => `
+            <label class="plan-step form-check${step.completed ? ' plan-step-done' : ''}" style="--plan-step-depth: ${step.depth};">
+                <input class="form-check-input" type="checkbox" data-step-index="${step.index}"${step.completed ? ' checked' : ''}>
+                <span class="form-check-label">${renderInline(step.text)}</span>
+            </label>
+        `).join('');
+    }
+
+    updateProgressDisplay(checklist, completed, total) {
+        const percent = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+        const label = checklist.querySelector('[data-plan-progress-label]');
+        if (label) label.textContent = `${completed} of ${total} steps (${percent}%)`;
+
+        const progress = checklist.querySelector('[data-plan-progress]');
+        if (progress) progress.setAttribute('aria-valuenow', String(percent));
+
+        const bar = checklist.querySelector('[data-plan-progress-bar]');
+        if (bar) bar.style.width = `${percent}%`;
+    }
+
+    async setStepCompleted(stepIndex, completed, checkbox) {
+        const plan = this.getSelectedPlan();
+        if (!plan) return;
+
+        checkbox.disabled = true;
+        try {
+            const result = await this.app.apiCall(`/api/v1/plans/${plan.id}/steps/${stepIndex}`, 'PUT', { completed });
+            this.renderPlanSteps(result);
+
+            // The server moves freshly created plans to in_progress on the first tick.
+            if (completed && plan.status === 'created') {
+                await this.refreshSelectedPlan();
+            } else {
+                const plansList = document.querySelector('[data-plans-list]');
+                if (plansList) this.renderPlansList(plansList);
+            }
+        } catch (error) {
+            checkbox.checked = !completed;
+            checkbox.disabled = false;
+            this.app.showError(`Failed to update step: ${error.message}`);
+        }
+    }
+
+    renderProgressSummary(planId) {
+        const progress = this.progress.get(planId);
+        if (!progress || progress.totalCount === 0) return '';
+        return `<span>${progress.completedCount}/${progress.totalCount}</span>`;
+    }
+
+    renderProgressBar(planId) {
+        const progress = this.progress.get(planId);
+        if (!progress || progress.totalCount === 0) return '';
+
+        const percent = Math.round((progress.completedCount / progress.totalCount) * 100);
+        return `
+            <div class="progress plan-progress plan-progress-sm mt-2" role="progressbar" aria-label="Plan progress" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100">
+                <div class="progress-bar bg-success" style="width: ${percent}%"></div>
+            </div>
+        `;
+    }
+
+    async updatePlanStatus(status) {
+        const plan = this.getSelectedPlan();
+        if (!plan || !status || status === plan.status) return;
+
+        // The complete endpoint also stamps CompletedUTC, so route that status through it.
+        if (status === 'completed') {
+            await this.completePlan();
+            return;
+        }
+
+        try {
+            await this.app.apiCall(`/api/v1/plans/${plan.id}/status`, 'PUT', { status });
+            await this.refreshSelectedPlan();
+        } catch (error) {
+            this.app.showError(`Failed to update plan status: ${error.message}`);
+            this.renderPlanDetail(plan);
+        }
+    }
+
+    async completePlan() {
+        const plan = this.getSelectedPlan();
+        if (!plan) return;
+
+        try {
+            const updated = await this.app.apiCall(`/api/v1/plans/${plan.id}/complete`, 'POST');
+            this.replacePlan(updated);
+            this.renderPlanDetail(updated);
+            this.renderPlansList(document.querySelector('[data-plans-list]'));
+            this.app.showToast('Plan Completed', `"${this.getPlanTitle(updated)}" marked as complete`, 'success');
+        } catch (error) {
+            this.app.showError(`Failed to complete plan: ${error.message}`);
+            this.renderPlanDetail(plan);
+        }
+    }
+
+    async refreshSelectedPlan() {
+        if (this.selectedPlanId == null) return;
+        await this.selectPlan(this.selectedPlanId);
+
+        const plansList = document.querySelector('[data-plans-list]');
+        if (plansList) this.renderPlansList(plansList);
+    }
+
+    openPlanSession() {
+        const plan = this.getSelectedPlan();
+        if (!plan?.sessionId) return;
+        this.app.navigate('sessions', { sessionId: plan.sessionId });
+    }
+
+    getSelectedPlan() {
+        return this.plans.find(plan => plan.id === this.selectedPlanId) || null;
+    }
+
+    replacePlan(plan) {
+        const index = this.plans.findIndex(item => item.id === plan.id);
+        if (index >= 0) {
+            this.plans[index] = plan;
+        } else {
+            this.plans.unshift(plan);
+        }
+    }
+
+    getPlanTitle(plan) {
+        if (plan?.planSummary) return plan.planSummary;
+
+        const heading = (plan?.planContent || '').match(/^\s*#{1,6}\s+(.+)$/m);
+        if (heading) return heading[1].replace(/#+\s*$/, '').trim();
+
+        return `Plan #${plan?.id ?? ''}`;
+    }
+
+    getStatusBadge(status) {
+        return PLAN_STATUS_BADGES[status] || { label: status || 'Unknown', className: 'bg-secondary' };
+    }
+
+    renderStatusBadge(status) {
+        const badge = this.getStatusBadge(status);
+        return `<span class="badge ${badge.className}">${this.app.escapeHtml(badge.label)}</span>`;
+    }
+}
@@ -0,0 +1,350 @@
+import { escapeHtml } from './utils.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+const SUBMIT_KEY = 'viberails_prompt_submit';
+
+const SCOPE_LABELS = {
+    project: 'Project',
+    personal: 'Personal'
+};
+
+/**
+ * Names of the {{variables}} in a prompt body, in the order they first appear.
+ */
+export function extractPromptVariables(body) {
+    const names = [];
+    for (const match of (body || '').matchAll(VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+
+/**
+ * Replaces each {{variable}} with its value. Variables without a value are left as written.
+ */
+export function fillPromptTemplate(body, values) {
+    return (body || '').replace(VARIABLE_PATTERN, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder);
+}
+
+/**
+ * Command palette for the prompt library: search, fill in variables and send a prompt into the
+ * active terminal tab, or add and edit personal and checked-in project prompts.
+ */
+export class PromptPalette {
+    constructor(app, { getContext, send }) {
+        this.app = app;
+        this.getContext = getContext;
+        this.send = send;
+        this.library = null;
+        this.context = {};
+        this.body = null;
+        this.selectedIndex = 0;
+    }
+
+    async open() {
+        this.context = this.getContext?.() || {};
+
+        try {
+            this.library = await this.app.apiCall('/api/v1/prompts', 'GET');
+        } catch (error) {
+            this.app.showError(`Failed to load prompts: ${error.message}`);
+            return;
+        }
+
+        this.app.showModal('Prompt Library', '<div class="prompt-palette" data-prompt-palette></div>');
+        this.body = document.querySelector('#modal-container [data-prompt-palette]');
+        this.body?.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.close();
+            }
+        });
+        this.renderList();
+    }
+
+    close() {
+        this.app.closeModal();
+        this.body = null;
+        this.context.onClose?.();
+    }
+
+    getPrompts() {
+        const tag = (scope) => (prompt) => ({ ...prompt, scope });
+        return [
+            ...(this.library?.project || []).map(tag('project')),
+            ...(this.library?.personal || []).map(tag('personal'))
+        ];
+    }
+
+    // ---------------------------------------------------------------- list
+
+    renderList(query = '') {
+        if (!this.body) return;
+
+        this.body.innerHTML = `
+            <div class="d-flex gap-2 mb-3">
+                <input type="search" class="form-control" data-prompt-search placeholder="Search prompts..." value="${escapeHtml(query)}" autocomplete="off">
+                <button type="button" class="btn btn-outline-primary text-nowrap" data-action="new-prompt">New Prompt</button>
+            </div>
+            <div class="list-group prompt-palette-list" data-prompt-list role="listbox"></div>
+            <p class="small text-muted mt-3 mb-0">
+                Use <code>{{variables}}</code> such as <code>{{file}}</code>, <code>{{branch}}</code> or <code>{{selection}}</code> in a prompt; you fill them in before it is sent.
+                ${this.library?.projectFile
+                    ? `Project prompts are saved to <code>${escapeHtml(this.library.projectFile)}</code> so they can be checked in.`
+                    : 'Project prompts need a git repository.'}
+            </p>
+        `;
+
+        const search = this.body.querySelector('[data-prompt-search]');
+        search.addEventListener('input', () => {
+            this.selectedIndex = 0;
+            this.renderListItems(search.value);
+        });
+        search.addEventListener('keydown', (event) => this.handleListKey(event, search.value));
+        this.body.querySelector('[data-action="new-prompt"]').addEventListener('click', () => this.renderEdit(null));
+
+        this.selectedIndex = 0;
+        this.renderListItems(query);
+        search.focus();
+    }
+
+    filterPrompts(query) {
+        const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        return this.getPrompts().filter((prompt) => {
+            const text = `${prompt.name} ${prompt.description || ''} ${prompt.body}`.toLowerCase();
+            return terms.every((term) => text.includes(term));
+        });
+    }
+
+    renderListItems(query) {
+        const list = this.body?.querySelector('[data-prompt-list]');
+        if (!list) return;
+
+        const prompts = this.filterPrompts(query);
+        this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, prompts.length - 1));
+
+        if (prompts.length === 0) {
+            list.innerHTML = `<div class="list-group-item text-muted">${this.getPrompts().length === 0
+                ? 'No prompts yet. Add the instructions you keep retyping with New Prompt.'
+                : 'No prompts match your search.'}</div>`;
+            return;
+        }
+
+        list.innerHTML = prompts.map((prompt, index) => `
+            <div class="list-group-item list-group-item-action prompt-palette-item ${index === this.selectedIndex ? 'active' : ''}" role="option" data-index="${index}">
+                <div class="d-flex align-items-center gap-2">
+                    <strong class="flex-grow-1 text-truncate">${escapeHtml(prompt.name)}</strong>
+                    <span class="badge ${prompt.scope === 'project' ? 'bg-info' : 'bg-secondary'}">${SCOPE_LABELS[prompt.scope]}</span>
+                    <button type="button" class="btn btn-sm btn-link p-0 prompt-palette-edit" data-edit-index="${index}" title="Edit prompt">Edit</button>
+                </div>
+                ${prompt.description ? `<div class="small text-muted text-truncate">${escapeHtml(prompt.description)}</div>` : ''}
+                <div class="small prompt-palette-body text-truncate">${escapeHtml(prompt.body)}</div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-index]').forEach((item) => {
+            item.addEventListener('click', (event) => {
+                const prompt = prompts[Number(item.dataset.index)];
+                if (event.target.closest('[data-edit-index]')) {
+                    this.renderEdit(prompt);
+                } else {
+                    this.renderFill(prompt);
+                }
+            });
+        });
+    }
+
+    handleListKey(event, query) {
+        const prompts = this.filterPrompts(query);
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (prompts.length === 0) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.selectedIndex = (this.selectedIndex + step + prompts.length) % prompts.length;
+            this.renderListItems(query);
+            this.body.querySelector('.prompt-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+        } else if (event.key === 'Enter' && prompts[this.selectedIndex]) {
+            event.preventDefault();
+            this.renderFill(prompts[this.selectedIndex]);
+        }
+    }
+
+    // ---------------------------------------------------------------- fill
+
+    // Values the palette can work out for itself; anything else starts blank
+    getDefaultValue(name) {
+        switch (name) {
+            case 'branch': return this.library?.branch || '';
+            case 'selection': return this.context.selection || '';
+            case 'file': return this.library?.changedFiles?.length === 1 ? this.library.changedFiles[0] : '';
+            default: return '';
+        }
+    }
+
+    renderFill(prompt) {
+        if (!this.body) return;
+
+        const variables = extractPromptVariables(prompt.body);
+        const submit = this.getSubmitPreference();
+        const changedFiles = this.library?.changedFiles || [];
+
+        this.body.innerHTML = `
+            <form data-prompt-fill autocomplete="off">
+                <h6 class="mb-3">${escapeHtml(prompt.name)}</h6>
+                ${variables.map((name) => `
+                    <div class="mb-3">
+                        <label class="form-label small" for="prompt-var-${escapeHtml(name)}"><code>{{${escapeHtml(name)}}}</code></label>
+                        ${name === 'selection'
+                            ? `<textarea class="form-control form-control-sm font-monospace" id="prompt-var-${escapeHtml(name)}" data-variable="${escapeHtml(name)}" rows="3"></textarea>`
+                            : `<input type="text" class="form-control form-control-sm" id="prompt-var-${escapeHtml(name)}" data-variable="${escapeHtml(name)}" ${name === 'file' ? 'list="prompt-changed-files"' : ''}>`}
+                    </div>
+                `).join('')}
+                <datalist id="prompt-changed-files">
+                    ${changedFiles.map((file) => `<option value="${escapeHtml(file)}"></option>`).join('')}
+                </datalist>
+                <label class="form-label small text-muted">Will send</label>
+                <pre class="prompt-palette-preview" data-prompt-preview></pre>
+                <div class="form-check mb-3">
+                    <input class="form-check-input" type="checkbox" id="prompt-submit" ${submit ? 'checked' : ''}>
+                    <label class="form-check-label" for="prompt-submit">Press Enter after inserting</label>
+                </div>
+                <div class="d-flex gap-2 justify-content-end">
+                    <button type="button" class="btn btn-outline-secondary" data-action="back">Back</button>
+                    <button type="submit" class="btn btn-primary" data-action="send-prompt">Send to Terminal</button>
+                </div>
+            </form>
+        `;
+
+        const form = this.body.querySelector('[data-prompt-fill]');
+        const preview = form.querySelector('[data-prompt-preview]');
+        const inputs = Array.from(form.querySelectorAll('[data-variable]'));
+        inputs.forEach((input) => {
+            input.value = this.getDefaultValue(input.dataset.variable);
+        });
+
+        const readValues = () => Object.fromEntries(inputs.map((input) => [input.dataset.variable, input.value]));
+        const updatePreview = () => {
+            preview.textContent = fillPromptTemplate(prompt.body, readValues());
+        };
+        form.addEventListener('input', updatePreview);
+        updatePreview();
+
+        form.querySelector('[data-action="back"]').addEventListener('click', () => this.renderList());
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const submitAfter = form.querySelector('#prompt-submit').checked;
+            this.setSubmitPreference(submitAfter);
+            if (this.send?.(fillPromptTemplate(prompt.body, readValues()), { submit: submitAfter })) {
+                this.close();
+            }
+        });
+
+        (inputs.find((input) => !input.value) || form.querySelector('[data-action="send-prompt"]')).focus();
+    }
+
+    getSubmitPreference() {
+        try { return window.localStorage.getItem(SUBMIT_KEY) !== 'false'; } catch { return true; }
+    }
+
+    setSubmitPreference(submit) {
+        try { window.localStorage.setItem(SUBMIT_KEY, String(submit)); } catch {}
+    }
+
+    // ---------------------------------------------------------------- edit
+
+    renderEdit(prompt) {
+        if (!this.body) return;
+
+        const hasProject = Boolean(this.library?.projectFile);
+        const scope = prompt?.scope || (hasProject ? 'project' : 'personal');
+
+        this.body.innerHTML = `
+            <form data-prompt-edit autocomplete="off">
+                <div class="row g-3 mb-3">
+                    <div class="col-md-8">
+                        <label class="form-label" for="prompt-name">Name</label>
+                        <input type="text" class="form-control" id="prompt-name" required>
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label" for="prompt-scope">Saved in</label>
+                        <select class="form-select" id="prompt-scope">
+                            <option value="project" ${hasProject ? '' : 'disabled'}>Project (checked in)</option>
+                            <option value="personal">Personal</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="prompt-description">Description</label>
+                    <input type="text" class="form-control" id="prompt-description" placeholder="Optional">
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="prompt-body">Prompt</label>
+                    <textarea class="form-control font-monospace" id="prompt-body" rows="8" required placeholder="Run the tests on {{branch}}, fix any failures, then update AGENTS.md"></textarea>
+                </div>
+                <div class="d-flex gap-2">
+                    ${prompt ? '<button type="button" class="btn btn-outline-danger me-auto" data-action="delete-prompt">Delete</button>' : ''}
+                    <button type="button" class="btn btn-outline-secondary ${prompt ? '' : 'ms-auto'}" data-action="back">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save Prompt</button>
+                </div>
+            </form>
+        `;
+
+        const form = this.body.querySelector('[data-prompt-edit]');
+        form.querySelector('#prompt-name').value = prompt?.name || '';
+        form.querySelector('#prompt-scope').value = scope;
+        form.querySelector('#prompt-description').value = prompt?.description || '';
+        form.querySelector('#prompt-body').value = prompt?.body || '';
+
+        form.querySelector('[data-action="back"]').addEventListener('click', () => this.renderList());
+        form.querySelector('[data-action="delete-prompt"]')?.addEventListener('click', async () => {
+            if (!window.confirm(`Delete the prompt "${prompt.name}"?`)) return;
+            if (await this.removePrompt(prompt)) {
+                this.renderList();
+            }
+        });
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const saved = await this.savePrompt(prompt, form.querySelector('#prompt-scope').value, {
+                id: prompt?.id || '',
+                name: form.querySelector('#prompt-name').value,
+                description: form.querySelector('#prompt-description').value,
+                body: form.querySelector('#prompt-body').value
+            });
+            if (saved) {
+                this.renderList();
+            }
+        });
+
+        form.querySelector('#prompt-name').focus();
+    }
+
+    async savePrompt(original, scope, prompt) {
+        if (original && original.scope !== scope && !(await this.removePrompt(original))) {
+            return false;
+        }
+
+        const prompts = (this.library[scope] || []).filter((p) => !original || p.id !== original.id || original.scope !== scope);
+        const index = original && original.scope === scope
+            ? (this.library[scope] || []).findIndex((p) => p.id === original.id)
+            : -1;
+        prompts.splice(index >= 0 ? index : prompts.length, 0, prompt);
+        return this.saveScope(scope, prompts);
+    }
+
+    async removePrompt(prompt) {
+        return this.saveScope(prompt.scope, (this.library[prompt.scope] || []).filter((p) => p.id !== prompt.id));
+    }
+
+    async saveScope(scope, prompts) {
+        try {
+            this.library[scope] = await this.app.apiCall(`/api/v1/prompts/${scope}`, 'PUT', { prompts });
+            return true;
+        } catch (error) {
+            this.app.showError(`Failed to save ${SCOPE_LABELS[scope].toLowerCase()} prompts: ${error.message}`);
+            return false;
+        }
+    }
+}
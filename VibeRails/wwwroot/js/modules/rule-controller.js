@@ -1,6 +1,7 @@
 export class RuleController {
     constructor(app) {
         this.app = app;
+        this.hookStatus = null;
     }
 
     loadCheckViolations() {
@@ -14,9 +15,166 @@ export class RuleController {
         if (root) {
             this.app.bindAction(root, '[data-action="go-back"]', () => this.app.goBack());
             this.app.bindAction(root, '[data-action="run-vca"]', () => this.runVCAValidation());
+            this.app.bindAction(root, '[data-action="refresh-hooks"]', () => this.loadHookStatus());
+            this.app.bindAction(root, '[data-action="install-hooks"]', () => this.installHooks());
+            this.app.bindAction(root, '[data-action="uninstall-hooks"]', () => this.uninstallHooks());
         }
 
         content.appendChild(fragment);
+        this.loadHookStatus();
+    }
+
+    // ============================================
+    // Git Hooks
+    // ============================================
+
+    async loadHookStatus() {
+        const statusDiv = document.querySelector('[data-hooks-status]');
+        if (!statusDiv) return;
+
+        try {
+            this.hookStatus = await this.app.apiCall('/api/v1/hooks/status', 'GET');
+        } catch (error) {
+            this.hookStatus = null;
+            statusDiv.innerHTML = `<p class="text-danger mb-0">Failed to load hook status: ${this.app.escapeHtml(error.message)}</p>`;
+            this.updateHookButtons();
+            return;
+        }
+
+        statusDiv.innerHTML = this.renderHookStatus(this.hookStatus);
+        this.updateHookButtons();
+    }
+
+    renderHookStatus(status) {
+        if (!status.inGitRepo) {
+            return `<p class="text-muted mb-0">${this.app.escapeHtml(status.message || 'Not in a git repository')}</p>`;
+        }
+
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        const hooks = status.hooks || [];
+        const alerts = [];
+
+        if (status.hooksPathOverride) {
+            alerts.push(`<div class="alert alert-warning py-2 small mb-2">Git is configured with <code>core.hooksPath = ${escape(status.hooksPathOverride)}</code>, so hooks in <code>.git/hooks</code> are ignored.</div>`);
+        }
+
+        if (!status.hookCommandPath) {
+            alerts.push('<div class="alert alert-warning py-2 small mb-2"><code>vb</code> is not on your PATH or in the repository root. The hooks will skip validation.</div>');
+        } else if (!status.pointsAtCurrentBinary) {
+            alerts.push(`<div class="alert alert-info py-2 small mb-2">Hooks will run <code>${escape(status.hookCommandPath)}</code>, not this instance (<code>${escape(status.currentBinaryPath)}</code>).</div>`);
+        }
+
+        hooks.filter(hook => hook.warning).forEach(hook => {
+            alerts.push(`<div class="alert alert-danger py-2 small mb-2">${escape(hook.warning)}</div>`);
+        });
+
+        return `
+            <div class="table-responsive">
+                <table class="table align-middle mb-2">
+                    <thead>
+                        <tr>
+                            <th>Hook</th>
+                            <th>Status</th>
+                            <th>Other Content</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${hooks.map(hook => `
+                            <tr>
+                                <td><code title="${escape(hook.path)}">${escape(hook.name)}</code></td>
+                                <td>${this.renderHookBadge(hook)}</td>
+                                <td class="small text-muted">${hook.hasForeignContent
+                                    ? `Existing hook${hook.foreignInterpreter ? ` (<code>${escape(hook.foreignInterpreter)}</code>)` : ''}`
+                                    : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${alerts.join('')}
+        `;
+    }
+
+    renderHookBadge(hook) {
+        if (!hook.installed) return '<span class="badge bg-secondary">Not installed</span>';
+        if (!hook.upToDate) return '<span class="badge bg-warning text-dark">Outdated</span>';
+        return '<span class="badge bg-success">Installed</span>';
+    }
+
+    updateHookButtons() {
+        const installBtn = document.querySelector('[data-action="install-hooks"]');
+        const uninstallBtn = document.querySelector('[data-action="uninstall-hooks"]');
+        const hooks = this.hookStatus?.hooks || [];
+        const inRepo = !!this.hookStatus?.inGitRepo;
+        const anyInstalled = hooks.some(hook => hook.installed);
+        const needsRepair = anyInstalled && hooks.some(hook => !hook.installed || !hook.upToDate);
+
+        if (installBtn) {
+            installBtn.disabled = !inRepo;
+            installBtn.textContent = needsRepair ? 'Repair Hooks' : anyInstalled ? 'Reinstall Hooks' : 'Install Hooks';
+        }
+        if (uninstallBtn) {
+            uninstallBtn.disabled = !inRepo || !anyInstalled;
+        }
+    }
+
+    installHooks() {
+        const foreign = (this.hookStatus?.hooks || []).filter(hook => hook.hasForeignContent);
+        if (foreign.length === 0) {
+            this.runHookAction('/api/v1/hooks/install', 'POST');
+            return;
+        }
+
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        this.app.showModal('Existing Git Hooks Found', `
+            <p>These hooks already contain content that was not written by Vibe Rails. The Vibe Rails section will be appended after it.</p>
+            <ul class="small">
+                ${foreign.map(hook => `
+                    <li>
+                        <code>${escape(hook.path)}</code>
+                        ${hook.warning ? `<div class="text-danger">${escape(hook.warning)}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="d-flex gap-2 justify-content-end">
+                <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                <button type="button" class="btn btn-primary" id="confirm-install-hooks-btn">Install Anyway</button>
+            </div>
+        `);
+
+        document.getElementById('confirm-install-hooks-btn').onclick = () => {
+            this.app.closeModal();
+            this.runHookAction('/api/v1/hooks/install', 'POST');
+        };
+    }
+
+    uninstallHooks() {
+        this.app.showModal('Uninstall Git Hooks', `
+            <p>Remove the Vibe Rails sections from the pre-commit and commit-msg hooks? Other hook content is kept.</p>
+            <div class="d-flex gap-2 justify-content-end">
+                <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                <button type="button" class="btn btn-danger" id="confirm-uninstall-hooks-btn">Uninstall</button>
+            </div>
+        `);
+
+        document.getElementById('confirm-uninstall-hooks-btn').onclick = () => {
+            this.app.closeModal();
+            this.runHookAction('/api/v1/hooks', 'DELETE');
+        };
+    }
+
+    async runHookAction(endpoint, method) {
+        try {
+            const result = await this.app.apiCall(endpoint, method);
+            if (result.success) {
+                this.app.showToast('Git Hooks', result.message, 'success');
+            } else {
+                this.app.showError(result.message);
+            }
+        } catch (error) {
+            this.app.showError(`Hook action failed: ${error.message}`);
+        }
+        await this.loadHookStatus();
     }
 
     async runVCAValidation() {
@@ -0,0 +1,172 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * Flattens a JSON-schema property into the shape the form cares about.
+ * Nullable unions (`["string", "null"]`, `anyOf: [{...}, {type: "null"}]`) collapse to their
+ * non-null member and are treated as optional.
+ */
+export function describeSchemaField(name, property = {}, required = false) {
+    let schema = property || {};
+    let nullable = false;
+
+    const union = schema.anyOf || schema.oneOf;
+    if (Array.isArray(union)) {
+        const members = union.filter(member => member?.type !== 'null');
+        nullable = members.length < union.length;
+        schema = { ...schema, ...(members[0] || {}) };
+    }
+
+    let type = schema.type;
+    if (Array.isArray(type)) {
+        nullable = nullable || type.includes('null');
+        type = type.find(t => t !== 'null');
+    }
+    if (!type && Array.isArray(schema.enum)) type = 'string';
+
+    return {
+        name,
+        type: type || 'json',
+        title: schema.title || name,
+        description: schema.description || '',
+        enumValues: Array.isArray(schema.enum) ? schema.enum : null,
+        defaultValue: schema.default,
+        required: required && !nullable
+    };
+}
+
+export function getSchemaFields(schema) {
+    const properties = schema?.properties || {};
+    const required = new Set(Array.isArray(schema?.required) ? schema.required : []);
+    return Object.entries(properties).map(([name, property]) =>
+        describeSchemaField(name, property, required.has(name)));
+}
+
+/**
+ * Renders form controls for each property of an object schema. Values are escaped,
+ * so the output is safe to assign to innerHTML.
+ */
+export function renderSchemaForm(schema, idPrefix = 'schema-field') {
+    const fields = getSchemaFields(schema);
+    if (fields.length === 0) {
+        return '<p class="text-muted small mb-0">This tool takes no arguments.</p>';
+    }
+
+    return fields.map(field => {
+        const id = `${idPrefix}-${field.name.replace(/[^\w-]/g, '_')}`;
+        const attrs = `id="${escapeHtml(id)}" data-schema-field="${escapeHtml(field.name)}"`;
+        const requiredMark = field.required ? ' <span class="text-danger">*</span>' : '';
+        const typeHint = `<span class="text-muted small ms-1">${escapeHtml(field.type)}</span>`;
+        const help = field.description
+            ? `<div class="form-text">${escapeHtml(field.description)}</div>`
+            : '';
+
+        if (field.type === 'boolean') {
+            const checked = field.defaultValue === true ? ' checked' : '';
+            return `
+                <div class="form-check mb-3">
+                    <input class="form-check-input" type="checkbox" ${attrs}${checked}>
+                    <label class="form-check-label" for="${escapeHtml(id)}">${escapeHtml(field.title)}${requiredMark}</label>
+                    ${help}
+                </div>
+            `;
+        }
+
+        let control;
+        if (field.enumValues) {
+            const blank = field.required ? '' : '<option value="">(not set)</option>';
+            control = `
+                <select class="form-select form-select-sm" ${attrs}>
+                    ${blank}
+                    ${field.enumValues.map(value => `
+                        <option value="${escapeHtml(String(value))}"${value === field.defaultValue ? ' selected' : ''}>${escapeHtml(String(value))}</option>
+                    `).join('')}
+                </select>
+            `;
+        } else if (field.type === 'integer' || field.type === 'number') {
+            const step = field.type === 'integer' ? '1' : 'any';
+            const value = field.defaultValue != null ? ` value="${escapeHtml(String(field.defaultValue))}"` : '';
+            control = `<input class="form-control form-control-sm" type="number" step="${step}" ${attrs}${value}>`;
+        } else if (field.type === 'string') {
+            const value = field.defaultValue != null ? escapeHtml(String(field.defaultValue)) : '';
+            control = `<textarea class="form-control form-control-sm font-monospace" rows="2" ${attrs}>${value}</textarea>`;
+        } else {
+            // Arrays, objects and anything we can't model get a raw JSON editor.
+            const value = field.defaultValue !== undefined ? escapeHtml(JSON.stringify(field.defaultValue, null, 2)) : '';
+            control = `<textarea class="form-control form-control-sm font-monospace" rows="3" placeholder="JSON" ${attrs}>${value}</textarea>`;
+        }
+
+        return `
+            <div class="mb-3">
+                <label class="form-label small fw-semibold mb-1" for="${escapeHtml(id)}">${escapeHtml(field.title)}${requiredMark}${typeHint}</label>
+                ${control}
+                ${help}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Reads values back out of a form rendered by renderSchemaForm.
+ * Empty optional fields are omitted so the tool's own defaults apply.
+ * Returns { args, errors } where errors is a list of human-readable messages.
+ */
+export function readSchemaForm(container, schema) {
+    const args = {};
+    const errors = [];
+
+    getSchemaFields(schema).forEach(field => {
+        const input = Array.from(container.querySelectorAll('[data-schema-field]'))
+            .find(element => element.dataset.schemaField === field.name);
+        if (!input) return;
+
+        if (field.type === 'boolean') {
+            args[field.name] = input.checked;
+            return;
+        }
+
+        const raw = input.value;
+        if (raw.trim() === '') {
+            if (field.required) errors.push(`${field.title} is required`);
+            return;
+        }
+
+        if (field.enumValues) {
+            const match = field.enumValues.find(value => String(value) === raw);
+            args[field.name] = match !== undefined ? match : raw;
+        } else if (field.type === 'integer' || field.type === 'number') {
+            const value = Number(raw);
+            if (!Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${field.title} must be ${field.type === 'integer' ? 'a whole number' : 'a number'}`);
+                return;
+            }
+            args[field.name] = value;
+        } else if (field.type === 'string') {
+            args[field.name] = raw;
+        } else {
+            try {
+                args[field.name] = JSON.parse(raw);
+            } catch {
+                errors.push(`${field.title} must be valid JSON`);
+            }
+        }
+    });
+
+    return { args, errors };
+}
+
+/**
+ * Tool results are plain strings; pretty-print them when they happen to be JSON.
+ */
+export function formatToolResult(result) {
+    if (typeof result !== 'string') return JSON.stringify(result, null, 2);
+
+    const trimmed = result.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            return JSON.stringify(JSON.parse(trimmed), null, 2);
+        } catch {
+            // not JSON after all
+        }
+    }
+    return result;
+}
@@ -1,18 +1,32 @@
+import { VibeTerminal } from './vibe-terminal.js';
+import { SessionReplayPlayer, REPLAY_SPEEDS, buildReplayFrames, formatReplayTime } from './session-replay.js';
+
+const SESSIONS_PAGE_SIZE = 20;
+
 export class SessionController {
     constructor(app) {
         this.app = app;
+        this.filters = {};
+        this.page = 1;
+        this.totalCount = 0;
+        this.replayTerminal = null;
+        this.replayPlayer = null;
+        this.replaySeekFrame = null;
     }
 
-    async loadSessions() {
+    async loadSessions(data = {}) {
         const content = document.getElementById('app-content');
         if (!content) return;
 
+        this.disposeReplay();
         content.innerHTML = '';
         const fragment = this.app.cloneTemplate('sessions-template');
         const root = fragment.querySelector('[data-view="sessions"]');
 
         if (root) {
             this.app.bindAction(root, '[data-action="go-back"]', () => this.app.goBack());
+            this.bindReplayControls(root);
+            this.bindHistoryControls(root);
 
             const sessionsList = root.querySelector('[data-sessions-list]');
             if (sessionsList) {
@@ -21,7 +35,130 @@ export class SessionController {
         }
 
         content.appendChild(fragment);
+        this.loadFilterOptions();
         await this.fetchAndRenderSessions();
+
+        if (data?.sessionId) {
+            await this.openReplay({ id: data.sessionId });
+        }
+    }
+
+    bindHistoryControls(root) {
+        const form = root.querySelector('[data-session-filters]');
+        if (form) {
+            this.writeFiltersToForm(form);
+
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.applyFilters(form);
+            });
+
+            form.querySelectorAll('select, input[type="date"]').forEach(input => {
+                input.addEventListener('change', () => this.applyFilters(form));
+            });
+
+            this.app.bindAction(root, '[data-action="reset-session-filters"]', () => {
+                form.reset();
+                this.applyFilters(form);
+            });
+        }
+
+        const importInput = root.querySelector('[data-session-import-input]');
+        if (importInput) {
+            this.app.bindAction(root, '[data-action="import-session-cast"]', () => importInput.click());
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files?.[0];
+                importInput.value = '';
+                if (file) {
+                    await this.importCast(file);
+                }
+            });
+        }
+
+        this.app.bindAction(root, '[data-action="sessions-prev-page"]', () => this.goToPage(this.page - 1));
+        this.app.bindAction(root, '[data-action="sessions-next-page"]', () => this.goToPage(this.page + 1));
+    }
+
+    async loadFilterOptions() {
+        let options;
+        try {
+            options = await this.app.apiCall('/api/v1/sessions/filters', 'GET');
+        } catch {
+            return;
+        }
+
+        const form = document.querySelector('[data-session-filters]');
+        if (!form) return;
+
+        this.fillSelectOptions(form.elements.namedItem('cli'), options?.clis || [], (cli) => this.app.getCliBrand(cli).label || cli);
+        this.fillSelectOptions(form.elements.namedItem('env'), options?.environmentNames || [], (name) => name);
+        this.writeFiltersToForm(form);
+    }
+
+    fillSelectOptions(select, values, getLabel) {
+        if (!select) return;
+
+        select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = getLabel(value);
+            select.appendChild(option);
+        });
+    }
+
+    readFiltersFromForm(form) {
+        const filters = {};
+        ['q', 'cli', 'env', 'status', 'exitCode', 'workDir', 'from', 'to'].forEach(name => {
+            const value = form.elements.namedItem(name)?.value?.trim();
+            if (value) {
+                filters[name] = value;
+            }
+        });
+        return filters;
+    }
+
+    writeFiltersToForm(form) {
+        Object.entries(this.filters).forEach(([name, value]) => {
+            const input = form.elements.namedItem(name);
+            if (input) {
+                input.value = value;
+            }
+        });
+    }
+
+    async applyFilters(form) {
+        this.filters = this.readFiltersFromForm(form);
+        this.page = 1;
+        await this.fetchAndRenderSessions();
+    }
+
+    async goToPage(page) {
+        const pageCount = Math.max(1, Math.ceil(this.totalCount / SESSIONS_PAGE_SIZE));
+        const next = Math.min(Math.max(1, page), pageCount);
+        if (next === this.page) return;
+
+        this.page = next;
+        await this.fetchAndRenderSessions();
+    }
+
+    buildSessionsQuery() {
+        const params = new URLSearchParams();
+        const { from, to, ...rest } = this.filters;
+
+        Object.entries(rest).forEach(([name, value]) => params.set(name, value));
+
+        // Date inputs are local calendar days; send the UTC bounds of those days.
+        if (from) {
+            params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        }
+        if (to) {
+            params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+        }
+
+        params.set('page', String(this.page));
+        params.set('pageSize', String(SESSIONS_PAGE_SIZE));
+        return params.toString();
     }
 
     async fetchAndRenderSessions() {
@@ -29,17 +166,46 @@ export class SessionController {
         if (!sessionsList) return;
 
         try {
-            const sessions = await this.app.apiCall('/api/v1/sessions/recent?limit=10', 'GET');
-            this.populateSessionsList(sessionsList, sessions);
+            const result = await this.app.apiCall(`/api/v1/sessions?${this.buildSessionsQuery()}`, 'GET');
+            this.totalCount = result?.totalCount ?? 0;
+            this.populateSessionsList(sessionsList, result?.sessions || []);
+            this.updatePager();
         } catch (error) {
             sessionsList.innerHTML = `<p class="text-danger text-center">Failed to load sessions: ${error.message}</p>`;
         }
     }
 
+    updatePager() {
+        const root = document.querySelector('[data-view="sessions"]');
+        if (!root) return;
+
+        const pageCount = Math.max(1, Math.ceil(this.totalCount / SESSIONS_PAGE_SIZE));
+        const first = this.totalCount === 0 ? 0 : (this.page - 1) * SESSIONS_PAGE_SIZE + 1;
+        const last = Math.min(this.totalCount, this.page * SESSIONS_PAGE_SIZE);
+
+        const summary = root.querySelector('[data-sessions-summary]');
+        if (summary) {
+            summary.textContent = this.totalCount === 0 ? '' : `${first}-${last} of ${this.totalCount}`;
+        }
+
+        const label = root.querySelector('[data-sessions-page-label]');
+        if (label) {
+            label.textContent = `Page ${this.page} of ${pageCount}`;
+        }
+
+        const prev = root.querySelector('[data-action="sessions-prev-page"]');
+        if (prev) prev.disabled = this.page <= 1;
+
+        const next = root.querySelector('[data-action="sessions-next-page"]');
+        if (next) next.disabled = this.page >= pageCount;
+    }
+
     populateSessionsList(container, sessions) {
         container.innerHTML = '';
         if (!sessions || sessions.length === 0) {
-            container.innerHTML = '<p class="text-muted text-center">No sessions found. Launch a CLI to create a session.</p>';
+            container.innerHTML = Object.keys(this.filters).length > 0
+                ? '<p class="text-muted text-center">No sessions match these filters.</p>'
+                : '<p class="text-muted text-center">No sessions found. Launch a CLI to create a session.</p>';
             return;
         }
 
@@ -92,6 +258,20 @@ export class SessionController {
                 }
             }
 
+            const item = node.querySelector('[data-session-item]');
+            if (item) {
+                item.dataset.sessionId = session.id;
+                item.setAttribute('role', 'button');
+                item.tabIndex = 0;
+                item.addEventListener('click', () => this.openReplay(session));
+                item.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        this.openReplay(session);
+                    }
+                });
+            }
+
             fragment.appendChild(node);
         });
 
@@ -100,4 +280,218 @@ export class SessionController {
         listGroup.appendChild(fragment);
         container.appendChild(listGroup);
     }
+
+    // ============================================
+    // asciicast Export / Import
+    // ============================================
+
+    async exportCast(session) {
+        if (!session?.id) return;
+
+        try {
+            const response = await fetch(`${this.app.getApiBaseUrl()}/api/v1/sessions/${encodeURIComponent(session.id)}/cast`, {
+                credentials: 'include'
+            });
+            if (!response.ok) {
+                throw new Error(response.statusText || `HTTP ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+            const fileName = match ? decodeURIComponent(match[1]) : `session-${session.id}.cast`;
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        } catch (error) {
+            this.app.showError(`Failed to export session: ${error.message}`);
+        }
+    }
+
+    async importCast(file) {
+        let content;
+        try {
+            content = await file.text();
+        } catch (error) {
+            this.app.showError(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        let session;
+        try {
+            session = await this.app.apiCall('/api/v1/sessions/import', 'POST', {
+                content,
+                fileName: file.name
+            });
+        } catch (error) {
+            this.app.showError(`Failed to import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        this.app.showToast('Session imported', `${file.name} is ready to replay.`, 'success');
+        this.filters = {};
+        this.page = 1;
+
+        const form = document.querySelector('[data-session-filters]');
+        form?.reset();
+
+        this.loadFilterOptions();
+        await this.fetchAndRenderSessions();
+        await this.openReplay(session);
+    }
+
+    // ============================================
+    // Replay
+    // ============================================
+
+    bindReplayControls(root) {
+        const speedSelect = root.querySelector('[data-replay-speed]');
+        if (speedSelect) {
+            speedSelect.innerHTML = REPLAY_SPEEDS
+                .map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}x</option>`)
+                .join('');
+            speedSelect.addEventListener('change', () => this.replayPlayer?.setSpeed(speedSelect.value));
+        }
+
+        this.app.bindAction(root, '[data-action="replay-toggle"]', () => this.replayPlayer?.toggle());
+        this.app.bindAction(root, '[data-action="replay-restart"]', () => {
+            if (!this.replayPlayer) return;
+            this.replayPlayer.seek(0);
+            this.replayPlayer.play();
+        });
+
+        const timeline = root.querySelector('[data-replay-timeline]');
+        if (timeline) {
+            // Coalesce scrub events; each seek re-renders the terminal from the start.
+            timeline.addEventListener('input', () => {
+                if (this.replaySeekFrame) return;
+                this.replaySeekFrame = requestAnimationFrame(() => {
+                    this.replaySeekFrame = null;
+                    this.replayPlayer?.seek(Number(timeline.value));
+                });
+            });
+        }
+    }
+
+    async openReplay(session) {
+        const root = document.querySelector('[data-view="sessions"]');
+        if (!root || !session?.id) return;
+
+        root.querySelectorAll('[data-session-item]').forEach(item => {
+            item.classList.toggle('session-item-active', item.dataset.sessionId === session.id);
+        });
+
+        let result;
+        try {
+            result = await this.app.apiCall(`/api/v1/sessions/${encodeURIComponent(session.id)}/logs`, 'GET');
+        } catch (error) {
+            this.app.showError(`Failed to load session logs: ${error.message}`);
+            return;
+        }
+
+        session = { ...session, ...(result?.session || {}) };
+
+        const title = root.querySelector('[data-replay-title]');
+        if (title) {
+            const brand = this.app.getCliBrand(session.cli);
+            title.textContent = `${brand.label || session.cli} - ${new Date(session.startedUTC).toLocaleString()}`;
+        }
+
+        const exportBtn = root.querySelector('[data-action="export-session-cast"]');
+        if (exportBtn) {
+            exportBtn.classList.remove('d-none');
+            exportBtn.onclick = () => this.exportCast(session);
+        }
+
+        const frames = buildReplayFrames(result?.logs);
+        const empty = root.querySelector('[data-replay-empty]');
+        const stage = root.querySelector('[data-replay-stage]');
+
+        if (frames.length === 0) {
+            this.disposeReplay();
+            if (empty) {
+                empty.textContent = 'No terminal output was recorded for this session.';
+                empty.classList.remove('d-none');
+            }
+            stage?.classList.add('d-none');
+            return;
+        }
+
+        empty?.classList.add('d-none');
+        stage?.classList.remove('d-none');
+
+        this.ensureReplayTerminal(root);
+        if (!this.replayPlayer) return;
+
+        const speedSelect = root.querySelector('[data-replay-speed]');
+        if (speedSelect) {
+            this.replayPlayer.setSpeed(speedSelect.value);
+        }
+
+        const timeline = root.querySelector('[data-replay-timeline]');
+        if (timeline) {
+            timeline.max = String(frames[frames.length - 1].at);
+        }
+
+        this.replayTerminal.scheduleFitPasses();
+        this.replayPlayer.load(frames);
+        this.replayPlayer.play();
+    }
+
+    ensureReplayTerminal(root) {
+        if (this.replayTerminal && this.replayPlayer) return;
+
+        const host = root.querySelector('[data-replay-terminal]');
+        if (!host) return;
+
+        this.replayTerminal = new VibeTerminal({
+            outputEl: host,
+            disableStdin: true
+        });
+        this.replayTerminal.startResizeHandling();
+
+        const timeline = root.querySelector('[data-replay-timeline]');
+        const timeLabel = root.querySelector('[data-replay-time]');
+        const toggleBtn = root.querySelector('[data-action="replay-toggle"]');
+
+        this.replayPlayer = new SessionReplayPlayer({
+            terminal: this.replayTerminal,
+            onProgress: (position, duration) => {
+                if (timeline && !this.replaySeekFrame) {
+                    timeline.value = String(Math.round(position));
+                }
+                if (timeLabel) {
+                    timeLabel.textContent = `${formatReplayTime(position)} / ${formatReplayTime(duration)}`;
+                }
+            },
+            onStateChange: (playing) => {
+                if (toggleBtn) {
+                    toggleBtn.textContent = playing ? 'Pause' : 'Play';
+                }
+            }
+        });
+    }
+
+    disposeReplay() {
+        if (this.replaySeekFrame) {
+            cancelAnimationFrame(this.replaySeekFrame);
+            this.replaySeekFrame = null;
+        }
+
+        if (this.replayPlayer) {
+            this.replayPlayer.dispose();
+            this.replayPlayer = null;
+        }
+
+        if (this.replayTerminal) {
+            this.replayTerminal.dispose();
+            this.replayTerminal = null;
+        }
+    }
 }
@@ -0,0 +1,254 @@
+// Long pauses (e.g. an agent waiting overnight) are compressed so replays stay watchable.
+const MAX_IDLE_GAP_MS = 2000;
+const PROGRESS_INTERVAL_MS = 200;
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Converts session log rows into replay frames with millisecond offsets.
+ * Gaps longer than maxIdleGapMs are clamped to keep the timeline compact.
+ */
+export function buildReplayFrames(logs, { maxIdleGapMs = MAX_IDLE_GAP_MS } = {}) {
+    if (!Array.isArray(logs) || logs.length === 0) {
+        return [];
+    }
+
+    const frames = [];
+    let offset = 0;
+    let previousTime = null;
+
+    logs.forEach((log) => {
+        if (!log || typeof log.content !== 'string' || log.content.length === 0) {
+            return;
+        }
+
+        const time = Date.parse(log.timestamp);
+        if (previousTime !== null && Number.isFinite(time)) {
+            const gap = Math.max(0, time - previousTime);
+            offset += Math.min(gap, maxIdleGapMs);
+        }
+        if (Number.isFinite(time)) {
+            previousTime = time;
+        }
+
+        frames.push({
+            at: offset,
+            content: log.isError ? `\x1b[31m${log.content}\x1b[0m` : log.content
+        });
+    });
+
+    return frames;
+}
+
+export function formatReplayTime(ms) {
+    const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+/**
+ * Plays replay frames into a VibeTerminal on a virtual clock.
+ * Seeking resets the terminal and re-writes every frame up to the target offset,
+ * so scrubbing backwards reconstructs the screen exactly.
+ */
+export class SessionReplayPlayer {
+    constructor({ terminal, onProgress = null, onStateChange = null } = {}) {
+        if (!terminal) {
+            throw new Error('SessionReplayPlayer requires { terminal }.');
+        }
+
+        this._terminal = terminal;
+        this._onProgress = onProgress;
+        this._onStateChange = onStateChange;
+
+        this._frames = [];
+        this._nextIndex = 0;
+        this._speed = 1;
+        this._playing = false;
+        this._anchorPosition = 0;
+        this._anchorWallTime = 0;
+        this._frameTimerId = null;
+        this._progressTimerId = null;
+    }
+
+    get duration() {
+        return this._frames.length > 0 ? this._frames[this._frames.length - 1].at : 0;
+    }
+
+    get position() {
+        if (!this._playing) {
+            return this._anchorPosition;
+        }
+
+        const elapsed = (performance.now() - this._anchorWallTime) * this._speed;
+        return Math.min(this.duration, this._anchorPosition + elapsed);
+    }
+
+    get playing() {
+        return this._playing;
+    }
+
+    get speed() {
+        return this._speed;
+    }
+
+    load(frames) {
+        this.pause();
+        this._frames = Array.isArray(frames) ? frames : [];
+        this.seek(0);
+    }
+
+    play() {
+        if (this._playing || this._frames.length === 0) return;
+
+        if (this.position >= this.duration) {
+            this.seek(0);
+        }
+
+        this._playing = true;
+        this._anchorWallTime = performance.now();
+        this._scheduleNextFrame();
+        this._startProgressTimer();
+        this._emitState();
+    }
+
+    pause() {
+        if (!this._playing) return;
+
+        this._anchorPosition = this.position;
+        this._playing = false;
+        this._clearTimers();
+        this._emitProgress();
+        this._emitState();
+    }
+
+    toggle() {
+        if (this._playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setSpeed(speed) {
+        const next = Number(speed);
+        if (!Number.isFinite(next) || next <= 0) return;
+
+        this._anchorPosition = this.position;
+        this._anchorWallTime = performance.now();
+        this._speed = next;
+
+        if (this._playing) {
+            this._scheduleNextFrame();
+        }
+    }
+
+    seek(ms) {
+        const target = Math.max(0, Math.min(this.duration, Number(ms) || 0));
+
+        this._terminal.reset();
+
+        const chunks = [];
+        let index = 0;
+        while (index < this._frames.length && this._frames[index].at <= target) {
+            chunks.push(this._frames[index].content);
+            index++;
+        }
+        if (chunks.length > 0) {
+            this._terminal.write(chunks.join(''));
+        }
+
+        this._nextIndex = index;
+        this._anchorPosition = target;
+        this._anchorWallTime = performance.now();
+
+        if (this._playing) {
+            this._scheduleNextFrame();
+        }
+        this._emitProgress();
+    }
+
+    dispose() {
+        this._clearTimers();
+        this._playing = false;
+        this._frames = [];
+        this._onProgress = null;
+        this._onStateChange = null;
+    }
+
+    _scheduleNextFrame() {
+        if (this._frameTimerId) {
+            clearTimeout(this._frameTimerId);
+            this._frameTimerId = null;
+        }
+
+        if (this._nextIndex >= this._frames.length) {
+            this._finish();
+            return;
+        }
+
+        const frame = this._frames[this._nextIndex];
+        const delay = Math.max(0, (frame.at - this.position) / this._speed);
+        this._frameTimerId = setTimeout(() => this._flushDueFrames(), delay);
+    }
+
+    _flushDueFrames() {
+        this._frameTimerId = null;
+        if (!this._playing) return;
+
+        const now = this.position;
+        const chunks = [];
+        while (this._nextIndex < this._frames.length && this._frames[this._nextIndex].at <= now) {
+            chunks.push(this._frames[this._nextIndex].content);
+            this._nextIndex++;
+        }
+        if (chunks.length > 0) {
+            this._terminal.write(chunks.join(''));
+        }
+
+        this._scheduleNextFrame();
+    }
+
+    _finish() {
+        this._anchorPosition = this.duration;
+        this._playing = false;
+        this._clearTimers();
+        this._emitProgress();
+        this._emitState();
+    }
+
+    _startProgressTimer() {
+        if (this._progressTimerId) {
+            clearInterval(this._progressTimerId);
+        }
+        this._progressTimerId = setInterval(() => this._emitProgress(), PROGRESS_INTERVAL_MS);
+    }
+
+    _clearTimers() {
+        if (this._frameTimerId) {
+            clearTimeout(this._frameTimerId);
+            this._frameTimerId = null;
+        }
+        if (this._progressTimerId) {
+            clearInterval(this._progressTimerId);
+            this._progressTimerId = null;
+        }
+    }
+
+    _emitProgress() {
+        if (typeof this._onProgress === 'function') {
+            this._onProgress(this.position, this.duration);
+        }
+    }
+
+    _emitState() {
+        if (typeof this._onStateChange === 'function') {
+            this._onStateChange(this._playing);
+        }
+    }
+}
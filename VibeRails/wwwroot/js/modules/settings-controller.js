@@ -41,9 +41,18 @@ export class SettingsController {
                     );
                 });
             }
+
+            this.app.bindAction(root, '[data-action="set-pin"]', () => this.showSetPinModal());
+            this.app.bindAction(root, '[data-action="remove-pin"]', () => this.showRemovePinModal());
+            this.app.bindAction(root, '[data-action="lock-now"]', () => this.app.pinLock.lock());
+            this.app.bindAction(root, '[data-action="terminal-appearance"]', () => this.app.navigate('terminal-appearance'));
+            root.querySelector('#setting-pin-idle-lock')?.addEventListener('change', (e) => {
+                this.showIdleLockModal(Number(e.target.value));
+            });
         }
 
         content.appendChild(fragment);
+        await this.loadPinStatus();
     }
 
     async saveSettings(remoteAccess, apiKey) {
@@ -57,4 +66,190 @@ export class SettingsController {
             this.app.showError('Failed to save settings: ' + error.message);
         }
     }
+
+    // ============================================
+    // Remote Access PIN
+    // ============================================
+
+    async loadPinStatus() {
+        try {
+            this.renderPinStatus(await this.app.apiCall('/api/v1/settings/pin/status', 'GET'));
+        } catch (error) {
+            const statusEl = document.querySelector('[data-pin-card] [data-pin-status]');
+            if (statusEl) statusEl.textContent = 'Failed to load PIN status.';
+            console.error('Failed to fetch PIN status:', error);
+        }
+    }
+
+    renderPinStatus(status) {
+        this.pinStatus = status;
+        const card = document.querySelector('[data-pin-card]');
+        if (!card) return;
+
+        const statusEl = card.querySelector('[data-pin-status]');
+        statusEl.innerHTML = status.isSet
+            ? '<span class="badge bg-success me-2">Set</span>The dashboard and terminal popouts ask for this PIN after being idle.'
+            : '<span class="badge bg-secondary me-2">Not set</span>Set a PIN to lock the dashboard and live terminals behind a second factor. Remote access requires one.';
+
+        const idleSelect = card.querySelector('#setting-pin-idle-lock');
+        const minutes = String(status.idleLockMinutes ?? 0);
+        if (!Array.from(idleSelect.options).some(option => option.value === minutes)) {
+            idleSelect.add(new Option(`${minutes} minutes`, minutes));
+        }
+        idleSelect.value = minutes;
+        idleSelect.disabled = !status.isSet;
+
+        card.querySelector('[data-action="set-pin"]').textContent = status.isSet ? 'Change PIN' : 'Set PIN';
+        card.querySelector('[data-action="lock-now"]').classList.toggle('d-none', !status.isSet);
+        card.querySelector('[data-action="remove-pin"]').classList.toggle('d-none', !status.isSet);
+    }
+
+    showSetPinModal() {
+        const isChange = Boolean(this.pinStatus?.isSet);
+        this.app.showModal(isChange ? 'Change PIN' : 'Set PIN', `
+            <form id="pin-form" autocomplete="off">
+                ${isChange ? `
+                <div class="mb-3">
+                    <label class="form-label" for="pin-current">Current PIN</label>
+                    <input type="password" class="form-control" id="pin-current" autocomplete="off" required>
+                </div>` : ''}
+                <div class="mb-3">
+                    <label class="form-label" for="pin-new">New PIN</label>
+                    <input type="password" class="form-control" id="pin-new" minlength="4" autocomplete="new-password" required>
+                    <small class="form-text text-muted">At least 4 characters</small>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="pin-confirm">Confirm new PIN</label>
+                    <input type="password" class="form-control" id="pin-confirm" minlength="4" autocomplete="new-password" required>
+                </div>
+                <div class="alert alert-danger d-none" id="pin-form-error" role="alert"></div>
+                <div class="d-flex gap-2 justify-content-end">
+                    <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                    <button type="submit" class="btn btn-primary">${isChange ? 'Change PIN' : 'Set PIN'}</button>
+                </div>
+            </form>
+        `);
+
+        const form = document.getElementById('pin-form');
+        const showFormError = (message) => {
+            const errorEl = document.getElementById('pin-form-error');
+            errorEl.textContent = message;
+            errorEl.classList.remove('d-none');
+        };
+        (document.getElementById('pin-current') || document.getElementById('pin-new')).focus();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const pin = document.getElementById('pin-new').value;
+            if (pin !== document.getElementById('pin-confirm').value) {
+                showFormError('The new PIN and confirmation do not match.');
+                return;
+            }
+
+            try {
+                const status = await this.pinRequest('POST', '/api/v1/settings/pin', {
+                    pin,
+                    currentPin: document.getElementById('pin-current')?.value || null
+                });
+                this.app.closeModal();
+                this.applyPinStatus(status);
+                this.app.showToast('PIN', isChange ? 'PIN changed' : 'PIN set', 'success');
+            } catch (error) {
+                showFormError(error.message);
+            }
+        });
+    }
+
+    showRemovePinModal() {
+        this.app.showModal('Remove PIN', `
+            <form id="remove-pin-form" autocomplete="off">
+                <p>Removing the PIN turns off the lock screen. Remote access stays unavailable until a new PIN is set.</p>
+                <div class="mb-3">
+                    <label class="form-label" for="remove-pin-current">Current PIN</label>
+                    <input type="password" class="form-control" id="remove-pin-current" autocomplete="off" required>
+                </div>
+                <div class="alert alert-danger d-none" id="remove-pin-error" role="alert"></div>
+                <div class="d-flex gap-2 justify-content-end">
+                    <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                    <button type="submit" class="btn btn-danger">Remove PIN</button>
+                </div>
+            </form>
+        `);
+
+        document.getElementById('remove-pin-current').focus();
+        document.getElementById('remove-pin-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const status = await this.pinRequest('DELETE', '/api/v1/settings/pin', {
+                    currentPin: document.getElementById('remove-pin-current').value
+                });
+                this.app.closeModal();
+                this.applyPinStatus(status);
+                this.app.showToast('PIN', 'PIN removed', 'success');
+            } catch (error) {
+                const errorEl = document.getElementById('remove-pin-error');
+                errorEl.textContent = error.message;
+                errorEl.classList.remove('d-none');
+            }
+        });
+    }
+
+    // Changing the timeout needs the PIN too, or anyone at the keyboard could turn auto-lock off
+    showIdleLockModal(minutes) {
+        // The select shows the saved value until the change is confirmed
+        this.renderPinStatus(this.pinStatus);
+        this.app.showModal('Auto-lock', `
+            <form id="idle-lock-form" autocomplete="off">
+                <p>${minutes > 0 ? `Lock after ${minutes} minutes of inactivity.` : 'Turn off auto-lock.'}</p>
+                <div class="mb-3">
+                    <label class="form-label" for="idle-lock-current">Current PIN</label>
+                    <input type="password" class="form-control" id="idle-lock-current" autocomplete="off" required>
+                </div>
+                <div class="alert alert-danger d-none" id="idle-lock-error" role="alert"></div>
+                <div class="d-flex gap-2 justify-content-end">
+                    <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `);
+
+        document.getElementById('idle-lock-current').focus();
+        document.getElementById('idle-lock-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const status = await this.pinRequest('PUT', '/api/v1/settings/pin/idle-lock', {
+                    minutes,
+                    currentPin: document.getElementById('idle-lock-current').value
+                });
+                this.app.closeModal();
+                this.applyPinStatus(status);
+                this.app.showToast('PIN', minutes > 0 ? 'Auto-lock timeout saved' : 'Auto-lock turned off', 'success');
+            } catch (error) {
+                const errorEl = document.getElementById('idle-lock-error');
+                errorEl.textContent = error.message;
+                errorEl.classList.remove('d-none');
+            }
+        });
+    }
+
+    applyPinStatus(status) {
+        this.renderPinStatus(status);
+        this.app.pinLock.configure(status);
+    }
+
+    // apiCall only surfaces the status text; PIN errors need the server's message
+    async pinRequest(method, endpoint, data) {
+        const baseUrl = window.__viberails_API_BASE__ || '';
+        const response = await fetch(baseUrl + endpoint, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(data)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(body.error || response.statusText);
+        }
+        return body;
+    }
 }
@@ -0,0 +1,222 @@
+import { VibeTerminal } from './vibe-terminal.js';
+import {
+    DEFAULT_TERMINAL_APPEARANCE,
+    TERMINAL_COLOR_KEYS,
+    TERMINAL_CURSOR_STYLES,
+    TERMINAL_THEME_PRESETS,
+    getTerminalAppearance,
+    normalizeTerminalAppearance,
+    resolveTerminalTheme,
+    setTerminalAppearance
+} from './terminal-appearance.js';
+
+const COLOR_LABELS = {
+    background: 'Background',
+    foreground: 'Foreground',
+    cursor: 'Cursor',
+    cursorAccent: 'Cursor text',
+    selectionBackground: 'Selection'
+};
+
+// Shows every ANSI colour plus a line of ligature-friendly code so each control has something to change
+const PREVIEW_TEXT = [
+    '\x1b[1;32mdev@viberails\x1b[0m:\x1b[1;34m~/project\x1b[0m$ claude --resume',
+    '',
+    '\x1b[1mNormal\x1b[0m  ' + [0, 1, 2, 3, 4, 5, 6, 7].map((i) => `\x1b[3${i}m\u2588\u2588\x1b[0m`).join(' '),
+    '\x1b[1mBright\x1b[0m  ' + [0, 1, 2, 3, 4, 5, 6, 7].map((i) => `\x1b[9${i}m\u2588\u2588\x1b[0m`).join(' '),
+    '',
+    '\x1b[35mconst\x1b[0m ready = (a, b) => a !== b && a >= 0 || b <= -1;',
+    '\x1b[90m// Select some text to check the selection colour\x1b[0m',
+    '',
+    '\x1b[32m\u2714\x1b[0m 12 tests passed  \x1b[33m\u26a0\x1b[0m 1 warning  \x1b[31m\u2716\x1b[0m 0 failed',
+    '',
+    '\x1b[1;32mdev@viberails\x1b[0m:\x1b[1;34m~/project\x1b[0m$ '
+].join('\r\n');
+
+function expandHex(color) {
+    return /^#[0-9a-f]{3}$/i.test(color)
+        ? `#${color.slice(1).split('').map((c) => c + c).join('')}`
+        : color;
+}
+
+function colorLabel(key) {
+    return COLOR_LABELS[key] || key.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase());
+}
+
+export class TerminalAppearanceController {
+    constructor(app) {
+        this.app = app;
+        this.draft = null;
+        this.preview = null;
+        this.root = null;
+    }
+
+    async loadAppearanceSettings() {
+        const content = document.getElementById('app-content');
+        if (!content) return;
+
+        let saved = getTerminalAppearance();
+        try {
+            saved = setTerminalAppearance(await this.app.apiCall('/api/v1/settings/terminal-appearance', 'GET'));
+        } catch (error) {
+            console.error('Failed to fetch terminal appearance:', error);
+        }
+        this.draft = normalizeTerminalAppearance(saved);
+
+        this.disposePreview();
+        content.innerHTML = '';
+        const fragment = this.app.cloneTemplate('terminal-appearance-template');
+        const root = fragment.querySelector('[data-view="terminal-appearance"]');
+        content.appendChild(fragment);
+        if (!root) return;
+
+        this.root = root;
+        this.app.bindAction(root, '[data-action="go-back"]', () => this.app.goBack());
+        this.app.bindAction(root, '[data-action="reset-colors"]', () => this.update({ colors: {} }));
+        this.app.bindAction(root, '[data-action="reset-appearance"]', () => this.update({ ...DEFAULT_TERMINAL_APPEARANCE, colors: {} }));
+
+        this.populateOptions(root);
+        this.bindInputs(root);
+        this.renderForm();
+        this.createPreview(root.querySelector('[data-appearance-preview]'));
+    }
+
+    disposePreview() {
+        if (this.preview) {
+            this.preview.dispose();
+            this.preview = null;
+        }
+        this.root = null;
+    }
+
+    populateOptions(root) {
+        const presetSelect = root.querySelector('#terminal-appearance-preset');
+        Object.entries(TERMINAL_THEME_PRESETS).forEach(([id, preset]) => {
+            presetSelect?.add(new Option(preset.label, id));
+        });
+
+        const cursorSelect = root.querySelector('#terminal-appearance-cursor-style');
+        TERMINAL_CURSOR_STYLES.forEach((style) => {
+            cursorSelect?.add(new Option(style.charAt(0).toUpperCase() + style.slice(1), style));
+        });
+
+        const grid = root.querySelector('[data-color-grid]');
+        if (!grid) return;
+
+        grid.innerHTML = TERMINAL_COLOR_KEYS.map((key) => `
+            <label class="terminal-appearance-color" title="${colorLabel(key)}">
+                <input type="color" class="form-control form-control-color" data-color-key="${key}">
+                <span>${colorLabel(key)}</span>
+            </label>
+        `).join('');
+    }
+
+    bindInputs(root) {
+        root.querySelector('#terminal-appearance-preset')?.addEventListener('change', (e) => {
+            // A new preset starts from its own palette rather than carrying old overrides across
+            this.update({ preset: e.target.value, colors: {} });
+        });
+
+        root.querySelector('[data-color-grid]')?.addEventListener('input', (e) => {
+            const key = e.target.dataset.colorKey;
+            if (!key) return;
+            this.update({ colors: { ...this.draft.colors, [key]: e.target.value } }, { renderForm: false });
+        });
+
+        root.querySelector('#terminal-appearance-font-family')?.addEventListener('change', (e) => {
+            this.update({ fontFamily: e.target.value });
+        });
+        root.querySelector('#terminal-appearance-font-size')?.addEventListener('change', (e) => {
+            this.update({ fontSize: e.target.value });
+        });
+        root.querySelector('#terminal-appearance-line-height')?.addEventListener('change', (e) => {
+            this.update({ lineHeight: e.target.value });
+        });
+        root.querySelector('#terminal-appearance-ligatures')?.addEventListener('change', (e) => {
+            this.update({ ligatures: e.target.checked });
+        });
+        root.querySelector('#terminal-appearance-cursor-style')?.addEventListener('change', (e) => {
+            this.update({ cursorStyle: e.target.value });
+        });
+        root.querySelector('#terminal-appearance-cursor-blink')?.addEventListener('change', (e) => {
+            this.update({ cursorBlink: e.target.checked });
+        });
+
+        root.querySelector('#terminal-appearance-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.save();
+        });
+    }
+
+    update(changes, { renderForm = true } = {}) {
+        this.draft = normalizeTerminalAppearance({ ...this.draft, ...changes });
+        this.preview?.applyAppearance(this.draft);
+        if (renderForm) {
+            this.renderForm();
+        } else {
+            this.renderPresetNote();
+        }
+    }
+
+    renderForm() {
+        const root = this.root;
+        if (!root) return;
+
+        const theme = resolveTerminalTheme(this.draft);
+        root.querySelector('#terminal-appearance-preset').value = this.draft.preset;
+        root.querySelectorAll('[data-color-key]').forEach((input) => {
+            input.value = expandHex(theme[input.dataset.colorKey]);
+        });
+        root.querySelector('#terminal-appearance-font-family').value = this.draft.fontFamily;
+        root.querySelector('#terminal-appearance-font-size').value = this.draft.fontSize;
+        root.querySelector('#terminal-appearance-line-height').value = this.draft.lineHeight;
+        root.querySelector('#terminal-appearance-ligatures').checked = this.draft.ligatures;
+        root.querySelector('#terminal-appearance-cursor-style').value = this.draft.cursorStyle;
+        root.querySelector('#terminal-appearance-cursor-blink').checked = this.draft.cursorBlink;
+        this.renderPresetNote();
+    }
+
+    renderPresetNote() {
+        const note = this.root?.querySelector('[data-preset-note]');
+        if (!note) return;
+
+        const overrides = Object.keys(this.draft.colors).length;
+        note.textContent = overrides > 0
+            ? `${overrides} colour${overrides === 1 ? '' : 's'} changed from ${TERMINAL_THEME_PRESETS[this.draft.preset].label}`
+            : `Using the ${TERMINAL_THEME_PRESETS[this.draft.preset].label} palette`;
+        this.root.querySelector('[data-action="reset-colors"]')?.classList.toggle('d-none', overrides === 0);
+    }
+
+    createPreview(host) {
+        if (!host) return;
+
+        try {
+            this.preview = new VibeTerminal({
+                outputEl: host,
+                cols: 80,
+                rows: 12,
+                disableStdin: true,
+                appearance: this.draft
+            });
+        } catch (error) {
+            host.textContent = `Preview unavailable: ${error.message}`;
+            return;
+        }
+
+        this.preview.startResizeHandling();
+        this.preview.setInteractive(true);
+        this.preview.write(PREVIEW_TEXT);
+        this.preview.scheduleFitPasses();
+    }
+
+    async save() {
+        try {
+            const saved = await this.app.apiCall('/api/v1/settings/terminal-appearance', 'PUT', this.draft);
+            this.draft = setTerminalAppearance(saved);
+            this.renderForm();
+            this.app.showToast('Terminal Appearance', 'Saved. Open terminals have been updated.', 'success');
+        } catch (error) {
+            this.app.showError('Failed to save terminal appearance: ' + error.message);
+        }
+    }
+}
@@ -0,0 +1,267 @@
+// Terminal appearance shared by every web terminal surface: the built-in palettes, the user's saved
+// theme/font/cursor settings and a change feed so open terminals restyle without a reload.
+
+export const DEFAULT_TERMINAL_FONT_FAMILY = '"Fira Code", "JetBrains Mono", "Cascadia Code", "Cascadia Mono", Consolas, "DejaVu Sans Mono", monospace';
+
+export const TERMINAL_THEME_PRESETS = {
+    dark: {
+        label: 'Dark',
+        theme: {
+            background: '#1e1e1e',
+            foreground: '#d4d4d4',
+            cursor: '#d4d4d4',
+            cursorAccent: '#1e1e1e',
+            selectionBackground: '#264f78',
+            black: '#1e1e1e',
+            red: '#f44747',
+            green: '#608b4e',
+            yellow: '#dcdcaa',
+            blue: '#569cd6',
+            magenta: '#c586c0',
+            cyan: '#4ec9b0',
+            white: '#d4d4d4',
+            brightBlack: '#808080',
+            brightRed: '#f44747',
+            brightGreen: '#608b4e',
+            brightYellow: '#dcdcaa',
+            brightBlue: '#569cd6',
+            brightMagenta: '#c586c0',
+            brightCyan: '#4ec9b0',
+            brightWhite: '#ffffff'
+        }
+    },
+    light: {
+        label: 'Light',
+        theme: {
+            background: '#ffffff',
+            foreground: '#333333',
+            cursor: '#333333',
+            cursorAccent: '#ffffff',
+            selectionBackground: '#add6ff',
+            black: '#000000',
+            red: '#cd3131',
+            green: '#00bc00',
+            yellow: '#949800',
+            blue: '#0451a5',
+            magenta: '#bc05bc',
+            cyan: '#0598bc',
+            white: '#555555',
+            brightBlack: '#666666',
+            brightRed: '#cd3131',
+            brightGreen: '#14ce14',
+            brightYellow: '#b5ba00',
+            brightBlue: '#0451a5',
+            brightMagenta: '#bc05bc',
+            brightCyan: '#0598bc',
+            brightWhite: '#a5a5a5'
+        }
+    },
+    'solarized-dark': {
+        label: 'Solarized Dark',
+        theme: {
+            background: '#002b36',
+            foreground: '#839496',
+            cursor: '#93a1a1',
+            cursorAccent: '#002b36',
+            selectionBackground: '#073642',
+            black: '#073642',
+            red: '#dc322f',
+            green: '#859900',
+            yellow: '#b58900',
+            blue: '#268bd2',
+            magenta: '#d33682',
+            cyan: '#2aa198',
+            white: '#eee8d5',
+            brightBlack: '#586e75',
+            brightRed: '#cb4b16',
+            brightGreen: '#859900',
+            brightYellow: '#b58900',
+            brightBlue: '#268bd2',
+            brightMagenta: '#6c71c4',
+            brightCyan: '#2aa198',
+            brightWhite: '#fdf6e3'
+        }
+    },
+    'solarized-light': {
+        label: 'Solarized Light',
+        theme: {
+            background: '#fdf6e3',
+            foreground: '#657b83',
+            cursor: '#586e75',
+            cursorAccent: '#fdf6e3',
+            selectionBackground: '#eee8d5',
+            black: '#073642',
+            red: '#dc322f',
+            green: '#859900',
+            yellow: '#b58900',
+            blue: '#268bd2',
+            magenta: '#d33682',
+            cyan: '#2aa198',
+            white: '#93a1a1',
+            brightBlack: '#586e75',
+            brightRed: '#cb4b16',
+            brightGreen: '#859900',
+            brightYellow: '#b58900',
+            brightBlue: '#268bd2',
+            brightMagenta: '#6c71c4',
+            brightCyan: '#2aa198',
+            brightWhite: '#002b36'
+        }
+    },
+    'high-contrast': {
+        label: 'High Contrast',
+        theme: {
+            background: '#000000',
+            foreground: '#ffffff',
+            cursor: '#ffff00',
+            cursorAccent: '#000000',
+            selectionBackground: '#1a4bff',
+            black: '#000000',
+            red: '#ff5555',
+            green: '#55ff55',
+            yellow: '#ffff55',
+            blue: '#5c9cff',
+            magenta: '#ff55ff',
+            cyan: '#55ffff',
+            white: '#ffffff',
+            brightBlack: '#bfbfbf',
+            brightRed: '#ff8080',
+            brightGreen: '#80ff80',
+            brightYellow: '#ffff80',
+            brightBlue: '#80b3ff',
+            brightMagenta: '#ff80ff',
+            brightCyan: '#80ffff',
+            brightWhite: '#ffffff'
+        }
+    }
+};
+
+export const TERMINAL_COLOR_KEYS = Object.keys(TERMINAL_THEME_PRESETS.dark.theme);
+export const TERMINAL_CURSOR_STYLES = ['block', 'underline', 'bar'];
+
+// Limits match TerminalAppearanceService, which rejects anything outside them
+export const TERMINAL_FONT_SIZE_RANGE = { min: 8, max: 32 };
+export const TERMINAL_LINE_HEIGHT_RANGE = { min: 1, max: 2 };
+
+export const DEFAULT_TERMINAL_APPEARANCE = Object.freeze({
+    preset: 'dark',
+    colors: {},
+    fontFamily: DEFAULT_TERMINAL_FONT_FAMILY,
+    fontSize: 14,
+    lineHeight: 1.12,
+    ligatures: true,
+    cursorStyle: 'block',
+    cursorBlink: true
+});
+
+// Cached in localStorage so terminals paint with the saved look before the API answers, and so
+// other windows (popouts, other dashboard tabs) hear about a save through the storage event
+const CACHE_KEY = 'viberails_terminal_appearance';
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const listeners = new Set();
+let current = readCache();
+
+function clamp(value, { min, max }, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+function readCache() {
+    try {
+        return normalizeTerminalAppearance(JSON.parse(window.localStorage.getItem(CACHE_KEY) || 'null'));
+    } catch {
+        return normalizeTerminalAppearance(null);
+    }
+}
+
+function notify() {
+    listeners.forEach((listener) => {
+        try {
+            listener(current);
+        } catch {
+            // no-op
+        }
+    });
+}
+
+/**
+ * Fills in missing fields and drops anything out of range, so callers can trust the result.
+ */
+export function normalizeTerminalAppearance(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const defaults = DEFAULT_TERMINAL_APPEARANCE;
+
+    const colors = {};
+    Object.entries(source.colors || {}).forEach(([key, color]) => {
+        if (TERMINAL_COLOR_KEYS.includes(key) && HEX_COLOR_PATTERN.test(color || '')) {
+            colors[key] = color.toLowerCase();
+        }
+    });
+
+    return {
+        preset: TERMINAL_THEME_PRESETS[source.preset] ? source.preset : defaults.preset,
+        colors,
+        fontFamily: (source.fontFamily || '').trim() || defaults.fontFamily,
+        fontSize: Math.round(clamp(source.fontSize, TERMINAL_FONT_SIZE_RANGE, defaults.fontSize)),
+        lineHeight: clamp(source.lineHeight, TERMINAL_LINE_HEIGHT_RANGE, defaults.lineHeight),
+        ligatures: typeof source.ligatures === 'boolean' ? source.ligatures : defaults.ligatures,
+        cursorStyle: TERMINAL_CURSOR_STYLES.includes(source.cursorStyle) ? source.cursorStyle : defaults.cursorStyle,
+        cursorBlink: typeof source.cursorBlink === 'boolean' ? source.cursorBlink : defaults.cursorBlink
+    };
+}
+
+/**
+ * The xterm theme for an appearance: its preset palette with the colour editor's overrides on top.
+ */
+export function resolveTerminalTheme(appearance) {
+    const preset = TERMINAL_THEME_PRESETS[appearance?.preset] || TERMINAL_THEME_PRESETS[DEFAULT_TERMINAL_APPEARANCE.preset];
+    return { ...preset.theme, ...(appearance?.colors || {}) };
+}
+
+export function getTerminalAppearance() {
+    return current;
+}
+
+export function setTerminalAppearance(appearance) {
+    current = normalizeTerminalAppearance(appearance);
+    try { window.localStorage.setItem(CACHE_KEY, JSON.stringify(current)); } catch {}
+    notify();
+    return current;
+}
+
+/**
+ * Calls listener with the new appearance whenever it is saved here or in another window.
+ * Returns a function that stops listening.
+ */
+export function onTerminalAppearanceChange(listener) {
+    if (typeof listener !== 'function') {
+        return () => {};
+    }
+
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Fetches the saved appearance and applies it to every open terminal. Keeps the cached one if
+ * the API can't be reached.
+ */
+export async function loadTerminalAppearance(apiBase = '') {
+    try {
+        const response = await fetch(`${apiBase}/api/v1/settings/terminal-appearance`, { credentials: 'include' });
+        if (response.ok) {
+            return setTerminalAppearance(await response.json());
+        }
+    } catch {
+        // no-op
+    }
+    return current;
+}
+
+window.addEventListener('storage', (event) => {
+    if (event.key !== CACHE_KEY) return;
+    current = readCache();
+    notify();
+});
@@ -79,11 +79,7 @@ export class TerminalController {
             outputEl: terminalElement,
             cols: 120,
             rows: 30,
-            disableStdin: false,
-            desktopFontSize: 14,
-            mobileFontSize: 14,
-            desktopLineHeight: 1.12,
-            mobileLineHeight: 1.2
+            disableStdin: false
         });
         this.vibeTerminal.onFitChange = () => this.sendResizeToPty();
         this.terminal = this.vibeTerminal.terminal;
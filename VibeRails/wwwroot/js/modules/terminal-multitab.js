@@ -1,10 +1,23 @@
 import { VibeTerminal } from './vibe-terminal.js';
+import { PromptPalette } from './prompt-palette.js';
 
 const RESIZE_PREFIX = '__resize__:';
 const DEFAULT_SELECTION = null;
 const ACTIVE_TAB_KEY = 'viberails_terminal_active_tab_id';
 const TAB_SELECTION_PREFIX = 'viberails_terminal_tab_selection_';
 const TAB_TITLE_PREFIX = 'viberails_terminal_tab_title_';
+const LAYOUT_KEY = 'viberails_terminal_layout';
+const MAX_PANES = 4;
+const SPLIT_DIRECTIONS = ['horizontal', 'vertical'];
+const BROADCAST_KEY = 'viberails_terminal_broadcast';
+// Replies xterm writes back on its own (device attributes, cursor position, focus in/out, colour
+// queries) answer the terminal that asked, so they are never copied to the other broadcast tabs
+const TERMINAL_REPORT_PATTERN = /^\x1b(?:\[(?:[?>]?[\d;]*c|\??\d+;\d+R|[IO])|\]\d+;rgb:[^\x07\x1b]*(?:\x07|\x1b\\))$/;
+// Output frames start with the 8-byte big-endian stream offset of their first byte
+const OUTPUT_OFFSET_HEADER_BYTES = 8;
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 15000;
+const MAX_RECONNECT_ATTEMPTS = 12;
 
 function lower(value) {
     return (value || '').toString().trim().toLowerCase();
@@ -31,6 +44,12 @@ class TerminalTab {
         this.onDataDispose = null;
         this.inputFocusHandler = null;
         this.isActive = false;
+
+        // Offset just past the last output byte written to the terminal, for the session it belongs to
+        this.outputOffset = 0;
+        this.streamSessionId = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
     }
 
     hasOpenSocket() {
@@ -46,11 +65,7 @@ class TerminalTab {
             outputEl: this.state.ui.terminalElement,
             cols: 120,
             rows: 40,
-            disableStdin: false,
-            desktopFontSize: 14,
-            mobileFontSize: 15,
-            desktopLineHeight: 1.12,
-            mobileLineHeight: 1.2
+            disableStdin: false
         });
         this.vibeTerminal.onFitChange = () => this.sendResizeToPty();
         this.terminal = this.vibeTerminal.terminal;
@@ -59,15 +74,26 @@ class TerminalTab {
         this.installInputFocusHandlers();
 
         this.onDataDispose = this.vibeTerminal.onData((data) => {
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                this.socket.send(data);
-            }
+            this.manager.sendInput(this.state.id, data);
         });
 
         this.vibeTerminal.attachClipboardPaste((text) => {
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                this.socket.send(text);
+            this.manager.sendInput(this.state.id, text);
+        });
+
+        this.vibeTerminal.addCustomKeyEventHandler((event) => {
+            const isPaletteShortcut = event.type === 'keydown'
+                && (event.ctrlKey || event.metaKey)
+                && event.shiftKey
+                && !event.altKey
+                && (event.key || '').toLowerCase() === 'p';
+            if (!isPaletteShortcut) {
+                return true;
             }
+
+            event.preventDefault();
+            void this.manager.openPromptPalette();
+            return false;
         });
 
         if (this.isActive) {
@@ -81,6 +107,22 @@ class TerminalTab {
         this.vibeTerminal?.write(data);
     }
 
+    sendInput(data) {
+        if (this.hasOpenSocket()) {
+            this.socket.send(data);
+        }
+    }
+
+    // Goes through xterm's paste so bracketed paste applies and the text reaches onData like typed input
+    pasteText(text) {
+        this.ensureTerminal();
+        this.terminal?.paste(text);
+    }
+
+    getSelection() {
+        return this.terminal?.getSelection() || '';
+    }
+
     openSearch() {
         if (!this.vibeTerminal) {
             return false;
@@ -172,12 +214,14 @@ class TerminalTab {
 
     disconnect({ disposeTerminal = false, preserveStatus = false } = {}) {
         this.teardownResizeHandling();
+        this.cancelReconnect();
         this.disconnectSocketOnly();
 
         if (disposeTerminal && this.vibeTerminal) {
             this.vibeTerminal.dispose();
             this.vibeTerminal = null;
             this.terminal = null;
+            this.outputOffset = 0;
             if (this.onDataDispose) {
                 try { this.onDataDispose(); } catch (e) { /* no-op */ }
                 this.onDataDispose = null;
@@ -194,7 +238,25 @@ class TerminalTab {
         this.teardownInputFocusHandlers();
     }
 
-    setActive(active) {
+    // Drops the socket while the PIN lock is up, keeping the output offset so resume() neither
+    // drops nor repeats anything. Returns whether there was a stream to come back to.
+    suspend() {
+        if (!this.socket && !this.reconnectTimer) {
+            return false;
+        }
+
+        this.disconnect();
+        return true;
+    }
+
+    resume() {
+        if (this.state.hasActiveSession && !this.socket) {
+            void this.connect();
+        }
+    }
+
+    // Active means shown in a pane; with a split several tabs are active and one has focus
+    setActive(active, { focus = true } = {}) {
         this.isActive = active;
 
         if (!this.vibeTerminal) {
@@ -205,7 +267,9 @@ class TerminalTab {
             this.setupResizeHandling();
             this.fitAndSyncTerminal();
             this.scheduleFitPasses();
-            this.focusInput();
+            if (focus) {
+                this.focusInput();
+            }
             return;
         }
 
@@ -260,16 +324,24 @@ class TerminalTab {
 
         this.ensureTerminal();
         this.disconnectSocketOnly();
+        this.clearReconnectTimer();
 
-        this.state.status = 'connecting';
+        // Offsets count from the start of one session; a new session streams from its beginning
+        if (this.streamSessionId !== this.state.sessionId) {
+            this.streamSessionId = this.state.sessionId;
+            this.outputOffset = 0;
+        }
+
+        this.state.status = this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
         this.manager.updateUi();
 
-        const wsUrl = this.manager.getWebSocketUrl(this.state.id);
+        const wsUrl = this.manager.getWebSocketUrl(this.state.id, this.outputOffset);
         const socket = new WebSocket(wsUrl);
         socket.binaryType = 'arraybuffer';
         this.socket = socket;
 
         let opened = false;
+        let resumed = false;
 
         return await new Promise((resolve) => {
             socket.onopen = () => {
@@ -279,6 +351,7 @@ class TerminalTab {
                 }
 
                 opened = true;
+                this.reconnectAttempts = 0;
                 this.state.status = 'connected';
                 this.manager.updateUi();
 
@@ -286,7 +359,9 @@ class TerminalTab {
                     this.setupResizeHandling();
                     this.fitAndSyncTerminal();
                     this.scheduleFitPasses();
-                    this.focusInput();
+                    if (this.manager.activeTabId === this.state.id) {
+                        this.focusInput();
+                    }
                 }
 
                 resolve(true);
@@ -294,7 +369,14 @@ class TerminalTab {
 
             socket.onmessage = (event) => {
                 if (this.socket !== socket) return;
-                this.writeData(event.data);
+
+                if (typeof event.data === 'string') {
+                    this.writeData(event.data);
+                    return;
+                }
+
+                this.writeOutputFrame(event.data, !resumed);
+                resumed = true;
             };
 
             socket.onclose = (event) => {
@@ -303,11 +385,10 @@ class TerminalTab {
                 this.teardownResizeHandling();
                 this.socket = null;
 
-                this.state.status = this.state.hasActiveSession ? 'disconnected' : 'not-started';
-                if (this.terminal && this.state.hasActiveSession) {
-                    const reason = event.reason || 'Terminal disconnected';
-                    const color = reason.includes('taken over') ? '33' : '90';
-                    this.writeData(`\r\n\x1b[${color}m[${reason}]\x1b[0m\r\n`);
+                // Another viewer taking the session over is deliberate, so don't fight it for the socket
+                const reason = event.reason || 'Terminal disconnected';
+                if (reason.includes('taken over') || !this.scheduleReconnect()) {
+                    this.markDisconnected(reason);
                 }
 
                 this.manager.updateUi();
@@ -323,6 +404,117 @@ class TerminalTab {
         });
     }
 
+    // The first frame on a connection carries no output, only the offset the server resumed from.
+    // Anything already written is skipped, so a reconnect neither drops nor repeats output.
+    writeOutputFrame(buffer, isFirstFrame) {
+        if (buffer.byteLength < OUTPUT_OFFSET_HEADER_BYTES) {
+            return;
+        }
+
+        const header = new DataView(buffer, 0, OUTPUT_OFFSET_HEADER_BYTES);
+        const offset = header.getUint32(0) * 2 ** 32 + header.getUint32(4);
+        const payload = new Uint8Array(buffer, OUTPUT_OFFSET_HEADER_BYTES);
+
+        if (isFirstFrame && offset !== this.outputOffset) {
+            // What we missed has already left the server's scrollback, so redraw from what it still has
+            if (this.outputOffset > 0 && this.vibeTerminal) {
+                this.vibeTerminal.reset();
+                this.writeData('\x1b[90m[Reconnected - some output was lost while disconnected]\x1b[0m\r\n');
+            }
+            this.outputOffset = offset;
+        }
+
+        const end = offset + payload.length;
+        if (end <= this.outputOffset) {
+            return;
+        }
+
+        this.writeData(offset < this.outputOffset ? payload.subarray(this.outputOffset - offset) : payload);
+        this.outputOffset = end;
+    }
+
+    markDisconnected(reason) {
+        this.reconnectAttempts = 0;
+        this.state.status = this.state.hasActiveSession ? 'disconnected' : 'not-started';
+        if (this.terminal && this.state.hasActiveSession) {
+            const color = reason.includes('taken over') ? '33' : '90';
+            this.writeData(`\r\n\x1b[${color}m[${reason}]\x1b[0m\r\n`);
+        }
+    }
+
+    // Backs off exponentially, with jitter so tabs dropped together don't retry in lockstep.
+    // Returns false once the session is gone or the attempts run out.
+    scheduleReconnect() {
+        if (!this.state.hasActiveSession || this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            return false;
+        }
+
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts += 1;
+        this.state.status = 'reconnecting';
+        this.clearReconnectTimer();
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            void this.attemptReconnect();
+        }, Math.round(delay * (0.75 + Math.random() * 0.5)));
+        return true;
+    }
+
+    async attemptReconnect() {
+        let status;
+        try {
+            status = await this.manager.app.apiCall(`/api/v1/terminal/tabs/${encodeURIComponent(this.state.id)}/status`, 'GET');
+        } catch {
+            status = undefined;
+        }
+
+        // Reconnected, stopped or closed by hand while the status request was in flight
+        if (this.state.status !== 'reconnecting' || this.socket) {
+            return;
+        }
+
+        if (status === undefined) {
+            if (!this.scheduleReconnect()) {
+                this.markDisconnected('Could not reconnect to the terminal');
+            }
+            this.manager.updateUi();
+            return;
+        }
+
+        if (!status?.hasActiveSession) {
+            this.state.hasActiveSession = false;
+            this.state.sessionId = null;
+            this.markDisconnected('Session ended');
+            this.manager.updateUi();
+            return;
+        }
+
+        this.state.sessionId = status.sessionId || this.state.sessionId;
+        await this.connect();
+    }
+
+    // Skips the remaining backoff, e.g. when the network comes back
+    reconnectNow() {
+        if (this.state.status !== 'reconnecting' || !this.reconnectTimer) {
+            return;
+        }
+
+        this.clearReconnectTimer();
+        void this.attemptReconnect();
+    }
+
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    cancelReconnect() {
+        this.clearReconnectTimer();
+        this.reconnectAttempts = 0;
+    }
+
     async startSession(body) {
         try {
             const response = await this.manager.app.apiCall(`/api/v1/terminal/tabs/${encodeURIComponent(this.state.id)}/start`, 'POST', body);
@@ -375,6 +567,11 @@ class TerminalManager {
         this.tabs = new Map();
         this.tabOrder = [];
         this.activeTabId = null;
+        this.splitDirection = null;
+        this.paneIds = [];
+        this.broadcastEnabled = false;
+        this.broadcastOptOut = new Set();
+        this.suspendedTabIds = [];
 
         this.panel = null;
         this.tabList = null;
@@ -397,11 +594,25 @@ class TerminalManager {
         this.lockBtn = null;
         this.focusBtn = null;
         this.keyboardBtn = null;
+        this.splitRightBtn = null;
+        this.splitDownBtn = null;
+        this.broadcastBtn = null;
+        this.promptsBtn = null;
+        this.promptPalette = new PromptPalette(app, {
+            getContext: () => ({
+                selection: this.getActiveTab()?.instance.getSelection() || '',
+                onClose: () => this.focusActiveTerminalInput()
+            }),
+            send: (text, options) => this.sendPrompt(text, options)
+        });
 
         this.lockLayoutHandler = null;
         this.lockedPanel = null;
         this.lockScrollTop = 0;
         this.isScrollLocked = false;
+
+        // Tabs waiting out a reconnect backoff retry as soon as the network is back
+        this.onlineHandler = () => this.tabs.forEach((tab) => tab.instance.reconnectNow());
     }
 
     async initialize() {
@@ -426,10 +637,17 @@ class TerminalManager {
         this.lockBtn = this.container.querySelector('#terminal-lock-btn');
         this.focusBtn = this.container.querySelector('#terminal-popout-btn');
         this.keyboardBtn = this.container.querySelector('#terminal-keyboard-btn');
+        this.splitRightBtn = this.container.querySelector('#terminal-split-right-btn');
+        this.splitDownBtn = this.container.querySelector('#terminal-split-down-btn');
+        this.broadcastBtn = this.container.querySelector('#terminal-broadcast-btn');
+        this.promptsBtn = this.container.querySelector('#terminal-prompts-btn');
 
         this.populateSelect();
         this.bindActions();
+        window.addEventListener('online', this.onlineHandler);
         await this.restoreTabs();
+        this.restoreLayout();
+        this.restoreBroadcast();
 
         if (this.tabOrder.length === 0) {
             const initialSelection = this.getInitialSelection();
@@ -438,7 +656,7 @@ class TerminalManager {
             const preferredTabId = this.options.preferredTabId || this.getActiveTabIdFromStorage();
             const target = preferredTabId && this.tabs.has(preferredTabId)
                 ? preferredTabId
-                : this.tabOrder[0];
+                : this.paneIds[0] || this.tabOrder[0];
             await this.activateTab(target, { connectIfNeeded: true });
 
             if (typeof this.options.preferredSelection === 'string' && this.options.preferredSelection.length > 0) {
@@ -452,13 +670,28 @@ class TerminalManager {
         this.updateUi();
     }
 
+    suspendStreams() {
+        this.suspendedTabIds = [...this.tabs.values()]
+            .filter((tab) => tab.instance.suspend())
+            .map((tab) => tab.state.id);
+        this.updateUi();
+    }
+
+    resumeStreams() {
+        this.suspendedTabIds.forEach((tabId) => this.tabs.get(tabId)?.instance.resume());
+        this.suspendedTabIds = [];
+    }
+
     destroy() {
         this.disableLockedLayout(this.lockedPanel);
+        window.removeEventListener('online', this.onlineHandler);
 
         this.tabs.forEach((tab) => tab.instance.dispose());
         this.tabs.clear();
         this.tabOrder = [];
         this.activeTabId = null;
+        this.splitDirection = null;
+        this.paneIds = [];
     }
 
     resetLayoutStateForNavigation() {
@@ -520,6 +753,16 @@ class TerminalManager {
         this.lockBtn?.addEventListener('click', () => this.toggleLock());
         this.focusBtn?.addEventListener('click', () => this.openFocusView());
         this.keyboardBtn?.addEventListener('click', () => this.focusActiveTerminalInput());
+        this.splitRightBtn?.addEventListener('click', () => {
+            void this.splitPane('horizontal');
+        });
+        this.splitDownBtn?.addEventListener('click', () => {
+            void this.splitPane('vertical');
+        });
+        this.broadcastBtn?.addEventListener('click', () => this.toggleBroadcast());
+        this.promptsBtn?.addEventListener('click', () => {
+            void this.openPromptPalette();
+        });
     }
 
     async restoreTabs() {
@@ -581,6 +824,20 @@ class TerminalManager {
             void this.activateTab(state.id, { connectIfNeeded: true });
         });
 
+        // Only shown while broadcasting; lets a single tab sit the broadcast out
+        const broadcast = document.createElement('button');
+        broadcast.type = 'button';
+        broadcast.className = 'terminal-tab-broadcast';
+        broadcast.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" fill="currentColor" viewBox="0 0 16 16">
+                <path d="M3.05 3.05a7 7 0 0 0 0 9.9.5.5 0 0 1-.707.707 8 8 0 0 1 0-11.314.5.5 0 0 1 .707.707m2.122 2.122a4 4 0 0 0 0 5.656.5.5 0 1 1-.708.708 5 5 0 0 1 0-7.072.5.5 0 0 1 .708.708m5.656-.708a.5.5 0 0 1 .708 0 5 5 0 0 1 0 7.072.5.5 0 1 1-.708-.708 4 4 0 0 0 0-5.656.5.5 0 0 1 0-.708m2.122-2.12a.5.5 0 0 1 .707 0 8 8 0 0 1 0 11.313.5.5 0 0 1-.707-.707 7 7 0 0 0 0-9.9.5.5 0 0 1 0-.707zM10 8a2 2 0 1 1-4 0 2 2 0 0 1 4 0"/>
+            </svg>
+        `;
+        broadcast.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.toggleBroadcastOptOut(state.id);
+        });
+
         const close = document.createElement('button');
         close.type = 'button';
         close.className = 'terminal-tab-close';
@@ -592,6 +849,7 @@ class TerminalManager {
         });
 
         item.appendChild(button);
+        item.appendChild(broadcast);
         item.appendChild(close);
 
         const panel = document.createElement('div');
@@ -599,16 +857,50 @@ class TerminalManager {
         panel.dataset.tabId = state.id;
         panel.style.display = 'none';
 
+        // Only shown while the panel is split, so each pane says which tab it holds
+        const paneHeader = document.createElement('div');
+        paneHeader.className = 'terminal-pane-header';
+
+        const paneLabel = document.createElement('span');
+        paneLabel.className = 'terminal-pane-label';
+
+        const paneClose = document.createElement('button');
+        paneClose.type = 'button';
+        paneClose.className = 'terminal-pane-close';
+        paneClose.innerHTML = '&times;';
+        paneClose.title = 'Close pane (the tab keeps running)';
+        paneClose.addEventListener('click', (event) => {
+            event.stopPropagation();
+            void this.closePane(state.id);
+        });
+
+        paneHeader.appendChild(paneLabel);
+        paneHeader.appendChild(paneClose);
+
+        const paneHint = document.createElement('div');
+        paneHint.className = 'terminal-pane-hint';
+        paneHint.textContent = 'Pick a CLI above and press Start';
+
         const terminalElement = document.createElement('div');
         terminalElement.className = 'terminal-element';
         terminalElement.style.width = '100%';
         terminalElement.style.height = '100%';
+
+        panel.appendChild(paneHeader);
+        panel.appendChild(paneHint);
         panel.appendChild(terminalElement);
 
+        // Clicking into a pane makes its tab the one the toolbar acts on
+        panel.addEventListener('pointerdown', () => {
+            if (this.activeTabId !== state.id) {
+                void this.activateTab(state.id, { connectIfNeeded: true });
+            }
+        });
+
         this.tabList?.appendChild(item);
         this.tabPanels?.appendChild(panel);
 
-        state.ui = { item, button, close, panel, terminalElement };
+        state.ui = { item, button, broadcast, close, panel, paneLabel, terminalElement };
 
         const instance = new TerminalTab(this, state);
         const tab = { state, instance };
@@ -639,29 +931,142 @@ class TerminalManager {
             return;
         }
 
+        // A tab that isn't on screen takes over the focused pane
+        if (this.isSplit() && !this.paneIds.includes(target.state.id)) {
+            const slot = this.paneIds.indexOf(this.activeTabId);
+            this.paneIds[slot >= 0 ? slot : this.paneIds.length - 1] = target.state.id;
+            this.saveLayout();
+        }
+
+        // Panes share one panel, so moving focus between them keeps its size and lock
         const previous = this.getActiveTab();
-        if (previous && previous.state.id !== target.state.id) {
-            previous.state.ui.item.classList.remove('active');
-            previous.state.ui.panel.style.display = 'none';
-            previous.instance.setActive(false);
+        if (this.isSplit() && previous && previous !== target) {
+            target.state.viewState = { ...previous.state.viewState };
         }
 
+        const wasShown = target.instance.isActive;
         this.activeTabId = target.state.id;
         this.saveActiveTabId(target.state.id);
+        this.renderPanes();
+        if (wasShown) {
+            target.instance.focusInput();
+        }
 
-        target.state.ui.item.classList.add('active');
-        target.state.ui.panel.style.display = 'block';
-        target.instance.setActive(true);
-
-        if (options.connectIfNeeded && target.state.hasActiveSession && !target.instance.hasOpenSocket()) {
-            await target.instance.connect();
+        if (options.connectIfNeeded) {
+            const pending = this.getPaneTabIds()
+                .map((id) => this.tabs.get(id))
+                .filter((tab) => tab && tab.state.hasActiveSession && !tab.instance.hasOpenSocket());
+            await Promise.all(pending.map((tab) => tab.instance.connect()));
         }
 
         this.applyPanelState();
         this.updateUi();
     }
 
+    isSplit() {
+        return this.paneIds.length > 1;
+    }
+
+    // The tabs on screen, in pane order
+    getPaneTabIds() {
+        if (this.isSplit()) {
+            return this.paneIds;
+        }
+
+        return this.activeTabId ? [this.activeTabId] : [];
+    }
+
+    // Shows the tabs that are in a pane and hides the rest
+    renderPanes() {
+        const paneIds = this.getPaneTabIds();
+        const split = this.isSplit();
+
+        if (this.tabPanels) {
+            this.tabPanels.classList.toggle('is-split', split);
+            SPLIT_DIRECTIONS.forEach((direction) => {
+                this.tabPanels.classList.toggle(`split-${direction}`, split && this.splitDirection === direction);
+            });
+        }
+
+        this.tabs.forEach((tab) => {
+            const order = paneIds.indexOf(tab.state.id);
+            const shown = order >= 0;
+            const isFocused = tab.state.id === this.activeTabId;
+
+            tab.state.ui.panel.style.display = shown ? 'flex' : 'none';
+            tab.state.ui.panel.style.order = shown ? String(order) : '';
+            tab.state.ui.panel.classList.toggle('is-focused', split && isFocused);
+            tab.state.ui.item.classList.toggle('in-pane', split && shown);
+
+            if (tab.instance.isActive !== shown) {
+                tab.instance.setActive(shown, { focus: isFocused });
+            }
+        });
+    }
+
+    async splitPane(direction) {
+        const active = this.getActiveTab();
+        if (!active || !SPLIT_DIRECTIONS.includes(direction)) {
+            return;
+        }
+
+        const paneIds = this.isSplit() ? [...this.paneIds] : [active.state.id];
+        if (paneIds.length >= MAX_PANES) {
+            this.app.showError(`At most ${MAX_PANES} terminals can be shown side by side.`);
+            return;
+        }
+
+        // Prefer a tab that's open but off screen; otherwise open a new one
+        let nextId = this.tabOrder.find((id) => !paneIds.includes(id));
+        if (!nextId) {
+            const tab = await this.createTab({ selection: DEFAULT_SELECTION });
+            if (!tab) {
+                return;
+            }
+            nextId = tab.state.id;
+        }
+
+        paneIds.splice(paneIds.indexOf(active.state.id) + 1, 0, nextId);
+        this.paneIds = paneIds;
+        this.splitDirection = direction;
+        this.saveLayout();
+
+        await this.activateTab(nextId, { connectIfNeeded: true });
+    }
+
+    // Takes a tab out of the layout without closing it; it stays in the tab strip
+    async closePane(tabId) {
+        const index = this.paneIds.indexOf(tabId);
+        if (index < 0) {
+            return;
+        }
+
+        this.paneIds = this.paneIds.filter((id) => id !== tabId);
+        // Focus moves to the neighbouring pane
+        const nextId = this.activeTabId === tabId
+            ? this.paneIds[Math.min(index, this.paneIds.length - 1)]
+            : this.activeTabId;
+        if (!this.isSplit()) {
+            this.paneIds = [];
+            this.splitDirection = null;
+        }
+        this.saveLayout();
+
+        await this.activateTab(nextId, { connectIfNeeded: true });
+    }
+
     async createAndActivateTab(options = {}) {
+        const tab = await this.createTab(options);
+        if (!tab) {
+            return null;
+        }
+
+        await this.activateTab(tab.state.id, { connectIfNeeded: false });
+        this.updateUi();
+        return tab;
+    }
+
+    async createTab(options = {}) {
         if (this.tabOrder.length >= this.maxTabs) {
             this.app.showError(`Maximum of ${this.maxTabs} terminal tabs reached.`);
             return null;
@@ -670,13 +1075,10 @@ class TerminalManager {
         this.tabAdd && (this.tabAdd.disabled = true);
         try {
             const tabInfo = await this.app.apiCall('/api/v1/terminal/tabs', 'POST');
-            const tab = this.addLocalTab(tabInfo, {
+            return this.addLocalTab(tabInfo, {
                 selection: options.selection || DEFAULT_SELECTION,
                 title: options.title || null
             });
-            await this.activateTab(tab.state.id, { connectIfNeeded: false });
-            this.updateUi();
-            return tab;
         } catch (error) {
             this.app.showError(`Failed to create terminal tab: ${error.message}`);
             return null;
@@ -709,6 +1111,19 @@ class TerminalManager {
         this.tabOrder = this.tabOrder.filter((id) => id !== tabId);
         this.clearTabSelection(tabId);
         this.clearTabTitle(tabId);
+        if (this.broadcastOptOut.delete(tabId)) {
+            this.saveBroadcast();
+        }
+
+        const paneIndex = this.paneIds.indexOf(tabId);
+        if (paneIndex >= 0) {
+            this.paneIds = this.paneIds.filter((id) => id !== tabId);
+            if (!this.isSplit()) {
+                this.paneIds = [];
+                this.splitDirection = null;
+            }
+            this.saveLayout();
+        }
 
         if (this.activeTabId === tabId) {
             this.activeTabId = null;
@@ -720,8 +1135,12 @@ class TerminalManager {
         }
 
         if (!this.activeTabId) {
-            const nextId = this.tabOrder[Math.max(0, this.tabOrder.length - 1)];
+            const nextId = this.isSplit()
+                ? this.paneIds[Math.min(paneIndex, this.paneIds.length - 1)]
+                : this.tabOrder[Math.max(0, this.tabOrder.length - 1)];
             await this.activateTab(nextId, { connectIfNeeded: true });
+        } else {
+            this.renderPanes();
         }
 
         this.updateUi();
@@ -858,6 +1277,7 @@ class TerminalManager {
             return;
         }
 
+        tab.instance.cancelReconnect();
         tab.state.status = 'connecting';
         this.updateUi();
 
@@ -981,10 +1401,28 @@ class TerminalManager {
 
             const isConnected = tab.state.hasActiveSession && tab.state.status === 'connected';
             const isDisconnected = tab.state.hasActiveSession && tab.state.status === 'disconnected';
+            const isReconnecting = tab.state.hasActiveSession && tab.state.status === 'reconnecting';
             tab.state.ui.item.classList.toggle('is-connected', isConnected);
             tab.state.ui.item.classList.toggle('is-disconnected', isDisconnected);
+            tab.state.ui.item.classList.toggle('is-reconnecting', isReconnecting);
+            tab.state.ui.panel.classList.toggle('is-reconnecting', isReconnecting);
+
+            tab.state.ui.paneLabel.textContent = tab.state.title || tab.state.label || 'Terminal';
+            tab.state.ui.panel.classList.toggle('is-empty', !tab.state.hasActiveSession);
+
+            const isOptedOut = this.broadcastOptOut.has(tab.state.id);
+            const isBroadcasting = this.isBroadcastTarget(tab);
+            tab.state.ui.item.classList.toggle('is-broadcasting', isBroadcasting);
+            tab.state.ui.panel.classList.toggle('is-broadcasting', isBroadcasting);
+            tab.state.ui.broadcast.classList.toggle('is-excluded', isOptedOut);
+            tab.state.ui.broadcast.setAttribute('aria-pressed', String(!isOptedOut));
+            tab.state.ui.broadcast.title = isOptedOut
+                ? 'Left out of broadcast input - click to include this tab'
+                : 'Receives broadcast input - click to leave this tab out';
         });
 
+        this.panel?.classList.toggle('terminal-broadcast-on', this.broadcastEnabled);
+
         if (!active) {
             this.keyboardBtn?.classList.add('d-none');
             this.setBadge('Not Started', 'bg-secondary');
@@ -999,7 +1437,7 @@ class TerminalManager {
 
         this.updateActionButtons({
             start: !active.state.hasActiveSession,
-            reconnect: active.state.hasActiveSession && active.state.status === 'disconnected',
+            reconnect: active.state.hasActiveSession && ['disconnected', 'reconnecting'].includes(active.state.status),
             stop: active.state.hasActiveSession
         });
 
@@ -1007,7 +1445,8 @@ class TerminalManager {
             this.keyboardBtn.classList.toggle('d-none', !active.state.hasActiveSession);
         }
 
-        if (active.state.hasActiveSession) {
+        // A split always shows its panes; ones without a session say how to start one
+        if (active.state.hasActiveSession || this.isSplit()) {
             this.showTerminal();
         } else {
             this.showPlaceholder();
@@ -1027,6 +1466,9 @@ class TerminalManager {
         if (state.status === 'connecting') {
             return { text: 'Connecting', className: 'bg-warning' };
         }
+        if (state.status === 'reconnecting') {
+            return { text: 'Reconnecting\u2026', className: 'bg-warning' };
+        }
         return { text: 'Disconnected', className: 'bg-warning' };
     }
 
@@ -1061,7 +1503,7 @@ class TerminalManager {
         if (this.placeholder) this.placeholder.style.display = 'none';
         if (this.terminalContainer) this.terminalContainer.style.display = 'block';
         // Re-fit now that the container is visible and has real dimensions
-        this.getActiveTab()?.instance.scheduleFitPasses();
+        this.getPaneTabIds().forEach((id) => this.tabs.get(id)?.instance.scheduleFitPasses());
     }
 
     updateAddButtonState() {
@@ -1105,6 +1547,25 @@ class TerminalManager {
         tab.instance.scheduleFitPasses();
     }
 
+    async openPromptPalette() {
+        await this.promptPalette.open();
+    }
+
+    // Sends a filled-in prompt to the active tab; with broadcast on it reaches every broadcasting tab
+    sendPrompt(text, { submit = false } = {}) {
+        const tab = this.getActiveTab();
+        if (!tab || !tab.state.hasActiveSession || !tab.instance.hasOpenSocket()) {
+            this.app.showError('Start or reconnect the terminal before sending a prompt.');
+            return false;
+        }
+
+        tab.instance.pasteText(text);
+        if (submit) {
+            this.sendInput(tab.state.id, '\r');
+        }
+        return true;
+    }
+
     searchActiveTab() {
         const tab = this.getActiveTab();
         if (!tab || !tab.state.hasActiveSession) {
@@ -1116,15 +1577,16 @@ class TerminalManager {
         tab.instance.focusInput();
     }
 
-    getWebSocketUrl(tabId) {
-        const encodedId = encodeURIComponent(tabId);
+    // Asking for an offset switches the socket to offset-prefixed output resuming from it
+    getWebSocketUrl(tabId, offset = 0) {
+        const path = `/api/v1/terminal/tabs/${encodeURIComponent(tabId)}/ws?offset=${offset}`;
         const baseUrl = window.__viberails_API_BASE__ || '';
         if (baseUrl) {
-            return `${baseUrl.replace(/^http/, 'ws')}/api/v1/terminal/tabs/${encodedId}/ws`;
+            return `${baseUrl.replace(/^http/, 'ws')}${path}`;
         }
 
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        return `${protocol}//${window.location.host}/api/v1/terminal/tabs/${encodedId}/ws`;
+        return `${protocol}//${window.location.host}${path}`;
     }
 
     parseSelectionMetadata(selection) {
@@ -1198,6 +1660,44 @@ class TerminalManager {
         this.updateWindowControlState();
     }
 
+    toggleBroadcast() {
+        this.broadcastEnabled = !this.broadcastEnabled;
+        this.saveBroadcast();
+        this.updateUi();
+    }
+
+    toggleBroadcastOptOut(tabId) {
+        if (!this.broadcastOptOut.delete(tabId)) {
+            this.broadcastOptOut.add(tabId);
+        }
+        this.saveBroadcast();
+        this.updateUi();
+    }
+
+    isBroadcastTarget(tab) {
+        return this.broadcastEnabled
+            && tab.state.hasActiveSession
+            && !this.broadcastOptOut.has(tab.state.id);
+    }
+
+    // Input typed or pasted into a broadcasting tab goes to every broadcasting tab; a tab that
+    // has opted out keeps its input to itself
+    sendInput(tabId, data) {
+        const source = this.tabs.get(tabId);
+        if (!source) return;
+
+        if (!this.isBroadcastTarget(source) || TERMINAL_REPORT_PATTERN.test(data)) {
+            source.instance.sendInput(data);
+            return;
+        }
+
+        this.tabs.forEach((tab) => {
+            if (this.isBroadcastTarget(tab)) {
+                tab.instance.sendInput(data);
+            }
+        });
+    }
+
     applyPanelState() {
         if (!this.panel) return;
 
@@ -1255,6 +1755,27 @@ class TerminalManager {
             setLabel(this.lockBtn, isLocked ? 'Unlock Focus' : 'Lock Focus');
         }
 
+        const atPaneLimit = this.getPaneTabIds().length >= MAX_PANES;
+        [[this.splitRightBtn, 'horizontal'], [this.splitDownBtn, 'vertical']].forEach(([button, direction]) => {
+            if (!button) return;
+            const isCurrent = this.isSplit() && this.splitDirection === direction;
+            button.classList.toggle('active', isCurrent);
+            button.disabled = !tab || atPaneLimit;
+            button.title = atPaneLimit
+                ? `At most ${MAX_PANES} terminals can be shown side by side`
+                : direction === 'horizontal' ? 'Show another tab side by side' : 'Show another tab below';
+        });
+
+        if (this.broadcastBtn) {
+            const targets = Array.from(this.tabs.values()).filter((t) => this.isBroadcastTarget(t)).length;
+            this.broadcastBtn.classList.toggle('active', this.broadcastEnabled);
+            this.broadcastBtn.setAttribute('aria-pressed', String(this.broadcastEnabled));
+            this.broadcastBtn.title = this.broadcastEnabled
+                ? `Typing is sent to ${targets} tab${targets === 1 ? '' : 's'} at once - click to stop broadcasting`
+                : 'Send what you type to every running tab at once';
+            setLabel(this.broadcastBtn, this.broadcastEnabled ? `Broadcasting (${targets})` : 'Broadcast');
+        }
+
         if (this.focusBtn) {
             this.focusBtn.classList.remove('active');
             this.focusBtn.setAttribute('aria-pressed', 'false');
@@ -1393,6 +1914,50 @@ class TerminalManager {
         try { window.sessionStorage.removeItem(`${TAB_TITLE_PREFIX}${tabId}`); } catch {}
     }
 
+    saveLayout() {
+        try {
+            if (this.isSplit()) {
+                window.sessionStorage.setItem(LAYOUT_KEY, JSON.stringify({ direction: this.splitDirection, paneIds: this.paneIds }));
+            } else {
+                window.sessionStorage.removeItem(LAYOUT_KEY);
+            }
+        } catch {}
+    }
+
+    // Keeps the panes whose tabs still exist; the server may have dropped some since
+    restoreLayout() {
+        try {
+            const saved = JSON.parse(window.sessionStorage.getItem(LAYOUT_KEY) || 'null');
+            if (!saved || !SPLIT_DIRECTIONS.includes(saved.direction) || !Array.isArray(saved.paneIds)) return;
+
+            const paneIds = [...new Set(saved.paneIds)].filter((id) => this.tabs.has(id)).slice(0, MAX_PANES);
+            if (paneIds.length > 1) {
+                this.paneIds = paneIds;
+                this.splitDirection = saved.direction;
+            }
+        } catch {}
+    }
+
+    saveBroadcast() {
+        try {
+            window.sessionStorage.setItem(BROADCAST_KEY, JSON.stringify({
+                enabled: this.broadcastEnabled,
+                optOut: [...this.broadcastOptOut]
+            }));
+        } catch {}
+    }
+
+    restoreBroadcast() {
+        try {
+            const saved = JSON.parse(window.sessionStorage.getItem(BROADCAST_KEY) || 'null');
+            if (!saved) return;
+
+            this.broadcastEnabled = saved.enabled === true;
+            const optOut = Array.isArray(saved.optOut) ? saved.optOut : [];
+            this.broadcastOptOut = new Set(optOut.filter((id) => this.tabs.has(id)));
+        } catch {}
+    }
+
     saveActiveTabId(tabId) {
         try { window.sessionStorage.setItem(ACTIVE_TAB_KEY, tabId || ''); } catch {}
     }
@@ -1408,6 +1973,15 @@ export class TerminalController {
         this.manager = null;
     }
 
+    // Called by the PIN lock: nothing streams behind the lock screen
+    suspendStreams() {
+        this.manager?.suspendStreams();
+    }
+
+    resumeStreams() {
+        this.manager?.resumeStreams();
+    }
+
     resetLayoutStateForNavigation() {
         if (!this.manager) {
             return;
@@ -1560,6 +2134,31 @@ export class TerminalController {
                             </button>
                         </div>
                         <div class="terminal-window-controls terminal-window-controls-right">
+                            <button type="button" class="terminal-control-btn icon-btn" id="terminal-prompts-btn" title="Insert a saved prompt (Ctrl+Shift+P)" aria-label="Open prompt library">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" fill="currentColor" viewBox="0 0 16 16">
+                                    <path d="M6 9a.5.5 0 0 1 .5-.5h3a.5.5 0 0 1 0 1h-3A.5.5 0 0 1 6 9M3.854 4.146a.5.5 0 1 0-.708.708L4.793 6.5 3.146 8.146a.5.5 0 1 0 .708.708l2-2a.5.5 0 0 0 0-.708z"/>
+                                    <path d="M2 1a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V3a2 2 0 0 0-2-2zm12 1a1 1 0 0 1 1 1v10a1 1 0 0 1-1 1H2a1 1 0 0 1-1-1V3a1 1 0 0 1 1-1z"/>
+                                </svg>
+                                <span class="terminal-control-text">Prompts</span>
+                            </button>
+                            <button type="button" class="terminal-control-btn icon-btn" id="terminal-broadcast-btn" title="Send what you type to every running tab at once" aria-label="Broadcast input to all tabs">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" fill="currentColor" viewBox="0 0 16 16">
+                                    <path d="M3.05 3.05a7 7 0 0 0 0 9.9.5.5 0 0 1-.707.707 8 8 0 0 1 0-11.314.5.5 0 0 1 .707.707m2.122 2.122a4 4 0 0 0 0 5.656.5.5 0 1 1-.708.708 5 5 0 0 1 0-7.072.5.5 0 0 1 .708.708m5.656-.708a.5.5 0 0 1 .708 0 5 5 0 0 1 0 7.072.5.5 0 1 1-.708-.708 4 4 0 0 0 0-5.656.5.5 0 0 1 0-.708m2.122-2.12a.5.5 0 0 1 .707 0 8 8 0 0 1 0 11.313.5.5 0 0 1-.707-.707 7 7 0 0 0 0-9.9.5.5 0 0 1 0-.707zM10 8a2 2 0 1 1-4 0 2 2 0 0 1 4 0"/>
+                                </svg>
+                                <span class="terminal-control-text">Broadcast</span>
+                            </button>
+                            <button type="button" class="terminal-control-btn icon-btn" id="terminal-split-right-btn" title="Show another tab side by side" aria-label="Split terminal side by side">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" fill="currentColor" viewBox="0 0 16 16">
+                                    <path d="M0 3a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2zm8.5-1v12H14a1 1 0 0 0 1-1V3a1 1 0 0 0-1-1zm-1 0H2a1 1 0 0 0-1 1v10a1 1 0 0 0 1 1h5.5z"/>
+                                </svg>
+                                <span class="terminal-control-text">Split Right</span>
+                            </button>
+                            <button type="button" class="terminal-control-btn icon-btn" id="terminal-split-down-btn" title="Show another tab below" aria-label="Split terminal top and bottom">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" fill="currentColor" viewBox="0 0 16 16">
+                                    <path transform="rotate(90 8 8)" d="M0 3a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2zm8.5-1v12H14a1 1 0 0 0 1-1V3a1 1 0 0 0-1-1zm-1 0H2a1 1 0 0 0-1 1v10a1 1 0 0 0 1 1h5.5z"/>
+                                </svg>
+                                <span class="terminal-control-text">Split Down</span>
+                            </button>
                             ${lockButtonHtml}
                             <button type="button" class="terminal-control-btn icon-btn" id="terminal-popout-btn" title="${isFocusView ? 'Return to dashboard' : 'Open in fullscreen'}" aria-label="${isFocusView ? 'Back to dashboard' : 'Open in fullscreen'}">
                                 <svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" fill="currentColor" viewBox="0 0 16 16">
@@ -0,0 +1,188 @@
+import { renderMarkdown } from './markdown.js';
+
+const DISMISSED_KEY = 'viberails_update_dismissed';
+const RESTART_POLL_INTERVAL_MS = 2000;
+const RESTART_TIMEOUT_MS = 5 * 60 * 1000;
+
+export class UpdateNotifier {
+    constructor(app) {
+        this.app = app;
+        this.info = null;
+        this.checkPromise = null;
+        this.updating = false;
+    }
+
+    /**
+     * Checks for an update once per page load; the backend caches GitHub for an hour anyway.
+     */
+    async getUpdateInfo() {
+        if (!this.checkPromise) {
+            this.checkPromise = this.app.apiCall('/api/v1/update/check', 'GET')
+                .then(info => {
+                    this.info = info;
+                    return info;
+                })
+                .catch(error => {
+                    console.error('Failed to check for updates:', error);
+                    this.checkPromise = null;
+                    return null;
+                });
+        }
+        return this.checkPromise;
+    }
+
+    async render(container) {
+        if (!container) return;
+        const info = await this.getUpdateInfo();
+        if (!container.isConnected) return;
+
+        if (!info?.updateAvailable || (!this.updating && localStorage.getItem(DISMISSED_KEY) === info.latestVersion)) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (this.updating) {
+            this.renderUpdating(container, `Installing v${info.latestVersion}...`);
+            return;
+        }
+
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        const isVsCode = Boolean(window.__viberails_VSCODE__ && window.__viberails_update__);
+        const blockedReason = info.source !== 'github'
+            ? 'GitHub is unreachable, so the update can\'t be downloaded right now.'
+            : (isVsCode ? null : info.selfUpdateUnavailableReason);
+        const published = info.publishedAt ? ` &middot; released ${escape(this.app.formatRelativeTime(info.publishedAt))}` : '';
+
+        container.innerHTML = `
+            <div class="alert update-banner d-flex flex-column gap-2 mb-4" role="status">
+                <div class="d-flex align-items-start justify-content-between gap-3">
+                    <div>
+                        <div class="fw-bold">VibeRails v${escape(info.latestVersion)} is available</div>
+                        <div class="small text-muted">You're on v${escape(info.currentVersion)}${published}${info.source === 'local' ? ' &middot; from the local release feed' : ''}</div>
+                    </div>
+                    <button type="button" class="btn-close btn-close-white" data-action="dismiss-update" aria-label="Dismiss"></button>
+                </div>
+                ${info.releaseNotes ? `
+                <details>
+                    <summary class="small">Release notes</summary>
+                    <div class="plan-markdown update-release-notes mt-2">${renderMarkdown(info.releaseNotes)}</div>
+                </details>` : ''}
+                <div class="d-flex flex-wrap align-items-center gap-2">
+                    <button type="button" class="btn btn-sm btn-primary" data-action="apply-update" ${blockedReason ? 'disabled' : ''}>Update now</button>
+                    ${info.releaseNotesUrl ? `<a class="btn btn-sm btn-outline-secondary" href="${escape(info.releaseNotesUrl)}" target="_blank" rel="noopener">View on GitHub</a>` : ''}
+                    ${blockedReason ? `<span class="small text-muted">${escape(blockedReason)}</span>` : ''}
+                </div>
+            </div>
+        `;
+
+        this.app.bindAction(container, '[data-action="dismiss-update"]', () => {
+            localStorage.setItem(DISMISSED_KEY, info.latestVersion);
+            container.innerHTML = '';
+        });
+        this.app.bindAction(container, '[data-action="apply-update"]', () => this.confirmUpdate(container, info));
+    }
+
+    confirmUpdate(container, info) {
+        this.app.showModal('Update VibeRails', `
+            <p>Install v${this.app.escapeHtml(info.latestVersion)} and restart VibeRails? Running terminal sessions will be stopped. The dashboard reconnects when the new version is up.</p>
+            <div class="d-flex gap-2 justify-content-end">
+                <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                <button type="button" class="btn btn-primary" id="confirm-apply-update-btn">Update and Restart</button>
+            </div>
+        `);
+
+        document.getElementById('confirm-apply-update-btn').onclick = () => {
+            this.app.closeModal();
+            this.applyUpdate(container, info);
+        };
+    }
+
+    async applyUpdate(container, info) {
+        // VS Code owns the backend process there, so the extension runs the installer and restarts it
+        if (window.__viberails_VSCODE__ && window.__viberails_update__) {
+            window.__viberails_update__();
+            this.updating = true;
+            this.renderUpdating(container, 'Updating from VS Code...');
+            return;
+        }
+
+        const baseUrl = window.__viberails_API_BASE__ || '';
+        try {
+            const response = await fetch(`${baseUrl}/api/v1/update/apply`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include'
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(body.error || response.statusText);
+            }
+        } catch (error) {
+            this.app.showError(`Update failed: ${error.message}`);
+            return;
+        }
+
+        this.updating = true;
+        this.renderUpdating(container, `Installing v${info.latestVersion}...`);
+        await this.waitForRestart(container, info);
+    }
+
+    /**
+     * Polls the version endpoint until the backend has gone down and come back,
+     * then reloads so the new frontend assets are picked up.
+     */
+    async waitForRestart(container, info) {
+        const baseUrl = window.__viberails_API_BASE__ || '';
+        const deadline = Date.now() + RESTART_TIMEOUT_MS;
+        let wentDown = false;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, RESTART_POLL_INTERVAL_MS));
+
+            let version = null;
+            try {
+                const response = await fetch(`${baseUrl}/api/v1/update/version`, { credentials: 'include' });
+                if (response.ok) {
+                    version = (await response.json()).version;
+                } else {
+                    wentDown = true;
+                }
+            } catch {
+                wentDown = true;
+                this.renderUpdating(container, `Installing v${info.latestVersion}... waiting for VibeRails to restart`);
+                continue;
+            }
+
+            if (!wentDown || !version) continue;
+
+            this.updating = false;
+            if (version === info.latestVersion) {
+                localStorage.removeItem(DISMISSED_KEY);
+                window.location.reload();
+            } else {
+                this.renderFailure(container, `VibeRails restarted on v${version}. The install didn't complete; see ~/.vibe_rails/logs/update.log.`);
+            }
+            return;
+        }
+
+        this.updating = false;
+        this.renderFailure(container, 'VibeRails didn\'t come back within 5 minutes. Start it again with vb; the install log is in ~/.vibe_rails/logs/update.log.');
+    }
+
+    renderUpdating(container, message) {
+        if (!container.isConnected) return;
+        container.innerHTML = `
+            <div class="alert update-banner d-flex align-items-center gap-2 mb-4" role="status">
+                <span class="spinner-border spinner-border-sm" aria-hidden="true"></span>
+                <span>${this.app.escapeHtml(message)}</span>
+            </div>
+        `;
+    }
+
+    renderFailure(container, message) {
+        if (!container.isConnected) return;
+        container.innerHTML = `
+            <div class="alert alert-danger mb-4" role="alert">${this.app.escapeHtml(message)}</div>
+        `;
+    }
+}
@@ -0,0 +1,375 @@
+const CONVERSATION_ROLES = ['user', 'assistant', 'system'];
+const CONTENT_PREVIEW_LENGTH = 160;
+
+// Vector Memory Controller - Curates the user-term and conversation memory used by the MCP vector tools
+export class VectorMemoryController {
+    constructor(app) {
+        this.app = app;
+        this.terms = [];
+        this.conversations = [];
+        this.storagePath = '';
+    }
+
+    async loadVectorMemory() {
+        const content = document.getElementById('app-content');
+        if (!content) return;
+
+        content.innerHTML = '';
+        const fragment = this.app.cloneTemplate('vector-memory-template');
+        const root = fragment.querySelector('[data-view="vector-memory"]');
+
+        if (root) {
+            this.app.bindAction(root, '[data-action="add-user-term"]', () => this.editTerm(null));
+            this.app.bindAction(root, '[data-action="add-conversation"]', () => this.editConversation(null));
+            this.app.bindAction(root, '[data-action="refresh-vector-memory"]', () => this.refresh());
+
+            const searchForm = root.querySelector('[data-vector-search]');
+            searchForm?.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.runSearch(searchForm);
+            });
+
+            root.querySelector('[data-terms-filter]')?.addEventListener('input', () => this.renderTerms());
+            root.querySelector('[data-conversations-filter]')?.addEventListener('input', () => this.renderConversations());
+        }
+
+        content.appendChild(fragment);
+        await this.refresh();
+    }
+
+    async refresh() {
+        try {
+            const memory = await this.app.apiCall('/api/v1/vector-memory', 'GET');
+            this.terms = memory?.userTerms || [];
+            this.conversations = memory?.conversations || [];
+            this.storagePath = memory?.storagePath || '';
+        } catch (error) {
+            this.app.showError(`Failed to load vector memory: ${error.message}`);
+            return;
+        }
+
+        const path = document.querySelector('[data-vector-storage-path]');
+        if (path) path.textContent = this.storagePath;
+
+        this.renderTerms();
+        this.renderConversations();
+    }
+
+    // ============================================
+    // User Terms
+    // ============================================
+
+    renderTerms() {
+        const slot = document.querySelector('[data-terms-table]');
+        if (!slot) return;
+
+        const count = document.querySelector('[data-terms-count]');
+        if (count) count.textContent = this.terms.length > 0 ? String(this.terms.length) : '';
+
+        const query = this.getFilter('[data-terms-filter]');
+        const terms = query
+            ? this.terms.filter(term => `${term.userTerm} ${term.targetPath} ${term.description || ''}`.toLowerCase().includes(query))
+            : this.terms;
+
+        if (terms.length === 0) {
+            slot.innerHTML = `<p class="text-muted text-center mb-0">${this.terms.length === 0
+                ? 'No user terms yet. Agents add them with AddUserTermMapping, or add one here.'
+                : 'No user terms match the filter.'}</p>`;
+            return;
+        }
+
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        slot.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-hover align-middle mb-0">
+                    <thead>
+                        <tr>
+                            <th>User Term</th>
+                            <th>Target Path</th>
+                            <th>Description</th>
+                            <th>Added</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${terms.map(term => `
+                            <tr data-term-row="${escape(term.id)}">
+                                <td><strong>${escape(term.userTerm)}</strong></td>
+                                <td><code>${escape(term.targetPath)}</code></td>
+                                <td class="text-muted small">${escape(term.description) || '-'}</td>
+                                <td class="text-muted small text-nowrap">${escape(this.app.formatRelativeTime(term.createdAt))}</td>
+                                <td>${this.renderRowActions('term', term.id)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        this.app.bindActions(slot, '[data-action="edit-term"]', (element) => {
+            this.editTerm(this.terms.find(term => term.id === element.dataset.entryId));
+        });
+        this.app.bindActions(slot, '[data-action="delete-term"]', (element) => {
+            const term = this.terms.find(item => item.id === element.dataset.entryId);
+            if (term) {
+                this.confirmDelete(`"${term.userTerm}" → ${term.targetPath}`,
+                    `/api/v1/vector-memory/terms/${encodeURIComponent(term.id)}`);
+            }
+        });
+    }
+
+    editTerm(term) {
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        this.app.showModal(term ? 'Edit User Term' : 'Add User Term', `
+            <form id="vector-term-form">
+                <div class="mb-3">
+                    <label class="form-label" for="vector-term-name">User Term</label>
+                    <input type="text" class="form-control" id="vector-term-name" value="${escape(term?.userTerm)}" placeholder="e.g., the repo class" required>
+                    <small class="form-text text-muted">How people informally refer to this code</small>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="vector-term-path">Target Path</label>
+                    <input type="text" class="form-control font-monospace" id="vector-term-path" value="${escape(term?.targetPath)}" placeholder="e.g., Services/DbService.cs" required>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="vector-term-description">Description</label>
+                    <textarea class="form-control" id="vector-term-description" rows="2">${escape(term?.description)}</textarea>
+                </div>
+                <button type="submit" class="btn btn-primary">${term ? 'Save Changes' : 'Add Term'}</button>
+            </form>
+        `);
+
+        document.getElementById('vector-term-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const payload = {
+                userTerm: document.getElementById('vector-term-name').value,
+                targetPath: document.getElementById('vector-term-path').value,
+                description: document.getElementById('vector-term-description').value
+            };
+
+            try {
+                if (term) {
+                    await this.app.apiCall(`/api/v1/vector-memory/terms/${encodeURIComponent(term.id)}`, 'PUT', payload);
+                } else {
+                    await this.app.apiCall('/api/v1/vector-memory/terms', 'POST', payload);
+                }
+                this.app.closeModal();
+                await this.refresh();
+            } catch (error) {
+                this.app.showError(`Failed to save user term: ${error.message}`);
+            }
+        });
+    }
+
+    // ============================================
+    // Conversations
+    // ============================================
+
+    renderConversations() {
+        const slot = document.querySelector('[data-conversations-table]');
+        if (!slot) return;
+
+        const count = document.querySelector('[data-conversations-count]');
+        if (count) count.textContent = this.conversations.length > 0 ? String(this.conversations.length) : '';
+
+        const query = this.getFilter('[data-conversations-filter]');
+        const conversations = query
+            ? this.conversations.filter(entry => `${entry.role} ${entry.content} ${entry.projectPath || ''}`.toLowerCase().includes(query))
+            : this.conversations;
+
+        if (conversations.length === 0) {
+            slot.innerHTML = `<p class="text-muted text-center mb-0">${this.conversations.length === 0
+                ? 'No conversation entries yet. Agents store them with AddConversationEntry, or add one here.'
+                : 'No conversation entries match the filter.'}</p>`;
+            return;
+        }
+
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        slot.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-hover align-middle mb-0">
+                    <thead>
+                        <tr>
+                            <th>Role</th>
+                            <th>Content</th>
+                            <th>Project</th>
+                            <th>Stored</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${conversations.map(entry => `
+                            <tr>
+                                <td><span class="badge bg-secondary">${escape(entry.role)}</span></td>
+                                <td class="small vector-content-cell" title="${escape(entry.content)}">${escape(this.preview(entry.content))}</td>
+                                <td class="small"><code>${escape(entry.projectPath) || '-'}</code></td>
+                                <td class="text-muted small text-nowrap">${escape(this.app.formatRelativeTime(entry.timestamp))}</td>
+                                <td>${this.renderRowActions('conversation', entry.id)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        this.app.bindActions(slot, '[data-action="edit-conversation"]', (element) => {
+            this.editConversation(this.conversations.find(entry => entry.id === element.dataset.entryId));
+        });
+        this.app.bindActions(slot, '[data-action="delete-conversation"]', (element) => {
+            const entry = this.conversations.find(item => item.id === element.dataset.entryId);
+            if (entry) {
+                this.confirmDelete(`this ${entry.role} entry`,
+                    `/api/v1/vector-memory/conversations/${encodeURIComponent(entry.id)}`);
+            }
+        });
+    }
+
+    editConversation(entry) {
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        const role = entry?.role || 'user';
+        const roles = CONVERSATION_ROLES.includes(role) ? CONVERSATION_ROLES : [...CONVERSATION_ROLES, role];
+
+        this.app.showModal(entry ? 'Edit Conversation Entry' : 'Add Conversation Entry', `
+            <form id="vector-conversation-form">
+                <div class="mb-3">
+                    <label class="form-label" for="vector-conversation-role">Role</label>
+                    <select class="form-select" id="vector-conversation-role">
+                        ${roles.map(value => `<option value="${escape(value)}"${value === role ? ' selected' : ''}>${escape(value)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="vector-conversation-content">Content</label>
+                    <textarea class="form-control" id="vector-conversation-content" rows="6" required>${escape(entry?.content)}</textarea>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label" for="vector-conversation-project">Project Path</label>
+                    <input type="text" class="form-control font-monospace" id="vector-conversation-project" value="${escape(entry?.projectPath)}">
+                </div>
+                <button type="submit" class="btn btn-primary">${entry ? 'Save Changes' : 'Add Entry'}</button>
+            </form>
+        `);
+
+        document.getElementById('vector-conversation-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const payload = {
+                role: document.getElementById('vector-conversation-role').value,
+                content: document.getElementById('vector-conversation-content').value,
+                projectPath: document.getElementById('vector-conversation-project').value
+            };
+
+            try {
+                if (entry) {
+                    await this.app.apiCall(`/api/v1/vector-memory/conversations/${encodeURIComponent(entry.id)}`, 'PUT', payload);
+                } else {
+                    await this.app.apiCall('/api/v1/vector-memory/conversations', 'POST', payload);
+                }
+                this.app.closeModal();
+                await this.refresh();
+            } catch (error) {
+                this.app.showError(`Failed to save conversation entry: ${error.message}`);
+            }
+        });
+    }
+
+    // ============================================
+    // Similarity Search
+    // ============================================
+
+    async runSearch(form) {
+        const query = form.querySelector('[name="q"]')?.value.trim();
+        const kind = form.querySelector('[name="kind"]')?.value || 'terms';
+        const limit = form.querySelector('[name="limit"]')?.value || '10';
+        const results = document.querySelector('[data-vector-results]');
+        if (!query || !results) return;
+
+        try {
+            const params = new URLSearchParams({ q: query, kind, limit });
+            const response = await this.app.apiCall(`/api/v1/vector-memory/search?${params}`, 'GET');
+            this.renderSearchResults(results, response);
+        } catch (error) {
+            results.innerHTML = `<p class="text-danger mb-0">Search failed: ${this.app.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderSearchResults(container, response) {
+        const hits = response?.hits || [];
+        if (hits.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No hits. The index is empty for this kind.</p>';
+            return;
+        }
+
+        const escape = (text) => this.app.escapeHtml(text ?? '');
+        container.innerHTML = `
+            <ol class="list-group list-group-numbered">
+                ${hits.map(hit => {
+                    const score = Math.max(0, Math.min(1, hit.score));
+                    return `
+                        <li class="list-group-item d-flex gap-3 align-items-start">
+                            <div class="flex-grow-1 min-w-0">
+                                <div class="small text-break">${escape(this.describeHit(response.kind, hit))}</div>
+                                <div class="progress plan-progress plan-progress-sm mt-2" role="progressbar" aria-label="Similarity" aria-valuenow="${Math.round(score * 100)}" aria-valuemin="0" aria-valuemax="100">
+                                    <div class="progress-bar" style="width: ${(score * 100).toFixed(1)}%"></div>
+                                </div>
+                            </div>
+                            <span class="badge bg-secondary font-monospace">${hit.score.toFixed(3)}</span>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    describeHit(kind, hit) {
+        if (kind === 'conversations') {
+            const entry = this.conversations.find(item => item.id === hit.id);
+            return entry ? `[${entry.role}] ${this.preview(entry.content)}` : this.preview(hit.text);
+        }
+
+        const term = this.terms.find(item => item.id === hit.id);
+        return term ? `"${term.userTerm}" → ${term.targetPath}` : hit.text;
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    confirmDelete(label, endpoint) {
+        this.app.showModal('Delete Memory Entry', `
+            <p>Delete ${this.app.escapeHtml(label)}?</p>
+            <p class="text-muted small">MCP servers that are already running keep their in-memory copy until they restart.</p>
+            <div class="d-flex gap-2 justify-content-end">
+                <button type="button" class="btn btn-secondary" data-action="close-modal">Cancel</button>
+                <button type="button" class="btn btn-danger" id="confirm-vector-delete-btn">Delete</button>
+            </div>
+        `);
+
+        document.getElementById('confirm-vector-delete-btn').onclick = async () => {
+            this.app.closeModal();
+            try {
+                await this.app.apiCall(endpoint, 'DELETE');
+                await this.refresh();
+            } catch (error) {
+                this.app.showError(`Failed to delete entry: ${error.message}`);
+            }
+        };
+    }
+
+    renderRowActions(kind, id) {
+        const escapedId = this.app.escapeHtml(id);
+        return `
+            <div class="d-flex gap-2">
+                <button class="btn btn-sm btn-outline-secondary" type="button" data-action="edit-${kind}" data-entry-id="${escapedId}">Edit</button>
+                <button class="btn btn-sm btn-outline-danger" type="button" data-action="delete-${kind}" data-entry-id="${escapedId}">Delete</button>
+            </div>
+        `;
+    }
+
+    getFilter(selector) {
+        return (document.querySelector(selector)?.value || '').trim().toLowerCase();
+    }
+
+    preview(text) {
+        const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+        return value.length > CONTENT_PREVIEW_LENGTH ? `${value.slice(0, CONTENT_PREVIEW_LENGTH - 1)}…` : value;
+    }
+}
@@ -1,29 +1,14 @@
-const DEFAULT_THEME = {
-    background: '#1e1e1e',
-    foreground: '#d4d4d4',
-    cursor: '#d4d4d4',
-    cursorAccent: '#1e1e1e',
-    selectionBackground: '#264f78',
-    black: '#1e1e1e',
-    red: '#f44747',
-    green: '#608b4e',
-    yellow: '#dcdcaa',
-    blue: '#569cd6',
-    magenta: '#c586c0',
-    cyan: '#4ec9b0',
-    white: '#d4d4d4',
-    brightBlack: '#808080',
-    brightRed: '#f44747',
-    brightGreen: '#608b4e',
-    brightYellow: '#dcdcaa',
-    brightBlue: '#569cd6',
-    brightMagenta: '#c586c0',
-    brightCyan: '#4ec9b0',
-    brightWhite: '#ffffff'
-};
-
-const DEFAULT_TERMINAL_FONT_FAMILY = '"Fira Code", "JetBrains Mono", "Cascadia Code", "Cascadia Mono", Consolas, "DejaVu Sans Mono", monospace';
+import {
+    getTerminalAppearance,
+    normalizeTerminalAppearance,
+    onTerminalAppearanceChange,
+    resolveTerminalTheme
+} from './terminal-appearance.js';
+
 const LIGATURES_ADDON_MODULE_PATH = '../../assets/xterm/addon-ligatures.js';
+// Phones keep a readable minimum whatever size the user picked on the desktop
+const MOBILE_MIN_FONT_SIZE = 15;
+const MOBILE_MIN_LINE_HEIGHT = 1.2;
 
 function isLikelyMobileViewport() {
     try {
@@ -44,19 +29,16 @@ function isLikelyMobileViewport() {
 /**
  * Reusable xterm.js renderer for all Web UI terminal surfaces.
  * Handles creation, fit lifecycle, resize listeners, and safe byte writes.
+ * Styled by the saved terminal appearance unless given its own (as the settings preview is).
  */
 export class VibeTerminal {
     constructor({
         outputEl,
         cols = 120,
         rows = 30,
-        fontFamily = DEFAULT_TERMINAL_FONT_FAMILY,
         disableStdin = false,
-        desktopFontSize = 14,
-        mobileFontSize = 14,
-        desktopLineHeight = 1.12,
-        mobileLineHeight = 1.2,
-        scrollOnWrite = true
+        scrollOnWrite = true,
+        appearance = null
     } = {}) {
         if (!outputEl) {
             throw new Error('VibeTerminal requires { outputEl }.');
@@ -66,12 +48,9 @@ export class VibeTerminal {
         }
 
         this._outputEl = outputEl;
-        this._desktopFontSize = desktopFontSize;
-        this._mobileFontSize = mobileFontSize;
-        this._desktopLineHeight = desktopLineHeight;
-        this._mobileLineHeight = mobileLineHeight;
         this._scrollOnWrite = scrollOnWrite;
-        this._fontFamily = fontFamily;
+        this._appearance = normalizeTerminalAppearance(appearance || getTerminalAppearance());
+        this._interactive = false;
 
         this._onFitChange = null;
         this._lastCols = null;
@@ -90,17 +69,17 @@ export class VibeTerminal {
             cols,
             rows,
             cursorBlink: false,
-            fontFamily: this._fontFamily,
+            fontFamily: this._appearance.fontFamily,
             fontSize: metrics.fontSize,
             lineHeight: metrics.lineHeight,
-            fontLigatures: true,
+            fontLigatures: this._appearance.ligatures,
             allowProposedApi: true,
             unicodeVersion: '11',
             disableStdin,
             convertEol: false,
-            cursorStyle: 'block',
+            cursorStyle: this._appearance.cursorStyle,
             cursorInactiveStyle: 'none',
-            theme: DEFAULT_THEME
+            theme: resolveTerminalTheme(this._appearance)
         });
 
         this._searchAddon = null;
@@ -145,17 +124,28 @@ export class VibeTerminal {
         }
 
         this._bindSearchShortcuts();
-        this._loadLigaturesAddon();
+        if (this._appearance.ligatures) {
+            this._loadLigaturesAddon();
+        }
 
         this._terminal.open(this._outputEl);
         this.patchTextarea();
+        this._paintOutputBackground();
+
+        this._unsubscribeAppearance = appearance
+            ? null
+            : onTerminalAppearanceChange((next) => this.applyAppearance(next));
     }
 
     _getResponsiveMetrics() {
-        const mobile = isLikelyMobileViewport();
+        const { fontSize, lineHeight } = this._appearance;
+        if (!isLikelyMobileViewport()) {
+            return { fontSize, lineHeight };
+        }
+
         return {
-            fontSize: mobile ? this._mobileFontSize : this._desktopFontSize,
-            lineHeight: mobile ? this._mobileLineHeight : this._desktopLineHeight
+            fontSize: Math.max(fontSize, MOBILE_MIN_FONT_SIZE),
+            lineHeight: Math.max(lineHeight, MOBILE_MIN_LINE_HEIGHT)
         };
     }
 
@@ -245,7 +235,7 @@ export class VibeTerminal {
                 }
 
                 const LigaturesAddon = module?.LigaturesAddon;
-                if (typeof LigaturesAddon !== 'function') {
+                if (typeof LigaturesAddon !== 'function' || !this._appearance.ligatures || this._ligaturesAddon) {
                     return;
                 }
 
@@ -258,10 +248,59 @@ export class VibeTerminal {
             });
     }
 
+    // The host element's padding shows around the canvas, so it takes the theme background too
+    _paintOutputBackground() {
+        this._outputEl.style.backgroundColor = this._terminal?.options.theme?.background || '';
+    }
+
+    _unloadLigaturesAddon() {
+        if (this._ligaturesAddon) {
+            try {
+                this._ligaturesAddon.dispose();
+            } catch {
+                // no-op
+            }
+            this._ligaturesAddon = null;
+        }
+        this._ligaturesLoadPromise = null;
+    }
+
     get terminal() {
         return this._terminal;
     }
 
+    get appearance() {
+        return this._appearance;
+    }
+
+    /**
+     * Restyles the live terminal. Font changes alter the cell grid, so this refits and reports the
+     * new size like any other resize.
+     */
+    applyAppearance(appearance) {
+        if (!this._terminal) return;
+
+        this._appearance = normalizeTerminalAppearance(appearance);
+        const metrics = this._getResponsiveMetrics();
+        const options = this._terminal.options;
+        options.theme = resolveTerminalTheme(this._appearance);
+        options.fontFamily = this._appearance.fontFamily;
+        options.fontSize = metrics.fontSize;
+        options.lineHeight = metrics.lineHeight;
+        options.fontLigatures = this._appearance.ligatures;
+        options.cursorStyle = this._appearance.cursorStyle;
+        options.cursorBlink = this._interactive && this._appearance.cursorBlink;
+        this._paintOutputBackground();
+
+        if (this._appearance.ligatures) {
+            this._loadLigaturesAddon();
+        } else {
+            this._unloadLigaturesAddon();
+        }
+
+        this.fit();
+    }
+
     get textarea() {
         return this._terminal?.textarea || null;
     }
@@ -454,7 +493,8 @@ export class VibeTerminal {
 
     setInteractive(active) {
         if (!this._terminal) return;
-        this._terminal.options.cursorBlink = !!active;
+        this._interactive = !!active;
+        this._terminal.options.cursorBlink = this._interactive && this._appearance.cursorBlink;
     }
 
     fit({ notify = true, forceNotify = false } = {}) {
@@ -558,6 +598,11 @@ export class VibeTerminal {
     dispose() {
         this.stopResizeHandling();
 
+        if (this._unsubscribeAppearance) {
+            this._unsubscribeAppearance();
+            this._unsubscribeAppearance = null;
+        }
+
         if (this._terminal) {
             this._terminal.dispose();
             this._terminal = null;
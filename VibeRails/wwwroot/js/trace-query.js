@@ -0,0 +1,209 @@
+// ============================================
+// Trace Query Language
+// Compiles queries like
+//   type:McpToolCall source:claude duration>500 summary~/timeout/i
+// into a predicate over trace events. Plain words still do a substring
+// search of summary + detail, so old searches keep working; so do words
+// like "error:" or "note:todo" whose prefix isn't a field.
+//
+//   field:a,b      contains any of a, b (case-insensitive)
+//   field=a        equals a (case-insensitive)
+//   field~/re/i    matches a regular expression
+//   field>n        numeric comparison (>, >=, <, <=); durations take ms, s or m
+//   -term          negates any term
+// ============================================
+
+const TraceQuery = (() => {
+    const FIELDS = {
+        type:     { kind: 'text',   get: e => e.type,   hint: 'event type' },
+        source:   { kind: 'text',   get: e => e.source, hint: 'e.g. Http, MCP, Terminal.Pty' },
+        instance: { kind: 'text',   get: e => e.instance, hint: 'port of the instance it came from' },
+        summary:  { kind: 'text',   get: e => e.summary },
+        detail:   { kind: 'text',   get: e => e.detail },
+        text:     { kind: 'text',   get: e => `${e.summary || ''}\n${e.detail || ''}`, hint: 'summary or detail' },
+        id:       { kind: 'text',   get: e => e.id },
+        duration: { kind: 'number', get: e => e.durationMs, hint: 'ms, e.g. duration>500 or duration>2s' },
+        status:   { kind: 'number', get: e => httpStatus(e), hint: 'HTTP status code' },
+    };
+    const ALIASES = { durationms: 'duration', dur: 'duration', src: 'source', msg: 'summary' };
+    const UNITS = { ms: 1, s: 1000, m: 60000 };
+
+    function resolveField(name) {
+        const key = name.toLowerCase();
+        return FIELDS[key] ? key : ALIASES[key] || null;
+    }
+
+    function httpStatus(evt) {
+        const m = (evt.summary || '').match(/→ (\d{3})/);
+        return m ? parseInt(m[1], 10) : null;
+    }
+
+    /**
+     * Splits a query into whitespace-separated terms, keeping quoted values
+     * and /regex/ literals intact. Each term records where it sits in the
+     * input so autocomplete can replace it in place.
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            if (/\s/.test(text[i])) { i++; continue; }
+            const start = i;
+            let raw = '';
+            while (i < text.length && !/\s/.test(text[i])) {
+                const ch = text[i];
+                if (ch === '"') {
+                    const close = text.indexOf('"', i + 1);
+                    const end = close === -1 ? text.length : close + 1;
+                    raw += text.slice(i, end);
+                    i = end;
+                } else if (ch === '/' && text[i - 1] === '~') {
+                    let j = i + 1;
+                    while (j < text.length && text[j] !== '/') j += text[j] === '\\' ? 2 : 1;
+                    j = Math.min(j + 1, text.length);
+                    while (j < text.length && /[a-z]/i.test(text[j])) j++;
+                    raw += text.slice(i, j);
+                    i = j;
+                } else {
+                    raw += ch;
+                    i++;
+                }
+            }
+            tokens.push({ raw, start, end: i });
+        }
+        return tokens;
+    }
+
+    function unquote(value) {
+        return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+    }
+
+    function parseNumber(field, value) {
+        const m = value.match(/^(-?\d+(?:\.\d+)?)(ms|s|m)?$/i);
+        if (!m || (m[2] && field !== 'duration')) throw new Error(`"${value}" is not a valid number for ${field}`);
+        return parseFloat(m[1]) * (m[2] ? UNITS[m[2].toLowerCase()] : 1);
+    }
+
+    function parseRegex(field, value) {
+        const m = value.match(/^\/(.*)\/([a-z]*)$/is);
+        try {
+            return m ? new RegExp(m[1], m[2]) : new RegExp(unquote(value), 'i');
+        } catch (e) {
+            throw new Error(`Invalid pattern for ${field}: ${e.message}`);
+        }
+    }
+
+    function splitTerm(raw) {
+        const negate = raw.length > 1 && raw.startsWith('-');
+        const body = negate ? raw.slice(1) : raw;
+        return { negate, body, m: body.match(/^([a-z]+)(>=|<=|!=|[:=~<>])(.*)$/is) };
+    }
+
+    function compileTerm(raw) {
+        const { negate, body, m } = splitTerm(raw);
+        const fieldName = m && resolveField(m[1]);
+
+        let test;
+        if (!fieldName) {
+            // Not a field, so search for the whole term as typed; unknownField() flags it for autocomplete
+            const needle = unquote(body).toLowerCase();
+            test = e => `${e.summary || ''}${e.detail || ''}`.toLowerCase().includes(needle);
+        } else {
+            const [, , op, rawValue] = m;
+            const field = FIELDS[fieldName];
+            if (!rawValue) throw new Error(`Missing value for ${fieldName}${op}`);
+            test = field.kind === 'number'
+                ? compileNumberTest(fieldName, field.get, op, rawValue)
+                : compileTextTest(fieldName, field.get, op, rawValue);
+        }
+        return negate ? e => !test(e) : test;
+    }
+
+    function compileNumberTest(name, get, op, rawValue) {
+        if (op === '~') throw new Error(`${name} is numeric; use >, <, = or :`);
+        const values = rawValue.split(',').map(v => parseNumber(name, v));
+        const n = values[0];
+        const cmp = {
+            '>':  v => v > n,
+            '>=': v => v >= n,
+            '<':  v => v < n,
+            '<=': v => v <= n,
+            '!=': v => !values.includes(v),
+        }[op] || (v => values.includes(v));
+        return e => {
+            const v = get(e);
+            return v != null && cmp(v);
+        };
+    }
+
+    function compileTextTest(name, get, op, rawValue) {
+        if (op === '~') {
+            const re = parseRegex(name, rawValue);
+            return e => { re.lastIndex = 0; return re.test(get(e) || ''); };
+        }
+        if (op !== ':' && op !== '=' && op !== '!=') throw new Error(`${name} is text; use :, =, != or ~`);
+        const values = rawValue.split(',').map(v => unquote(v).toLowerCase()).filter(Boolean);
+        if (op === ':') return e => { const v = (get(e) || '').toLowerCase(); return values.some(x => v.includes(x)); };
+        if (op === '=') return e => values.includes((get(e) || '').toLowerCase());
+        return e => !values.includes((get(e) || '').toLowerCase());
+    }
+
+    /**
+     * Returns a predicate for the query, or null when the query is empty.
+     * Throws an Error describing the first invalid term.
+     */
+    function compile(text) {
+        const tests = tokenize(text || '').map(t => compileTerm(t.raw));
+        if (!tests.length) return null;
+        return e => tests.every(test => test(e));
+    }
+
+    /**
+     * Returns the prefix of a term that looks like field:value but names no
+     * known field (so it is searched as plain text), or null.
+     */
+    function unknownField(raw) {
+        const { m } = splitTerm(raw);
+        return m && !resolveField(m[1]) && !/^https?$/i.test(m[1]) ? m[1] : null;
+    }
+
+    /**
+     * Returns the term under the caret (or an empty one between terms).
+     */
+    function tokenAt(text, caret) {
+        const token = tokenize(text).find(t => caret >= t.start && caret <= t.end);
+        return token || { raw: '', start: caret, end: caret };
+    }
+
+    /**
+     * Completions for a partially typed term: field names first, then known
+     * values for type, source and instance.
+     */
+    function suggest(raw, { types = [], sources = [], instances = [] } = {}) {
+        const neg = raw.startsWith('-') ? '-' : '';
+        const body = raw.slice(neg.length);
+        const m = body.match(/^([a-z]+)([:=])(.*)$/i);
+
+        if (m) {
+            const fieldName = resolveField(m[1]);
+            const values = { type: types, source: sources, instance: instances }[fieldName] || [];
+            const parts = m[3].split(',');
+            const last = unquote(parts.pop()).toLowerCase();
+            const chosen = parts.map(p => unquote(p).toLowerCase());
+            const prefix = `${neg}${m[1]}${m[2]}${parts.map(p => `${p},`).join('')}`;
+            return values
+                .filter(v => v.toLowerCase().startsWith(last) && v.toLowerCase() !== last && !chosen.includes(v.toLowerCase()))
+                .map(v => ({ label: v, insert: prefix + (/\s/.test(v) ? `"${v}"` : v) }));
+        }
+
+        if (!/^[a-z]*$/i.test(body)) return [];
+        return Object.entries(FIELDS)
+            .filter(([name]) => name.startsWith(body.toLowerCase()))
+            .map(([name, field]) => {
+                const op = field.kind === 'number' ? '>' : ':';
+                return { label: `${name}${op}`, insert: `${neg}${name}${op}`, hint: field.hint || '' };
+            });
+    }
+
+    return { compile, tokenAt, suggest, unknownField, fields: Object.keys(FIELDS) };
+})();
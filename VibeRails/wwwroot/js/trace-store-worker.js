@@ -0,0 +1,20 @@
+// ============================================
+// Trace Store worker
+// Runs TraceStore off the main thread so storing, filtering and searching a
+// large trace never blocks scrolling. Messages are { id, op, args } and every
+// one is answered with { id, result } or { id, error }, in the order received.
+// ============================================
+
+importScripts('trace-query.js', 'trace-store.js');
+
+const store = TraceStore.create();
+
+self.onmessage = (e) => {
+    const { id, op, args } = e.data;
+    try {
+        if (typeof store[op] !== 'function') throw new Error(`Unknown trace store operation "${op}"`);
+        self.postMessage({ id, result: store[op](...args) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
@@ -0,0 +1,884 @@
+// ============================================
+// Trace Store
+// Keeps every trace event the viewer holds, builds the panel rows from them
+// and applies the type filters and query, so the page only renders the rows
+// that are scrolled into view. Runs in a Web Worker (trace-store-worker.js)
+// and falls back to the page itself where workers aren't allowed, e.g. when
+// trace.html is opened straight from disk.
+//
+// Memory is capped by an estimate of what the events cost; past the cap the
+// oldest events are evicted in one batch and the panels say how many went.
+// ============================================
+
+const TraceStore = (() => {
+    const PANELS = ['launch', 'input', 'output', 'mcp', 'logs', 'http'];
+    const TYPE_PANEL = {
+        TerminalLaunch:   'launch',
+        TerminalInput:    'input',
+        TerminalOutput:   'output',
+        McpToolCall:      'mcp',
+        McpToolResult:    'mcp',
+        RuleValidation:   'logs',
+        LogEntry:         'logs',
+        SessionLifecycle: 'logs',
+        Idle:             'logs',
+        Resize:           'logs',
+        HttpRequest:      'http',
+    };
+    const PREFIXES = ['Terminal launch: ', 'Input (LocalWebUi): ', 'Input (LocalCli): ', 'Input (Pty): ',
+                      'Output: ', 'MCP call: ', 'MCP result: ', 'MCP error: '];
+
+    const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+    const EVICT_TO       = 0.9;   // evict down to 90% of the cap so it happens in batches, not per event
+    const EVENT_OVERHEAD = 320;   // object headers, the row built from it and index entries
+    const GROUP_MAX_CHARS = 4000;
+    const OVERSCAN_PX    = 600;
+    const POINT_PAD_MS   = 250;
+
+    // ── Text helpers (shared with the page) ──
+    function stripPrefix(text) {
+        if (!text) return '';
+        for (const p of PREFIXES) if (text.startsWith(p)) return text.slice(p.length);
+        return text;
+    }
+
+    function stripAnsi(text) {
+        if (!text) return '';
+
+        return text
+            // OSC sequences: ESC ] ... BEL or ESC \\
+            .replace(/\x1B\][^\x07]*(?:\x07|\x1B\\)/g, '')
+            // CSI sequences: ESC [ ... command
+            .replace(/\x1B\[[0-?]*[ -/]*[@-~]/g, '')
+            // Remaining short ESC sequences
+            .replace(/\x1B[@-_]/g, '');
+    }
+
+    function normalizeOutputChunk(raw) {
+        if (!raw) return '';
+        return stripAnsi(raw).replace(/\r(?!\n)/g, '');
+    }
+
+    function appendInputChunk(current, chunk) {
+        if (!chunk) return current;
+
+        let next = current;
+        for (const ch of chunk) {
+            if (ch === '\b' || ch === '\x7f') {
+                next = next.slice(0, -1);
+                continue;
+            }
+            if (ch === '\r' || ch === '\n') {
+                continue;
+            }
+            next += ch;
+        }
+
+        return next;
+    }
+
+    function tryFmtJson(s) {
+        try { return JSON.stringify(JSON.parse(s), null, 2); } catch { return s; }
+    }
+
+    // HttpRequest summaries look like "GET /api/v1/foo → 200". The detail is JSON with the query,
+    // redacted headers and body previews; traces recorded before that have "Query: ?a=b" instead.
+    function parseHttpEvent(evt) {
+        const m = (evt.summary || '').match(/^(\S+) (\S+) → (\d{3})/);
+        if (!m) return null;
+        const detail = evt.detail || '';
+        let parsed = null;
+        if (detail.startsWith('{')) {
+            try { parsed = JSON.parse(detail); } catch {}
+        }
+        return {
+            method: m[1],
+            path:   m[2],
+            status: parseInt(m[3], 10),
+            query:  parsed ? parsed.query || '' : detail.startsWith('Query: ') ? detail.slice('Query: '.length) : '',
+            requestHeaders:        parsed?.requestHeaders || {},
+            requestBody:           parsed?.requestBody ?? null,
+            requestBodyTruncated:  Boolean(parsed?.requestBodyTruncated),
+            requestRedacted:       Boolean(parsed?.requestRedacted),
+            responseHeaders:       parsed?.responseHeaders || {},
+            responseBody:          parsed?.responseBody ?? null,
+            responseBodyTruncated: Boolean(parsed?.responseBodyTruncated),
+        };
+    }
+
+    // HTTP rows stay one line plus the query; the inspector shows the rest
+    function rowDetail(evt) {
+        if (evt.type !== 'HttpRequest') return evt.detail || '';
+        const query = parseHttpEvent(evt)?.query;
+        return query ? `Query: ${query}` : '';
+    }
+
+    // "MCP call: name", "MCP result: name (12ms)" or "MCP error: name (12ms)"
+    function mcpToolName(evt) {
+        return (evt.summary || '').match(/^MCP (?:call|result|error): (.+?)(?: \(\d+ms\))?$/)?.[1] || '';
+    }
+
+    // Nearest-rank percentile of an ascending list
+    function percentile(sorted, p) {
+        return sorted.length ? sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)] : null;
+    }
+
+    function rowClass(evt) {
+        const s = evt.summary || '';
+        switch (evt.type) {
+            case 'McpToolCall':   return 'ev-call';
+            case 'McpToolResult': return 'ev-result';
+            case 'LogEntry':
+                if (s.startsWith('[ERR]') || s.startsWith('[FTL]')) return 'ev-err';
+                if (s.startsWith('[WRN]')) return 'ev-wrn';
+                if (s.startsWith('[DBG]') || s.startsWith('[VRB]')) return 'ev-dbg';
+                return '';
+            case 'HttpRequest': {
+                const m = s.match(/→ (\d{3})/);
+                const code = m ? parseInt(m[1], 10) : 0;
+                return code >= 500 ? 'ev-err' : code >= 400 ? 'ev-wrn' : '';
+            }
+            default: return '';
+        }
+    }
+
+    // ── Timeline helpers ──
+    // Durations are measured up to the moment an event is recorded, so spans end at the timestamp
+    function eventSpan(evt) {
+        const end = new Date(evt.timestamp).getTime();
+        let ms = evt.durationMs || 0;
+        if (!ms && evt.type === 'Idle') {
+            const m = (evt.summary || '').match(/^Idle for (\d+)s/);
+            if (m) ms = parseInt(m[1], 10) * 1000;
+        }
+        return { start: end - ms, end };
+    }
+
+    function laneKey(evt) {
+        return evt.source || evt.type;
+    }
+
+    function compareLanes(a, b) {
+        const rank = k => k === 'Terminal.Runner' ? 0 : k.startsWith('Terminal') ? 1 : k === 'MCP' ? 2 : k === 'Http' ? 3 : 4;
+        return rank(a) - rank(b) || a.localeCompare(b);
+    }
+
+    function isErrorEvent(evt) {
+        const s = evt.summary || '';
+        if (evt.type === 'LogEntry')      return s.startsWith('[ERR]') || s.startsWith('[FTL]');
+        if (evt.type === 'McpToolResult') return s.startsWith('MCP error: ');
+        if (evt.type === 'HttpRequest')   return (parseHttpEvent(evt)?.status || 0) >= 500;
+        return false;
+    }
+
+    // Rough line count for wrapped text: explicit lines plus however many times the text overflows
+    function countLines(chars, newlines, cpl) {
+        return newlines + 1 + Math.floor(chars / Math.max(cpl, 1));
+    }
+
+    function countNewlines(text) {
+        let n = 0;
+        for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) n++;
+        return n;
+    }
+
+    function create({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+        let events     = [];      // oldest first
+        let bytes      = 0;
+        let evicted    = 0;
+        let leadingGap = 0;
+        let built      = 0;       // events[0..built) have rows; the rest arrive while paused
+        let paused     = false;
+        let nextRid    = 1;
+        let nextOrd    = 1;
+        let lastSeqs   = new Map();  // instance → last sequence number turned into rows, for gap detection
+        let newestSeqs = new Map();  // instance → newest sequence number stored, to drop repeats
+        let version    = 0;
+        let sources    = new Set();
+        let typeFilters = {};
+        let instanceFilters = {};
+        let query      = null;
+        let tlCache    = null;
+        let layout = {
+            rowBase: 29, textLine: 16.5, detailBase: 22, detailLine: 16.8, detailMax: 408, gap: 26,
+            cpl: {}, detailCpl: {},
+        };
+        let panels = {};
+        let groups = {};
+        let mcpCalls = new Map();  // call event id → row awaiting its result
+        let mcpOpen  = new Map();  // tool name → rows awaiting a result, oldest first
+        let mcpCache = null;
+        resetRows();
+
+        function resetRows() {
+            panels = Object.fromEntries(PANELS.map(key => [key, { rows: [], vis: [], cum: [0], count: 0 }]));
+            groups = { input: { row: null, text: '' }, output: { row: null, text: '' } };
+            mcpCalls = new Map();
+            mcpOpen  = new Map();
+            lastSeqs = new Map();
+        }
+
+        // ── Filtering ──
+        function passes(evt) {
+            return typeFilters[evt.type] !== false && instanceFilters[evt.instance] !== false && (!query || query(evt));
+        }
+
+        // A paired MCP row shows if either its call or its result would; gaps follow their instance
+        function rowVisible(row) {
+            if (row.kind === 'gap') return instanceFilters[row.instance] !== false;
+            return row.events ? row.events.some(passes) : passes(row);
+        }
+
+        // ── Row heights (the page measures rendered rows and sends corrections) ──
+        function estimateHeight(key, row) {
+            if (row.kind === 'gap') return layout.gap;
+            const cpl = layout.cpl[key] || 80;
+            let h = layout.rowBase + countLines(row.text.length, countNewlines(row.text), cpl) * layout.textLine;
+            if (row.detailChars) {
+                const lines = countLines(row.detailChars, row.detailNewlines, layout.detailCpl[key] || cpl);
+                h += Math.min(layout.detailMax, layout.detailBase + lines * layout.detailLine);
+            }
+            return h;
+        }
+
+        function rowHeight(key, row) {
+            if (row.height == null) row.height = estimateHeight(key, row);
+            return row.height;
+        }
+
+        function rebuildVisible(key) {
+            const p = panels[key];
+            p.vis = [];
+            p.cum = [0];
+            p.count = 0;
+            p.rows.forEach((row, i) => {
+                if (!rowVisible(row)) return;
+                p.vis.push(i);
+                p.cum.push(p.cum.at(-1) + rowHeight(key, row));
+                if (row.kind !== 'gap') p.count++;
+            });
+        }
+
+        function rebuildAllVisible() {
+            for (const key of PANELS) rebuildVisible(key);
+        }
+
+        // The newest row of a panel can change (grouped terminal lines grow), so re-check it in place
+        function syncLastRow(key) {
+            const p = panels[key];
+            const index = p.rows.length - 1;
+            const row = p.rows[index];
+            const listed = p.vis.at(-1) === index;
+            if (listed) {
+                p.vis.pop();
+                p.cum.pop();
+                if (row?.kind !== 'gap') p.count--;
+            }
+            if (row && rowVisible(row)) {
+                p.vis.push(index);
+                p.cum.push(p.cum.at(-1) + rowHeight(key, row));
+                if (row.kind !== 'gap') p.count++;
+            }
+        }
+
+        function pushRow(key, row) {
+            row.rid = nextRid++;
+            row.rev = 0;
+            panels[key].rows.push(row);
+            syncLastRow(key);
+            return row;
+        }
+
+        // A row other than the newest changed (an MCP call got its result), so fix up the panel from it on
+        function updateRow(key, row) {
+            row.rev++;
+            row.height = null;
+            const p = panels[key];
+            const index = findRow(p.rows, row.rid);
+            if (index < 0) return;
+            const at = findIndex(p.vis, index);
+            if ((at >= 0) !== rowVisible(row)) { rebuildVisible(key); return; }
+            if (at < 0) return;
+            for (let i = at; i < p.vis.length; i++) p.cum[i + 1] = p.cum[i] + rowHeight(key, p.rows[p.vis[i]]);
+        }
+
+        // ── Building rows from events ──
+        function addGap(missing, reason, ord, instance = '') {
+            finalizeGroup('input');
+            finalizeGroup('output');
+            const text = `⋯ ${missing} event${missing === 1 ? '' : 's'} missing — ${reason}`;
+            for (const key of PANELS) pushRow(key, { kind: 'gap', text, ord, instance });
+        }
+
+        function finalizeGroup(kind) {
+            const group = groups[kind];
+            if (group.row && !group.text.trim()) {
+                panels[kind].rows.pop();
+                const p = panels[kind];
+                if (p.vis.at(-1) === p.rows.length) {
+                    p.vis.pop();
+                    p.cum.pop();
+                    p.count--;
+                }
+            }
+            groups[kind] = { row: null, text: '' };
+        }
+
+        // Terminal input and output arrive in small chunks; group them into one row per line
+        function groupTerminalEvent(kind, evt) {
+            const raw = evt.detail || stripPrefix(evt.summary);
+            if (!raw) return;
+
+            // Chunks from two instances never share a line
+            if (groups[kind].row && groups[kind].row.instance !== (evt.instance || '')) finalizeGroup(kind);
+
+            const group = groups[kind];
+            const hasNewline = kind === 'input' ? /[\r\n]/.test(raw) : raw.includes('\n');
+            group.text = kind === 'input' ? appendInputChunk(group.text, raw) : group.text + normalizeOutputChunk(raw);
+
+            if (group.text.length > 0 && !group.row) {
+                group.row = pushRow(kind, {
+                    kind: 'event', type: evt.type, id: '', source: evt.source, instance: evt.instance || '', timestamp: evt.timestamp,
+                    durationMs: evt.durationMs, uid: evt.uid, ord: evt.ord, cls: '',
+                    summary: '', detail: '', text: '', detailChars: 0, detailNewlines: 0,
+                });
+            }
+
+            if (group.row) {
+                const row = group.row;
+                row.summary = row.detail = row.text = group.text;
+                row.ord = evt.ord;
+                row.rev++;
+                row.height = null;
+                syncLastRow(kind);
+            }
+
+            if (hasNewline || group.text.length >= GROUP_MAX_CHARS) finalizeGroup(kind);
+        }
+
+        // Each tool call and its result share one row, which expands to the arguments and result
+        function buildMcpRow(evt) {
+            const tool = mcpToolName(evt);
+            if (evt.type === 'McpToolCall') {
+                const row = {
+                    kind: 'event', type: evt.type, id: evt.id || '', source: evt.source || '', instance: evt.instance || '',
+                    timestamp: evt.timestamp, durationMs: null, uid: evt.uid, ord: evt.ord,
+                    events: [evt], tool, expanded: false,
+                };
+                describeMcpRow(row);
+                pushRow('mcp', row);
+                if (evt.id) mcpCalls.set(evt.id, row);
+                const key = openKey(row);
+                mcpOpen.set(key, (mcpOpen.get(key) || []).concat(row));
+                return;
+            }
+
+            // Results name their call; traces from before that fall back to the oldest open call of the tool
+            const row = evt.correlationId ? mcpCalls.get(evt.correlationId)
+                : mcpOpen.get(openKey({ instance: evt.instance || '', tool }))?.[0];
+            if (row) {
+                mcpCalls.delete(row.events[0].id);
+                const open = mcpOpen.get(openKey(row)) || [];
+                open.splice(open.indexOf(row), 1);
+                if (!open.length) mcpOpen.delete(openKey(row));
+            }
+            if (row && findRow(panels.mcp.rows, row.rid) >= 0) {
+                row.events = [row.events[0], evt];
+                row.durationMs = evt.durationMs;
+                describeMcpRow(row);
+                updateRow('mcp', row);
+                return;
+            }
+
+            // The call is gone (evicted, cleared or before this page), so the result stands alone
+            const detail = evt.detail ? tryFmtJson(evt.detail) : '';
+            pushRow('mcp', {
+                kind: 'event', type: evt.type, id: evt.id || '', source: evt.source || '', instance: evt.instance || '',
+                timestamp: evt.timestamp, durationMs: evt.durationMs, uid: evt.uid, ord: evt.ord,
+                cls: rowClass(evt), summary: evt.summary || '', detail: evt.detail || '', shown: evt.detail || '',
+                text: stripPrefix(evt.summary),
+                detailChars: detail.length, detailNewlines: detail ? countNewlines(detail) : 0,
+            });
+        }
+
+        // Older traces pair by tool name, and only within the instance that made the call
+        function openKey(row) {
+            return `${row.instance}\n${row.tool}`;
+        }
+
+        function describeMcpRow(row) {
+            const [call, result] = row.events;
+            const failed = result && isErrorEvent(result);
+            const firstLine = (result?.detail || '').split('\n')[0].slice(0, 160);
+            row.cls  = !result ? 'ev-call' : failed ? 'ev-err' : 'ev-result';
+            row.text = !result ? `${row.tool} — running…` : failed ? `${row.tool} — ${firstLine || 'failed'}` : row.tool;
+            row.summary = row.events.map(e => e.summary || '').join('\n');
+            row.detail  = row.events.map(e => e.detail || '').join('\n');
+
+            let shown = '';
+            if (row.expanded) {
+                shown = `Arguments\n${call.detail ? tryFmtJson(call.detail) : '(none)'}\n\n`
+                    + (!result ? 'Waiting for the result…'
+                        : `${failed ? 'Error' : 'Result'}\n${result.detail ? tryFmtJson(result.detail) : '(empty)'}`);
+            }
+            row.shown = shown;
+            row.detailChars = shown.length;
+            row.detailNewlines = shown ? countNewlines(shown) : 0;
+        }
+
+        function buildRows(evt) {
+            // Sequence numbers are consecutive on each server, so a jump means missing events
+            const lastSeq = lastSeqs.get(evt.instance || '');
+            if (evt.seq && lastSeq && evt.seq > lastSeq + 1) {
+                addGap(evt.seq - lastSeq - 1, 'the trace buffer rolled over', evt.ord, evt.instance || '');
+            }
+            if (evt.seq) lastSeqs.set(evt.instance || '', evt.seq);
+
+            if (evt.type === 'TerminalOutput') { groupTerminalEvent('output', evt); return; }
+            if (evt.type === 'TerminalInput')  { groupTerminalEvent('input', evt); return; }
+            if (evt.type === 'McpToolCall' || evt.type === 'McpToolResult') { buildMcpRow(evt); return; }
+
+            const key = TYPE_PANEL[evt.type];
+            if (!key) return;
+            // Queries still search the full detail; `shown` is what the row displays
+            const shown = rowDetail(evt);
+            const detail = shown ? tryFmtJson(shown) : '';
+            pushRow(key, {
+                kind: 'event', type: evt.type, id: evt.id || '', source: evt.source || '', instance: evt.instance || '',
+                timestamp: evt.timestamp, durationMs: evt.durationMs, uid: evt.uid, ord: evt.ord,
+                cls: rowClass(evt), summary: evt.summary || '', detail: evt.detail || '', shown,
+                text: stripPrefix(evt.summary),
+                detailChars: detail.length, detailNewlines: detail ? countNewlines(detail) : 0,
+            });
+        }
+
+        function buildPending() {
+            while (built < events.length) buildRows(events[built++]);
+        }
+
+        function rebuildRows() {
+            resetRows();
+            built = 0;
+            buildPending();
+        }
+
+        // ── Storing events ──
+        function prepare(evt) {
+            evt.ord = nextOrd++;
+            evt.bytes = EVENT_OVERHEAD + 2 * ((evt.summary?.length || 0) + (evt.detail?.length || 0)
+                + (evt.source?.length || 0) + (evt.id?.length || 0) + (evt.timestamp?.length || 0));
+            const span = eventSpan(evt);
+            evt.spanStart = span.start;
+            evt.spanEnd = span.end;
+            if (evt.source) sources.add(evt.source);
+            return evt;
+        }
+
+        function evictOverflow() {
+            if (bytes <= maxBytes) return;
+            const target = maxBytes * EVICT_TO;
+            let n = 0;
+            while (n < events.length - 1 && bytes > target) bytes -= events[n++].bytes;
+            events = events.slice(n);
+            evicted += n;
+            leadingGap = 0;
+            built = Math.max(0, built - n);
+
+            // Drop rows whose newest event went with them
+            const firstOrd = events[0].ord;
+            for (const key of PANELS) {
+                const p = panels[key];
+                let drop = 0;
+                while (drop < p.rows.length && p.rows[drop].ord < firstOrd && p.rows[drop] !== groups[key]?.row) drop++;
+                if (drop) p.rows = p.rows.slice(drop);
+            }
+            rebuildAllVisible();
+        }
+
+        // Keeps the newest events of a batch that fit in the room left under the cap
+        function fitToCap(batch, room) {
+            let used = 0, start = batch.length;
+            while (start > 0 && used + batch[start - 1].bytes <= room) used += batch[--start].bytes;
+            return { kept: batch.slice(start), used, dropped: start };
+        }
+
+        function add(batch) {
+            for (const evt of batch) {
+                // A resumed stream can repeat events we already have
+                const newest = newestSeqs.get(evt.instance || '');
+                if (evt.seq && newest && evt.seq <= newest) continue;
+                if (evt.seq) newestSeqs.set(evt.instance || '', evt.seq);
+                events.push(prepare(evt));
+                bytes += evt.bytes;
+            }
+            if (!paused) buildPending();
+            evictOverflow();
+            version++;
+        }
+
+        function load(batch) {
+            clear();
+            batch.forEach(prepare);
+            for (const evt of batch) if (evt.seq) newestSeqs.set(evt.instance || '', evt.seq);
+            const { kept, used, dropped } = fitToCap(batch, maxBytes * EVICT_TO);
+            events = kept;
+            bytes = used;
+            evicted = dropped;
+            rebuildRows();
+            version++;
+            return stats();
+        }
+
+        // Older events go in front; only as many as still fit under the cap
+        function prepend(batch) {
+            const first = events[0];
+            const oldest = batch.length ? oldestSeq(batch[0].instance || '') : null;
+            const older = batch
+                .filter(evt => !first || (evt.seq && oldest ? evt.seq < oldest : evt.timestamp < first.timestamp))
+                .map(prepare);
+            const { kept, used } = fitToCap(older, Math.max(0, maxBytes - bytes));
+            events = kept.concat(events);
+            bytes += used;
+            rebuildRows();
+            version++;
+            return stats();
+        }
+
+        function clear() {
+            events = [];
+            bytes = 0;
+            evicted = 0;
+            leadingGap = 0;
+            built = 0;
+            sources = new Set();
+            newestSeqs = new Map();
+            resetRows();
+            version++;
+        }
+
+        // Sequence number of the oldest event held from one instance, to page further back from
+        function oldestSeq(instance = '') {
+            return events.find(evt => evt.seq && (evt.instance || '') === instance)?.seq ?? null;
+        }
+
+        function clearPanel(key) {
+            if (!panels[key]) return;
+            panels[key] = { rows: [], vis: [], cum: [0], count: 0 };
+            if (groups[key]) groups[key] = { row: null, text: '' };
+            if (key === 'mcp') { mcpCalls = new Map(); mcpOpen = new Map(); }
+        }
+
+        // Expands or collapses a row that has more to show (paired MCP calls)
+        function toggleRow(key, rid) {
+            const p = panels[key];
+            const row = p && p.rows[findRow(p.rows, rid)];
+            if (!row?.events) return;
+            row.expanded = !row.expanded;
+            describeMcpRow(row);
+            updateRow(key, row);
+        }
+
+        function setPaused(value) {
+            paused = value;
+            if (!paused) buildPending();
+            version++;
+        }
+
+        function setFilter(filter) {
+            typeFilters = filter.types || {};
+            instanceFilters = filter.instances || {};
+            query = filter.query ? TraceQuery.compile(filter.query) : null;
+            rebuildAllVisible();
+            version++;
+        }
+
+        function setMaxBytes(value) {
+            maxBytes = value;
+            evictOverflow();
+            version++;
+            return stats();
+        }
+
+        function setLeadingGap(missing) {
+            leadingGap = missing;
+        }
+
+        // New widths or fonts invalidate every measured height
+        function setLayout(next) {
+            layout = { ...layout, ...next };
+            for (const key of PANELS) for (const row of panels[key].rows) row.height = null;
+            rebuildAllVisible();
+        }
+
+        // Heights of rendered rows as the page laid them out: [[rid, height], ...]
+        function measure(key, heights) {
+            const p = panels[key];
+            if (!p) return;
+            let from = Infinity;
+            for (const [rid, h] of heights) {
+                const index = findRow(p.rows, rid);
+                if (index < 0) continue;
+                p.rows[index].height = h;
+                const at = findIndex(p.vis, index);
+                if (at >= 0) from = Math.min(from, at);
+            }
+            for (let i = from; i < p.vis.length; i++) {
+                p.cum[i + 1] = p.cum[i] + rowHeight(key, p.rows[p.vis[i]]);
+            }
+        }
+
+        // Rows and visible indexes are both kept in ascending order, so binary search works for either
+        function findRow(rows, rid) {
+            let lo = 0, hi = rows.length - 1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (rows[mid].rid === rid) return mid;
+                if (rows[mid].rid < rid) lo = mid + 1; else hi = mid - 1;
+            }
+            return -1;
+        }
+
+        function findIndex(list, value) {
+            let lo = 0, hi = list.length - 1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (list[mid] === value) return mid;
+                if (list[mid] < value) lo = mid + 1; else hi = mid - 1;
+            }
+            return -1;
+        }
+
+        function headRow() {
+            if (evicted) {
+                const cap = Math.round(maxBytes / (1024 * 1024));
+                return { rid: 0, rev: evicted, kind: 'gap', h: layout.gap,
+                         text: `⋯ ${evicted} older event${evicted === 1 ? '' : 's'} evicted — memory cap (${cap} MB)` };
+            }
+            if (leadingGap) {
+                return { rid: 0, rev: leadingGap, kind: 'gap', h: layout.gap,
+                         text: `⋯ ${leadingGap} event${leadingGap === 1 ? '' : 's'} missing — rolled out of the buffer earlier` };
+            }
+            return null;
+        }
+
+        function rowView(key, row) {
+            const h = rowHeight(key, row);
+            if (row.kind === 'gap') return { rid: row.rid, rev: 0, kind: 'gap', text: row.text, instance: row.instance, h };
+            return {
+                rid: row.rid, rev: row.rev, kind: 'event', uid: row.uid, type: row.type, cls: row.cls, instance: row.instance,
+                timestamp: row.timestamp, durationMs: row.durationMs, text: row.text,
+                detail: row.type === 'TerminalOutput' || row.type === 'TerminalInput' ? '' : row.shown, h,
+                expandable: Boolean(row.events), expanded: Boolean(row.expanded),
+            };
+        }
+
+        /**
+         * The rows to render for each panel's viewport: { key: { top, height, pin } }.
+         * `pin` keeps the view at the bottom, so the answer says where to scroll to.
+         */
+        function windows(requests) {
+            const head = headRow();
+            const result = {};
+            for (const [key, req] of Object.entries(requests)) {
+                const p = panels[key];
+                if (!p) continue;
+                const headH = head ? head.h : 0;
+                const total = headH + p.cum[p.vis.length];
+                const maxTop = Math.max(0, total - req.height);
+                const scrollTop = req.pin ? maxTop : Math.min(req.top, maxTop);
+                const rows = [];
+                let offset = 0;
+
+                if (req.height > 0) {
+                    const from = scrollTop - OVERSCAN_PX - headH;
+                    const to = scrollTop + req.height + OVERSCAN_PX - headH;
+                    // First visible row whose bottom edge is below `from`
+                    let lo = 0, hi = p.vis.length;
+                    while (lo < hi) {
+                        const mid = (lo + hi) >> 1;
+                        if (p.cum[mid + 1] <= from) lo = mid + 1; else hi = mid;
+                    }
+                    if (lo === 0 && head) rows.push(head);
+                    else offset = headH + p.cum[lo];
+                    for (let i = lo; i < p.vis.length && p.cum[i] < to; i++) rows.push(rowView(key, p.rows[p.vis[i]]));
+                }
+
+                result[key] = { count: p.count, height: total, offset, scrollTop, rows, empty: !p.vis.length && !head };
+            }
+            return { panels: result, stats: stats() };
+        }
+
+        function stats() {
+            const first = events[0];
+            return {
+                stored:   events.length,
+                bytes,
+                maxBytes,
+                evicted,
+                paused,
+                full:     bytes >= maxBytes * EVICT_TO,
+                first:    first ? { seq: first.seq ?? null, timestamp: first.timestamp } : null,
+                sources:  [...sources].sort(),
+            };
+        }
+
+        // ── Export and the console ──
+        function eventList({ filtered = false } = {}) {
+            return filtered ? events.filter(passes) : events.slice();
+        }
+
+        // The full event behind a row, for the HTTP inspector
+        function eventByUid(uid) {
+            for (let i = events.length - 1; i >= 0; i--) {
+                if (events[i].uid === uid) return events[i];
+            }
+            return null;
+        }
+
+        /**
+         * Per-tool call count, p50/p95 latency and error rate over every stored call, busiest first.
+         * Latency and errors come from results, so calls still running only add to the count.
+         */
+        function mcpStats() {
+            if (mcpCache?.version === version) return mcpCache.stats;
+            const tools = new Map();
+            for (const evt of events) {
+                if (evt.type !== 'McpToolCall' && evt.type !== 'McpToolResult') continue;
+                const tool = mcpToolName(evt);
+                if (!tool) continue;
+                let t = tools.get(tool);
+                if (!t) tools.set(tool, t = { calls: 0, results: 0, errors: 0, durations: [] });
+                if (evt.type === 'McpToolCall') { t.calls++; continue; }
+                t.results++;
+                if (isErrorEvent(evt)) t.errors++;
+                if (evt.durationMs != null) t.durations.push(evt.durationMs);
+            }
+            const stats = [...tools].map(([tool, t]) => {
+                const sorted = t.durations.sort((a, b) => a - b);
+                return {
+                    tool,
+                    // A result whose call was evicted still counts as a call
+                    calls: Math.max(t.calls, t.results),
+                    completed: t.results,
+                    errors: t.errors,
+                    errorRate: t.results ? t.errors / t.results : 0,
+                    p50: percentile(sorted, 0.5),
+                    p95: percentile(sorted, 0.95),
+                };
+            }).sort((a, b) => b.calls - a.calls || a.tool.localeCompare(b.tool));
+            mcpCache = { version, stats };
+            return stats;
+        }
+
+        function exportCounts() {
+            let total = 0, http = 0;
+            for (const evt of events) {
+                if (!passes(evt)) continue;
+                total++;
+                if (evt.type === 'HttpRequest' && parseHttpEvent(evt)) http++;
+            }
+            return { total, http };
+        }
+
+        // The newest terminal output, optionally only what arrived after `afterUid`, for replaying into xterm
+        function terminalOutput({ afterUid = 0, limit = 2000, instance = null } = {}) {
+            const out = [];
+            for (let i = events.length - 1; i >= 0 && out.length < limit; i--) {
+                const evt = events[i];
+                if (evt.uid <= afterUid) break;
+                if (evt.type !== 'TerminalOutput' || (instance !== null && (evt.instance || '') !== instance)) continue;
+                const raw = evt.detail || stripPrefix(evt.summary);
+                if (raw) out.push(raw);
+            }
+            return out.reverse();
+        }
+
+        // ── Timeline ──
+        function timelineData() {
+            if (tlCache?.version === version) return tlCache;
+            const list = [];
+            const lanes = new Set();
+            let start = Infinity, end = -Infinity;
+            for (const evt of events) {
+                if (!passes(evt)) continue;
+                list.push(evt);
+                lanes.add(laneKey(evt));
+                if (evt.spanStart < start) start = evt.spanStart;
+                if (evt.spanEnd > end) end = evt.spanEnd;
+            }
+            // Missing events (sequence jumps), whatever the filters say
+            const gaps = [];
+            for (let i = 1; i < events.length; i++) {
+                const prev = events[i - 1], next = events[i];
+                if (prev.seq && next.seq && next.seq > prev.seq + 1) {
+                    gaps.push({ start: new Date(prev.timestamp).getTime(), end: new Date(next.timestamp).getTime() });
+                }
+            }
+            tlCache = { version, list, lanes: [...lanes].sort(compareLanes), gaps, bounds: list.length ? { start, end } : null };
+            return tlCache;
+        }
+
+        function timelineBounds() {
+            const data = timelineData();
+            return { bounds: data.bounds, count: data.list.length };
+        }
+
+        /**
+         * Events to draw between start and end across `width` pixels. Events narrower than a
+         * pixel share a box per lane and pixel column, so the answer stays small however many
+         * events there are; errors, the selection and related events win a shared column.
+         */
+        function timelineItems({ start, end, width, selected = null }) {
+            const { list, lanes, gaps } = timelineData();
+            const laneIndex = new Map(lanes.map((lane, i) => [lane, i]));
+            const msPerPx = Math.max((end - start) / Math.max(width, 1), 1e-6);
+            const columns = new Map();
+            const items = [];
+            let related = 0;
+
+            // Point events get a small window so things logged at the same moment still count
+            let relFrom = 0, relTo = -1;
+            if (selected) {
+                const pad = selected.end - selected.start < POINT_PAD_MS ? POINT_PAD_MS : 0;
+                relFrom = selected.start - pad;
+                relTo = selected.end + pad;
+            }
+
+            for (const evt of list) {
+                const isSelected = selected && evt.uid === selected.uid;
+                const isRelated = selected && !isSelected && evt.spanStart <= relTo && evt.spanEnd >= relFrom;
+                if (isRelated) related++;
+                if (evt.spanEnd < start || evt.spanStart > end) continue;
+
+                const lane = laneIndex.get(laneKey(evt));
+                const error = isErrorEvent(evt);
+                const rank = isSelected ? 3 : error ? 2 : isRelated ? 1 : 0;
+                const item = {
+                    uid: evt.uid, lane, laneName: lanes[lane], type: evt.type, start: evt.spanStart, end: evt.spanEnd,
+                    timestamp: evt.timestamp, durationMs: evt.durationMs, summary: (evt.summary || '').slice(0, 300),
+                    error, related: Boolean(isRelated), rank,
+                };
+
+                if ((evt.spanEnd - evt.spanStart) / msPerPx < 2) {
+                    const column = lane * (width + 4) + Math.floor((Math.max(evt.spanStart, start) - start) / msPerPx);
+                    const existing = columns.get(column);
+                    if (existing !== undefined) {
+                        if (items[existing].rank < rank) items[existing] = item;
+                        continue;
+                    }
+                    columns.set(column, items.length);
+                }
+                items.push(item);
+            }
+
+            return { lanes, items, related, gaps: gaps.filter(g => g.end >= start && g.start <= end) };
+        }
+
+        return {
+            add, load, prepend, clear, clearPanel, setPaused, setFilter, setMaxBytes, setLeadingGap, setLayout,
+            toggleRow, measure, windows, stats, oldestSeq, events: eventList, event: eventByUid, exportCounts, mcpStats, terminalOutput, timelineBounds, timelineItems,
+        };
+    }
+
+    return { create, parseHttpEvent, stripPrefix, tryFmtJson, DEFAULT_MAX_BYTES };
+})();
@@ -13,6 +13,17 @@ let webviewManager: WebviewPanelManager | null = null;
 let statusBarItem: vscode.StatusBarItem | null = null;
 let stopBarItem: vscode.StatusBarItem | null = null;
 let closingPromise: Promise<void> | null = null;
+let updatingPromise: Promise<void> | null = null;
+
+const NOTIFIED_UPDATE_KEY = 'viberails.notifiedUpdateVersion';
+
+interface UpdateInfo {
+    currentVersion: string;
+    latestVersion: string;
+    updateAvailable: boolean;
+    releaseNotesUrl?: string | null;
+    source?: string;
+}
 
 export function activate(context: vscode.ExtensionContext) {
     backendManager = new BackendManager();
@@ -45,8 +56,18 @@ export function activate(context: vscode.ExtensionContext) {
         await closeDashboard(true, false);
     });
 
+    const updateCommand = vscode.commands.registerCommand('viberails.update', async () => {
+        try {
+            await updateVibeRails(context);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            vscode.window.showErrorMessage(`Failed to update VibeRails: ${message}`);
+        }
+    });
+
     context.subscriptions.push(openCommand);
     context.subscriptions.push(stopCommand);
+    context.subscriptions.push(updateCommand);
     context.subscriptions.push({
         dispose: () => {
             void closeDashboard(false, true);
@@ -122,12 +143,99 @@ async function openDashboard(context: vscode.ExtensionContext): Promise<void> {
         webviewManager = new WebviewPanelManager(webviewWwwrootPath);
 
         webviewManager.onCloseRequested(() => { void closeDashboard(true, false); });
+        webviewManager.onUpdateRequested(() => { void vscode.commands.executeCommand('viberails.update'); });
 
         await webviewManager.create(port, sessionToken);
         stopBarItem?.show();
+
+        void notifyIfUpdateAvailable(context, port, sessionToken);
     });
 }
 
+async function notifyIfUpdateAvailable(context: vscode.ExtensionContext, port: number, sessionToken: string | null): Promise<void> {
+    const info = await fetchUpdateInfo(port, sessionToken);
+    if (!info?.updateAvailable || info.source !== 'github') { return; }
+
+    // Only nag once per release; the dashboard banner stays available after that
+    if (context.globalState.get<string>(NOTIFIED_UPDATE_KEY) === info.latestVersion) { return; }
+    await context.globalState.update(NOTIFIED_UPDATE_KEY, info.latestVersion);
+
+    const actions = info.releaseNotesUrl ? ['Update', 'Release Notes'] : ['Update'];
+    const choice = await vscode.window.showInformationMessage(
+        `VibeRails v${info.latestVersion} is available (you have v${info.currentVersion}).`,
+        ...actions
+    );
+
+    if (choice === 'Update') {
+        await vscode.commands.executeCommand('viberails.update');
+    } else if (choice === 'Release Notes' && info.releaseNotesUrl) {
+        await vscode.env.openExternal(vscode.Uri.parse(info.releaseNotesUrl));
+    }
+}
+
+function fetchUpdateInfo(port: number, sessionToken: string | null): Promise<UpdateInfo | null> {
+    return new Promise((resolve) => {
+        const req = http.get({
+            hostname: 'localhost',
+            port,
+            path: '/api/v1/update/check',
+            headers: sessionToken ? { 'viberails_session': sessionToken } : {}
+        }, (res) => {
+            if (res.statusCode !== 200) { res.resume(); resolve(null); return; }
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk: string) => { body += chunk; });
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(body) as UpdateInfo | null);
+                } catch {
+                    resolve(null);
+                }
+            });
+        });
+        req.on('error', () => resolve(null));
+        req.setTimeout(15000, () => { req.destroy(); resolve(null); });
+    });
+}
+
+/**
+ * Stops the backend, reruns the installer and reopens the dashboard if it was open.
+ * The binary can't be replaced while it is running on Windows, so the backend has to go first.
+ */
+async function updateVibeRails(context: vscode.ExtensionContext): Promise<void> {
+    if (updatingPromise) {
+        await updatingPromise;
+        return;
+    }
+
+    updatingPromise = (async () => {
+        const wasOpen = webviewManager !== null;
+
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Updating VibeRails...',
+            cancellable: false
+        }, async (progress) => {
+            progress.report({ message: 'Stopping backend...' });
+            await closeDashboard(false, false);
+
+            progress.report({ message: 'Downloading from GitHub releases...' });
+            await runInstallCommand();
+        });
+
+        if (wasOpen) {
+            await openDashboard(context);
+        }
+        vscode.window.showInformationMessage('VibeRails updated');
+    })();
+
+    try {
+        await updatingPromise;
+    } finally {
+        updatingPromise = null;
+    }
+}
+
 function getCurrentWorkspaceFolder(): string | null {
     const workspaceFolders = vscode.workspace.workspaceFolders;
     if (workspaceFolders && workspaceFolders.length > 0) {
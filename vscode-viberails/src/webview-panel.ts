@@ -11,6 +11,8 @@ export class WebviewPanelManager {
 
     private _onCloseRequested: vscode.EventEmitter<void> = new vscode.EventEmitter<void>();
     public readonly onCloseRequested: vscode.Event<void> = this._onCloseRequested.event;
+    private _onUpdateRequested: vscode.EventEmitter<void> = new vscode.EventEmitter<void>();
+    public readonly onUpdateRequested: vscode.Event<void> = this._onUpdateRequested.event;
 
     constructor(wwwrootPath?: string) {
         this.wwwrootPath = wwwrootPath || DEFAULT_WWWROOT;
@@ -49,6 +51,8 @@ export class WebviewPanelManager {
         this.panel.webview.onDidReceiveMessage(message => {
             if (message.command === 'close') {
                 this._onCloseRequested.fire();
+            } else if (message.command === 'update') {
+                this._onUpdateRequested.fire();
             }
         });
 
@@ -214,6 +218,7 @@ export class WebviewPanelManager {
         window.__viberails_NONCE__ = '${nonce}';
         const vscode = acquireVsCodeApi();
         window.__viberails_close__ = function() { vscode.postMessage({ command: 'close' }); };
+        window.__viberails_update__ = function() { vscode.postMessage({ command: 'update' }); };
         ${fetchPatch}
         ${vscodeExitButtonPatch}
     </script>`;